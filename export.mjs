@@ -0,0 +1,138 @@
+// ── Headless Export (Node) ──────────────────────────────────────────
+// Renders a particle config to SVG, PNG or PDF without a browser, through the
+// same particle-export.js the editor and <particle-shape> use.
+//
+// Usage:
+//   node export.mjs config.json out.svg [--width 1200] [--height 800] [--time 0]
+//   node export.mjs config.json out.png [--width 1200] [--height 800] [--scale 2]
+//   node export.mjs config.json out.pdf --width 4961 --height 7016 --dpi 300
+//
+// config.json is a project file saved by the editor, or bare config keys as
+// read from <particle-shape>.config (shapeType, density, seed, color, ...);
+// anything missing uses the component defaults. Set `seed` for a layout that
+// matches the browser. For svgExtrude / mesh, add `svgSrc` / `meshSrc` file
+// paths to a bare config (a project's `svg.src` / `mesh.src`). The text
+// shape needs a browser's fonts to trace, so it isn't supported. `--time` is
+// the animation time in seconds, for float, voronoi and animated
+// connections. `--dpi` sets the PDF page size and the PNG's stored
+// resolution; `--size-scale` multiplies particle size and line thickness.
+//
+// SVG and PDF need nothing else. PNG needs a canvas implementation for Node:
+// `npm install canvas` (or @napi-rs/canvas).
+//
+// The engine files are ES modules with a .js extension, so use Node 22.12+
+// or pass --experimental-detect-module on Node 20.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { generatePoints, generateConnections, parseSVGFile, parseMeshFile, parsePreset, pathDataToSVG } from './particle-engine.js';
+import { toSVGString, toPNGBlob, toPDFString, resolveFrame } from './particle-export.js';
+
+const DEFAULTS = {
+  shapeType: 'sphere',
+  density: 1500,
+  spacing: 1.0,
+  randomness: 0,
+  seed: null,
+  squareSize: 3,
+  color: '#ffffff',
+  bgColor: '#0a0a0a',
+  zoom: 1.0,
+  depthOpacity: true,
+  depthSizing: true,
+  rotX: 0,
+  rotY: 0,
+  rotZ: 0,
+  focalLength: 50,
+  lensType: 'perspective',
+  spiralArms: 4,
+  extrudeDepth: 0.5,
+  connectionsEnabled: false,
+  hubCount: 3,
+  connectionsPerHub: 15,
+  connectionOpacity: 0.3,
+  connectionThickness: 1,
+  hubPlacement: 'mixed',
+  connectionDistribution: 'weighted',
+  connectionSpread: 0.5,
+  connectionFocus: 0.5,
+  hubVisible: true,
+  hubSize: 6,
+  nonConnectedColor: '#404040',
+  pixelate: 0,
+};
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  return { positional, flags };
+}
+
+// Canvas stand-in for Node; either package exposes createCanvas()
+async function loadCreateCanvas() {
+  for (const name of ['canvas', '@napi-rs/canvas']) {
+    try {
+      const mod = await import(name);
+      return mod.createCanvas || mod.default.createCanvas;
+    } catch (e) {
+      // try the next one
+    }
+  }
+  throw new Error('PNG export needs a canvas package: npm install canvas');
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [configPath, outPath] = positional;
+  if (!configPath || !outPath) {
+    console.error('Usage: node export.mjs config.json out.(svg|png|pdf) [--width W] [--height H] [--scale S] [--dpi D] [--size-scale K] [--time T]');
+    process.exit(1);
+  }
+
+  const preset = parsePreset(await readFile(configPath, 'utf8'));
+  if (!preset) throw new Error(`${configPath} is not a config or project file`);
+  const config = { ...DEFAULTS, ...preset.config };
+  if (config.shapeType === 'text') throw new Error('The text shape needs a browser: export it from the editor or with toBlob()');
+  // Shape sources are saved path data or file paths next to the config
+  if (preset.svg) {
+    const svgText = preset.svg.src ? await readFile(preset.svg.src, 'utf8') : pathDataToSVG(preset.svg.pathDatas);
+    const result = parseSVGFile(svgText);
+    if (result) config.svgOutline = result.outline;
+  }
+  if (preset.mesh) {
+    const buf = await readFile(preset.mesh.src);
+    config.meshData = parseMeshFile(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength), preset.mesh.src);
+  }
+
+  // Voronoi points come from the animated field at t = 0, as in the live view
+  const points = config.shapeType === 'voronoi' ? resolveFrame(config, [], 0) : generatePoints(config);
+  config.connectionData = generateConnections(points, config);
+
+  const options = {
+    width: Number(flags.width) || 1200,
+    height: Number(flags.height) || 800,
+    scale: Number(flags.scale) || 1,
+    time: Number(flags.time) || 0,
+    dpi: Number(flags.dpi) || undefined,
+    sizeScale: Number(flags['size-scale']) || 1,
+  };
+
+  if (outPath.endsWith('.svg')) {
+    await writeFile(outPath, toSVGString(config, points, options));
+  } else if (outPath.endsWith('.pdf')) {
+    await writeFile(outPath, toPDFString(config, points, options), 'latin1');
+  } else {
+    options.createCanvas = await loadCreateCanvas();
+    const blob = await toPNGBlob(config, points, options);
+    await writeFile(outPath, Buffer.from(await blob.arrayBuffer()));
+  }
+  console.log(`Wrote ${outPath}`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
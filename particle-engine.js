@@ -2,9 +2,42 @@
 // Shared core: shape generators, 3D projection, renderer.
 // Pure logic — no DOM dependencies except offscreen canvas for SVG hit-testing.
 
+// ── Seeded Random ──────────────────────────────────────────────────
+// Every source of randomness takes an `rng` function (defaulting to
+// Math.random). When `config.seed` is set, each stage draws from its own
+// mulberry32 stream so that e.g. changing the hub count doesn't reshuffle
+// the particles themselves.
+
+export const RNG_STREAMS = {
+  points: 1,
+  randomness: 2,
+  connections: 3,
+  voronoi: 4,
+  float: 5,
+  relink: 6,  // + the relink epoch, so it stays last
+};
+
+export function createRNG(seed, stream = 0) {
+  if (seed == null || seed === '' || !Number.isFinite(Number(seed))) return Math.random;
+  let a = (Math.floor(Number(seed)) ^ Math.imul(stream + 1, 0x9E3779B9)) >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 1e6);
+}
+
 // ── Shape Generators ───────────────────────────────────────────────
 // Each returns an array of {x, y, z} points in normalized [-1, 1] space.
-// Generators that need extra config receive it as a second `config` parameter.
+// Generators that need extra config receive it as a second `config` parameter,
+// and a seeded `rng` as the third. Shapes built from distinct parts also tag
+// each point with a `region` index, which colorMode 'region' colours by.
 
 function generateSphere(n) {
   const points = [];
@@ -34,23 +67,23 @@ function generateCube(n) {
     { axis: 'z', value:  1 },
     { axis: 'z', value: -1 },
   ];
-  for (const face of faces) {
+  faces.forEach((face, region) => {
     for (let i = 0; i < gridSize; i++) {
       for (let j = 0; j < gridSize; j++) {
         const u = (i / (gridSize - 1)) * 2 - 1;
         const v = (j / (gridSize - 1)) * 2 - 1;
-        const p = { x: 0, y: 0, z: 0 };
+        const p = { x: 0, y: 0, z: 0, region };
         if (face.axis === 'x') { p.x = face.value; p.y = u; p.z = v; }
         if (face.axis === 'y') { p.y = face.value; p.x = u; p.z = v; }
         if (face.axis === 'z') { p.z = face.value; p.x = u; p.y = v; }
         points.push(p);
       }
     }
-  }
+  });
   return points.slice(0, n);
 }
 
-function generateGalaxy(n) {
+function generateGalaxy(n, config, rng = Math.random) {
   const points = [];
   const arms = 3;
   const turns = 2.5;
@@ -61,20 +94,21 @@ function generateGalaxy(n) {
     const armOffset = (armIndex / arms) * Math.PI * 2;
     const radius = t;
     const angle = armOffset + t * turns * Math.PI * 2;
-    const angleNoise = (Math.random() - 0.5) * armSpread * (1 - t * 0.5);
-    const radiusNoise = (Math.random() - 0.5) * 0.1;
+    const angleNoise = (rng() - 0.5) * armSpread * (1 - t * 0.5);
+    const radiusNoise = (rng() - 0.5) * 0.1;
     const r = radius + radiusNoise;
     const theta = angle + angleNoise;
     points.push({
       x: r * Math.cos(theta),
-      y: (Math.random() - 0.5) * 0.08 * (1 + (1 - t) * 2),
+      y: (rng() - 0.5) * 0.08 * (1 + (1 - t) * 2),
       z: r * Math.sin(theta),
+      region: armIndex,
     });
   }
   return points;
 }
 
-function generateSpiralGalaxy(n, config) {
+function generateSpiralGalaxy(n, config, rng = Math.random) {
   const points = [];
   const arms = (config && config.spiralArms) || 4;
   const bulgeCount = Math.floor(n * 0.15);
@@ -82,7 +116,7 @@ function generateSpiralGalaxy(n, config) {
   const diskCount = n - bulgeCount - armCount;
 
   for (let i = 0; i < bulgeCount; i++) {
-    const u = Math.random(), v = Math.random(), w = Math.random();
+    const u = rng(), v = rng(), w = rng();
     const r = 0.12 * Math.cbrt(u);
     const theta = v * Math.PI * 2;
     const phi = Math.acos(2 * w - 1);
@@ -90,36 +124,39 @@ function generateSpiralGalaxy(n, config) {
       x: r * Math.sin(phi) * Math.cos(theta),
       y: r * 0.4 * Math.cos(phi),
       z: r * Math.sin(phi) * Math.sin(theta),
+      region: 0, // bulge
     });
   }
 
   for (let i = 0; i < armCount; i++) {
     const armIndex = i % arms;
     const armOffset = (armIndex / arms) * Math.PI * 2;
-    const t = Math.random();
+    const t = rng();
     const logR = 0.08 + t * 0.92;
     const windAngle = armOffset + Math.log(1 + logR * 10) * 1.8;
     const spread = 0.06 + t * 0.15;
-    const angleJitter = (Math.random() - 0.5) * spread;
-    const radialJitter = (Math.random() - 0.5) * 0.06;
+    const angleJitter = (rng() - 0.5) * spread;
+    const radialJitter = (rng() - 0.5) * 0.06;
     const r = logR + radialJitter;
     const angle = windAngle + angleJitter;
     const ySpread = 0.03 * (1 - t * 0.7);
     points.push({
       x: r * Math.cos(angle),
-      y: (Math.random() - 0.5) * ySpread,
+      y: (rng() - 0.5) * ySpread,
       z: r * Math.sin(angle),
+      region: 1, // arms
     });
   }
 
   for (let i = 0; i < diskCount; i++) {
-    const r = Math.sqrt(Math.random()) * 1.0;
-    const angle = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(rng()) * 1.0;
+    const angle = rng() * Math.PI * 2;
     const ySpread = 0.04 * (1 - r * 0.5);
     points.push({
       x: r * Math.cos(angle),
-      y: (Math.random() - 0.5) * ySpread,
+      y: (rng() - 0.5) * ySpread,
       z: r * Math.sin(angle),
+      region: 2, // disk
     });
   }
 
@@ -156,14 +193,14 @@ function generateCylinder(n) {
     const theta = (i / cols) * Math.PI * 2;
     for (let j = 0; j < rows && points.length < lateral; j++) {
       const y = (j / (rows - 1)) * 2 - 1;
-      points.push({ x: Math.cos(theta), y, z: Math.sin(theta) });
+      points.push({ x: Math.cos(theta), y, z: Math.sin(theta), region: 0 });
     }
   }
   for (let cap = -1; cap <= 1; cap += 2) {
     for (let i = 0; i < perCap; i++) {
       const r = Math.sqrt(i / perCap);
       const theta = (i / perCap) * Math.PI * 2 * 10;
-      points.push({ x: r * Math.cos(theta), y: cap, z: r * Math.sin(theta) });
+      points.push({ x: r * Math.cos(theta), y: cap, z: r * Math.sin(theta), region: cap < 0 ? 1 : 2 });
     }
   }
   return points.slice(0, n);
@@ -182,6 +219,7 @@ function generateHelix(n) {
         x: 0.4 * Math.cos(theta),
         y: t * 2 - 1,
         z: 0.4 * Math.sin(theta),
+        region: s,
       });
     }
   }
@@ -191,6 +229,9 @@ function generateHelix(n) {
 // ── SVG Parsing ────────────────────────────────────────────────────
 
 export function parseSVGFile(svgText) {
+  // Workers have no document — use the string-based parser there
+  if (typeof document === 'undefined') return parseSVGText(svgText);
+
   const container = document.createElement('div');
   container.innerHTML = svgText;
   const svgEl = container.querySelector('svg');
@@ -259,6 +300,12 @@ export function parseSVGFile(svgText) {
 
   document.body.removeChild(tempSVG);
 
+  return normalizeSVGSamples(rawPoints, pathDatas);
+}
+
+// Shared tail of both SVG parsers: centre the sampled outline, scale it into
+// [-1, 1] and build the Path2D used for interior hit-testing.
+function normalizeSVGSamples(rawPoints, pathDatas) {
   if (rawPoints.length === 0) return null;
 
   let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
@@ -282,16 +329,244 @@ export function parseSVGFile(svgText) {
   let svgPath2D = null;
   let svgNorm = null;
   if (pathDatas.length > 0) {
-    svgPath2D = new Path2D(pathDatas.join(' '));
+    if (typeof Path2D !== 'undefined') svgPath2D = new Path2D(pathDatas.join(' '));
     svgNorm = { centerX, centerY, maxRange };
   }
 
   return { outline, svgPath2D, svgNorm, pathDatas };
 }
 
+// DOM-free variant of parseSVGFile. Elements are found with a regex scan
+// and outlines sampled from our own path flattener instead of
+// getPointAtLength, so results match the DOM parser closely but not
+// bit-for-bit.
+export function parseSVGText(svgText) {
+  if (!/<svg[\s>]/i.test(svgText)) return null;
+
+  const geoTags = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+  const rawPoints = [];
+  const pathDatas = [];
+  let found = 0;
+
+  for (const tag of geoTags) {
+    const re = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+    let m;
+    while ((m = re.exec(svgText)) !== null) {
+      found++;
+      const attrs = parseSVGAttributes(m[1]);
+      const d = shapeToPathData(tag, attrs);
+      if (!d) continue;
+
+      const segs = flattenPathData(d);
+      const len = segs.reduce((sum, s) => sum + s[4], 0);
+      const sampleCount = Math.max(50, Math.ceil(len / 2));
+      let si = 0, segStart = 0;
+      for (let i = 0; i < sampleCount && segs.length > 0; i++) {
+        const target = (i / sampleCount) * len;
+        while (si < segs.length - 1 && segStart + segs[si][4] < target) {
+          segStart += segs[si][4];
+          si++;
+        }
+        const [x1, y1, x2, y2, sl] = segs[si];
+        const t = sl > 0 ? Math.min(1, (target - segStart) / sl) : 0;
+        rawPoints.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t });
+      }
+
+      // Same rule as the DOM parser: open shapes contribute outline only
+      if (tag !== 'line' && tag !== 'polyline') pathDatas.push(d);
+    }
+  }
+
+  if (found === 0) return null;
+  return normalizeSVGSamples(rawPoints, pathDatas);
+}
+
+function parseSVGAttributes(str) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(str)) !== null) attrs[m[1]] = m[2] != null ? m[2] : m[3];
+  return attrs;
+}
+
+function shapeToPathData(tag, a) {
+  const num = (v) => parseFloat(v || 0);
+  switch (tag) {
+    case 'path':
+      return a.d || null;
+    case 'rect': {
+      const rx = num(a.x), ry = num(a.y), rw = num(a.width), rh = num(a.height);
+      return `M${rx},${ry} L${rx+rw},${ry} L${rx+rw},${ry+rh} L${rx},${ry+rh} Z`;
+    }
+    case 'circle': {
+      const ccx = num(a.cx), ccy = num(a.cy), cr = num(a.r);
+      return `M${ccx-cr},${ccy} A${cr},${cr} 0 1,0 ${ccx+cr},${ccy} A${cr},${cr} 0 1,0 ${ccx-cr},${ccy} Z`;
+    }
+    case 'ellipse': {
+      const ecx = num(a.cx), ecy = num(a.cy), erx = num(a.rx), ery = num(a.ry);
+      return `M${ecx-erx},${ecy} A${erx},${ery} 0 1,0 ${ecx+erx},${ecy} A${erx},${ery} 0 1,0 ${ecx-erx},${ecy} Z`;
+    }
+    case 'polygon':
+      return a.points ? `M${a.points} Z` : null;
+    case 'polyline':
+      return a.points ? `M${a.points}` : null;
+    case 'line':
+      return `M${num(a.x1)},${num(a.y1)} L${num(a.x2)},${num(a.y2)}`;
+  }
+  return null;
+}
+
+// Flattens SVG path data into straight segments [x1, y1, x2, y2, length].
+// Curves are subdivided uniformly; arcs follow the SVG spec's
+// endpoint-to-centre conversion.
+const PATH_NUM_RE = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+
+export function flattenPathData(d) {
+  const segs = [];
+  const CURVE_STEPS = 16;
+  let i = 0;
+  let x = 0, y = 0, sx = 0, sy = 0;
+  let cpx = 0, cpy = 0, lastCmd = '';
+
+  const skip = () => { while (i < d.length && /[\s,]/.test(d[i])) i++; };
+  const num = () => {
+    skip();
+    PATH_NUM_RE.lastIndex = i;
+    const m = PATH_NUM_RE.exec(d);
+    if (!m) return NaN;
+    i += m[0].length;
+    return parseFloat(m[0]);
+  };
+  // Arc flags may be packed without separators ("a1 1 0 01 5 5")
+  const flag = () => { skip(); const c = d[i++]; return c === '1' ? 1 : c === '0' ? 0 : NaN; };
+  const finite = (...v) => v.every(Number.isFinite);
+  const lineTo = (nx, ny) => {
+    const dx = nx - x, dy = ny - y;
+    segs.push([x, y, nx, ny, Math.sqrt(dx * dx + dy * dy)]);
+    x = nx; y = ny;
+  };
+  const cubic = (x1, y1, x2, y2, ex, ey) => {
+    const x0 = x, y0 = y;
+    for (let s = 1; s <= CURVE_STEPS; s++) {
+      const t = s / CURVE_STEPS, mt = 1 - t;
+      lineTo(
+        mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * ex,
+        mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * ey
+      );
+    }
+  };
+  const quad = (x1, y1, ex, ey) => {
+    const x0 = x, y0 = y;
+    for (let s = 1; s <= CURVE_STEPS; s++) {
+      const t = s / CURVE_STEPS, mt = 1 - t;
+      lineTo(mt * mt * x0 + 2 * mt * t * x1 + t * t * ex, mt * mt * y0 + 2 * mt * t * y1 + t * t * ey);
+    }
+  };
+  const arc = (rx, ry, phiDeg, fa, fs, ex, ey) => {
+    rx = Math.abs(rx); ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (ex === x && ey === y)) { lineTo(ex, ey); return; }
+    const phi = phiDeg * Math.PI / 180;
+    const cosP = Math.cos(phi), sinP = Math.sin(phi);
+    const dx = (x - ex) / 2, dy = (y - ey) / 2;
+    const x1p = cosP * dx + sinP * dy;
+    const y1p = -sinP * dx + cosP * dy;
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+    const num2 = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num2 / den));
+    if (fa === fs) coef = -coef;
+    const cxp = coef * (rx * y1p) / ry;
+    const cyp = coef * -(ry * x1p) / rx;
+    const ccx = cosP * cxp - sinP * cyp + (x + ex) / 2;
+    const ccy = sinP * cxp + cosP * cyp + (y + ey) / 2;
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const th1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let dth = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!fs && dth > 0) dth -= Math.PI * 2;
+    else if (fs && dth < 0) dth += Math.PI * 2;
+    const steps = Math.max(4, Math.ceil(Math.abs(dth) / (Math.PI / 16)));
+    for (let s = 1; s <= steps; s++) {
+      const t = th1 + (dth * s) / steps;
+      const px = rx * Math.cos(t), py = ry * Math.sin(t);
+      if (s === steps) lineTo(ex, ey);
+      else lineTo(ccx + px * cosP - py * sinP, ccy + px * sinP + py * cosP);
+    }
+  };
+
+  let cmd = '';
+  while (true) {
+    skip();
+    if (i >= d.length) break;
+    if (/[a-zA-Z]/.test(d[i])) cmd = d[i++];
+    else if (!cmd) break;
+
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0, oy = rel ? y : 0;
+    const upper = cmd.toUpperCase();
+
+    if (upper === 'M') {
+      const nx = num() + ox, ny = num() + oy;
+      if (!finite(nx, ny)) break;
+      x = sx = nx; y = sy = ny;
+      cmd = rel ? 'l' : 'L'; // further pairs are implicit lineto
+    } else if (upper === 'L') {
+      const nx = num() + ox, ny = num() + oy;
+      if (!finite(nx, ny)) break;
+      lineTo(nx, ny);
+    } else if (upper === 'H') {
+      const nx = num() + ox;
+      if (!finite(nx)) break;
+      lineTo(nx, y);
+    } else if (upper === 'V') {
+      const ny = num() + oy;
+      if (!finite(ny)) break;
+      lineTo(x, ny);
+    } else if (upper === 'C' || upper === 'S') {
+      let x1, y1;
+      if (upper === 'C') { x1 = num() + ox; y1 = num() + oy; }
+      else if (lastCmd === 'C' || lastCmd === 'S') { x1 = 2 * x - cpx; y1 = 2 * y - cpy; }
+      else { x1 = x; y1 = y; }
+      const x2 = num() + ox, y2 = num() + oy, ex = num() + ox, ey = num() + oy;
+      if (!finite(x1, y1, x2, y2, ex, ey)) break;
+      cubic(x1, y1, x2, y2, ex, ey);
+      cpx = x2; cpy = y2;
+    } else if (upper === 'Q' || upper === 'T') {
+      let x1, y1;
+      if (upper === 'Q') { x1 = num() + ox; y1 = num() + oy; }
+      else if (lastCmd === 'Q' || lastCmd === 'T') { x1 = 2 * x - cpx; y1 = 2 * y - cpy; }
+      else { x1 = x; y1 = y; }
+      const ex = num() + ox, ey = num() + oy;
+      if (!finite(x1, y1, ex, ey)) break;
+      quad(x1, y1, ex, ey);
+      cpx = x1; cpy = y1;
+    } else if (upper === 'A') {
+      const rx = num(), ry = num(), rot = num(), fa = flag(), fs = flag();
+      const ex = num() + ox, ey = num() + oy;
+      if (!finite(rx, ry, rot, fa, fs, ex, ey)) break;
+      arc(rx, ry, rot, fa, fs, ex, ey);
+    } else if (upper === 'Z') {
+      if (x !== sx || y !== sy) lineTo(sx, sy);
+      x = sx; y = sy;
+      cmd = '';
+    } else {
+      break;
+    }
+    lastCmd = upper;
+  }
+  return segs;
+}
+
+// Minimal SVG document around saved path data (`pathDatas` from either
+// parser), so a shape can be restored with its fill through parseSVGFile
+export function pathDataToSVG(pathDatas) {
+  const paths = pathDatas.map(d => `<path d="${escapeXML(d)}"/>`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg">${paths}</svg>`;
+}
+
 // ── SVG Extrude Generator ──────────────────────────────────────────
 
-function generateSVGExtrude(n, config) {
+function generateSVGExtrude(n, config, rng = Math.random) {
   const outline = (config && config.svgOutline) || [];
   if (outline.length === 0) return [{ x: 0, y: 0, z: 0 }];
 
@@ -304,7 +579,10 @@ function generateSVGExtrude(n, config) {
   const hasPath = svgPath2D && svgNorm;
   let offCtx = null;
   if (hasPath) {
-    const offCanvas = document.createElement('canvas');
+    // OffscreenCanvas when running inside a worker
+    const offCanvas = typeof document !== 'undefined'
+      ? document.createElement('canvas')
+      : new OffscreenCanvas(200, 200);
     offCanvas.width = 200;
     offCanvas.height = 200;
     offCtx = offCanvas.getContext('2d');
@@ -339,8 +617,8 @@ function generateSVGExtrude(n, config) {
         const px = bMinX + ix * stepX;
         const py = bMinY + iy * stepY;
         if (isInsideSVG(px, py)) {
-          points.push({ x: px, y: py, z: -depth / 2 });
-          points.push({ x: px, y: py, z: depth / 2 });
+          points.push({ x: px, y: py, z: -depth / 2, region: 1 });
+          points.push({ x: px, y: py, z: depth / 2, region: 2 });
         }
       }
     }
@@ -352,7 +630,7 @@ function generateSVGExtrude(n, config) {
       const sy = Math.round((op.y - bMinY) / stepY) * stepY + bMinY;
       for (let zl = 0; zl < zLayers; zl++) {
         const zPos = -depth / 2 + zl * stepZ;
-        points.push({ x: sx, y: sy, z: zPos });
+        points.push({ x: sx, y: sy, z: zPos, region: 0 });
       }
     }
   } else {
@@ -367,7 +645,7 @@ function generateSVGExtrude(n, config) {
         const t = i / pointsPerLayer;
         const idx = Math.floor(t * outline.length) % outline.length;
         const op = outline[idx];
-        points.push({ x: op.x, y: op.y, z: zPos });
+        points.push({ x: op.x, y: op.y, z: zPos, region: 0 });
       }
     }
 
@@ -375,11 +653,11 @@ function generateSVGExtrude(n, config) {
     let filled = 0;
     let attempts = 0;
     while (filled < faceCount && attempts < maxAttempts) {
-      const rx = bMinX + Math.random() * (bMaxX - bMinX);
-      const ry = bMinY + Math.random() * (bMaxY - bMinY);
+      const rx = bMinX + rng() * (bMaxX - bMinX);
+      const ry = bMinY + rng() * (bMaxY - bMinY);
       attempts++;
       if (isInsideSVG(rx, ry)) {
-        points.push({ x: rx, y: ry, z: -depth / 2 });
+        points.push({ x: rx, y: ry, z: -depth / 2, region: 1 });
         filled++;
       }
     }
@@ -387,11 +665,11 @@ function generateSVGExtrude(n, config) {
     filled = 0;
     attempts = 0;
     while (filled < faceCount && attempts < maxAttempts) {
-      const rx = bMinX + Math.random() * (bMaxX - bMinX);
-      const ry = bMinY + Math.random() * (bMaxY - bMinY);
+      const rx = bMinX + rng() * (bMaxX - bMinX);
+      const ry = bMinY + rng() * (bMaxY - bMinY);
       attempts++;
       if (isInsideSVG(rx, ry)) {
-        points.push({ x: rx, y: ry, z: depth / 2 });
+        points.push({ x: rx, y: ry, z: depth / 2, region: 2 });
         filled++;
       }
     }
@@ -400,74 +678,728 @@ function generateSVGExtrude(n, config) {
   return points;
 }
 
-// ── Voronoi Generator ──────────────────────────────────────────────
+// ── Text Outlines ──────────────────────────────────────────────────
+// The text shape draws its string with the canvas font engine, so any font
+// the page can use works: system fonts and @font-face ones such as the
+// editor's Saans. The glyph edges are traced back into path data and run
+// through parseSVGText, giving the same { outline, svgPath2D, svgNorm,
+// pathDatas } as an uploaded SVG, which generateText extrudes.
+//
+// Web fonts load lazily, so await loadTextFont(config) first or the trace
+// may be of a fallback face.
+
+const TEXT_RASTER_SIZE = 160;   // px font size the glyphs are traced at
+const TEXT_RASTER_MAX = 4096;   // longest canvas side
+
+function textFont(config, size) {
+  return `${config.fontWeight || 400} ${size}px ${config.font || 'sans-serif'}`;
+}
+
+// Resolves once the font for config.text is ready, or couldn't be had
+export function loadTextFont(config) {
+  const fonts = typeof document !== 'undefined' ? document.fonts : typeof self !== 'undefined' ? self.fonts : null;
+  if (!fonts || !config.text) return Promise.resolve();
+  return fonts.load(textFont(config, TEXT_RASTER_SIZE), config.text).then(() => {}, () => {});
+}
+
+// Marching squares cases (bits TL 8, TR 4, BR 2, BL 1) as pairs of crossed
+// edges (0 top, 1 right, 2 bottom, 3 left), directed so the inside is
+// always on the same side: outer edges and holes wind opposite ways, and
+// the nonzero fill rule cuts the holes out
+const TRACE_SEGMENTS = [[], [3, 2], [2, 1], [3, 1], [1, 0], [1, 0, 3, 2], [2, 0], [3, 0], [0, 3], [0, 2], [0, 3, 2, 1], [0, 1], [1, 3], [1, 2], [2, 3], []];
+// The two saddles when the cell's centre is inside
+const TRACE_SADDLES = { 5: [3, 0, 1, 2], 10: [0, 1, 2, 3] };
+
+// Closed loops around the pixels at least half opaque, as flat
+// [x0, y0, x1, y1, ...] arrays in pixel units
+function traceAlpha(data, width, height) {
+  // A transparent border so every loop closes
+  const W = width + 2;
+  const H = height + 2;
+  const v = new Float32Array(W * H);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) v[(y + 1) * W + x + 1] = data[(y * width + x) * 4 + 3] / 255;
+  }
+
+  // Edge ids: horizontal edges y * W + x, vertical ones V + y * W + x
+  const V = W * H;
+  const next = new Int32Array(V * 2).fill(-1);
+  const ex = new Float32Array(V * 2);
+  const ey = new Float32Array(V * 2);
+  const cross = (a, b) => (0.5 - a) / (b - a);
+
+  for (let y = 0; y < H - 1; y++) {
+    for (let x = 0; x < W - 1; x++) {
+      const i = y * W + x;
+      const tl = v[i], tr = v[i + 1], br = v[i + W + 1], bl = v[i + W];
+      const c = (tl >= 0.5 ? 8 : 0) | (tr >= 0.5 ? 4 : 0) | (br >= 0.5 ? 2 : 0) | (bl >= 0.5 ? 1 : 0);
+      if (c === 0 || c === 15) continue;
+      const segs = (c === 5 || c === 10) && tl + tr + br + bl >= 2 ? TRACE_SADDLES[c] : TRACE_SEGMENTS[c];
+      const ids = [i, V + i + 1, i + W, V + i];
+      for (let s = 0; s < segs.length; s += 2) next[ids[segs[s]]] = ids[segs[s + 1]];
+      for (const edge of segs) {
+        const id = ids[edge];
+        if (edge === 0) { ex[id] = x + cross(tl, tr); ey[id] = y; }
+        else if (edge === 1) { ex[id] = x + 1; ey[id] = y + cross(tr, br); }
+        else if (edge === 2) { ex[id] = x + cross(bl, br); ey[id] = y + 1; }
+        else { ex[id] = x; ey[id] = y + cross(tl, bl); }
+      }
+    }
+  }
+
+  const loops = [];
+  for (let start = 0; start < next.length; start++) {
+    if (next[start] < 0) continue;
+    const loop = [];
+    for (let id = start; next[id] >= 0;) {
+      loop.push(ex[id] - 1, ey[id] - 1);
+      const to = next[id];
+      next[id] = -1;
+      id = to;
+    }
+    if (loop.length >= 6) loops.push(simplifyLoop(loop, 0.35));
+  }
+  return loops;
+}
+
+// Keeps a point only where a straight run from the last kept one would
+// stray more than `tolerance` px from the points it skips
+function simplifyLoop(loop, tolerance) {
+  const n = loop.length / 2;
+  const out = [loop[0], loop[1]];
+  let anchor = 0;
+  for (let j = 2; j <= n; j++) {
+    const ax = loop[anchor * 2], ay = loop[anchor * 2 + 1];
+    const bx = loop[(j % n) * 2], by = loop[(j % n) * 2 + 1];
+    const len = Math.hypot(bx - ax, by - ay) || 1;
+    for (let k = anchor + 1; k < j; k++) {
+      const dist = Math.abs((bx - ax) * (ay - loop[k * 2 + 1]) - (ax - loop[k * 2]) * (by - ay)) / len;
+      if (dist > tolerance) {
+        anchor = j - 1;
+        out.push(loop[anchor * 2], loop[anchor * 2 + 1]);
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+// config: { text, font, fontWeight, letterSpacing (em) }. Lines split on
+// \n and are centred. Returns null when nothing visible is drawn.
+export function textToOutline(config) {
+  const lines = String(config.text || '').split('\n');
+  if (!lines.some(line => line.trim())) return null;
+
+  const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
+  let ctx = canvas.getContext('2d');
+  const spacing = config.letterSpacing || 0;
+
+  // With letter spacing each character goes where the unspaced prefix
+  // ends, plus the spacing so far, which keeps the font's kerning
+  const layout = (line, size) => {
+    const chars = [...line];
+    const offsets = chars.map((ch, i) => ctx.measureText(chars.slice(0, i).join('')).width + i * spacing * size);
+    const width = Math.max(0, ctx.measureText(line).width + (chars.length - 1) * spacing * size);
+    return { chars, offsets, width };
+  };
+  const measure = (size) => {
+    ctx.font = textFont(config, size);
+    const laid = lines.map(line => layout(line, size));
+    const pad = Math.ceil(size * 0.5);
+    const width = Math.ceil(Math.max(...laid.map(l => l.width))) + pad * 2;
+    const height = Math.ceil(lines.length * size * 1.2) + pad * 2;
+    return { laid, pad, width, height };
+  };
+
+  let size = TEXT_RASTER_SIZE;
+  let box = measure(size);
+  const longest = Math.max(box.width, box.height);
+  if (longest > TEXT_RASTER_MAX) {
+    size = Math.max(8, Math.floor(size * TEXT_RASTER_MAX / longest));
+    box = measure(size);
+  }
+
+  // Resizing resets the context
+  canvas.width = box.width;
+  canvas.height = box.height;
+  ctx = canvas.getContext('2d');
+  ctx.font = textFont(config, size);
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#000';
+  box.laid.forEach(({ chars, offsets, width }, li) => {
+    const x = (box.width - width) / 2;
+    const y = box.pad + (li + 0.5) * size * 1.2;
+    if (spacing === 0) ctx.fillText(lines[li], x, y);
+    else chars.forEach((ch, i) => ctx.fillText(ch, x + offsets[i], y));
+  });
+
+  const { data } = ctx.getImageData(0, 0, box.width, box.height);
+  const pathDatas = traceAlpha(data, box.width, box.height).map((loop) => {
+    let d = '';
+    for (let i = 0; i < loop.length; i += 2) d += `${i === 0 ? 'M' : 'L'}${+loop[i].toFixed(2)},${+loop[i + 1].toFixed(2)}`;
+    return d + 'Z';
+  });
+  if (pathDatas.length === 0) return null;
+  return parseSVGText(pathDataToSVG(pathDatas));
+}
+
+// Extruded like svgExtrude, from the outline textToOutline made for it
+function generateText(n, config, rng) {
+  return generateSVGExtrude(n, {
+    ...config,
+    svgOutline: config.textOutline || [],
+    svgPath2D: config.textPath2D || null,
+    _svgNorm: config._textNorm || null,
+  }, rng);
+}
+
+// ── Mesh Parsing ───────────────────────────────────────────────────
+// Wavefront OBJ, PLY (ascii / binary) and STL (ascii / binary). All parsers
+// produce { positions, indices } — flat xyz floats and triangle indices —
+// which normalizeMesh then centres and scales into [-1, 1]. Files that end
+// before their header says give null, never a read past the buffer, and
+// so do files with no vertex that has three numeric coordinates.
+
+export function parseMeshFile(data, fileName) {
+  const ext = (fileName || '').split('?')[0].split('.').pop().toLowerCase();
+  const buffer = typeof data === 'string' ? new TextEncoder().encode(data).buffer : data;
+  const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(256, buffer.byteLength)));
+
+  let mesh = null;
+  if (ext === 'ply' || head.startsWith('ply')) {
+    mesh = parsePLY(buffer);
+  } else if (ext === 'stl' || /^\s*solid[\s\S]*facet/.test(head) || isBinarySTL(buffer)) {
+    mesh = isBinarySTL(buffer) ? parseBinarySTL(buffer) : parseAsciiSTL(new TextDecoder().decode(buffer));
+  } else {
+    mesh = parseOBJ(new TextDecoder().decode(buffer));
+  }
+
+  if (!mesh || mesh.positions.length < 3) return null;
+  return normalizeMesh(mesh);
+}
+
+function parseOBJ(text) {
+  const positions = [];
+  const indices = [];
+  const lines = text.split('\n');
+  for (let li = 0; li < lines.length; li++) {
+    const parts = lines[li].trim().split(/\s+/);
+    if (parts[0] === 'v') {
+      positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+    } else if (parts[0] === 'f') {
+      // Face tokens are v, v/vt, v//vn or v/vt/vn; negative indices count back from the end
+      const vertCount = positions.length / 3;
+      const face = [];
+      for (let i = 1; i < parts.length; i++) {
+        const idx = parseInt(parts[i].split('/')[0], 10);
+        if (!Number.isFinite(idx)) continue;
+        face.push(idx < 0 ? vertCount + idx : idx - 1);
+      }
+      // Triangle fan for quads and n-gons
+      for (let i = 1; i < face.length - 1; i++) {
+        indices.push(face[0], face[i], face[i + 1]);
+      }
+    }
+  }
+  return { positions, indices };
+}
+
+function isBinarySTL(buffer) {
+  if (buffer.byteLength < 84) return false;
+  const triCount = new DataView(buffer).getUint32(80, true);
+  return 84 + triCount * 50 === buffer.byteLength;
+}
+
+function parseBinarySTL(buffer) {
+  if (buffer.byteLength < 84) return null;
+  const view = new DataView(buffer);
+  const triCount = view.getUint32(80, true);
+  if (84 + triCount * 50 > buffer.byteLength) return null;
+  const positions = [];
+  const indices = [];
+  for (let t = 0; t < triCount; t++) {
+    // 12 bytes normal, 3 × 12 bytes vertices, 2 bytes attribute count
+    const base = 84 + t * 50 + 12;
+    for (let v = 0; v < 3; v++) {
+      const off = base + v * 12;
+      positions.push(
+        view.getFloat32(off, true),
+        view.getFloat32(off + 4, true),
+        view.getFloat32(off + 8, true)
+      );
+      indices.push(t * 3 + v);
+    }
+  }
+  return { positions, indices };
+}
+
+function parseAsciiSTL(text) {
+  const positions = [];
+  const indices = [];
+  const re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    indices.push(positions.length / 3);
+    positions.push(parseFloat(m[1]), parseFloat(m[2]), parseFloat(m[3]));
+  }
+  return { positions, indices };
+}
+
+const PLY_TYPES = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8],
+};
+
+function parsePLY(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const headerEnd = findPLYHeaderEnd(bytes);
+  if (headerEnd < 0) return null;
+  const header = new TextDecoder().decode(bytes.subarray(0, headerEnd));
+
+  let format = 'ascii';
+  const elements = [];
+  for (const line of header.split('\n')) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') format = parts[1];
+    else if (parts[0] === 'element') elements.push({ name: parts[1], count: parseInt(parts[2], 10), props: [] });
+    else if (parts[0] === 'property' && elements.length) {
+      const el = elements[elements.length - 1];
+      if (parts[1] === 'list') el.props.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+      else el.props.push({ name: parts[2], type: parts[1] });
+    }
+  }
+
+  const positions = [];
+  const indices = [];
+
+  // Both readers yield one element row at a time as { propName: value | [values] },
+  // or null once the file runs out
+  let readRow;
+  if (format === 'ascii') {
+    const tokens = new TextDecoder().decode(bytes.subarray(headerEnd)).trim().split(/\s+/);
+    let ti = 0;
+    readRow = (el) => {
+      const row = {};
+      for (const p of el.props) {
+        if (p.list) {
+          const n = parseInt(tokens[ti++], 10);
+          if (!(n >= 0) || ti + n > tokens.length) return null;
+          row[p.name] = tokens.slice(ti, ti + n).map(Number);
+          ti += n;
+        } else {
+          if (ti >= tokens.length) return null;
+          row[p.name] = parseFloat(tokens[ti++]);
+        }
+      }
+      return row;
+    };
+  } else {
+    const little = format === 'binary_little_endian';
+    const view = new DataView(buffer);
+    let off = headerEnd;
+    const typeOf = (type) => Object.hasOwn(PLY_TYPES, type) ? PLY_TYPES[type] : PLY_TYPES.float;
+    // Callers check there are `size` bytes left first
+    const read = (type) => {
+      const [fn, size] = typeOf(type);
+      const v = view[fn](off, little);
+      off += size;
+      return v;
+    };
+    const fits = (bytes) => off + bytes <= buffer.byteLength;
+    readRow = (el) => {
+      const row = {};
+      for (const p of el.props) {
+        if (p.list) {
+          if (!fits(typeOf(p.countType)[1])) return null;
+          const n = read(p.countType);
+          if (!Number.isInteger(n) || n < 0 || !fits(n * typeOf(p.type)[1])) return null;
+          const list = new Array(n);
+          for (let i = 0; i < n; i++) list[i] = read(p.type);
+          row[p.name] = list;
+        } else {
+          if (!fits(typeOf(p.type)[1])) return null;
+          row[p.name] = read(p.type);
+        }
+      }
+      return row;
+    };
+  }
+
+  for (const el of elements) {
+    for (let r = 0; r < el.count; r++) {
+      const row = readRow(el);
+      if (!row) return null;
+      if (el.name === 'vertex') {
+        positions.push(row.x, row.y, row.z);
+      } else if (el.name === 'face') {
+        const face = row.vertex_indices || row.vertex_index || [];
+        for (let i = 1; i < face.length - 1; i++) {
+          indices.push(face[0], face[i], face[i + 1]);
+        }
+      }
+    }
+  }
+  return { positions, indices };
+}
+
+function findPLYHeaderEnd(bytes) {
+  const marker = 'end_header';
+  const limit = Math.min(bytes.length, 65536);
+  for (let i = 0; i < limit - marker.length; i++) {
+    let match = true;
+    for (let j = 0; j < marker.length; j++) {
+      if (bytes[i + j] !== marker.charCodeAt(j)) { match = false; break; }
+    }
+    if (!match) continue;
+    let end = i + marker.length;
+    if (bytes[end] === 13) end++;
+    if (bytes[end] === 10) end++;
+    return end;
+  }
+  return -1;
+}
+
+// Vertices missing a coordinate or holding a non-numeric one (`v 1 2`,
+// `v 1 x 2`, a PLY row without z) are left out, with the triangles that
+// use them; null when none are left
+function normalizeMesh(mesh) {
+  const vertCount = Math.floor(mesh.positions.length / 3);
+  const remap = new Int32Array(vertCount).fill(-1);
+  const src = [];
+  for (let v = 0; v < vertCount; v++) {
+    const x = mesh.positions[v * 3], y = mesh.positions[v * 3 + 1], z = mesh.positions[v * 3 + 2];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    remap[v] = src.length / 3;
+    src.push(x, y, z);
+  }
+  if (src.length === 0) return null;
+
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  for (let i = 0; i < src.length; i += 3) {
+    if (src[i] < minX) minX = src[i];
+    if (src[i] > maxX) maxX = src[i];
+    if (src[i + 1] < minY) minY = src[i + 1];
+    if (src[i + 1] > maxY) maxY = src[i + 1];
+    if (src[i + 2] < minZ) minZ = src[i + 2];
+    if (src[i + 2] > maxZ) maxZ = src[i + 2];
+  }
+  const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2, cz = (minZ + maxZ) / 2;
+  const halfRange = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 || 1;
+
+  // Models are Y-up; screen space (like SVG) is Y-down, so flip Y
+  const positions = new Float32Array(src.length);
+  for (let i = 0; i < src.length; i += 3) {
+    positions[i] = (src[i] - cx) / halfRange;
+    positions[i + 1] = -(src[i + 1] - cy) / halfRange;
+    positions[i + 2] = (src[i + 2] - cz) / halfRange;
+  }
+
+  // Drop triangles that reference missing or left-out vertices
+  const valid = i => Number.isInteger(i) && i >= 0 && i < vertCount && remap[i] >= 0;
+  const indices = [];
+  for (let i = 0; i + 2 < mesh.indices.length; i += 3) {
+    const a = mesh.indices[i], b = mesh.indices[i + 1], c = mesh.indices[i + 2];
+    if (valid(a) && valid(b) && valid(c)) indices.push(remap[a], remap[b], remap[c]);
+  }
+  return { positions, indices: Uint32Array.from(indices) };
+}
+
+// ── Mesh Generator ─────────────────────────────────────────────────
+
+function generateMesh(n, config, rng = Math.random) {
+  const mesh = config && config.meshData;
+  if (!mesh || mesh.positions.length === 0) return [{ x: 0, y: 0, z: 0 }];
+
+  const pos = mesh.positions;
+  const idx = mesh.indices;
+  const vertCount = pos.length / 3;
+  const points = [];
+
+  // Vertex mode (or point clouds with no faces): evenly strided subset
+  if (config.meshSampling === 'vertices' || idx.length < 3) {
+    const step = Math.max(1, vertCount / n);
+    for (let f = 0; f < vertCount && points.length < n; f += step) {
+      const i = Math.floor(f) * 3;
+      points.push({ x: pos[i], y: pos[i + 1], z: pos[i + 2] });
+    }
+    return points;
+  }
 
-export function initVoronoiSamples(density) {
-  const needed = Math.max(density * 6, 8000);
-  const gridRes = Math.ceil(Math.sqrt(needed));
+  // Surface mode: pick triangles proportional to area, then a uniform
+  // barycentric point inside each
+  const triCount = idx.length / 3;
+  const cumArea = new Float64Array(triCount);
+  let total = 0;
+  for (let t = 0; t < triCount; t++) {
+    const a = idx[t * 3] * 3, b = idx[t * 3 + 1] * 3, c = idx[t * 3 + 2] * 3;
+    const ux = pos[b] - pos[a], uy = pos[b + 1] - pos[a + 1], uz = pos[b + 2] - pos[a + 2];
+    const vx = pos[c] - pos[a], vy = pos[c + 1] - pos[a + 1], vz = pos[c + 2] - pos[a + 2];
+    const cx = uy * vz - uz * vy, cy = uz * vx - ux * vz, cz = ux * vy - uy * vx;
+    total += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+    cumArea[t] = total;
+  }
+  if (total === 0) return generateMesh(n, { ...config, meshSampling: 'vertices' }, rng);
+
+  for (let i = 0; i < n; i++) {
+    const target = rng() * total;
+    let lo = 0, hi = triCount - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cumArea[mid] < target) lo = mid + 1; else hi = mid;
+    }
+    const a = idx[lo * 3] * 3, b = idx[lo * 3 + 1] * 3, c = idx[lo * 3 + 2] * 3;
+    let u = rng(), v = rng();
+    if (u + v > 1) { u = 1 - u; v = 1 - v; }
+    const w = 1 - u - v;
+    points.push({
+      x: pos[a] * w + pos[b] * u + pos[c] * v,
+      y: pos[a + 1] * w + pos[b + 1] * u + pos[c + 1] * v,
+      z: pos[a + 2] * w + pos[b + 2] * u + pos[c + 2] * v,
+    });
+  }
+  return points;
+}
+
+// ── Voronoi Generator ──────────────────────────────────────────────
+// Particles sit on the membranes between slowly moving cells: of a fixed
+// set of samples, those whose two nearest cell seeds are within
+// voronoiMembraneWidth of each other. voronoiMode places samples and seeds:
+//   plane  — a flat disc of cells (z = 0)
+//   sphere — cells on the surface of the unit sphere
+//   volume — cells filling the unit ball, the membranes walls between them
+//
+// Samples are bucketed into a grid once. Grid cells too deep inside one
+// seed's cell to hold a membrane are skipped, and the rest only test the
+// seeds that can be nearest there. Those candidate lists allow for the seeds
+// moving a little, so consecutive frames share them until a seed has gone
+// further than that.
+
+export const VORONOI_MODES = ['plane', 'sphere', 'volume'];
+
+const voronoiMode = (mode) => VORONOI_MODES.includes(mode) ? mode : 'plane';
+
+export function initVoronoiSamples(density, rng = Math.random, mode = 'plane') {
   const samples = [];
-  for (let xi = 0; xi < gridRes; xi++) {
-    for (let yi = 0; yi < gridRes; yi++) {
-      samples.push({
-        x: ((xi + 0.5 + (Math.random() - 0.5) * 0.85) / gridRes) * 2 - 1,
-        y: ((yi + 0.5 + (Math.random() - 0.5) * 0.85) / gridRes) * 2 - 1,
-      });
+  const jitter = () => (rng() - 0.5) * 0.85;
+  switch (voronoiMode(mode)) {
+    case 'plane': {
+      const gridRes = Math.ceil(Math.sqrt(Math.max(density * 6, 8000)));
+      for (let xi = 0; xi < gridRes; xi++) {
+        for (let yi = 0; yi < gridRes; yi++) {
+          samples.push({
+            x: ((xi + 0.5 + jitter()) / gridRes) * 2 - 1,
+            y: ((yi + 0.5 + jitter()) / gridRes) * 2 - 1,
+            z: 0,
+          });
+        }
+      }
+      break;
+    }
+    case 'sphere': {
+      // Jittered Fibonacci sphere, about as dense per area as the plane
+      const count = Math.max(density * 10, 12000);
+      const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+      for (let i = 0; i < count; i++) {
+        const y = 1 - ((i + 0.5 + jitter()) / count) * 2;
+        const r = Math.sqrt(1 - y * y);
+        const theta = goldenAngle * (i + jitter());
+        samples.push({ x: Math.cos(theta) * r, y, z: Math.sin(theta) * r });
+      }
+      break;
+    }
+    case 'volume': {
+      // Jittered cube grid, kept inside the unit ball
+      const gridRes = Math.ceil(Math.cbrt(Math.max(density * 10, 12000) * 6 / Math.PI));
+      const axis = (i) => ((i + 0.5 + jitter()) / gridRes) * 2 - 1;
+      for (let xi = 0; xi < gridRes; xi++) {
+        for (let yi = 0; yi < gridRes; yi++) {
+          for (let zi = 0; zi < gridRes; zi++) {
+            const p = { x: axis(xi), y: axis(yi), z: axis(zi) };
+            if (p.x * p.x + p.y * p.y + p.z * p.z <= 1) samples.push(p);
+          }
+        }
+      }
+      break;
     }
   }
   for (let i = samples.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [samples[i], samples[j]] = [samples[j], samples[i]];
   }
   return samples;
 }
 
-export function generateVoronoiPoints(samples, config, t) {
-  const count = config.density || 1500;
-  const mw = config.voronoiMembraneWidth || 0.05;
+// Seeds spread evenly and each circle their home position
+function voronoiSeeds(config, t) {
+  const mode = voronoiMode(config.voronoiMode);
   const vari = config.voronoiVariability || 0.5;
   const numSeeds = Math.max(3, config.voronoiCells || 12);
+  const period = config.loopPeriod;
 
   const seeds = [];
   for (let i = 0; i < numSeeds; i++) {
     const theta = i * 2.399963;
-    const r0 = Math.sqrt((i + 0.5) / numSeeds) * 0.75;
-    const cx = r0 * Math.cos(theta);
-    const cy = r0 * Math.sin(theta);
     const orbitR = 0.08 + ((i * 0.137) % 1) * 0.12;
     const freq = (config.voronoiSpeed || 0.5) * (0.4 + ((i * 0.31) % 1) * vari * 0.8);
     const phase = i * 1.618;
-    seeds.push({
-      x: cx + orbitR * Math.cos(t * freq + phase),
-      y: cy + orbitR * Math.sin(t * freq * 0.71 + phase + 1.2),
-    });
+    const ox = orbitR * Math.cos(t * loopFrequency(freq, period) + phase);
+    const oy = orbitR * Math.sin(t * loopFrequency(freq * 0.71, period) + phase + 1.2);
+    if (mode === 'plane') {
+      const r0 = Math.sqrt((i + 0.5) / numSeeds) * 0.75;
+      seeds.push({ x: r0 * Math.cos(theta) + ox, y: r0 * Math.sin(theta) + oy, z: 0 });
+      continue;
+    }
+    const oz = orbitR * Math.sin(t * loopFrequency(freq * 0.53, period) + phase + 2.1);
+    if (mode === 'sphere') {
+      // Fibonacci sphere directions; the orbit is projected back onto it
+      const y = 1 - (2 * i + 1) / numSeeds;
+      const r = Math.sqrt(1 - y * y);
+      const x = r * Math.cos(theta) + ox;
+      const z = r * Math.sin(theta) + oz;
+      const len = Math.sqrt(x * x + (y + oy) * (y + oy) + z * z);
+      seeds.push({ x: x / len, y: (y + oy) / len, z: z / len });
+    } else {
+      // Golden-ratio heights keep direction and radius independent
+      const y = 1 - 2 * ((i * 0.618034 + 0.5) % 1);
+      const r = Math.sqrt(1 - y * y);
+      const r0 = Math.cbrt((i + 0.5) / numSeeds) * 0.75;
+      seeds.push({ x: r0 * r * Math.cos(theta) + ox, y: r0 * y + oy, z: r0 * r * Math.sin(theta) + oz });
+    }
+  }
+  return seeds;
+}
+
+// Sample grid, built on first use and kept per samples array, with the
+// samples' coordinates copied out flat so frames read them in order
+const voronoiGrids = new WeakMap();
+
+// How far seeds may move before candidate lists are worked out again, as a
+// share of the grid's reach
+const VORONOI_SLACK = 0.5;
+
+function voronoiGrid(samples) {
+  let grid = voronoiGrids.get(samples);
+  if (grid) return grid;
+  const flat = samples.every(s => !s.z);
+  const dims = flat ? 2 : 3;
+  // ~16 samples per grid cell
+  let res = Math.max(1, Math.round((samples.length / 16) ** (1 / dims)));
+  const index = (v) => Math.min(res - 1, Math.max(0, Math.floor((v + 1) * res / 2)));
+  const keyOf = (s) => index(s.x) + res * (index(s.y) + res * (flat ? 0 : index(s.z || 0)));
+  // A surface (sphere mode) only passes through some cells of a volume
+  // grid, so that grid is refined until those hold about as many
+  while (!flat && res < 128 && samples.length / new Set(samples.map(keyOf)).size > 32) res *= 2;
+  const size = 2 / res;
+  const centre = (i) => (i + 0.5) * size - 1;
+  const keys = new Map();
+  const cells = [];
+  const cellOf = new Int32Array(samples.length);
+  const coords = new Float64Array(samples.length * 3);
+  samples.forEach((s, i) => {
+    const key = keyOf(s);
+    if (!keys.has(key)) {
+      keys.set(key, cells.length);
+      cells.push({ x: centre(index(s.x)), y: centre(index(s.y)), z: flat ? 0 : centre(index(s.z)) });
+    }
+    cellOf[i] = keys.get(key);
+    coords[i * 3] = s.x;
+    coords[i * 3 + 1] = s.y;
+    coords[i * 3 + 2] = s.z || 0;
+  });
+  grid = { cells, cellOf, coords, reach: (size / 2) * Math.sqrt(dims), candidates: null };  // reach: cell centre to corner
+  voronoiGrids.set(samples, grid);
+  return grid;
+}
+
+// Candidate lists for these seeds: the grid's current ones while no seed
+// has moved further than their slack since they were made, else new ones
+function voronoiCandidateCache(grid, seeds, mw) {
+  const cache = grid.candidates;
+  if (cache && cache.mw === mw && cache.seeds.length === seeds.length && seeds.every((s, k) => {
+    const from = cache.seeds[k];
+    const dx = s.x - from.x, dy = s.y - from.y, dz = s.z - from.z;
+    return dx * dx + dy * dy + dz * dz <= cache.slack * cache.slack;
+  })) return cache;
+  // Grid cells are only looked at once a sample in them is
+  grid.candidates = { seeds, mw, slack: grid.reach * VORONOI_SLACK, lists: new Array(grid.cells.length) };
+  return grid.candidates;
+}
+
+// Seeds that can be nearest or second nearest anywhere in the grid cell,
+// or null when every point in it is further than `mw` from a membrane
+function voronoiCandidates(cell, seeds, reach, mw, dist) {
+  let c1 = Infinity, c2 = Infinity;
+  for (let k = 0; k < seeds.length; k++) {
+    const dx = cell.x - seeds[k].x, dy = cell.y - seeds[k].y, dz = cell.z - seeds[k].z;
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    dist[k] = d;
+    if (d < c1) { c2 = c1; c1 = d; } else if (d < c2) { c2 = d; }
   }
+  if (c2 - c1 - 2 * reach >= mw) return null;
+  const candidates = [];
+  for (let k = 0; k < seeds.length; k++) if (dist[k] <= c2 + 2 * reach) candidates.push(k);
+  return candidates;
+}
 
+export function generateVoronoiPoints(samples, config, t) {
+  const count = config.density || 1500;
+  const mw = config.voronoiMembraneWidth || 0.05;
+  const seeds = voronoiSeeds(config, t);
+  const grid = voronoiGrid(samples);
+  const { cells, cellOf, coords } = grid;
+  const cache = voronoiCandidateCache(grid, seeds, mw);
+  // Seeds within the slack of where they were can only be that much nearer
+  const reach = grid.reach + cache.slack;
+  const cellCandidates = cache.lists;
+  const dist = new Float64Array(seeds.length);
+
+  // Samples are shuffled, so taking the first `count` thins evenly
   const result = [];
   for (let si = 0; si < samples.length && result.length < count; si++) {
-    const s = samples[si];
-    let d1 = Infinity, d2 = Infinity;
-    for (const seed of seeds) {
-      const dx = s.x - seed.x, dy = s.y - seed.y;
-      const d = Math.sqrt(dx * dx + dy * dy);
-      if (d < d1) { d2 = d1; d1 = d; } else if (d < d2) { d2 = d; }
+    const c = cellOf[si];
+    if (cellCandidates[c] === undefined) cellCandidates[c] = voronoiCandidates(cells[c], cache.seeds, reach, mw, dist);
+    const candidates = cellCandidates[c];
+    if (!candidates) continue;
+    const x = coords[si * 3], y = coords[si * 3 + 1], z = coords[si * 3 + 2];
+    let d1 = Infinity, d2 = Infinity, cell = 0;
+    for (let j = 0; j < candidates.length; j++) {
+      const k = candidates[j];
+      const dx = x - seeds[k].x, dy = y - seeds[k].y, dz = z - seeds[k].z;
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (d < d1) { d2 = d1; d1 = d; cell = k; } else if (d < d2) { d2 = d; }
     }
-    if (d2 - d1 < mw) result.push({ x: s.x, y: s.y, z: 0 });
+    // Membership changes every frame, so `id` (the sample) keeps per-particle
+    // colours and connections stable; `region` is the nearest cell
+    if (d2 - d1 < mw) result.push({ x, y, z, region: cell, id: si });
   }
   return result;
 }
 
+// The t = 0 frame, for generatePoints(); animated views keep the samples
+// and call generateVoronoiPoints() each frame
+function generateVoronoi(n, config) {
+  const samples = initVoronoiSamples(n, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+  return generateVoronoiPoints(samples, { ...config, density: n }, 0);
+}
+
 // ── Float Animation ──────────────────────────────────────────────
 
-export function initFloatPhases(count) {
+export function initFloatPhases(count, rng = Math.random) {
   const phases = [];
   for (let i = 0; i < count; i++) {
     phases.push({
-      px: Math.random() * Math.PI * 2,
-      py: Math.random() * Math.PI * 2,
-      pz: Math.random() * Math.PI * 2,
-      sx: Math.random() * 2 - 1,
-      sy: Math.random() * 2 - 1,
-      sz: Math.random() * 2 - 1,
+      px: rng() * Math.PI * 2,
+      py: rng() * Math.PI * 2,
+      pz: rng() * Math.PI * 2,
+      sx: rng() * 2 - 1,
+      sy: rng() * 2 - 1,
+      sz: rng() * 2 - 1,
     });
   }
   return phases;
@@ -477,105 +1409,1077 @@ export function applyFloat(points, phases, config, t) {
   const base = config.floatSpeed || 1.0;
   const vari = config.floatVariability || 0.5;
   const r = config.floatRadius || 0.1;
+  const period = config.loopPeriod;
   return points.map((p, i) => {
     const ph = phases[i] || { px: 0, py: 0, pz: 0, sx: 0, sy: 0, sz: 0 };
-    const fx = base * (1 + ph.sx * vari);
-    const fy = base * (1 + ph.sy * vari);
-    const fz = base * (1 + ph.sz * vari);
+    const fx = loopFrequency(base * (1 + ph.sx * vari), period);
+    const fy = loopFrequency(base * (1 + ph.sy * vari), period);
+    const fz = loopFrequency(base * (1 + ph.sz * vari), period);
     return {
       x: p.x + Math.sin(t * fx + ph.px) * r,
       y: p.y + Math.cos(t * fy + ph.py) * r,
       z: p.z + Math.sin(t * fz + ph.pz) * r,
+      region: p.region,
     };
   });
 }
 
-// ── Generators Map ─────────────────────────────────────────────────
-
-export const generators = {
-  sphere: generateSphere,
-  cube: generateCube,
-  galaxy: generateGalaxy,
-  spiralGalaxy: generateSpiralGalaxy,
-  torus: generateTorus,
-  cylinder: generateCylinder,
-  helix: generateHelix,
-  svgExtrude: generateSVGExtrude,
-};
-
-// ── Helpers ────────────────────────────────────────────────────────
+// ── Cursor Physics ─────────────────────────────────────────────────
+// Particles near the cursor are pushed away ('repel') or drawn in
+// ('attract'), and a spring pulls each one back home. The simulation only
+// keeps a velocity and an offset per particle; the offsets go on top of
+// the generated (or floating) positions each frame, before projection, so
+// connection lines follow the displaced particles.
+//
+// The cursor is in CSS pixels on the canvas, and `cursorRadius` likewise;
+// `cursorStrength` scales the push and the click scatter, `cursorDamping`
+// is the share of velocity lost per frame. Voronoi frames are rebuilt from
+// their samples every frame, so they're left alone.
+
+export const CURSOR_MODES = ['none', 'repel', 'attract'];
+
+const CURSOR_SPRING = 0.02;   // pull towards home per frame, per unit offset
+const CURSOR_FORCE = 0.006;   // push per frame at full strength
+const CURSOR_SCATTER = 0.06;  // outward kick per click at full strength
+const CURSOR_REST = 1e-4;     // below this everything snaps home and sleeps
+
+export function createCursorPhysics() {
+  return { offsets: new Float32Array(0), velocities: new Float32Array(0), resting: true };
+}
 
-export function applyRandomness(points, amount) {
-  const scale = amount * 0.2;
-  return points.map(p => ({
-    x: p.x + (Math.random() - 0.5) * scale,
-    y: p.y + (Math.random() - 0.5) * scale,
-    z: p.z + (Math.random() - 0.5) * scale,
-  }));
+function sizeCursorPhysics(physics, count) {
+  if (physics.offsets.length === count * 3) return;
+  physics.offsets = new Float32Array(count * 3);
+  physics.velocities = new Float32Array(count * 3);
+  physics.resting = true;
 }
 
-export function hexToRGB(hex) {
-  const v = parseInt(hex.slice(1), 16);
-  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+// World-space directions of the screen's x and y axes: the rows of the
+// Y → X → Z rotation in projectPoints
+function screenAxes(rotX, rotY, rotZ) {
+  const basis = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(([x, y, z]) => {
+    const x1 = x * Math.cos(rotY) + z * Math.sin(rotY);
+    const z1 = -x * Math.sin(rotY) + z * Math.cos(rotY);
+    const y1 = y * Math.cos(rotX) - z1 * Math.sin(rotX);
+    return [x1 * Math.cos(rotZ) - y1 * Math.sin(rotZ), x1 * Math.sin(rotZ) + y1 * Math.cos(rotZ)];
+  });
+  return [basis.map((b) => b[0]), basis.map((b) => b[1])];
 }
 
-// ── Connections ───────────────────────────────────────────────────
+// Advances the simulation by `dt` frames (60 fps units, as the rotation
+// uses). `view`: { width, height, pointer: { x, y } or null, dt }.
+export function stepCursorPhysics(physics, points, config, { width, height, pointer, dt }) {
+  if (config.shapeType === 'voronoi') {
+    sizeCursorPhysics(physics, 0);
+    return;
+  }
+  sizeCursorPhysics(physics, points.length);
+  const active = pointer && (config.cursorMode === 'repel' || config.cursorMode === 'attract');
+  if (physics.resting && !active) return;
+
+  const { offsets, velocities } = physics;
+  const strength = (config.cursorStrength ?? 1) * CURSOR_FORCE;
+  const radius = config.cursorRadius || 120;
+  const keep = Math.pow(1 - Math.min(1, Math.max(0, config.cursorDamping ?? 0.12)), dt);
+  const attract = config.cursorMode === 'attract';
+
+  let projected = null;
+  let axisX, axisY;
+  if (active) {
+    const zoom = config.zoom || 1.0;
+    const perspD = config.lensType === 'orthographic' ? Infinity : focalLengthToPerspD(config.focalLength ?? 50);
+    const rotX = config.rotX || 0, rotY = config.rotY || 0, rotZ = config.rotZ || 0;
+    const [cx, cy] = viewCenter(width, height, config);
+    projected = projectPoints(applyCursorPhysics(points, physics), rotX, rotY, rotZ, perspD,
+      cx, cy, config.spacing || 1.0, Math.min(width, height) * 0.35 * zoom);
+    [axisX, axisY] = screenAxes(rotX, rotY, rotZ);
+  }
 
-function generateHubPosition(points, placement, index) {
-  if (placement === 'inside' || (placement === 'mixed' && index % 2 === 0)) {
-    // Pick a random existing particle and offset toward center
-    const baseIdx = Math.floor(Math.random() * points.length);
-    const base = points[baseIdx];
-    return {
-      x: base.x * 0.5 + (Math.random() - 0.5) * 0.3,
-      y: base.y * 0.5 + (Math.random() - 0.5) * 0.3,
-      z: base.z * 0.5 + (Math.random() - 0.5) * 0.3,
-    };
+  let motion = 0;
+  for (let i = 0; i < points.length; i++) {
+    let fx = 0, fy = 0;
+    if (projected && projected[i].scale > 0) {
+      const dx = projected[i].sx - pointer.x;
+      const dy = projected[i].sy - pointer.y;
+      const d = Math.hypot(dx, dy);
+      if (d < radius && d > 1e-6) {
+        // Repel is strongest under the cursor; attract fades out there too,
+        // so drawn-in particles gather around it instead of on one pixel
+        const u = d / radius;
+        const push = attract ? -4 * u * (1 - u) : (1 - u) * (1 - u);
+        fx = dx / d * push * strength;
+        fy = dy / d * push * strength;
+      }
+    }
+    for (let k = 0; k < 3; k++) {
+      const j = i * 3 + k;
+      const force = projected ? fx * axisX[k] + fy * axisY[k] : 0;
+      velocities[j] = (velocities[j] + (force - offsets[j] * CURSOR_SPRING) * dt) * keep;
+      offsets[j] += velocities[j] * dt;
+      motion = Math.max(motion, Math.abs(offsets[j]), Math.abs(velocities[j]));
+    }
+  }
+  physics.resting = motion < CURSOR_REST;
+  if (physics.resting) {
+    offsets.fill(0);
+    velocities.fill(0);
   }
-  // 'outside' or mixed odd index
-  const theta = Math.random() * Math.PI * 2;
-  const phi = Math.acos(2 * Math.random() - 1);
-  const r = 1.5 + Math.random();
-  return {
-    x: r * Math.sin(phi) * Math.cos(theta),
-    y: r * Math.cos(phi),
-    z: r * Math.sin(phi) * Math.sin(theta),
-  };
 }
 
-function selectParticlesForHub(hub, points, count, distribution, spread, focus) {
-  // Compute distances from hub to every particle
-  const distances = [];
+// Kicks every particle away from the centre; the spring brings them back
+export function scatterCursorPhysics(physics, points, config, rng = Math.random) {
+  if (config.shapeType === 'voronoi') return;
+  sizeCursorPhysics(physics, points.length);
+  const kick = (config.cursorStrength ?? 1) * CURSOR_SCATTER;
   for (let i = 0; i < points.length; i++) {
     const p = points[i];
-    const dx = p.x - hub.x, dy = p.y - hub.y, dz = p.z - hub.z;
-    distances.push({ idx: i, dist: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+    const len = Math.hypot(p.x, p.y, p.z);
+    const dir = len > 1e-6 ? [p.x / len, p.y / len, p.z / len] : [rng() - 0.5, rng() - 0.5, rng() - 0.5];
+    const speed = kick * (0.5 + rng());
+    for (let k = 0; k < 3; k++) physics.velocities[i * 3 + k] += dir[k] * speed;
   }
-  distances.sort((a, b) => a.dist - b.dist);
-
-  // Determine max reach based on spread (0→10% of range, 1→100% of range)
-  const maxDist = distances.length > 0 ? distances[distances.length - 1].dist : 1;
-  const reach = maxDist * (0.1 + spread * 0.9);
+  physics.resting = false;
+}
 
-  // Filter to particles within reach
-  const candidates = distances.filter(d => d.dist <= reach);
-  if (candidates.length === 0) {
-    // Fallback: take nearest N if nothing in reach
-    return distances.slice(0, count).map(d => d.idx);
-  }
+export function applyCursorPhysics(points, physics) {
+  if (physics.resting || physics.offsets.length !== points.length * 3) return points;
+  const o = physics.offsets;
+  return points.map((p, i) => ({
+    x: p.x + o[i * 3],
+    y: p.y + o[i * 3 + 1],
+    z: p.z + o[i * 3 + 2],
+    region: p.region,
+  }));
+}
 
-  const n = Math.min(count, candidates.length);
+// ── Morph Transitions ────────────────────────────────────────────
+// A morph tweens from whatever was on screen to a freshly generated point
+// set. Slots are laid out in target order (slot i heads for target i), so
+// the new connectionData stays valid for the whole transition. When the
+// target has more points, the extras spawn from a source point; when it has
+// fewer, the leftover sources are appended and collapse onto a target,
+// disappearing once the morph completes.
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
 
-  if (distribution === 'nearest') {
-    // Simple: take the N closest within reach
-    return candidates.slice(0, n).map(d => d.idx);
+// Uniform grid for nearest-neighbour lookups. `nearest(p, claim)` skips and
+// (when claim is set) removes points already handed out.
+function createPointGrid(points) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const p of points) {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+    if (p.z < minZ) minZ = p.z;
+    if (p.z > maxZ) maxZ = p.z;
   }
+  const res = Math.max(1, Math.ceil(Math.cbrt(points.length / 2)));
+  const cell = Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1e-6) / res;
+  const cells = new Array(res * res * res).fill(null);
+  const key = (ix, iy, iz) => (ix * res + iy) * res + iz;
+  const coord = (v, min) => Math.min(res - 1, Math.max(0, Math.floor((v - min) / cell)));
+
+  points.forEach((p, i) => {
+    const k = key(coord(p.x, minX), coord(p.y, minY), coord(p.z, minZ));
+    if (!cells[k]) cells[k] = [];
+    cells[k].push(i);
+  });
 
-  if (distribution === 'random') {
-    // Shuffle candidates, take first N
+  function nearest(p, claim) {
+    const cx = coord(p.x, minX), cy = coord(p.y, minY), cz = coord(p.z, minZ);
+    let best = -1, bestD = Infinity;
+    for (let r = 0; r < res; r++) {
+      for (let ix = cx - r; ix <= cx + r; ix++) {
+        if (ix < 0 || ix >= res) continue;
+        for (let iy = cy - r; iy <= cy + r; iy++) {
+          if (iy < 0 || iy >= res) continue;
+          // Only the shell of the cube is new at radius r
+          const onShell = Math.abs(ix - cx) === r || Math.abs(iy - cy) === r;
+          const step = onShell || r === 0 ? 1 : 2 * r;
+          for (let iz = cz - r; iz <= cz + r; iz += step) {
+            if (iz < 0 || iz >= res) continue;
+            const bucket = cells[key(ix, iy, iz)];
+            if (!bucket) continue;
+            for (const i of bucket) {
+              const q = points[i];
+              const dx = q.x - p.x, dy = q.y - p.y, dz = q.z - p.z;
+              const d = dx * dx + dy * dy + dz * dz;
+              if (d < bestD) { bestD = d; best = i; }
+            }
+          }
+        }
+      }
+      // Anything outside the searched cube is at least r cells away
+      if (best >= 0 && bestD <= (r * cell) * (r * cell)) break;
+    }
+    if (claim && best >= 0) {
+      const k = key(coord(points[best].x, minX), coord(points[best].y, minY), coord(points[best].z, minZ));
+      const bucket = cells[k];
+      bucket.splice(bucket.indexOf(best), 1);
+      if (bucket.length === 0) cells[k] = null;
+    }
+    return best;
+  }
+
+  return { nearest };
+}
+
+function coprimeStride(n) {
+  let s = Math.max(1, Math.round(n * 0.618));
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  while (gcd(s, n) !== 1) s++;
+  return s;
+}
+
+// match: 'nearest' pairs each target with the closest unused source,
+// 'index' pairs them by array position.
+export function createMorph(fromPoints, toPoints, config = {}) {
+  const from = [];
+  const target = [];
+  const nTo = toPoints.length;
+  const nFrom = fromPoints.length;
+  if (nFrom === 0 || nTo === 0) return null;
+
+  if (config.morphMatch === 'index') {
+    for (let j = 0; j < nTo; j++) {
+      from.push(fromPoints[j % nFrom]);
+      target.push(j);
+    }
+    for (let i = nTo; i < nFrom; i++) {
+      from.push(fromPoints[i]);
+      target.push(i % nTo);
+    }
+  } else {
+    const sourceGrid = createPointGrid(fromPoints);
+    let spawnGrid = null;
+    const used = new Uint8Array(nFrom);
+    const pairs = new Array(nTo);
+    // Visit targets in a scattered order so no region of the source set
+    // gets used up first and forces long searches for the remainder
+    const stride = coprimeStride(nTo);
+    for (let n = 0, j = 0; n < nTo; n++, j = (j + stride) % nTo) {
+      let i;
+      if (n < nFrom) {
+        i = sourceGrid.nearest(toPoints[j], true);
+        used[i] = 1;
+      } else {
+        // Every source is taken; spawn from the closest one
+        if (!spawnGrid) spawnGrid = createPointGrid(fromPoints);
+        i = spawnGrid.nearest(toPoints[j], false);
+      }
+      pairs[j] = i;
+    }
+    for (let j = 0; j < nTo; j++) {
+      from.push(fromPoints[pairs[j]]);
+      target.push(j);
+    }
+    if (nFrom > nTo) {
+      const targetGrid = createPointGrid(toPoints);
+      for (let i = 0; i < nFrom; i++) {
+        if (used[i]) continue;
+        from.push(fromPoints[i]);
+        target.push(targetGrid.nearest(fromPoints[i], false));
+      }
+    }
+  }
+
+  return {
+    from: from.map((p) => ({ x: p.x, y: p.y, z: p.z })),
+    target,
+    start: config.morphStart != null ? config.morphStart : performance.now(),
+    duration: config.morphDuration,
+    easing: EASINGS[config.morphEasing] || EASINGS.easeInOut,
+    done: false,
+  };
+}
+
+// Interpolates towards the live target frame (so float / voronoi keep
+// animating underneath) and flags the morph done once time runs out.
+export function applyMorph(morph, toPoints, now) {
+  const raw = morph.duration > 0 ? (now - morph.start) / morph.duration : 1;
+  if (raw >= 1) {
+    morph.done = true;
+    return toPoints;
+  }
+  const k = morph.easing(Math.max(0, raw));
+  const result = new Array(morph.from.length);
+  for (let i = 0; i < morph.from.length; i++) {
+    const a = morph.from[i];
+    const b = toPoints[morph.target[i]] || a;
+    result[i] = {
+      x: a.x + (b.x - a.x) * k,
+      y: a.y + (b.y - a.y) * k,
+      z: a.z + (b.z - a.z) * k,
+      region: b.region,
+      id: b.id,
+    };
+  }
+  return result;
+}
+
+// Same idea for the camera: eases rotX / rotY / rotZ towards a target.
+export function createRotationTween(config, target, duration, now = performance.now()) {
+  return {
+    from: { rotX: config.rotX, rotY: config.rotY, rotZ: config.rotZ },
+    to: { rotX: target.rotX, rotY: target.rotY, rotZ: target.rotZ },
+    start: now,
+    duration,
+    easing: EASINGS[config.morphEasing] || EASINGS.easeInOut,
+  };
+}
+
+// Writes the eased angles into config; returns true once the tween is over.
+export function applyRotationTween(tween, config, now) {
+  const raw = tween.duration > 0 ? (now - tween.start) / tween.duration : 1;
+  const k = tween.easing(Math.min(1, Math.max(0, raw)));
+  for (const key of ['rotX', 'rotY', 'rotZ']) {
+    config[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * k;
+  }
+  return raw >= 1;
+}
+
+// ── Timeline ───────────────────────────────────────────────────────
+// Keyframes of config values at positions 0–1 along a timeline, e.g. scroll
+// progress: [{ at: 0, zoom: 1 }, { at: 1, zoom: 1.6, color: '#d94a6a' }].
+// Each key is interpolated between the keyframes that set it: numbers
+// linearly, #rrggbb colours per channel, anything else switches at the
+// keyframe. An `easing` (see EASINGS) shapes the segment leading into it.
+//
+// A timeline saved by the editor wraps the keyframes with a clock:
+// { duration: 6, loop: 'loop', keyframes: [...] }, duration in seconds.
+
+export const TIMELINE_LOOPS = ['loop', 'pingPong', 'none'];
+
+// Accepts a keyframe array, a saved timeline object, or the JSON text of
+// either; drops malformed frames, sorts by `at`. Duration is null for a
+// bare array.
+export function parseTimelineDocument(value) {
+  let doc = value;
+  if (typeof value === 'string') {
+    try {
+      doc = JSON.parse(value);
+    } catch (e) {
+      doc = null;
+    }
+  }
+  const frames = Array.isArray(doc) ? doc : doc && Array.isArray(doc.keyframes) ? doc.keyframes : [];
+  const duration = doc && !Array.isArray(doc) ? Number(doc.duration) : NaN;
+  return {
+    duration: duration > 0 ? duration : null,
+    loop: doc && TIMELINE_LOOPS.includes(doc.loop) ? doc.loop : 'loop',
+    keyframes: frames
+      .filter(f => f && typeof f === 'object' && Number.isFinite(Number(f.at)))
+      .map(f => ({ ...f, at: Math.max(0, Math.min(1, Number(f.at))) }))
+      .sort((a, b) => a.at - b.at),
+  };
+}
+
+export function parseTimeline(value) {
+  return parseTimelineDocument(value).keyframes;
+}
+
+// Progress (0–1) after `seconds` of a timeline played over `duration`
+export function timelineProgress(seconds, duration, loop = 'loop') {
+  if (!(duration > 0)) return 1;
+  const t = Math.max(0, seconds) / duration;
+  if (loop === 'none') return Math.min(1, t);
+  if (loop === 'pingPong') {
+    const u = t % 2;
+    return u > 1 ? 2 - u : u;
+  }
+  return t % 1;
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Config values at `progress` (0–1) for every key the keyframes mention
+export function sampleTimeline(keyframes, progress) {
+  const t = Math.max(0, Math.min(1, progress));
+  const keys = new Set();
+  for (const f of keyframes) {
+    for (const key in f) if (key !== 'at' && key !== 'easing') keys.add(key);
+  }
+
+  const values = {};
+  for (const key of keys) {
+    let prev = null, next = null;
+    for (const f of keyframes) {
+      if (!(key in f)) continue;
+      if (f.at <= t) prev = f;
+      else { next = f; break; }
+    }
+    if (!prev || !next) {
+      values[key] = (prev || next)[key];
+      continue;
+    }
+    const a = prev[key], b = next[key];
+    const k = (EASINGS[next.easing] || EASINGS.linear)((t - prev.at) / (next.at - prev.at));
+    if (typeof a === 'number' && typeof b === 'number') {
+      values[key] = a + (b - a) * k;
+    } else if (HEX_COLOR.test(a) && HEX_COLOR.test(b)) {
+      values[key] = rgbToHex(mixRGB(hexToRGB(a), hexToRGB(b), k));
+    } else {
+      values[key] = a;
+    }
+  }
+  return values;
+}
+
+// ── Presets ────────────────────────────────────────────────────────
+// Versioned project files shared by the editor, <particle-shape preset>
+// and export.mjs:
+//
+//   { format: 'particle-shape', version: 1,
+//     name:     'Network globe',                       — optional
+//     config:   { shapeType, density, color, ... },    — PRESET_KEYS only, see presetValue
+//     svg:      { name, pathDatas: [d, ...] } or { src },
+//     mesh:     { src },                               — models aren't inlined
+//     timeline: { duration, loop, keyframes } }
+//
+// Older files are upgraded one version at a time by PRESET_MIGRATIONS.
+
+export const PRESET_FORMAT = 'particle-shape';
+export const PRESET_VERSION = 1;
+
+// Config keys a preset carries: the design, not loaded data or runtime state
+export const PRESET_KEYS = [
+  'shapeType', 'density', 'spacing', 'randomness', 'seed', 'spiralArms', 'extrudeDepth', 'snapToGrid', 'meshSampling',
+  'text', 'font', 'fontWeight', 'letterSpacing',
+  'voronoiMode', 'voronoiCells', 'voronoiMembraneWidth', 'voronoiSpeed', 'voronoiVariability',
+  'morphDuration', 'morphEasing', 'morphMatch',
+  'squareSize', 'glyph', 'glyphChar', 'glyphSrc', 'hubGlyph', 'hubGlyphChar', 'hubGlyphSrc',
+  'float', 'floatRadius', 'floatSpeed', 'floatVariability',
+  'cursorMode', 'cursorStrength', 'cursorRadius', 'cursorDamping',
+  'color', 'colorMode', 'gradientColor', 'colorAxis', 'palette', 'bgColor', 'pixelate', 'renderer', 'depthOpacity', 'depthSizing',
+  'lensType', 'focalLength', 'zoom', 'panX', 'panY', 'rotX', 'rotY', 'rotZ', 'autoRotate', 'rotSpeed',
+  'interactive', 'minPolarAngle', 'maxPolarAngle',
+  'connectionsEnabled', 'connectionTopology', 'connectionDistance', 'connectionNeighbors', 'connectionMaxLines',
+  'hubCount', 'connectionsPerHub', 'hubPlacement', 'connectionDistribution', 'connectionSpread', 'connectionFocus',
+  'connectionOpacity', 'connectionThickness', 'hubVisible', 'hubSize', 'connectionDepthOpacity',
+  'connectionMotion', 'connectionMotionSpeed', 'connectionRelink', 'connectionPulses', 'connectionPulseSpeed', 'connectionPulseColor',
+  'highlightConnected', 'nonConnectedColor', 'nonConnectedOpacity',
+];
+
+// PRESET_MIGRATIONS[n] turns a version n file into version n + 1
+const PRESET_MIGRATIONS = [
+  // 0: a bare config object, as export.mjs has always read, with the
+  // shape sources as svgSrc / meshSrc / svgPathDatas next to the keys
+  (doc) => {
+    const { svgSrc, svgPathDatas, meshSrc, timeline, ...config } = doc;
+    const next = { format: PRESET_FORMAT, version: 1, config };
+    if (Array.isArray(svgPathDatas)) next.svg = { pathDatas: svgPathDatas };
+    else if (svgSrc) next.svg = { src: svgSrc };
+    if (meshSrc) next.mesh = { src: meshSrc };
+    if (timeline) next.timeline = timeline;
+    return next;
+  },
+];
+
+// `extras`: { name, timeline, svgPathDatas, svgName, meshSrc }
+export function createPreset(config, { name = '', timeline = null, svgPathDatas = [], svgName = '', meshSrc = '' } = {}) {
+  const preset = { format: PRESET_FORMAT, version: PRESET_VERSION, config: {} };
+  if (name) preset.name = name;
+  for (const key of PRESET_KEYS) {
+    const v = config[key];
+    if (v !== undefined) preset.config[key] = Array.isArray(v) ? [...v] : v;
+  }
+  if (svgPathDatas.length > 0) preset.svg = { name: svgName, pathDatas: [...svgPathDatas] };
+  if (meshSrc) preset.mesh = { src: meshSrc };
+  if (timeline && timeline.keyframes.length > 0) preset.timeline = timeline;
+  return preset;
+}
+
+// Accepts a preset object or its JSON text, of this or any earlier
+// version; returns null when it isn't one. Files from a newer version are
+// read as far as this one understands them.
+export function parsePreset(value) {
+  let doc = value;
+  if (typeof value === 'string') {
+    try {
+      doc = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return null;
+  if ('format' in doc && doc.format !== PRESET_FORMAT) return null;
+
+  // Unversioned: the { config } wrapper arrived with version 1
+  let version = Number.isInteger(doc.version) && doc.version > 0 ? doc.version : doc.config ? 1 : 0;
+  for (; version < PRESET_VERSION; version++) doc = PRESET_MIGRATIONS[version](doc);
+
+  const config = {};
+  const source = doc.config && typeof doc.config === 'object' ? doc.config : {};
+  for (const key of PRESET_KEYS) {
+    if (!Object.hasOwn(source, key)) continue;
+    const v = presetValue(key, source[key]);
+    if (v !== undefined) config[key] = v;
+  }
+
+  const svg = doc.svg && typeof doc.svg === 'object' ? doc.svg : null;
+  const pathDatas = svg && Array.isArray(svg.pathDatas) ? svg.pathDatas.filter(d => typeof d === 'string') : [];
+  return {
+    version: doc.version,
+    name: typeof doc.name === 'string' ? doc.name : '',
+    config,
+    svg: svg && (pathDatas.length > 0 || svg.src)
+      ? { name: String(svg.name || ''), src: pathDatas.length > 0 ? '' : String(svg.src), pathDatas }
+      : null,
+    mesh: doc.mesh && doc.mesh.src ? { src: String(doc.mesh.src) } : null,
+    timeline: doc.timeline ? parseTimelineDocument(doc.timeline) : null,
+  };
+}
+
+// A preset's value for `key` as the matching attribute would read it, with
+// numbers clamped to what the generators and renderers can take; undefined
+// when it can't be read (rotSpeed: 'fast', a colour that isn't #rrggbb),
+// which leaves the setting as it was
+function presetValue(key, value) {
+  switch (key) {
+    case 'shapeType':              return typeof value === 'string' && value ? value : undefined;
+    case 'density':                return presetNumber(value, 1, 100000, true);
+    case 'spacing':                return presetNumber(value, 0.05, 10);
+    case 'randomness':             return presetNumber(value, 0, 1);
+    case 'seed':                   return value === null ? null : presetNumber(value, 0, 2 ** 32 - 1, true);
+    case 'spiralArms':             return presetNumber(value, 1, 32, true);
+    case 'extrudeDepth':           return presetNumber(value, 0, 10);
+    case 'meshSampling':           return presetOption(value, ['surface', 'vertices']);
+    case 'fontWeight':             return presetNumber(value, 1, 1000, true);
+    case 'letterSpacing':          return presetNumber(value, -1, 5);
+    case 'voronoiMode':            return presetOption(value, VORONOI_MODES);
+    case 'voronoiCells':           return presetNumber(value, 2, 200, true);
+    case 'voronoiMembraneWidth':   return presetNumber(value, 0, 1);
+    case 'voronoiSpeed':           return presetNumber(value, 0, 20);
+    case 'voronoiVariability':     return presetNumber(value, 0, 1);
+    case 'morphDuration':          return presetNumber(value, 0, 60000);
+    case 'morphEasing':            return typeof value === 'string' && Object.hasOwn(EASINGS, value) ? value : undefined;
+    case 'morphMatch':             return presetOption(value, ['nearest', 'index']);
+    case 'squareSize':             return presetNumber(value, 0.1, 100);
+    case 'glyph':                  return presetOption(value, GLYPHS);
+    case 'hubGlyph':               return value === '' ? '' : presetOption(value, GLYPHS);
+    case 'floatRadius':            return presetNumber(value, 0, 2);
+    case 'floatSpeed':             return presetNumber(value, 0, 20);
+    case 'floatVariability':       return presetNumber(value, 0, 1);
+    case 'cursorMode':             return presetOption(value, CURSOR_MODES);
+    case 'cursorStrength':         return presetNumber(value, -20, 20);
+    case 'cursorRadius':           return presetNumber(value, 1, 5000);
+    case 'cursorDamping':          return presetNumber(value, 0, 1);
+    case 'colorMode':              return presetOption(value, COLOR_MODES);
+    case 'colorAxis':              return presetOption(value, ['x', 'y', 'z']);
+    case 'palette': {
+      const palette = Array.isArray(value) ? parsePalette(value) : [];
+      return palette.length > 0 ? palette : undefined;
+    }
+    case 'bgColor':                return typeof value === 'string' && BG_COLOR.test(value.replace(/\s/g, '')) ? value : undefined;
+    case 'pixelate':               return presetNumber(value, 0, 256, true);
+    case 'renderer':               return presetOption(value, ['canvas', 'webgl']);
+    case 'lensType':               return presetOption(value, ['perspective', 'orthographic']);
+    case 'focalLength':            return presetNumber(value, 1, 1000);
+    case 'zoom':                   return presetNumber(value, 0.01, 100);
+    case 'panX': case 'panY':      return presetNumber(value, -100, 100);
+    case 'rotX': case 'rotY': case 'rotZ': return presetNumber(value, -Infinity, Infinity);
+    case 'rotSpeed':               return presetNumber(value, -1, 1);
+    case 'minPolarAngle': case 'maxPolarAngle': return presetNumber(value, -Math.PI, Math.PI);
+    case 'connectionTopology':     return presetOption(value, CONNECTION_TOPOLOGIES);
+    case 'connectionDistance':     return presetNumber(value, 0.001, 4);
+    case 'connectionNeighbors':    return presetNumber(value, 1, 32, true);
+    case 'connectionMaxLines':     return presetNumber(value, 0, 100000, true);
+    case 'hubCount':               return presetNumber(value, 1, 100, true);
+    case 'connectionsPerHub':      return presetNumber(value, 1, 10000, true);
+    case 'connectionSpread':       return presetNumber(value, 0, 1);
+    case 'connectionFocus':        return presetNumber(value, 0, 1);
+    case 'connectionOpacity':      return presetNumber(value, 0, 1);
+    case 'connectionThickness':    return presetNumber(value, 0, 20);
+    case 'hubSize':                return presetNumber(value, 0, 100);
+    case 'connectionMotion':       return presetOption(value, CONNECTION_MOTIONS);
+    case 'connectionMotionSpeed':  return presetNumber(value, -10, 10);
+    case 'connectionRelink':       return presetNumber(value, 0, 3600);
+    case 'connectionPulseSpeed':   return presetNumber(value, -10, 10);
+    case 'nonConnectedOpacity':    return presetNumber(value, 0, 1);
+    case 'color': case 'gradientColor': case 'connectionPulseColor': case 'nonConnectedColor':
+      return typeof value === 'string' && HEX_COLOR.test(value) ? value : undefined;
+    case 'snapToGrid': case 'float': case 'autoRotate': case 'depthOpacity': case 'depthSizing':
+    case 'connectionsEnabled': case 'hubVisible': case 'connectionDepthOpacity': case 'connectionPulses':
+    case 'highlightConnected':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'text': case 'font': case 'glyphChar': case 'glyphSrc': case 'hubGlyphChar': case 'hubGlyphSrc':
+    case 'interactive': case 'hubPlacement': case 'connectionDistribution':
+      return typeof value === 'string' ? value : undefined;
+  }
+  // Otherwise a registered shape's param, read by its spec
+  const params = Object.values(shapeParams).find((p) => Object.hasOwn(p, key));
+  const spec = params ? params[key] : null;
+  switch (spec && spec.type) {
+    case 'range':    return presetNumber(value, spec.min ?? -Infinity, spec.max ?? Infinity);
+    case 'select':   return spec.options && spec.options.includes(value) ? value : undefined;
+    case 'checkbox': return typeof value === 'boolean' ? value : undefined;
+    case 'text':     return typeof value === 'string' ? value : undefined;
+    default:         return undefined;
+  }
+}
+
+// bgColor may also be see-through
+const BG_COLOR = /^(#[0-9a-f]{6}|rgba\(\d+,\d+,\d+,[\d.]+\)|transparent)$/i;
+
+// A finite number, or numeric text as an attribute would hold, clamped to
+// [min, max] and rounded when `whole`
+function presetNumber(value, min, max, whole = false) {
+  const num = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof num !== 'number' || !Number.isFinite(num)) return undefined;
+  const clamped = Math.min(max, Math.max(min, num));
+  return whole ? Math.round(clamped) : clamped;
+}
+
+function presetOption(value, options) {
+  return options.includes(value) ? value : undefined;
+}
+
+// ── Generators Map ─────────────────────────────────────────────────
+
+export const generators = {
+  sphere: generateSphere,
+  cube: generateCube,
+  galaxy: generateGalaxy,
+  spiralGalaxy: generateSpiralGalaxy,
+  torus: generateTorus,
+  cylinder: generateCylinder,
+  helix: generateHelix,
+  svgExtrude: generateSVGExtrude,
+  mesh: generateMesh,
+  voronoi: generateVoronoi,
+  text: generateText,
+};
+
+// ── Expressions ────────────────────────────────────────────────────
+// compileExpression('sin(u) * cos(v)', ['u', 'v']) parses a formula once
+// into a tree of closures and returns fn(u, v). Nothing is eval'd: only
+// numbers, the named variables, pi / tau / e, + - * / % ^ (or **), unary
+// minus, parentheses and the functions in EXPRESSION_FUNCTIONS are
+// understood. Anything else throws a SyntaxError with its position.
+
+export const EXPRESSION_FUNCTIONS = {
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+  exp: Math.exp, log: Math.log, pow: Math.pow, min: Math.min, max: Math.max, hypot: Math.hypot,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, sign: Math.sign,
+};
+const VARIADIC_FUNCTIONS = ['min', 'max', 'hypot'];
+const EXPRESSION_CONSTANTS = { pi: Math.PI, tau: Math.PI * 2, e: Math.E };
+
+const EXPRESSION_TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]\w*)|(\*\*|[-+*/%^(),]))/iy;
+
+function tokenizeExpression(source) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    const at = EXPRESSION_TOKEN.lastIndex;
+    const m = EXPRESSION_TOKEN.exec(source);
+    if (!m) {
+      if (!source.slice(at).trim()) break;
+      const pos = at + source.slice(at).search(/\S/);
+      throw new SyntaxError(`Unexpected "${source[pos]}" at ${pos + 1}`);
+    }
+    const pos = EXPRESSION_TOKEN.lastIndex - m[0].trimStart().length;
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]), pos });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], pos });
+    else tokens.push({ type: 'op', value: m[3] === '**' ? '^' : m[3], pos });
+  }
+  return tokens;
+}
+
+export function compileExpression(source, variables = ['u', 'v']) {
+  const text = String(source ?? '');
+  const tokens = tokenizeExpression(text);
+  let i = 0;
+
+  const peek = (op) => i < tokens.length && tokens[i].type === 'op' && tokens[i].value === op;
+  const fail = (message) => {
+    const pos = i < tokens.length ? tokens[i].pos + 1 : text.length + 1;
+    throw new SyntaxError(`${message} at ${pos}`);
+  };
+  const expect = (op) => {
+    if (!peek(op)) fail(`Expected "${op}"`);
+    i++;
+  };
+
+  // sum := product (('+' | '-') product)*
+  function sum() {
+    let left = product();
+    while (peek('+') || peek('-')) {
+      const op = tokens[i++].value;
+      const a = left, b = product();
+      left = op === '+' ? (s) => a(s) + b(s) : (s) => a(s) - b(s);
+    }
+    return left;
+  }
+
+  // product := unary (('*' | '/' | '%') unary)*
+  function product() {
+    let left = unary();
+    while (peek('*') || peek('/') || peek('%')) {
+      const op = tokens[i++].value;
+      const a = left, b = unary();
+      left = op === '*' ? (s) => a(s) * b(s) : op === '/' ? (s) => a(s) / b(s) : (s) => a(s) % b(s);
+    }
+    return left;
+  }
+
+  // unary := ('-' | '+') unary | power — so -2^2 is -(2^2)
+  function unary() {
+    if (peek('-')) {
+      i++;
+      const a = unary();
+      return (s) => -a(s);
+    }
+    if (peek('+')) {
+      i++;
+      return unary();
+    }
+    return power();
+  }
+
+  // power := atom ('^' unary)? — right-associative
+  function power() {
+    const base = atom();
+    if (!peek('^')) return base;
+    i++;
+    const exp = unary();
+    return (s) => Math.pow(base(s), exp(s));
+  }
+
+  function atom() {
+    const tok = tokens[i];
+    if (!tok) fail('Unexpected end');
+    if (tok.type === 'num') {
+      i++;
+      return () => tok.value;
+    }
+    if (peek('(')) {
+      i++;
+      const inner = sum();
+      expect(')');
+      return inner;
+    }
+    if (tok.type !== 'name') fail(`Unexpected "${tok.value}"`);
+    i++;
+    const name = tok.value.toLowerCase();
+    if (peek('(')) {
+      // Own keys only: no reaching Object.prototype through `constructor(...)`
+      const fn = Object.hasOwn(EXPRESSION_FUNCTIONS, name) ? EXPRESSION_FUNCTIONS[name] : null;
+      if (!fn) throw new SyntaxError(`Unknown function "${tok.value}" at ${tok.pos + 1}`);
+      i++;
+      const args = [];
+      if (!peek(')')) {
+        args.push(sum());
+        while (peek(',')) {
+          i++;
+          args.push(sum());
+        }
+      }
+      expect(')');
+      const arity = VARIADIC_FUNCTIONS.includes(name) ? args.length > 0 : args.length === fn.length;
+      if (!arity) throw new SyntaxError(`Wrong number of arguments to ${name}() at ${tok.pos + 1}`);
+      if (args.length === 1) {
+        const a = args[0];
+        return (s) => fn(a(s));
+      }
+      return (s) => fn(...args.map(a => a(s)));
+    }
+    const slot = variables.indexOf(tok.value);
+    if (slot >= 0) return (s) => s[slot];
+    if (Object.hasOwn(EXPRESSION_CONSTANTS, name)) {
+      const value = EXPRESSION_CONSTANTS[name];
+      return () => value;
+    }
+    throw new SyntaxError(`Unknown name "${tok.value}" at ${tok.pos + 1}`);
+  }
+
+  if (tokens.length === 0) throw new SyntaxError('Empty expression');
+  const root = sum();
+  if (i < tokens.length) fail(`Unexpected "${tokens[i].value}"`);
+  return (...values) => root(values);
+}
+
+// ── Shape Registry ─────────────────────────────────────────────────
+// registerShape(name, generate, params) adds a shape next to the built-in
+// ones. generate(n, config, rng) works like the generators above: n points
+// in about [-1, 1], drawing randomness from `rng` so seeds reproduce.
+// `params` describes the config keys it reads, so the editor can build its
+// controls and <particle-shape> can read them from attributes:
+//
+//   { twist:   { type: 'range', label: 'Twist', min: 0, max: 5, step: 0.1, default: 1 },
+//     profile: { type: 'select', options: ['round', 'flat'], default: 'round' },
+//     capped:  { type: 'checkbox', default: false },
+//     formula: { type: 'text', default: 'sin(u)' } }
+//
+// The attribute is the key in kebab-case (`twistAmount` → twist-amount)
+// unless the spec names one with `attribute`. A `validate(value)` returning
+// a message lets the editor flag text it can't use. Param keys are saved in
+// presets like the built-in ones, so register before loading such presets.
+//
+// Built-in shapes can't be replaced (<particle-shape worker> would still
+// generate the original), and params can't reuse a built-in config key or
+// element attribute. Registering a shape's name again replaces it.
+
+export const PARAM_TYPES = ['range', 'select', 'checkbox', 'text'];
+
+// Config keys the element, editor and worker keep beside the preset ones:
+// loaded data, derived values and runtime state
+const RUNTIME_KEYS = [
+  'perspectiveD', 'worker', 'motion', 'reducedMotion', 'points', 'connectionData',
+  'glyphImage', 'hubGlyphImage', '_bgHex', 'bgAlpha',
+  'svgOutline', 'svgPath', 'svgPath2D', '_svgNorm', 'svgFileName', 'svgPathDatas', 'svgSrc',
+  'textOutline', 'textPath', 'textPath2D', '_textNorm',
+  'meshData', 'meshFileName', 'meshSrc', 'timeline',
+];
+
+// Keys that would reach Object.prototype rather than add an entry
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Taken before any shape registers, so params only collide with these
+const BUILTIN_CONFIG_KEYS = new Set([...PRESET_KEYS, ...RUNTIME_KEYS, ...UNSAFE_KEYS]);
+
+// The element's own attributes, which <particle-shape> reserves on load
+const reservedAttributes = new Set();
+
+export function reserveAttributes(names) {
+  for (const name of names) reservedAttributes.add(name);
+}
+
+// Shape name → params, for every shape added through registerShape()
+export const shapeParams = {};
+
+// The params of a registered shape, else null. Own keys only, so a name like
+// `constructor` finds nothing
+export function paramsOfShape(shapeType) {
+  return Object.hasOwn(shapeParams, shapeType) ? shapeParams[shapeType] : null;
+}
+
+export function registerShape(name, generate, params = {}) {
+  if (typeof name !== 'string' || !name) throw new TypeError('registerShape: name must be a non-empty string');
+  if (BUILTIN_SHAPES.includes(name) || UNSAFE_KEYS.includes(name)) {
+    throw new TypeError(`registerShape: "${name}" is a built-in shape`);
+  }
+  if (typeof generate !== 'function') throw new TypeError(`registerShape: the generator for "${name}" must be a function`);
+  for (const [key, spec] of Object.entries(params)) {
+    if (!spec || !PARAM_TYPES.includes(spec.type)) {
+      throw new TypeError(`registerShape: param "${key}" of "${name}" needs a type (${PARAM_TYPES.join(', ')})`);
+    }
+    if (BUILTIN_CONFIG_KEYS.has(key)) {
+      throw new TypeError(`registerShape: param "${key}" of "${name}" is a built-in config key`);
+    }
+    const attribute = paramAttribute(key, spec);
+    if (reservedAttributes.has(attribute)) {
+      throw new TypeError(`registerShape: param "${key}" of "${name}" uses the built-in attribute "${attribute}"`);
+    }
+  }
+  addShape(name, generate, params);
+}
+
+function addShape(name, generate, params) {
+  generators[name] = generate;
+  shapeParams[name] = params;
+  for (const key of Object.keys(params)) if (!PRESET_KEYS.includes(key)) PRESET_KEYS.push(key);
+}
+
+// Whether some registered shape reads `key`
+export function isShapeParam(key) {
+  return Object.values(shapeParams).some((params) => Object.hasOwn(params, key));
+}
+
+export function paramAttribute(key, spec) {
+  return spec.attribute || key.replace(/[A-Z]/g, (ch) => '-' + ch.toLowerCase());
+}
+
+// Attribute string (null when removed) → config value, as the built-in
+// attributes parse: bad or missing values fall back to the default
+export function parseParamAttribute(spec, value) {
+  switch (spec.type) {
+    case 'range': {
+      const num = parseFloat(value);
+      return Number.isFinite(num) ? num : spec.default;
+    }
+    case 'checkbox': return value !== 'false' && value !== null;
+    case 'select':   return spec.options && spec.options.includes(value) ? value : spec.default;
+    default:         return value ?? spec.default;
+  }
+}
+
+// The config with defaults filled in for the shape's params it doesn't set
+function withParamDefaults(config) {
+  const params = paramsOfShape(config.shapeType);
+  if (!params) return config;
+  let filled = config;
+  for (const [key, spec] of Object.entries(params)) {
+    if (filled[key] !== undefined || spec.default === undefined) continue;
+    if (filled === config) filled = { ...config };
+    filled[key] = spec.default;
+  }
+  return filled;
+}
+
+// '' while the shape's params all pass their validate(), else the first
+// one's message with its label, e.g. why a formula doesn't parse
+export function shapeError(config) {
+  const params = paramsOfShape(config.shapeType);
+  if (!params) return '';
+  const filled = withParamDefaults(config);
+  for (const [key, spec] of Object.entries(params)) {
+    const message = spec.validate ? spec.validate(filled[key]) : '';
+    if (message) return `${spec.label || key}: ${message}`;
+  }
+  return '';
+}
+
+// parametric: x(u, v), y(u, v), z(u, v) over an even u × v grid with both
+// running 0 → 2π, scaled so the furthest point sits on the unit sphere.
+// A formula that doesn't parse gives no points; shapeError() says why.
+function generateParametric(n, config) {
+  let fx, fy, fz;
+  try {
+    fx = compileExpression(config.parametricX);
+    fy = compileExpression(config.parametricY);
+    fz = compileExpression(config.parametricZ);
+  } catch (e) {
+    return [];
+  }
+  const cols = Math.max(1, Math.ceil(Math.sqrt(n)));
+  const rows = Math.max(1, Math.ceil(n / cols));
+  const points = [];
+  let maxR = 0;
+  for (let i = 0; i < n; i++) {
+    // Cell centres, so closed surfaces don't double up along the seam
+    const u = ((i % cols) + 0.5) / cols * Math.PI * 2;
+    const v = (Math.floor(i / cols) + 0.5) / rows * Math.PI * 2;
+    const x = fx(u, v), y = fy(u, v), z = fz(u, v);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    maxR = Math.max(maxR, Math.hypot(x, y, z));
+    points.push({ x, y, z });
+  }
+  if (maxR > 0) {
+    for (const p of points) {
+      p.x /= maxR;
+      p.y /= maxR;
+      p.z /= maxR;
+    }
+  }
+  return points;
+}
+
+// '' for a formula that compiles, else why it doesn't
+function expressionError(source) {
+  try {
+    compileExpression(source);
+    return '';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+addShape('parametric', generateParametric, {
+  parametricX: { type: 'text', label: 'x(u, v)', default: 'u / pi - 1', validate: expressionError },
+  parametricY: { type: 'text', label: 'y(u, v)', default: '0.25 * sin(3 * u) * cos(2 * v)', validate: expressionError },
+  parametricZ: { type: 'text', label: 'z(u, v)', default: 'v / pi - 1', validate: expressionError },
+});
+
+// Shapes this file provides, which <particle-shape worker> can generate in
+// its worker; registered ones are generated on the page and posted over
+export const BUILTIN_SHAPES = Object.freeze(Object.keys(generators));
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+export function applyRandomness(points, amount, rng = Math.random) {
+  const scale = amount * 0.2;
+  return points.map(p => ({
+    x: p.x + (rng() - 0.5) * scale,
+    y: p.y + (rng() - 0.5) * scale,
+    z: p.z + (rng() - 0.5) * scale,
+    region: p.region,
+  }));
+}
+
+export function hexToRGB(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
+
+function rgbToHex([r, g, b]) {
+  return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+
+// With config.loopPeriod set (seconds), float and voronoi frequencies are
+// rounded to whole cycles per period, so the motion at t and t + period is
+// identical. Used by offline video export to close the loop.
+function loopFrequency(freq, period) {
+  if (!(period > 0) || freq === 0) return freq;
+  const cycle = (Math.PI * 2) / period;
+  return Math.sign(freq) * Math.max(1, Math.round(Math.abs(freq) / cycle)) * cycle;
+}
+
+// ── Connections ───────────────────────────────────────────────────
+
+function generateHubPosition(points, placement, index, rng) {
+  if (placement === 'inside' || (placement === 'mixed' && index % 2 === 0)) {
+    // Pick a random existing particle and offset toward center
+    const baseIdx = Math.floor(rng() * points.length);
+    const base = points[baseIdx];
+    return {
+      x: base.x * 0.5 + (rng() - 0.5) * 0.3,
+      y: base.y * 0.5 + (rng() - 0.5) * 0.3,
+      z: base.z * 0.5 + (rng() - 0.5) * 0.3,
+    };
+  }
+  // 'outside' or mixed odd index
+  const theta = rng() * Math.PI * 2;
+  const phi = Math.acos(2 * rng() - 1);
+  const r = 1.5 + rng();
+  return {
+    x: r * Math.sin(phi) * Math.cos(theta),
+    y: r * Math.cos(phi),
+    z: r * Math.sin(phi) * Math.sin(theta),
+  };
+}
+
+function selectParticlesForHub(hub, points, count, distribution, spread, focus, rng) {
+  // Compute distances from hub to every particle
+  const distances = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const dx = p.x - hub.x, dy = p.y - hub.y, dz = p.z - hub.z;
+    distances.push({ idx: i, dist: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+  }
+  distances.sort((a, b) => a.dist - b.dist);
+
+  // Determine max reach based on spread (0→10% of range, 1→100% of range)
+  const maxDist = distances.length > 0 ? distances[distances.length - 1].dist : 1;
+  const reach = maxDist * (0.1 + spread * 0.9);
+
+  // Filter to particles within reach
+  const candidates = distances.filter(d => d.dist <= reach);
+  if (candidates.length === 0) {
+    // Fallback: take nearest N if nothing in reach
+    return distances.slice(0, count).map(d => d.idx);
+  }
+
+  const n = Math.min(count, candidates.length);
+
+  if (distribution === 'nearest') {
+    // Simple: take the N closest within reach
+    return candidates.slice(0, n).map(d => d.idx);
+  }
+
+  if (distribution === 'random') {
+    // Shuffle candidates, take first N
     const shuffled = candidates.slice();
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(rng() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled.slice(0, n).map(d => d.idx);
@@ -594,7 +2498,7 @@ function selectParticlesForHub(hub, points, count, distribution, spread, focus)
 
     let attempts = 0;
     while (selected.size < n && attempts < n * 20) {
-      let r = Math.random() * totalWeight;
+      let r = rng() * totalWeight;
       for (let i = 0; i < candidates.length; i++) {
         r -= weights[i];
         if (r <= 0) {
@@ -626,7 +2530,7 @@ function selectParticlesForHub(hub, points, count, distribution, spread, focus)
       const inBand = candidates.filter(d => d.dist >= lo && d.dist < hi);
       // Shuffle and take perBand from this band
       for (let i = inBand.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [inBand[i], inBand[j]] = [inBand[j], inBand[i]];
       }
       const take = Math.min(perBand, inBand.length);
@@ -656,46 +2560,766 @@ function selectParticlesForHub(hub, points, count, distribution, spread, focus)
   return candidates.slice(0, n).map(d => d.idx);
 }
 
+// ── Plexus Links ──────────────────────────────────────────────────
+// The other topologies link particles to each other rather than to hubs:
+//   distance — every pair closer than connectionDistance
+//   nearest  — each particle to its connectionNeighbors nearest
+//   tree     — a minimum spanning tree (a forest where gaps exceed the distance)
+//   mesh     — a Delaunay-style mesh: neighbour pairs with no other particle
+//              inside the sphere across them (the Gabriel graph)
+// All of them only look as far as connectionDistance (shape units; shapes
+// span about -1…1) and connectionMaxLines keeps the shortest links when
+// there are more, so a grid finds the candidates in the cells around each
+// particle, searching no further out than it has to.
+//
+// Links follow the particles, so they're made again when the particles
+// move. At 10,000 particles one pass takes roughly 10–30 ms for distance
+// and nearest and 40–90 ms for tree and mesh in Node, more for crowded
+// shapes, so live views call reuseLinks() to keep a frame's links until a
+// particle has moved LINK_SLACK of the distance. With float that's every
+// few frames, about a quarter of the cost on average.
+
+export const CONNECTION_TOPOLOGIES = ['hubs', 'distance', 'nearest', 'tree', 'mesh'];
+
+const MAX_GRID_CELLS = 8;       // per particle, before cells grow past connectionDistance
+const TREE_CANDIDATES = 8;      // nearest neighbours a tree edge is picked from
+const MESH_CANDIDATES = 12;     // ...and a mesh edge
+const LINK_SLACK = 0.05;        // of connectionDistance, that particles may move before relinking
+
+// Uniform grid over the points' bounds as a counting sort: cell c holds
+// order[start[c]] … order[start[c + 1] - 1], whose positions are copied
+// alongside into `xyz` so a cell's are read together. Cells are at least
+// `radius` wide (wider when there would be too many), so the 27 cells
+// around a particle hold everything within `radius` of it.
+function buildGrid(points, radius) {
+  let minX = Infinity, minY = Infinity, minZ = Infinity;
+  let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+  for (const p of points) {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+    if (p.z < minZ) minZ = p.z;
+    if (p.z > maxZ) maxZ = p.z;
+  }
+  const maxCells = Math.max(4096, points.length * MAX_GRID_CELLS);
+  let cell = radius;
+  const cellsFor = (size) => Math.floor((maxX - minX) / size + 1) * Math.floor((maxY - minY) / size + 1) * Math.floor((maxZ - minZ) / size + 1);
+  while (cellsFor(cell) > maxCells) cell *= 1.25;
+  const nx = Math.floor((maxX - minX) / cell) + 1;
+  const ny = Math.floor((maxY - minY) / cell) + 1;
+  const nz = Math.floor((maxZ - minZ) / cell) + 1;
+
+  const cellOf = new Uint32Array(points.length);
+  const start = new Uint32Array(nx * ny * nz + 1);
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const c = (Math.floor((p.x - minX) / cell) * ny + Math.floor((p.y - minY) / cell)) * nz + Math.floor((p.z - minZ) / cell);
+    cellOf[i] = c;
+    start[c + 1]++;
+  }
+  for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+  const fill = start.slice(0, -1);
+  const order = new Uint32Array(points.length);
+  const xyz = new Float64Array(points.length * 3);
+  for (let i = 0; i < points.length; i++) {
+    const k = fill[cellOf[i]]++;
+    order[k] = i;
+    xyz[k * 3] = points[i].x;
+    xyz[k * 3 + 1] = points[i].y;
+    xyz[k * 3 + 2] = points[i].z;
+  }
+  return { minX, minY, minZ, cell, nx, ny, nz, start, order, xyz };
+}
+
+// Fills idx / d2 with the particles within sqrt(r2) of particle i and
+// returns how many there are
+function gatherNeighbors(points, grid, i, r2, idx, d2) {
+  const { minX, minY, minZ, cell, nx, ny, nz, start, order, xyz } = grid;
+  const p = points[i];
+  const gx = Math.floor((p.x - minX) / cell);
+  const gy = Math.floor((p.y - minY) / cell);
+  const gz = Math.floor((p.z - minZ) / cell);
+  let count = 0;
+  for (let x = Math.max(0, gx - 1); x <= Math.min(nx - 1, gx + 1); x++) {
+    for (let y = Math.max(0, gy - 1); y <= Math.min(ny - 1, gy + 1); y++) {
+      const row = (x * ny + y) * nz;
+      const end = start[row + Math.min(nz - 1, gz + 1) + 1];
+      for (let k = start[row + Math.max(0, gz - 1)]; k < end; k++) {
+        const dx = xyz[k * 3] - p.x, dy = xyz[k * 3 + 1] - p.y, dz = xyz[k * 3 + 2] - p.z;
+        const dd = dx * dx + dy * dy + dz * dz;
+        if (dd > r2) continue;
+        const j = order[k];
+        if (j === i) continue;
+        idx[count] = j;
+        d2[count] = dd;
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+// Growable edge list { a, b, d2, count }
+function createEdges(capacity) {
+  return { a: new Uint32Array(capacity), b: new Uint32Array(capacity), d2: new Float64Array(capacity), count: 0 };
+}
+
+function pushEdge(edges, a, b, d2) {
+  if (edges.count === edges.a.length) {
+    const grow = (arr) => {
+      const next = new arr.constructor(arr.length * 2);
+      next.set(arr);
+      return next;
+    };
+    edges.a = grow(edges.a);
+    edges.b = grow(edges.b);
+    edges.d2 = grow(edges.d2);
+  }
+  edges.a[edges.count] = a;
+  edges.b[edges.count] = b;
+  edges.d2[edges.count] = d2;
+  edges.count++;
+}
+
+function dist2(a, b) {
+  const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+  return dx * dx + dy * dy + dz * dz;
+}
+
+// The k-th smallest (from 0) of values[0 … count - 1], by quickselect
+function kthSmallest(values, count, k) {
+  const a = values.slice(0, count);
+  let lo = 0, hi = count - 1;
+  while (lo < hi) {
+    const pivot = a[(lo + hi) >> 1];
+    let i = lo, j = hi;
+    while (i <= j) {
+      while (a[i] < pivot) i++;
+      while (a[j] > pivot) j--;
+      if (i <= j) {
+        const t = a[i]; a[i] = a[j]; a[j] = t;
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) hi = j;
+    else if (k >= i) lo = i;
+    else break;
+  }
+  return a[k];
+}
+
+// Edge indices, shortest first. Lengths (all within r2) are quantised to
+// 30 bits and packed above the index, so a plain numeric sort does it.
+function edgesByLength(edges, r2) {
+  const count = edges.count;
+  if (count >= 1 << 21) {
+    return Array.from({ length: count }, (_, i) => i).sort((x, y) => edges.d2[x] - edges.d2[y]);
+  }
+  const keys = new Float64Array(count);
+  const scale = ((1 << 30) - 1) / (r2 || 1);
+  for (let e = 0; e < count; e++) keys[e] = Math.floor(edges.d2[e] * scale) * (1 << 21) + e;
+  keys.sort();
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = keys[i] % (1 << 21);
+  return order;
+}
+
+function findRoot(parent, i) {
+  while (parent[i] !== i) {
+    parent[i] = parent[parent[i]];
+    i = parent[i];
+  }
+  return i;
+}
+
+// Candidate edges for a topology, each pair once. Everything out to
+// `radius` can be a lot of pairs where particles crowd, and only the
+// shortest are kept, so the search starts at the grid's own cell size and
+// only widens (doubling up to `radius`) where that found too few: for
+// distance, until there are connectionMaxLines pairs; for the others, for
+// each particle that hasn't found its nearest few yet.
+function linkCandidates(points, topology, radius, neighbors, maxLines) {
+  const n = points.length;
+  const idx = new Uint32Array(n);
+  const d2 = new Float64Array(n);
+  const edges = createEdges(Math.max(16, n * 4));
+
+  if (topology === 'distance') {
+    for (let reach = 0; ;) {
+      const grid = buildGrid(points, Math.max(reach * 2, radius / 64));
+      reach = Math.min(radius, grid.cell);
+      const r2 = reach * reach;
+      edges.count = 0;
+      for (let i = 0; i < n; i++) {
+        const count = gatherNeighbors(points, grid, i, r2, idx, d2);
+        for (let k = 0; k < count; k++) {
+          if (idx[k] > i) pushEdge(edges, i, idx[k], d2[k]);
+        }
+      }
+      if (reach >= radius || edges.count >= maxLines) return edges;
+    }
+  }
+
+  // Each particle's nearest few, nearest first (by insertion), in rows of
+  // `limit`
+  const limit = topology === 'nearest' ? neighbors : topology === 'tree' ? TREE_CANDIDATES : MESH_CANDIDATES;
+  const nearIdx = new Uint32Array(n * limit);
+  const nearD2 = new Float64Array(n * limit);
+  const found = new Uint8Array(n);
+  let pending = Uint32Array.from({ length: n }, (_, i) => i);
+  for (let reach = 0; pending.length > 0;) {
+    const grid = buildGrid(points, Math.max(reach * 2, radius / 64));
+    reach = Math.min(radius, grid.cell);
+    const r2 = reach * reach;
+    let left = 0;
+    for (const i of pending) {
+      const count = gatherNeighbors(points, grid, i, r2, idx, d2);
+      // Fewer than `limit` this close: the nearest may be further out
+      if (count < limit && reach < radius) {
+        pending[left++] = i;
+        continue;
+      }
+      const row = i * limit;
+      let m = 0;
+      for (let k = 0; k < count; k++) {
+        if (m === limit && d2[k] >= nearD2[row + limit - 1]) continue;
+        let at = m < limit ? m++ : limit - 1;
+        while (at > 0 && nearD2[row + at - 1] > d2[k]) {
+          nearIdx[row + at] = nearIdx[row + at - 1];
+          nearD2[row + at] = nearD2[row + at - 1];
+          at--;
+        }
+        nearIdx[row + at] = idx[k];
+        nearD2[row + at] = d2[k];
+      }
+      found[i] = m;
+    }
+    pending = pending.subarray(0, left);
+  }
+
+  const lists = (i, j) => {
+    for (let k = i * limit, end = k + found[i]; k < end; k++) if (nearIdx[k] === j) return true;
+    return false;
+  };
+  for (let i = 0; i < n; i++) {
+    const row = i * limit;
+    for (let k = 0; k < found[i]; k++) {
+      const j = nearIdx[row + k];
+      // A pair both list is taken from the lower index's side
+      if (j < i && lists(j, i)) continue;
+      if (topology === 'mesh') {
+        // Anything inside the sphere across i–j is nearer to i than j is,
+        // so it's earlier in the list
+        let blocked = false;
+        for (let w = 0; w < k && !blocked; w++) {
+          blocked = nearD2[row + w] + dist2(points[nearIdx[row + w]], points[j]) < nearD2[row + k];
+        }
+        if (blocked) continue;
+      }
+      pushEdge(edges, i, j, nearD2[row + k]);
+    }
+  }
+  return edges;
+}
+
+function linkParticles(points, config) {
+  const topology = config.connectionTopology;
+  const radius = Math.max(0.01, config.connectionDistance || 0.25);
+  const neighbors = Math.max(1, Math.round(config.connectionNeighbors || 3));
+  const maxLines = Math.max(0, Math.round(config.connectionMaxLines ?? 2000));
+  const edges = linkCandidates(points, topology, radius, neighbors, maxLines);
+  const keep = [];
+
+  if (topology === 'tree') {
+    // Kruskal: shortest first, skipping edges that would close a loop
+    const parent = Uint32Array.from({ length: points.length }, (_, i) => i);
+    for (const e of edgesByLength(edges, radius * radius)) {
+      if (keep.length >= maxLines) break;
+      const ra = findRoot(parent, edges.a[e]), rb = findRoot(parent, edges.b[e]);
+      if (ra === rb) continue;
+      parent[ra] = rb;
+      keep.push(e);
+    }
+  } else if (edges.count > maxLines) {
+    // The shortest maxLines: everything under the cut-off length, then ties
+    const cut = maxLines > 0 ? kthSmallest(edges.d2, edges.count, maxLines - 1) : -1;
+    for (let e = 0; e < edges.count; e++) if (edges.d2[e] < cut) keep.push(e);
+    for (let e = 0; e < edges.count && keep.length < maxLines; e++) if (edges.d2[e] === cut) keep.push(e);
+  } else {
+    for (let e = 0; e < edges.count; e++) keep.push(e);
+  }
+
+  const links = new Uint32Array(keep.length * 2);
+  for (let i = 0; i < keep.length; i++) {
+    links[i * 2] = edges.a[keep[i]];
+    links[i * 2 + 1] = edges.b[keep[i]];
+  }
+  return { hubs: [], connections: [], links };
+}
+
+// Links are worked out for every new set of frame points; a set drawn
+// again (paused, no float) reuses them, and reuseLinks() can hand them on
+// to the next. Each entry keeps the positions they were made from.
+const linkCache = new WeakMap();
+
+const linkKey = (config) => `${config.connectionTopology}|${config.connectionDistance}|${config.connectionNeighbors}|${config.connectionMaxLines}`;
+
+function cachedLinks(points, config) {
+  const key = linkKey(config);
+  const cached = linkCache.get(points);
+  if (cached && cached.key === key) return cached.connData;
+  const positions = new Float64Array(points.length * 3);
+  points.forEach((p, i) => {
+    positions[i * 3] = p.x;
+    positions[i * 3 + 1] = p.y;
+    positions[i * 3 + 2] = p.z;
+  });
+  const connData = linkParticles(points, config);
+  linkCache.set(points, { key, connData, positions });
+  return connData;
+}
+
+// For live views, before drawing `points` after `previous`: the same
+// particles (same count and ids), none further than LINK_SLACK of
+// connectionDistance from where the previous frame's links were made, keep
+// those links. Lines still follow the particles and fade by their current
+// length. One-off renders (exports, video frames) don't call it, so they
+// always link exactly.
+export function reuseLinks(previous, points, config) {
+  if (!previous || previous === points || previous.length !== points.length || linkCache.has(points)) return;
+  const cached = linkCache.get(previous);
+  if (!cached || cached.key !== linkKey(config)) return;
+  const slack = LINK_SLACK * Math.max(0.01, config.connectionDistance || 0.25);
+  const { positions } = cached;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (p.id !== previous[i].id) return;
+    const dx = p.x - positions[i * 3], dy = p.y - positions[i * 3 + 1], dz = p.z - positions[i * 3 + 2];
+    if (dx * dx + dy * dy + dz * dz > slack * slack) return;
+  }
+  linkCache.set(points, cached);
+}
+
+// How much of a link's opacity is left at its length: plexus lines fade
+// out as they near connectionDistance
+export function linkFade(a, b, config) {
+  const radius = Math.max(0.01, config.connectionDistance || 0.25);
+  return Math.max(0, 1 - Math.sqrt(dist2(a, b)) / radius);
+}
+
+// Particle indices with at least one line, for highlightConnected
+export function connectedParticles(connData) {
+  const set = new Set();
+  if (!connData) return set;
+  for (const conn of connData.connections) set.add(conn.particleIdx);
+  if (connData.links) for (const idx of connData.links) set.add(idx);
+  return set;
+}
+
 export function generateConnections(points, config) {
   if (!config.connectionsEnabled || !points.length) {
     return { hubs: [], connections: [] };
   }
+  if (CONNECTION_TOPOLOGIES.includes(config.connectionTopology) && config.connectionTopology !== 'hubs') {
+    return cachedLinks(points, config);
+  }
 
   const hubCount = config.hubCount || 3;
-  const connectionsPerHub = config.connectionsPerHub || 15;
   const placement = config.hubPlacement || 'mixed';
-  const distribution = config.connectionDistribution || 'nearest';
-  const spread = config.connectionSpread != null ? config.connectionSpread : 0.5;
-  const focus = config.connectionFocus != null ? config.connectionFocus : 0.5;
+
+  const rng = createRNG(config.seed, RNG_STREAMS.connections);
 
   // Generate hub positions
   const hubs = [];
   for (let i = 0; i < hubCount; i++) {
-    hubs.push(generateHubPosition(points, placement, i));
+    hubs.push(generateHubPosition(points, placement, i, rng));
   }
 
-  // Select particles for each hub based on distribution strategy
+  const connData = { hubs, connections: selectConnections(points, hubs, config, rng) };
+  connectionSources.set(connData, points);
+  return connData;
+}
+
+// Select particles for each hub based on distribution strategy
+function selectConnections(points, hubs, config, rng) {
+  const connectionsPerHub = config.connectionsPerHub || 15;
+  const distribution = config.connectionDistribution || 'nearest';
+  const spread = config.connectionSpread != null ? config.connectionSpread : 0.5;
+  const focus = config.connectionFocus != null ? config.connectionFocus : 0.5;
+
   const connections = [];
   for (let h = 0; h < hubs.length; h++) {
     const selected = selectParticlesForHub(
-      hubs[h], points, connectionsPerHub, distribution, spread, focus
+      hubs[h], points, connectionsPerHub, distribution, spread, focus, rng
     );
     for (const idx of selected) {
-      connections.push({ particleIdx: idx, hubIdx: h });
+      connections.push({ particleIdx: idx, hubIdx: h, particleId: points[idx].id });
     }
   }
+  return connections;
+}
+
+// Connections as drawn at animation time `t` (seconds). Connections point
+// at particles by index into the points they were made from. Voronoi frames
+// change which samples are on a membrane, so there each particle is found
+// again by `id`; connections whose particle is off the membranes this frame
+// are left out. Plexus links are made again from the frame's points.
+export function frameConnections(points, connData, config, t = 0) {
+  if (connData && connData.links) return config ? cachedLinks(points, config) : connData;
+  if (!connData || connData.hubs.length === 0) return connData;
+  if (config && connectionsAnimated(config)) return animateConnections(points, connData, config, t);
+  const connections = matchParticles(points, connData.connections);
+  return connections === connData.connections ? connData : { hubs: connData.hubs, connections };
+}
 
+function matchParticles(points, connections) {
+  if (connections.length === 0 || connections[0].particleId == null) return connections;
+  const current = connections.every(c => points[c.particleIdx] && points[c.particleIdx].id === c.particleId);
+  if (current) return connections;
+  const index = new Map();
+  for (let i = 0; i < points.length; i++) index.set(points[i].id, i);
+  const matched = [];
+  for (const c of connections) {
+    const i = index.get(c.particleId);
+    if (i !== undefined) matched.push({ ...c, particleIdx: i });
+  }
+  return matched;
+}
+
+// ── Connection Animation ──────────────────────────────────────────
+// Hub connections can change over time:
+//   connectionMotion  — none | orbit (hubs circle the vertical axis) |
+//                       drift (hubs wander around where they were placed),
+//                       at connectionMotionSpeed radians per second
+//   connectionRelink  — every this many seconds each hub picks its particles
+//                       again, from where it is by then; old lines fade out
+//                       as the new ones fade in (0 = never)
+//   connectionPulses  — a signal runs along each line from particle to hub,
+//                       connectionPulseSpeed times a second, drawn in
+//                       connectionPulseColor
+// All of it is a function of `t` alone, so an export renders any moment
+// exactly. With config.loopPeriod set, rates and the relink interval are
+// rounded to whole cycles per period, so a seamless video loop closes.
+
+export const CONNECTION_MOTIONS = ['none', 'orbit', 'drift'];
+
+const DRIFT_RADIUS = 0.3;   // how far a drifting hub wanders, in shape units
+const RELINK_FADE = 0.3;    // share of each relink interval spent crossfading
+const RELINK_CACHE = 4;     // selections kept per connection set, beyond a loop's
+
+// The points each hub set was made from, so relinking picks from the same
+// layout whichever frame asks first. Particles that come and go (voronoi,
+// found by `id`) are picked from the frame's points instead, which a loop
+// keeps for its whole period.
+const connectionSources = new WeakMap();
+const relinkCache = new WeakMap();
+
+// Pulses are round whatever the particle glyph is
+const PULSE_GLYPH = { type: 'circle', char: '', src: '' };
+
+function connectionsAnimated(config) {
+  return config.connectionMotion === 'orbit' || config.connectionMotion === 'drift'
+    || config.connectionRelink > 0 || config.connectionPulses === true;
+}
+
+// Each hub has its own pace (±40%) and direction, so they don't move in
+// lockstep; at t = 0 every hub is where it was generated
+function hubsAt(hubs, config, t) {
+  const motion = config.connectionMotion;
+  if (motion !== 'orbit' && motion !== 'drift') return hubs;
+  const speed = config.connectionMotionSpeed ?? 0.3;
+  const period = config.loopPeriod;
+  const seed = Number(config.seed) || 0;
+  const vary = (h, k) => 0.6 + hashUnit(seed, h * 8 + k) * 0.8;
+  return hubs.map((hub, h) => {
+    if (motion === 'orbit') {
+      const a = t * loopFrequency(speed * vary(h, 0) * (h % 2 ? -1 : 1), period);
+      const cosA = Math.cos(a), sinA = Math.sin(a);
+      return { x: hub.x * cosA + hub.z * sinA, y: hub.y, z: -hub.x * sinA + hub.z * cosA };
+    }
+    const wander = (k) => {
+      const phase = hashUnit(seed, h * 8 + 4 + k) * Math.PI * 2;
+      return (Math.sin(t * loopFrequency(speed * vary(h, k + 1), period) + phase) - Math.sin(phase)) * DRIFT_RADIUS;
+    };
+    return { x: hub.x + wander(0), y: hub.y + wander(1), z: hub.z + wander(2) };
+  });
+}
+
+// Seconds between selections, and how many fit in config.loopPeriod (0
+// without one)
+function relinkInterval(config) {
+  const period = config.loopPeriod;
+  if (!(period > 0)) return { interval: config.connectionRelink, epochs: 0 };
+  const epochs = Math.max(1, Math.round(period / config.connectionRelink));
+  return { interval: period / epochs, epochs };
+}
+
+// Epoch 0 is the generated selection; later ones draw from their own stream
+function epochConnections(points, connData, config, epoch, { interval, epochs }) {
+  if (epoch === 0) return connData.connections;
+  let cache = relinkCache.get(connData);
+  if (!cache) {
+    cache = new Map();
+    relinkCache.set(connData, cache);
+  }
+  const key = `${epoch}|${interval}|${config.connectionMotion}|${config.connectionMotionSpeed}|${config.loopPeriod}`;
+  let connections = cache.get(key);
+  if (!connections) {
+    const hubs = hubsAt(connData.hubs, config, epoch * interval);
+    const stored = connectionSources.get(connData);
+    const source = stored && !(points[0] && points[0].id != null) ? stored : points;
+    connections = selectConnections(source, hubs, config, createRNG(config.seed, RNG_STREAMS.relink + epoch));
+    cache.set(key, connections);
+    if (cache.size > RELINK_CACHE + epochs) cache.delete(cache.keys().next().value);
+  }
+  return connections;
+}
+
+// The current selection, crossfading from the previous one early in each
+// interval. Lines in both stay at full strength.
+function relinkConnections(points, connData, config, t) {
+  const timing = relinkInterval(config);
+  const { interval, epochs } = timing;
+  const k = Math.floor(t / interval);
+  const wrap = (e) => (epochs > 0 ? ((e % epochs) + epochs) % epochs : e);
+  const current = matchParticles(points, epochConnections(points, connData, config, wrap(k), timing));
+  const u = (t - k * interval) / (interval * RELINK_FADE);
+  if (u >= 1 || (epochs === 0 && k === 0)) return current;
+  const previous = matchParticles(points, epochConnections(points, connData, config, wrap(k - 1), timing));
+  const fade = u * u * (3 - 2 * u);
+  const keyOf = (c) => c.hubIdx * points.length + c.particleIdx;
+  const before = new Set(previous.map(keyOf));
+  const after = new Set(current.map(keyOf));
+  const connections = current.map(c => (before.has(keyOf(c)) ? c : { ...c, fade }));
+  for (const c of previous) {
+    if (!after.has(keyOf(c))) connections.push({ ...c, fade: 1 - fade });
+  }
+  return connections;
+}
+
+// Adds `pulse`, how far along the line (0 at the particle, 1 at the hub)
+// its signal is, at a fixed offset per line
+function withPulses(connections, config, t) {
+  const tau = Math.PI * 2;
+  const rate = loopFrequency((config.connectionPulseSpeed ?? 0.5) * tau, config.loopPeriod) / tau;
+  const seed = Number(config.seed) || 0;
+  return connections.map((c) => {
+    const offset = hashUnit(seed, (c.particleId ?? c.particleIdx) * 16 + c.hubIdx);
+    return { ...c, pulse: (t * rate + offset) % 1 };
+  });
+}
+
+// Reduced motion keeps the lines but leaves out the pulses, which would
+// only be dots frozen along them
+function animateConnections(points, connData, config, t) {
+  const hubs = hubsAt(connData.hubs, config, t);
+  let connections = config.connectionRelink > 0
+    ? relinkConnections(points, connData, config, t)
+    : matchParticles(points, connData.connections);
+  if (config.connectionPulses === true && !config.reducedMotion) connections = withPulses(connections, config, t);
   return { hubs, connections };
 }
 
+// World positions of this frame's pulses, each with the `fade` of its line
+export function pulsePositions(points, connData) {
+  const pulses = [];
+  if (!connData || !connData.connections) return pulses;
+  for (const c of connData.connections) {
+    const p = points[c.particleIdx];
+    const hub = connData.hubs[c.hubIdx];
+    if (c.pulse == null || !p || !hub) continue;
+    pulses.push({
+      x: p.x + (hub.x - p.x) * c.pulse,
+      y: p.y + (hub.y - p.y) * c.pulse,
+      z: p.z + (hub.z - p.z) * c.pulse,
+      fade: c.fade ?? 1,
+    });
+  }
+  return pulses;
+}
+
+// ── Particle Color ─────────────────────────────────────────────────
+// config.colorMode picks how each particle is coloured:
+//   solid    — config.color for everything
+//   linear   — gradient from color to gradientColor along colorAxis
+//   radial   — same, by distance from the colorAxis line
+//   distance — same, by distance from the shape centre
+//   depth    — same, near (color) to far (gradientColor) after rotation
+//   region   — palette entry per generator part (galaxy arm, cube face, ...)
+//   palette  — a seeded random palette entry per particle
+
+export const COLOR_MODES = ['solid', 'linear', 'radial', 'distance', 'depth', 'region', 'palette'];
+export const DEFAULT_PALETTE = ['#ffffff', '#9f7427', '#4a7fd9', '#d94a6a'];
+
+// Accepts an array or a comma / space separated string; keeps #rrggbb entries
+export function parsePalette(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return list.map(c => String(c).trim()).filter(c => /^#[0-9a-f]{6}$/i.test(c));
+}
+
+// Stable 0..1 value per (seed, key), so palette picks survive regeneration
+// of other settings and match between live view and export
+function hashUnit(seed, key) {
+  let h = Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(key + 1, 0xc2b2ae35);
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function mixRGB(a, b, t) {
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * t),
+    Math.round(a[1] + (b[1] - a[1]) * t),
+    Math.round(a[2] + (b[2] - a[2]) * t),
+  ];
+}
+
+// One [r, g, b] per point, or null in solid mode (renderers then use
+// config.color as before)
+export function particleColors(points, config) {
+  const mode = config.colorMode || 'solid';
+  if (mode === 'solid' || !COLOR_MODES.includes(mode) || points.length === 0) return null;
+
+  if (mode === 'palette' || mode === 'region') {
+    const palette = parsePalette(config.palette);
+    const rgb = (palette.length > 0 ? palette : DEFAULT_PALETTE).map(hexToRGB);
+    const seed = Math.floor(Number(config.seed)) || 0;
+    return points.map((p, i) => mode === 'region'
+      ? rgb[(p.region || 0) % rgb.length]
+      : rgb[Math.floor(hashUnit(seed, p.id ?? i) * rgb.length)]);
+  }
+
+  const from = hexToRGB(config.color || '#ffffff');
+  const to = hexToRGB(config.gradientColor || '#4a7fd9');
+  const axis = ['x', 'y', 'z'].includes(config.colorAxis) ? config.colorAxis : 'y';
+  let value;
+  if (mode === 'linear') {
+    value = (p) => p[axis];
+  } else if (mode === 'radial') {
+    value = (p) => Math.hypot(axis === 'x' ? 0 : p.x, axis === 'y' ? 0 : p.y, axis === 'z' ? 0 : p.z);
+  } else if (mode === 'distance') {
+    value = (p) => Math.hypot(p.x, p.y, p.z);
+  } else {
+    // Camera-space z, as in projectPoints (rotZ doesn't change depth)
+    const cosA = Math.cos(config.rotX || 0), sinA = Math.sin(config.rotX || 0);
+    const cosB = Math.cos(config.rotY || 0), sinB = Math.sin(config.rotY || 0);
+    value = (p) => p.y * sinA + (-p.x * sinB + p.z * cosB) * cosA;
+  }
+
+  let min = Infinity, max = -Infinity;
+  if (mode === 'depth') {
+    // Normalise by the shape's extent so colours don't shift as it turns
+    for (const p of points) max = Math.max(max, Math.hypot(p.x, p.y, p.z));
+    min = -max;
+  } else {
+    for (const p of points) {
+      const v = value(p);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  const range = max - min > 1e-9 ? max - min : 1;
+  return points.map(p => mixRGB(from, to, (value(p) - min) / range));
+}
+
+// ── Glyphs ─────────────────────────────────────────────────────────
+// Particles and hubs are squares unless config.glyph picks another mark:
+// circle, diamond, cross, ring, a text character (glyphChar) or an image /
+// SVG sprite (glyphSrc). Hubs follow the particles unless hubGlyph is set,
+// with hubGlyphChar / hubGlyphSrc falling back to the particle ones.
+// Canvas2D needs the sprite decoded first: the host sets config.glyphImage /
+// hubGlyphImage (see loadGlyphImage); until then sprites draw as squares.
+
+export const GLYPHS = ['square', 'circle', 'diamond', 'cross', 'ring', 'char', 'sprite'];
+
+// Outlines in a unit box centred on the particle, shared by every renderer
+export const GLYPH_POLYGONS = {
+  diamond: [[0, -0.5], [0.5, 0], [0, 0.5], [-0.5, 0]],
+  cross: [
+    [-1 / 6, -0.5], [1 / 6, -0.5], [1 / 6, -1 / 6], [0.5, -1 / 6], [0.5, 1 / 6], [1 / 6, 1 / 6],
+    [1 / 6, 0.5], [-1 / 6, 0.5], [-1 / 6, 1 / 6], [-0.5, 1 / 6], [-0.5, -1 / 6], [-1 / 6, -1 / 6],
+  ],
+};
+export const RING_INNER = 0.6; // inner radius as a fraction of the outer
+
+// { type, char, src, image } for particles, or for hubs with `hub` set
+export function resolveGlyph(config, hub = false) {
+  const own = hub && !!config.hubGlyph;
+  const type = own ? config.hubGlyph : config.glyph;
+  return {
+    type: GLYPHS.includes(type) ? type : 'square',
+    char: (own && config.hubGlyphChar) || config.glyphChar || '*',
+    src: (own && config.hubGlyphSrc) || config.glyphSrc || '',
+    image: (own && config.hubGlyphSrc ? config.hubGlyphImage : config.glyphImage) || null,
+  };
+}
+
+// Decodes a sprite URL / data URI for config.glyphImage. DOM only; workers
+// receive an ImageBitmap made from the result.
+export function loadGlyphImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load glyph image ${src}`));
+    img.src = src;
+  });
+}
+
+// Fills one glyph centred on (x, y) with the current fillStyle. Sprites
+// ignore fillStyle and are drawn at `alpha`.
+function drawGlyph(ctx, glyph, x, y, size, alpha) {
+  const r = size / 2;
+  switch (glyph.type) {
+    case 'circle':
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    case 'ring':
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.moveTo(x + r * RING_INNER, y);
+      ctx.arc(x, y, r * RING_INNER, 0, Math.PI * 2, true);
+      ctx.fill();
+      return;
+    case 'diamond':
+    case 'cross': {
+      const poly = GLYPH_POLYGONS[glyph.type];
+      ctx.beginPath();
+      ctx.moveTo(x + poly[0][0] * size, y + poly[0][1] * size);
+      for (let i = 1; i < poly.length; i++) ctx.lineTo(x + poly[i][0] * size, y + poly[i][1] * size);
+      ctx.closePath();
+      ctx.fill();
+      return;
+    }
+    case 'char':
+      ctx.font = `${size}px sans-serif`;
+      ctx.fillText(glyph.char, x, y);
+      return;
+    case 'sprite':
+      if (glyph.image) {
+        ctx.globalAlpha = alpha;
+        ctx.drawImage(glyph.image, x - r, y - r, size, size);
+        ctx.globalAlpha = 1;
+        return;
+      }
+      break;
+  }
+  ctx.fillRect(x - r, y - r, size, size);
+}
+
 // ── High-level API ─────────────────────────────────────────────────
 
 export function generatePoints(config) {
-  const gen = generators[config.shapeType];
+  // Own keys only: `shape="hasOwnProperty"` mustn't reach Object.prototype
+  const gen = Object.hasOwn(generators, config.shapeType) ? generators[config.shapeType] : null;
   if (!gen) return [];
-  let points = gen(config.density, config);
+  let points = gen(config.density, withParamDefaults(config), createRNG(config.seed, RNG_STREAMS.points));
   if (config.randomness > 0) {
-    points = applyRandomness(points, config.randomness);
+    points = applyRandomness(points, config.randomness, createRNG(config.seed, RNG_STREAMS.randomness));
   }
   return points;
 }
@@ -708,6 +3332,13 @@ export function focalLengthToPerspD(focalMm) {
   return min + t * (max - min);
 }
 
+// Where the origin lands on a w × h view: the middle, moved by panX / panY
+// (fractions of the shorter side, so a pan survives exporting at any size)
+export function viewCenter(w, h, config) {
+  const side = Math.min(w, h);
+  return [w / 2 + (config.panX || 0) * side, h / 2 + (config.panY || 0) * side];
+}
+
 export function projectPoints(points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale) {
   const cosA = Math.cos(rotX), sinA = Math.sin(rotX);
   const cosB = Math.cos(rotY), sinB = Math.sin(rotY);
@@ -738,7 +3369,8 @@ export function projectPoints(points, rotX, rotY, rotZ, perspD, cx, cy, spacing,
   return result;
 }
 
-export function renderFrame(ctx, w, h, points, config) {
+// `t` is the animation time in seconds, which animated connections follow
+export function renderFrame(ctx, w, h, points, config, t = 0) {
   const bg = config.bgColor || '#0a0a0a';
   if (bg === 'transparent') {
     ctx.clearRect(0, 0, w, h);
@@ -748,8 +3380,7 @@ export function renderFrame(ctx, w, h, points, config) {
     ctx.fillRect(0, 0, w, h);
   }
 
-  const cx = w / 2;
-  const cy = h / 2;
+  const [cx, cy] = viewCenter(w, h, config);
   const zoom = config.zoom || 1.0;
   const worldScale = Math.min(w, h) * 0.35 * zoom;
 
@@ -765,54 +3396,86 @@ export function renderFrame(ctx, w, h, points, config) {
   );
 
   const [cr, cg, cb] = hexToRGB(config.color || '#ffffff');
+  const colors = particleColors(points, config);
   const squareSize = config.squareSize || 3;
   const depthSizing = config.depthSizing !== false;
   const depthOpacity = config.depthOpacity !== false;
+  const glyph = resolveGlyph(config);
+  const hubGlyph = resolveGlyph(config, true);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
 
   // ── Build connected-particle set for highlight mode
-  const connData = config.connectionData;
+  const connData = frameConnections(points, config.connectionData, config, t);
   const highlightConnected = config.highlightConnected === true;
   let connectedSet = null;
-  if (highlightConnected && connData && connData.connections.length > 0) {
-    connectedSet = new Set();
-    for (let i = 0; i < connData.connections.length; i++) {
-      connectedSet.add(connData.connections[i].particleIdx);
-    }
+  if (highlightConnected && connData) {
+    connectedSet = connectedParticles(connData);
+    if (connectedSet.size === 0) connectedSet = null;
   }
 
   // Color for unconnected particles when highlighting (user-configurable)
   const [ncr, ncg, ncb] = hexToRGB(config.nonConnectedColor || '#404040');
 
+  const lineThickness = config.connectionThickness || 1;
+  const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
+  const useDepthOpacity = config.connectionDepthOpacity !== false;
+  const strokeLine = (pFrom, pTo, fade) => {
+    const avgScale = (pFrom.scale + pTo.scale) / 2;
+    const alpha = useDepthOpacity
+      ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
+      : baseOpacity;
+    const dynThickness = depthSizing ? lineThickness * avgScale : lineThickness;
+
+    ctx.strokeStyle = `rgba(${cr},${cg},${cb},${alpha * fade})`;
+    ctx.lineWidth = dynThickness;
+    ctx.beginPath();
+    ctx.moveTo(pFrom.sx, pFrom.sy);
+    ctx.lineTo(pTo.sx, pTo.sy);
+    ctx.stroke();
+  };
+  ctx.lineCap = 'round';
+
+  // ── Draw plexus links (before sort, as below)
+  if (connData && connData.links && connData.links.length > 0) {
+    const links = connData.links;
+    for (let i = 0; i < links.length; i += 2) {
+      const pFrom = projected[links[i]];
+      const pTo = projected[links[i + 1]];
+      if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+      const fade = linkFade(points[links[i]], points[links[i + 1]], config);
+      if (fade > 0) strokeLine(pFrom, pTo, fade);
+    }
+  }
+
   // ── Draw connections (before sort, so indices are intact and lines are behind squares)
   if (connData && connData.hubs.length > 0 && connData.connections.length > 0) {
     const projectedHubs = projectPoints(
       connData.hubs, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
     );
 
-    const lineThickness = config.connectionThickness || 1;
-    const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
-    const useDepthOpacity = config.connectionDepthOpacity !== false;
-
-    ctx.lineCap = 'round';
-
     for (let i = 0; i < connData.connections.length; i++) {
       const conn = connData.connections[i];
       const pFrom = projected[conn.particleIdx];
       const pTo = projectedHubs[conn.hubIdx];
       if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+      strokeLine(pFrom, pTo, conn.fade ?? 1);
+    }
 
-      const avgScale = (pFrom.scale + pTo.scale) / 2;
-      const alpha = useDepthOpacity
-        ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
-        : baseOpacity;
-      const dynThickness = depthSizing ? lineThickness * avgScale : lineThickness;
-
-      ctx.strokeStyle = `rgba(${cr},${cg},${cb},${alpha})`;
-      ctx.lineWidth = dynThickness;
-      ctx.beginPath();
-      ctx.moveTo(pFrom.sx, pFrom.sy);
-      ctx.lineTo(pTo.sx, pTo.sy);
-      ctx.stroke();
+    // Signal pulses, on top of their lines and under the hubs
+    const pulses = pulsePositions(points, connData);
+    if (pulses.length > 0) {
+      const [pr, pg, pb] = hexToRGB(config.connectionPulseColor || '#ffffff');
+      const pulseSize = lineThickness * 2 + 2;
+      const projectedPulses = projectPoints(pulses, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale);
+      for (let i = 0; i < projectedPulses.length; i++) {
+        const pP = projectedPulses[i];
+        if (pP.scale <= 0) continue;
+        const size = depthSizing ? pulseSize * pP.scale : pulseSize;
+        const alpha = (depthOpacity ? Math.max(0.1, Math.min(1.0, 0.3 + pP.scale * 0.7)) : 0.85) * pulses[i].fade;
+        ctx.fillStyle = `rgba(${pr},${pg},${pb},${alpha})`;
+        drawGlyph(ctx, PULSE_GLYPH, pP.sx, pP.sy, size, alpha);
+      }
     }
 
     // Draw hub squares
@@ -826,7 +3489,7 @@ export function renderFrame(ctx, w, h, points, config) {
           ? Math.max(0.1, Math.min(1.0, 0.3 + pH.scale * 0.7))
           : 0.85;
         ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
-        ctx.fillRect(pH.sx - size / 2, pH.sy - size / 2, size, size);
+        drawGlyph(ctx, hubGlyph, pH.sx, pH.sy, size, alpha);
       }
     }
   }
@@ -847,9 +3510,221 @@ export function renderFrame(ctx, w, h, points, config) {
     // Use non-connected color when highlight mode is on
     if (connectedSet && !connectedSet.has(p.origIdx)) {
       ctx.fillStyle = `rgba(${ncr},${ncg},${ncb},${alpha})`;
+    } else if (colors) {
+      const [r, g, b] = colors[p.origIdx];
+      ctx.fillStyle = `rgba(${r},${g},${b},${alpha})`;
     } else {
       ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
     }
-    ctx.fillRect(p.sx - size / 2, p.sy - size / 2, size, size);
+    drawGlyph(ctx, glyph, p.sx, p.sy, size, alpha);
+  }
+}
+
+// ── Vector Output ────────────────────────────────────────────────────
+// Vector counterpart to renderFrame: same projection, colours and depth
+// rules, as a flat list of lines and marks (`rects`, each with the bounding
+// square and glyph of a particle or hub) that renderSVG (and the PDF writer
+// in particle-export.js) serialise. With pixelate, the scene is laid
+// out on the coarse grid (as the raster path does) and snapped to whole
+// units; the caller scales it back up by `block`.
+
+export function buildVectorScene(w, h, points, config, t = 0) {
+  const block = config.pixelate > 1 ? config.pixelate : 1;
+  const vw = Math.max(1, Math.round(w / block));
+  const vh = Math.max(1, Math.round(h / block));
+  const snap = block > 1 ? Math.round : (v) => v;
+  const snapSize = block > 1 ? (v) => Math.max(1, Math.round(v)) : (v) => v;
+
+  const [cx, cy] = viewCenter(vw, vh, config);
+  const zoom = config.zoom || 1.0;
+  const worldScale = Math.min(vw, vh) * 0.35 * zoom;
+
+  const rotX = config.rotX || 0;
+  const rotY = config.rotY || 0;
+  const rotZ = config.rotZ || 0;
+  const useOrthographic = config.lensType === 'orthographic';
+  const perspD = useOrthographic ? Infinity : focalLengthToPerspD(config.focalLength ?? 50);
+  const spacing = config.spacing || 1.0;
+
+  const projected = projectPoints(
+    points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+  );
+
+  const color = hexToRGB(config.color || '#ffffff');
+  const nonConnectedColor = hexToRGB(config.nonConnectedColor || '#404040');
+  const colors = particleColors(points, config);
+  const squareSize = config.squareSize || 3;
+  const depthSizing = config.depthSizing !== false;
+  const depthOpacity = config.depthOpacity !== false;
+  const connData = frameConnections(points, config.connectionData, config, t);
+
+  let connectedSet = null;
+  if (config.highlightConnected === true && connData) {
+    connectedSet = connectedParticles(connData);
+    if (connectedSet.size === 0) connectedSet = null;
+  }
+
+  const glyph = resolveGlyph(config);
+  const hubGlyph = config.hubGlyph ? resolveGlyph(config, true) : glyph;
+
+  const lines = [];
+  const rects = [];
+  const addRect = (sx, sy, size, rgb, alpha, g) => {
+    rects.push({ x: snap(sx - size / 2), y: snap(sy - size / 2), size: snapSize(size), color: rgb, alpha, glyph: g });
+  };
+
+  const lineThickness = config.connectionThickness || 1;
+  const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
+  const useDepthOpacity = config.connectionDepthOpacity !== false;
+  const addLine = (pFrom, pTo, fade) => {
+    const avgScale = (pFrom.scale + pTo.scale) / 2;
+    const alpha = useDepthOpacity
+      ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
+      : baseOpacity;
+    const thickness = depthSizing ? lineThickness * avgScale : lineThickness;
+    lines.push({ x1: pFrom.sx, y1: pFrom.sy, x2: pTo.sx, y2: pTo.sy, width: thickness, color, alpha: alpha * fade });
+  };
+
+  // Plexus links, fading out with length
+  if (connData && connData.links && connData.links.length > 0) {
+    const links = connData.links;
+    for (let i = 0; i < links.length; i += 2) {
+      const pFrom = projected[links[i]];
+      const pTo = projected[links[i + 1]];
+      if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+      const fade = linkFade(points[links[i]], points[links[i + 1]], config);
+      if (fade > 0) addLine(pFrom, pTo, fade);
+    }
   }
+
+  // Connection lines + hub squares (before sort, so indices are intact)
+  if (connData && connData.hubs.length > 0 && connData.connections.length > 0) {
+    const projectedHubs = projectPoints(
+      connData.hubs, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+    );
+
+    for (const conn of connData.connections) {
+      const pFrom = projected[conn.particleIdx];
+      const pTo = projectedHubs[conn.hubIdx];
+      if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+      addLine(pFrom, pTo, conn.fade ?? 1);
+    }
+
+    const pulses = pulsePositions(points, connData);
+    if (pulses.length > 0) {
+      const pulseColor = hexToRGB(config.connectionPulseColor || '#ffffff');
+      const pulseSize = lineThickness * 2 + 2;
+      const projectedPulses = projectPoints(pulses, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale);
+      for (let i = 0; i < projectedPulses.length; i++) {
+        const pP = projectedPulses[i];
+        if (pP.scale <= 0) continue;
+        const size = depthSizing ? pulseSize * pP.scale : pulseSize;
+        const a = depthOpacity
+          ? Math.max(0.1, Math.min(1.0, 0.3 + pP.scale * 0.7))
+          : 0.85;
+        addRect(pP.sx, pP.sy, size, pulseColor, a * pulses[i].fade, PULSE_GLYPH);
+      }
+    }
+
+    if (config.hubVisible !== false) {
+      const hubSize = config.hubSize || 6;
+      for (const pH of projectedHubs) {
+        if (pH.scale <= 0) continue;
+        const size = depthSizing ? hubSize * pH.scale : hubSize;
+        const a = depthOpacity
+          ? Math.max(0.1, Math.min(1.0, 0.3 + pH.scale * 0.7))
+          : 0.85;
+        addRect(pH.sx, pH.sy, size, color, a, hubGlyph);
+      }
+    }
+  }
+
+  // Now sort for particle rects
+  projected.sort((a, b) => b.depth - a.depth);
+
+  for (const p of projected) {
+    if (p.scale <= 0) continue;
+    const size = depthSizing ? squareSize * p.scale : squareSize;
+    const alpha = depthOpacity
+      ? Math.max(0.05, Math.min(1.0, 0.3 + p.scale * 0.7))
+      : 0.85;
+    const useNonConnected = connectedSet && !connectedSet.has(p.origIdx);
+    const rgb = useNonConnected ? nonConnectedColor : colors ? colors[p.origIdx] : color;
+    addRect(p.sx, p.sy, size, rgb, alpha, glyph);
+  }
+
+  const bg = config.bgColor || '#0a0a0a';
+  return {
+    width: w,
+    height: h,
+    viewWidth: vw,
+    viewHeight: vh,
+    block,
+    background: bg === 'transparent' ? null : bg,
+    lines,
+    rects,
+  };
+}
+
+const escapeXML = (s) => String(s).replace(/[<>&"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+// Unit-box (-0.5..0.5) markup for a <symbol>; filled shapes take the fill
+// of the <use> that places them
+function glyphSymbolMarkup(glyph) {
+  const pt = ([x, y]) => `${+x.toFixed(4)} ${+y.toFixed(4)}`;
+  switch (glyph.type) {
+    case 'circle':
+      return '<circle r="0.5"/>';
+    case 'ring': {
+      const i = RING_INNER / 2;
+      return `<path fill-rule="evenodd" d="M0.5 0A0.5 0.5 0 1 0 -0.5 0A0.5 0.5 0 1 0 0.5 0ZM${i} 0A${i} ${i} 0 1 0 ${-i} 0A${i} ${i} 0 1 0 ${i} 0Z"/>`;
+    }
+    case 'diamond':
+    case 'cross':
+      return `<path d="M${GLYPH_POLYGONS[glyph.type].map(pt).join('L')}Z"/>`;
+    case 'char':
+      return `<text font-size="1" font-family="sans-serif" text-anchor="middle" dominant-baseline="central">${escapeXML(glyph.char)}</text>`;
+    case 'sprite':
+      return `<image xlink:href="${escapeXML(glyph.src)}" x="-0.5" y="-0.5" width="1" height="1"/>`;
+  }
+  return '<rect x="-0.5" y="-0.5" width="1" height="1"/>';
+}
+
+// Standalone SVG document string for the scene above. Squares stay plain
+// <rect>s; other glyphs are defined once as a <symbol> and placed with <use>.
+export function renderSVG(w, h, points, config, t = 0) {
+  const scene = buildVectorScene(w, h, points, config, t);
+  const num = scene.block > 1 ? (v) => String(v) : (v) => v.toFixed(1);
+
+  let body = '';
+  for (const l of scene.lines) {
+    const [r, g, b] = l.color;
+    body += `  <line x1="${l.x1.toFixed(1)}" y1="${l.y1.toFixed(1)}" x2="${l.x2.toFixed(1)}" y2="${l.y2.toFixed(1)}" stroke="rgba(${r},${g},${b},${l.alpha.toFixed(2)})" stroke-width="${l.width.toFixed(1)}" stroke-linecap="round"/>\n`;
+  }
+  const symbols = new Map();
+  let defs = '';
+  for (const q of scene.rects) {
+    const [r, g, b] = q.color;
+    const paint = q.glyph.type === 'sprite'
+      ? `opacity="${q.alpha.toFixed(2)}"`
+      : `fill="rgba(${r},${g},${b},${q.alpha.toFixed(2)})"`;
+    if (q.glyph.type === 'square') {
+      body += `  <rect x="${num(q.x)}" y="${num(q.y)}" width="${num(q.size)}" height="${num(q.size)}" ${paint}/>\n`;
+      continue;
+    }
+    const key = `${q.glyph.type}|${q.glyph.char}|${q.glyph.src}`;
+    let id = symbols.get(key);
+    if (!id) {
+      id = `g${symbols.size}`;
+      symbols.set(key, id);
+      defs += `    <symbol id="${id}" viewBox="-0.5 -0.5 1 1" overflow="visible">${glyphSymbolMarkup(q.glyph)}</symbol>\n`;
+    }
+    body += `  <use xlink:href="#${id}" x="${num(q.x)}" y="${num(q.y)}" width="${num(q.size)}" height="${num(q.size)}" ${paint}/>\n`;
+  }
+  if (defs) body = `  <defs>\n${defs}  </defs>\n${body}`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"${defs ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ''} width="${w}" height="${h}" viewBox="0 0 ${scene.viewWidth} ${scene.viewHeight}"${scene.block > 1 ? ' shape-rendering="crispEdges"' : ''}>
+  ${scene.background ? `<rect width="100%" height="100%" fill="${scene.background}"/>` : ''}
+${body}</svg>`;
 }
@@ -0,0 +1,278 @@
+// ── Particle Export ─────────────────────────────────────────────────
+// Headless SVG / PNG / PDF output shared by the editor, <particle-shape> and
+// Node scripts. Every format goes through the engine's own renderers
+// (renderFrame and buildVectorScene), so an export matches the live Canvas2D
+// view, float, voronoi and pixelate included.
+//
+// Usage:
+//   const svg = toSVGString(config, points, { width: 1200, height: 800 });
+//   const png = await toPNGBlob(config, points, { width: 1200, height: 800, scale: 2 });
+//   const pdf = toPDFString(config, points, { width: 4961, height: 7016, dpi: 300 });
+//
+// `points` are drawn as given. Pass `time` (seconds) to derive the
+// float / voronoi frame at that moment instead, e.g. from a Node script
+// that has no animation loop of its own. When `points` already are a live
+// view's frame, pass its time as `frameTime`, so animated connections
+// (moving hubs, relinking, pulses) match it too.
+//
+// The shape always fills the frame, but particle size and line thickness
+// are in pixels; `sizeScale` multiplies them so a large export keeps the
+// proportions of a smaller view (e.g. 4 for a 4K export of a 960px view).
+
+import { renderFrame, renderSVG, buildVectorScene, hexToRGB, generateVoronoiPoints, initVoronoiSamples, initFloatPhases, applyFloat, createRNG, RNG_STREAMS, GLYPH_POLYGONS, RING_INNER } from './particle-engine.js';
+
+// ── Frame Resolution ───────────────────────────────────────────────
+
+// Points as they appear at animation time `t`. Samples / phases can be
+// passed in to match a running view; otherwise they're rebuilt from the
+// seed, which matches any view using the same seed.
+export function resolveFrame(config, points, t, { voronoiSamples, floatPhases } = {}) {
+  if (config.shapeType === 'voronoi') {
+    const samples = voronoiSamples && voronoiSamples.length > 0
+      ? voronoiSamples
+      : initVoronoiSamples(config.density, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+    return generateVoronoiPoints(samples, config, t);
+  }
+  if (config.float) {
+    const phases = floatPhases && floatPhases.length > 0
+      ? floatPhases
+      : initFloatPhases(points.length, createRNG(config.seed, RNG_STREAMS.float));
+    return applyFloat(points, phases, config, t);
+  }
+  return points;
+}
+
+function pointsForExport(config, points, options) {
+  return options.time != null ? resolveFrame(config, points, options.time, options) : points;
+}
+
+const timeForExport = (options) => options.time ?? options.frameTime ?? 0;
+
+// Pixel-sized settings that follow options.sizeScale
+const SIZE_KEYS = ['squareSize', 'hubSize', 'connectionThickness', 'pixelate'];
+
+function configForExport(config, options) {
+  const k = options.sizeScale;
+  if (!(k > 0) || k === 1) return config;
+  const scaled = { ...config };
+  for (const key of SIZE_KEYS) {
+    if (typeof scaled[key] === 'number') scaled[key] *= k;
+  }
+  return scaled;
+}
+
+// ── Canvas Helpers ─────────────────────────────────────────────────
+
+// Browser default; Node callers pass their own (e.g. createCanvas from the
+// `canvas` package) as options.createCanvas.
+function defaultCreateCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  throw new Error('No canvas available: pass options.createCanvas');
+}
+
+export function canvasToBlob(canvas) {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: 'image/png' });
+  if (typeof canvas.toBlob === 'function') {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+  }
+  if (typeof canvas.toBuffer === 'function') {
+    return Promise.resolve(new Blob([canvas.toBuffer('image/png')], { type: 'image/png' }));
+  }
+  return Promise.reject(new Error('Canvas cannot encode PNG'));
+}
+
+// ── PNG Resolution ─────────────────────────────────────────────────
+
+let crcTable = null;
+
+// Also used for the zip container in particle-video.js
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Canvas encoders don't record a resolution, so print tools assume 72 DPI.
+// Splices a pHYs chunk in right after IHDR (signature 8 + IHDR 25 bytes).
+async function withPNGResolution(blob, dpi) {
+  const src = new Uint8Array(await blob.arrayBuffer());
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  return new Blob([src.subarray(0, 33), chunk, src.subarray(33)], { type: 'image/png' });
+}
+
+// ── Export ─────────────────────────────────────────────────────────
+
+// Draws one frame into a new canvas of width × height CSS pixels at
+// `scale` device pixels each, exactly as the live view draws it. Pass
+// `canvas` to draw into an existing one instead (it is resized to fit).
+export function renderToCanvas(config, points, options = {}) {
+  const { width, height, scale = 1 } = options;
+  const createCanvas = options.createCanvas || defaultCreateCanvas;
+  const deviceW = Math.max(1, Math.round(width * scale));
+  const deviceH = Math.max(1, Math.round(height * scale));
+  let canvas = options.canvas;
+  if (canvas) {
+    canvas.width = deviceW;
+    canvas.height = deviceH;
+  } else {
+    canvas = createCanvas(deviceW, deviceH);
+  }
+  const ctx = canvas.getContext('2d');
+  const pts = pointsForExport(config, points, options);
+  config = configForExport(config, options);
+
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  const blockSize = config.pixelate;
+  if (blockSize > 1) {
+    const pw = Math.max(1, Math.round(width / blockSize));
+    const ph = Math.max(1, Math.round(height / blockSize));
+    const pixelCanvas = createCanvas(pw, ph);
+    renderFrame(pixelCanvas.getContext('2d'), pw, ph, pts, config, timeForExport(options));
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(pixelCanvas, 0, 0, width, height);
+  } else {
+    renderFrame(ctx, width, height, pts, config, timeForExport(options));
+  }
+  return canvas;
+}
+
+// options.dpi, when set, is written into the file for print layout tools
+export function toPNGBlob(config, points, options = {}) {
+  try {
+    const png = canvasToBlob(renderToCanvas(config, points, options));
+    return options.dpi > 0 ? png.then((blob) => withPNGResolution(blob, options.dpi)) : png;
+  } catch (e) {
+    return Promise.reject(e);
+  }
+}
+
+export function toSVGString(config, points, options = {}) {
+  const pts = pointsForExport(config, points, options);
+  return renderSVG(options.width, options.height, pts, configForExport(config, options), timeForExport(options));
+}
+
+// ── PDF ────────────────────────────────────────────────────────────
+
+const pdfNum = (v) => String(Math.round(v * 100) / 100);
+const pdfRGB = ([r, g, b]) => `${pdfNum(r / 255)} ${pdfNum(g / 255)} ${pdfNum(b / 255)}`;
+
+// Circle of radius r as four Bézier quarters
+function pdfCircle(cx, cy, r) {
+  const k = r * 0.5523;
+  return `${pdfNum(cx + r)} ${pdfNum(cy)} m `
+    + `${pdfNum(cx + r)} ${pdfNum(cy + k)} ${pdfNum(cx + k)} ${pdfNum(cy + r)} ${pdfNum(cx)} ${pdfNum(cy + r)} c `
+    + `${pdfNum(cx - k)} ${pdfNum(cy + r)} ${pdfNum(cx - r)} ${pdfNum(cy + k)} ${pdfNum(cx - r)} ${pdfNum(cy)} c `
+    + `${pdfNum(cx - r)} ${pdfNum(cy - k)} ${pdfNum(cx - k)} ${pdfNum(cy - r)} ${pdfNum(cx)} ${pdfNum(cy - r)} c `
+    + `${pdfNum(cx + k)} ${pdfNum(cy - r)} ${pdfNum(cx + r)} ${pdfNum(cy - k)} ${pdfNum(cx + r)} ${pdfNum(cy)} c h`;
+}
+
+// Fill operators for one scene mark. Text characters and sprites have no
+// vector form here and fall back to squares.
+function pdfGlyph(q) {
+  const r = q.size / 2;
+  const cx = q.x + r;
+  const cy = q.y + r;
+  switch (q.glyph.type) {
+    case 'circle':
+      return `${pdfCircle(cx, cy, r)} f`;
+    case 'ring':
+      return `${pdfCircle(cx, cy, r)} ${pdfCircle(cx, cy, r * RING_INNER)} f*`;
+    case 'diamond':
+    case 'cross':
+      return GLYPH_POLYGONS[q.glyph.type]
+        .map(([x, y], i) => `${pdfNum(cx + x * q.size)} ${pdfNum(cy + y * q.size)} ${i === 0 ? 'm' : 'l'}`)
+        .join(' ') + ' h f';
+  }
+  return `${pdfNum(q.x)} ${pdfNum(q.y)} ${pdfNum(q.size)} ${pdfNum(q.size)} re f`;
+}
+
+// Single-page PDF of vector marks and lines, from the same scene as
+// renderSVG. width × height are pixels; `dpi` (default 72) sets the page
+// size, so 4961 × 7016 at 300 DPI is an A2 sheet. Returns the file as a
+// string; it is pure ASCII, so it can be written or wrapped in a Blob as is.
+export function toPDFString(config, points, options = {}) {
+  const { width, height, dpi = 72 } = options;
+  const pts = pointsForExport(config, points, options);
+  const scene = buildVectorScene(width, height, pts, configForExport(config, options), timeForExport(options));
+  const pageW = width * 72 / dpi;
+  const pageH = height * 72 / dpi;
+  const k = (72 / dpi) * scene.block;
+
+  // Opacity needs a graphics state per value; alphas are quantised to 1%
+  const states = new Set();
+  const alphaState = (a) => {
+    const name = `A${Math.round(a * 100)}`;
+    states.add(name);
+    return name;
+  };
+
+  // Flip to a top-left origin in scene units, as SVG and canvas use
+  const ops = ['q', `${k.toFixed(6)} 0 0 ${(-k).toFixed(6)} 0 ${pdfNum(pageH)} cm`];
+  if (scene.background) ops.push(`${pdfRGB(hexToRGB(scene.background))} rg 0 0 ${scene.viewWidth} ${scene.viewHeight} re f`);
+  ops.push('1 J');
+  // Style operators are only repeated when they change
+  let style = '';
+  const setStyle = (next) => {
+    if (next !== style) ops.push(next);
+    style = next;
+  };
+  for (const l of scene.lines) {
+    setStyle(`/${alphaState(l.alpha)} gs ${pdfRGB(l.color)} RG ${pdfNum(l.width)} w`);
+    ops.push(`${pdfNum(l.x1)} ${pdfNum(l.y1)} m ${pdfNum(l.x2)} ${pdfNum(l.y2)} l S`);
+  }
+  for (const q of scene.rects) {
+    setStyle(`/${alphaState(q.alpha)} gs ${pdfRGB(q.color)} rg`);
+    ops.push(pdfGlyph(q));
+  }
+  ops.push('Q');
+  const content = ops.join('\n');
+
+  let gsDict = '';
+  for (const name of states) {
+    const a = Number(name.slice(1)) / 100;
+    gsDict += ` /${name} << /ca ${a} /CA ${a} >>`;
+  }
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNum(pageW)} ${pdfNum(pageH)}] /Resources << /ExtGState <<${gsDict} >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+  ];
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
@@ -0,0 +1,250 @@
+// ── Particle Orbit Controls ─────────────────────────────────────────
+// Camera input shared by <particle-shape> and the editor viewport: drag to
+// rotate with momentum after release, wheel / pinch zoom, two-finger (or
+// shift-drag) pan and arrow-key rotation. It writes rotX / rotY / zoom /
+// panX / panY straight into the config it's given and reports each change,
+// so the owner can redraw, sync controls or forward deltas to a worker.
+//
+// Usage:
+//   const orbit = createOrbitController(config, {
+//     onChange: (delta) => {},   // { rotX, rotY } applied deltas, zoom / pan flags
+//     onStart: () => {},         // a drag began (inertia stops)
+//     onEnd: () => {},           // the last pointer lifted
+//     onTap: (e) => {},          // pointer released without moving
+//     momentum: () => true,      // false skips the glide after a drag
+//   });
+//   orbit.attach(canvas);        // again after swapping canvases
+//
+// config.interactive picks what's on:
+//   none    — no camera input (taps still report)
+//   rotate  — drag (with momentum) and arrow keys; wheel and touch scrolling
+//             stay with the page
+//   orbit   — rotate, plus wheel / pinch zoom and pan
+//
+// The element is focusable (tabindex="0") whenever input is on, with its
+// keys listed in aria-keyshortcuts.
+//
+// Drags keep rotX between minPolarAngle and maxPolarAngle (radians, default
+// ±π/2) so the model can't flip over; an angle already outside them is
+// only kept from going further.
+
+export const INTERACTIVE_MODES = ['none', 'rotate', 'orbit'];
+
+export const ZOOM_MIN = 0.2;
+export const ZOOM_MAX = 5;
+
+const ROTATE_PER_PX = 0.005;
+const KEY_STEP = 0.08;          // radians per arrow key press
+const TAP_DISTANCE = 4;         // px a press may move and still be a tap
+const INERTIA_DECAY = 0.92;     // velocity kept per 60 fps frame
+const INERTIA_MIN = 0.00002;    // rad / ms below which momentum stops
+const INERTIA_WINDOW = 80;      // ms; an older last move means no momentum
+const INERTIA_MAX = 0.005;      // rad / ms, so a flick can't spin wildly
+
+const KEY_SHORTCUTS = 'ArrowLeft ArrowRight ArrowUp ArrowDown';
+
+const modeOf = (config) => INTERACTIVE_MODES.includes(config.interactive) ? config.interactive : 'rotate';
+
+// The tilt after a change of `d`, limited to the polar angles
+export function clampPolar(rotX, d, config) {
+  const lo = config.minPolarAngle ?? -Math.PI / 2;
+  const hi = config.maxPolarAngle ?? Math.PI / 2;
+  return Math.min(Math.max(rotX + d, Math.min(lo, rotX)), Math.max(hi, rotX));
+}
+
+export function createOrbitController(config, { onChange = () => {}, onStart = () => {}, onEnd = () => {}, onTap = () => {}, momentum = () => true } = {}) {
+  let element = null;
+  const pointers = new Map();   // pointerId → { x, y }
+  let press = null;             // first pointer down, for taps
+  let velocity = { x: 0, y: 0, t: 0 };
+  let inertiaId = null;
+
+  function rotate(dx, dy) {
+    const before = config.rotX;
+    config.rotX = clampPolar(config.rotX, dy, config);
+    config.rotY += dx;
+    onChange({ rotX: config.rotX - before, rotY: dx });
+  }
+
+  function zoomBy(factor) {
+    const next = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, (config.zoom || 1) * factor));
+    if (next === config.zoom) return;
+    config.zoom = next;
+    onChange({ rotX: 0, rotY: 0, zoom: true });
+  }
+
+  // Pan is in fractions of the canvas' shorter side, as viewCenter reads it
+  function panBy(dx, dy) {
+    const rect = element.getBoundingClientRect();
+    const side = Math.min(rect.width, rect.height) || 1;
+    config.panX = (config.panX || 0) + dx / side;
+    config.panY = (config.panY || 0) + dy / side;
+    onChange({ rotX: 0, rotY: 0, pan: true });
+  }
+
+  function stopInertia() {
+    if (inertiaId != null) cancelAnimationFrame(inertiaId);
+    inertiaId = null;
+  }
+
+  function startInertia() {
+    if (!momentum() || performance.now() - velocity.t > INERTIA_WINDOW) return;
+    const speed = Math.hypot(velocity.x, velocity.y);
+    const cap = speed > INERTIA_MAX ? INERTIA_MAX / speed : 1;
+    let vx = velocity.x * cap;
+    let vy = velocity.y * cap;
+    let last = performance.now();
+    const step = (ts) => {
+      const dt = Math.min(ts - last, 64);
+      last = ts;
+      rotate(vx * dt, vy * dt);
+      const keep = Math.pow(INERTIA_DECAY, dt / (1000 / 60));
+      vx *= keep;
+      vy *= keep;
+      inertiaId = Math.hypot(vx, vy) > INERTIA_MIN ? requestAnimationFrame(step) : null;
+    };
+    if (Math.hypot(vx, vy) > INERTIA_MIN) inertiaId = requestAnimationFrame(step);
+  }
+
+  // Midpoint and spread of the two touches of a pinch / pan
+  function pair() {
+    const [a, b] = [...pointers.values()];
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, d: Math.hypot(a.x - b.x, a.y - b.y) };
+  }
+
+  // Presses are tracked in every mode, so taps still register with
+  // interactive="none"
+  function onPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    stopInertia();
+    if (pointers.size === 0) {
+      press = { x: e.clientX, y: e.clientY, moved: false };
+      onStart();
+    } else {
+      press = null; // a second finger makes it a gesture, not a tap
+    }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    velocity = { x: 0, y: 0, t: 0 };
+  }
+
+  function onPointerMove(e) {
+    const prev = pointers.get(e.pointerId);
+    if (!prev) return;
+    const before = pointers.size === 2 ? pair() : null;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) >= TAP_DISTANCE) press.moved = true;
+    if (modeOf(config) === 'none') return;
+
+    if (before) {
+      if (modeOf(config) !== 'orbit') return;
+      const after = pair();
+      if (before.d > 0 && after.d > 0) zoomBy(after.d / before.d);
+      panBy(after.x - before.x, after.y - before.y);
+      return;
+    }
+    if (pointers.size !== 1) return;
+    const dx = e.clientX - prev.x;
+    const dy = e.clientY - prev.y;
+    if (e.shiftKey && modeOf(config) === 'orbit') {
+      panBy(dx, dy);
+      return;
+    }
+    rotate(dx * ROTATE_PER_PX, dy * ROTATE_PER_PX);
+
+    // Momentum is the latest move's speed, smoothed a little
+    const now = performance.now();
+    const dt = velocity.t ? Math.max(1, now - velocity.t) : 16;
+    velocity = {
+      x: velocity.x * 0.2 + (dx * ROTATE_PER_PX / dt) * 0.8,
+      y: velocity.y * 0.2 + (dy * ROTATE_PER_PX / dt) * 0.8,
+      t: now,
+    };
+  }
+
+  function onPointerUp(e) {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+    if (pointers.size > 0) {
+      velocity = { x: 0, y: 0, t: 0 }; // the remaining finger starts afresh
+      return;
+    }
+    const tap = press && !press.moved;
+    press = null;
+    onEnd();
+    if (tap) onTap(e);
+    else startInertia();
+  }
+
+  function onWheel(e) {
+    if (modeOf(config) !== 'orbit') return;
+    e.preventDefault();
+    const lines = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+    zoomBy(Math.exp(-e.deltaY * lines * 0.0015));
+  }
+
+  function onKeyDown(e) {
+    const mode = modeOf(config);
+    if (mode === 'none' || e.altKey || e.ctrlKey || e.metaKey) return;
+    switch (e.key) {
+      case 'ArrowLeft':  rotate(-KEY_STEP, 0); break;
+      case 'ArrowRight': rotate(KEY_STEP, 0); break;
+      case 'ArrowUp':    rotate(0, -KEY_STEP); break;
+      case 'ArrowDown':  rotate(0, KEY_STEP); break;
+      case '+': case '=': if (mode !== 'orbit') return; zoomBy(1.1); break;
+      case '-': case '_': if (mode !== 'orbit') return; zoomBy(1 / 1.1); break;
+      default: return;
+    }
+    e.preventDefault();
+    stopInertia();
+  }
+
+  // Window listeners catch drags that leave the element
+  function listen(add) {
+    const method = add ? 'addEventListener' : 'removeEventListener';
+    element[method]('pointerdown', onPointerDown);
+    element[method]('wheel', onWheel, { passive: false });
+    element[method]('keydown', onKeyDown);
+    window[method]('pointermove', onPointerMove);
+    window[method]('pointerup', onPointerUp);
+    window[method]('pointercancel', onPointerUp);
+  }
+
+  return {
+    attach(el) {
+      if (element) listen(false);
+      element = el;
+      pointers.clear();
+      listen(true);
+      this.refresh();
+    },
+
+    // Focus and touch behaviour follow config.interactive; call after it changes
+    refresh() {
+      if (!element) return;
+      const mode = modeOf(config);
+      element.style.touchAction = mode === 'orbit' ? 'none' : mode === 'rotate' ? 'pan-y' : '';
+      if (mode === 'none') {
+        element.removeAttribute('tabindex');
+        element.removeAttribute('aria-keyshortcuts');
+        stopInertia();
+      } else {
+        element.tabIndex = 0;
+        element.setAttribute('aria-keyshortcuts', mode === 'orbit' ? KEY_SHORTCUTS + ' Plus -' : KEY_SHORTCUTS);
+      }
+    },
+
+    get dragging() {
+      return pointers.size > 0;
+    },
+
+    // Stops momentum, e.g. when something else takes over the camera
+    stop: stopInertia,
+
+    dispose() {
+      stopInertia();
+      if (element) listen(false);
+      element = null;
+      pointers.clear();
+    },
+  };
+}
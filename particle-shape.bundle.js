@@ -6,29 +6,112 @@
 //   <particle-shape shape="sphere" density="2000" auto-rotate></particle-shape>
 //
 // Attributes:
-//   shape       — sphere | cube | galaxy | spiralGalaxy | torus | cylinder | helix
+//   shape       — sphere | cube | galaxy | spiralGalaxy | torus | cylinder | helix | mesh | voronoi | text | parametric
+//                 or a name added with registerShape
 //   density     — number of particles (default: 1500)
 //   spacing     — spread multiplier (default: 1.0)
 //   randomness  — jitter amount 0–1 (default: 0)
+//   seed        — integer seed for repeatable layouts (default: random each load)
 //   size        — square pixel size (default: 3)
 //   color       — hex colour (default: #ffffff)
 //   bg          — background hex colour (default: #0a0a0a)
+//   color-mode  — solid | linear | radial | distance | depth | region | palette (default: solid)
+//   gradient-color — second colour for linear / radial / distance / depth (default: #4a7fd9)
+//   color-axis  — x | y | z — axis for linear / radial (default: y)
+//   palette     — comma-separated hex colours for region / palette
+//   glyph       — square | circle | diamond | cross | ring | char | sprite (default: square)
+//   glyph-char  — character for glyph="char" (default: *)
+//   glyph-src   — image URL / data URI for glyph="sprite"
+//   hub-glyph, hub-glyph-char, hub-glyph-src — the same for hubs (default: as particles)
+//   connection-topology — hubs | distance | nearest | tree | mesh — lines to hubs, or between particles (default: hubs)
+//   connection-distance — longest particle-to-particle line in shape units (default: 0.25)
+//   connection-neighbors — links per particle for nearest (default: 3)
+//   connection-max-lines — cap on particle-to-particle lines, shortest kept (default: 2000)
+//   connection-motion — none | orbit | drift — hubs circle the vertical axis or wander (default: none)
+//   connection-motion-speed — radians per second for connection-motion (default: 0.3)
+//   connection-relink — seconds between hubs picking new particles, 0 = never (default: 0)
+//   connection-pulses — signals run along hub lines (boolean attribute)
+//   connection-pulse-speed — pulses per second along each line (default: 0.5)
+//   connection-pulse-color — pulse colour (default: #ffffff)
+//   timeline      — JSON keyframes of config values, e.g. [{"at":0,"zoom":1},{"at":1,"zoom":1.5}],
+//                   or an editor timeline {"duration":6,"loop":"loop","keyframes":[...]}
+//   timeline-source — scroll | visibility | time — what drives the timeline (default: time with a duration, else scroll)
+//   timeline-target — CSS selector of the element whose scroll / visibility is tracked (default: this)
+//   timeline-duration — seconds for timeline-source="time" (default: the timeline's, else 6)
+//   timeline-loop — loop | pingPong | none (default: the timeline's, else loop)
+//   preset        — URL or inline JSON of a project file saved by the editor
 //   perspective — camera distance (default: 600)
 //   speed       — auto-rotation speed (default: 0.003)
 //   depth-opacity — enable/disable (default: true)
 //   depth-sizing  — enable/disable (default: true)
 //   auto-rotate   — enable/disable (default: true)
 //   spiral-arms   — number of spiral arms (default: 4)
+//   text          — string for shape="text"; a line break (&#10;) starts a new line
+//   font          — CSS font family, including @font-face ones on the page (default: sans-serif)
+//   font-weight   — 100–900 (default: 400)
+//   letter-spacing — extra space between letters in em (default: 0)
+//   extrude-depth — depth of the extruded text (default: 0.5)
+//   mesh-src      — URL of an OBJ / PLY / STL model (shape="mesh")
+//   mesh-sampling — surface | vertices (default: surface)
+//   voronoi-mode  — plane | sphere | volume — where the cells lie (default: plane)
+//   voronoi-cells — number of cells (default: 12)
+//   voronoi-membrane-width — thickness of the walls between cells (default: 0.05)
+//   voronoi-speed — how fast the cells drift (default: 0.5)
+//   voronoi-variability — how much the cells' speeds differ (default: 0.5)
+//   parametric-x, parametric-y, parametric-z — formulas in u, v (0–2π) for shape="parametric"
+//   cursor-mode   — none | repel | attract — particles react to the pointer; a click scatters (default: none)
+//   cursor-strength — push / scatter strength (default: 1)
+//   cursor-radius — reach around the pointer in px (default: 120)
+//   cursor-damping — share of velocity lost per frame, 0–1 (default: 0.12)
+//   morph-duration — ms to tween between shapes on shape / density / randomness change (default: 800; 0 = jump)
+//   morph-easing  — linear | easeIn | easeOut | easeInOut (default: easeInOut)
+//   morph-match   — nearest | index — how old and new particles are paired (default: nearest)
+//   renderer      — canvas | webgl (default: canvas; webgl falls back to canvas)
+//   worker        — render on a worker via OffscreenCanvas (falls back to main thread)
 //   rotate-x      — initial X rotation in radians
 //   rotate-y      — initial Y rotation in radians
+//   pan-x, pan-y  — offset from centre in fractions of the shorter side (default: 0)
+//   interactive   — none | rotate | orbit — drag / keys, plus wheel / pinch zoom and pan for orbit (default: rotate)
+//   min-polar-angle, max-polar-angle — tilt limits for drags in radians (default: ±π/2)
+//   alt           — text alternative for the canvas; alt="" marks it decorative
+//   motion        — auto | reduce | full — auto follows prefers-reduced-motion (default: auto)
+//   poster        — image shown until the first frame is drawn, and when printing
+//
+// Children are fallback content where the script doesn't run; a child with
+// slot="poster" stands in for the `poster` image.
+//
+// Script API (see README): config, points, connectionData, regenerate(),
+// pause(), play(), scatter(), setRotation(x, y, z, { animate }), toBlob('png'|'svg');
+// customElements.get('particle-shape').registerShape(name, fn, params);
+// events: ready, regenerated, rotate, svgload, svgerror, meshload, mesherror, shapeerror
 
 (function () {
   'use strict';
 
+  // The bundle doubles as its own worker script (worker attribute), so
+  // remember where it was loaded from
+  const BUNDLE_SRC = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
   // ═══════════════════════════════════════════════════════════════════
   // PARTICLE ENGINE (inlined)
   // ═══════════════════════════════════════════════════════════════════
 
+  // ── Seeded Random ────────────────────────────────────────────────
+
+  const RNG_STREAMS = { points: 1, randomness: 2, connections: 3, voronoi: 4, float: 5, relink: 6 }; // relink + epoch, so it stays last
+
+  function createRNG(seed, stream = 0) {
+    if (seed == null || seed === '' || !Number.isFinite(Number(seed))) return Math.random;
+    let a = (Math.floor(Number(seed)) ^ Math.imul(stream + 1, 0x9E3779B9)) >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   // ── Shape Generators ─────────────────────────────────────────────
 
   function generateSphere(n) {
@@ -59,23 +142,23 @@
       { axis: 'z', value:  1 },
       { axis: 'z', value: -1 },
     ];
-    for (const face of faces) {
+    faces.forEach((face, region) => {
       for (let i = 0; i < gridSize; i++) {
         for (let j = 0; j < gridSize; j++) {
           const u = (i / (gridSize - 1)) * 2 - 1;
           const v = (j / (gridSize - 1)) * 2 - 1;
-          const p = { x: 0, y: 0, z: 0 };
+          const p = { x: 0, y: 0, z: 0, region };
           if (face.axis === 'x') { p.x = face.value; p.y = u; p.z = v; }
           if (face.axis === 'y') { p.y = face.value; p.x = u; p.z = v; }
           if (face.axis === 'z') { p.z = face.value; p.x = u; p.y = v; }
           points.push(p);
         }
       }
-    }
+    });
     return points.slice(0, n);
   }
 
-  function generateGalaxy(n) {
+  function generateGalaxy(n, config, rng = Math.random) {
     const points = [];
     const arms = 3;
     const turns = 2.5;
@@ -86,20 +169,21 @@
       const armOffset = (armIndex / arms) * Math.PI * 2;
       const radius = t;
       const angle = armOffset + t * turns * Math.PI * 2;
-      const angleNoise = (Math.random() - 0.5) * armSpread * (1 - t * 0.5);
-      const radiusNoise = (Math.random() - 0.5) * 0.1;
+      const angleNoise = (rng() - 0.5) * armSpread * (1 - t * 0.5);
+      const radiusNoise = (rng() - 0.5) * 0.1;
       const r = radius + radiusNoise;
       const theta = angle + angleNoise;
       points.push({
         x: r * Math.cos(theta),
-        y: (Math.random() - 0.5) * 0.08 * (1 + (1 - t) * 2),
+        y: (rng() - 0.5) * 0.08 * (1 + (1 - t) * 2),
         z: r * Math.sin(theta),
+        region: armIndex,
       });
     }
     return points;
   }
 
-  function generateSpiralGalaxy(n, config) {
+  function generateSpiralGalaxy(n, config, rng = Math.random) {
     const points = [];
     const arms = (config && config.spiralArms) || 4;
     const bulgeCount = Math.floor(n * 0.15);
@@ -107,7 +191,7 @@
     const diskCount = n - bulgeCount - armCount;
 
     for (let i = 0; i < bulgeCount; i++) {
-      const u = Math.random(), v = Math.random(), w = Math.random();
+      const u = rng(), v = rng(), w = rng();
       const r = 0.12 * Math.cbrt(u);
       const theta = v * Math.PI * 2;
       const phi = Math.acos(2 * w - 1);
@@ -115,36 +199,39 @@
         x: r * Math.sin(phi) * Math.cos(theta),
         y: r * 0.4 * Math.cos(phi),
         z: r * Math.sin(phi) * Math.sin(theta),
+        region: 0, // bulge
       });
     }
 
     for (let i = 0; i < armCount; i++) {
       const armIndex = i % arms;
       const armOffset = (armIndex / arms) * Math.PI * 2;
-      const t = Math.random();
+      const t = rng();
       const logR = 0.08 + t * 0.92;
       const windAngle = armOffset + Math.log(1 + logR * 10) * 1.8;
       const spread = 0.06 + t * 0.15;
-      const angleJitter = (Math.random() - 0.5) * spread;
-      const radialJitter = (Math.random() - 0.5) * 0.06;
+      const angleJitter = (rng() - 0.5) * spread;
+      const radialJitter = (rng() - 0.5) * 0.06;
       const r = logR + radialJitter;
       const angle = windAngle + angleJitter;
       const ySpread = 0.03 * (1 - t * 0.7);
       points.push({
         x: r * Math.cos(angle),
-        y: (Math.random() - 0.5) * ySpread,
+        y: (rng() - 0.5) * ySpread,
         z: r * Math.sin(angle),
+        region: 1, // arms
       });
     }
 
     for (let i = 0; i < diskCount; i++) {
-      const r = Math.sqrt(Math.random()) * 1.0;
-      const angle = Math.random() * Math.PI * 2;
+      const r = Math.sqrt(rng()) * 1.0;
+      const angle = rng() * Math.PI * 2;
       const ySpread = 0.04 * (1 - r * 0.5);
       points.push({
         x: r * Math.cos(angle),
-        y: (Math.random() - 0.5) * ySpread,
+        y: (rng() - 0.5) * ySpread,
         z: r * Math.sin(angle),
+        region: 2, // disk
       });
     }
 
@@ -181,14 +268,14 @@
       const theta = (i / cols) * Math.PI * 2;
       for (let j = 0; j < rows && points.length < lateral; j++) {
         const y = (j / (rows - 1)) * 2 - 1;
-        points.push({ x: Math.cos(theta), y, z: Math.sin(theta) });
+        points.push({ x: Math.cos(theta), y, z: Math.sin(theta), region: 0 });
       }
     }
     for (let cap = -1; cap <= 1; cap += 2) {
       for (let i = 0; i < perCap; i++) {
         const r = Math.sqrt(i / perCap);
         const theta = (i / perCap) * Math.PI * 2 * 10;
-        points.push({ x: r * Math.cos(theta), y: cap, z: r * Math.sin(theta) });
+        points.push({ x: r * Math.cos(theta), y: cap, z: r * Math.sin(theta), region: cap < 0 ? 1 : 2 });
       }
     }
     return points.slice(0, n);
@@ -207,80 +294,560 @@
           x: 0.4 * Math.cos(theta),
           y: t * 2 - 1,
           z: 0.4 * Math.sin(theta),
+          region: s,
         });
       }
     }
     return points.slice(0, n);
   }
 
+  // ── Mesh Parsing ───────────────────────────────────────────────────
+  // Wavefront OBJ, PLY (ascii / binary) and STL (ascii / binary). All parsers
+  // produce { positions, indices } — flat xyz floats and triangle indices —
+  // which normalizeMesh then centres and scales into [-1, 1]. Files that end
+  // before their header says give null, never a read past the buffer, and
+  // so do files with no vertex that has three numeric coordinates.
+
+  function parseMeshFile(data, fileName) {
+    const ext = (fileName || '').split('?')[0].split('.').pop().toLowerCase();
+    const buffer = typeof data === 'string' ? new TextEncoder().encode(data).buffer : data;
+    const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(256, buffer.byteLength)));
+
+    let mesh = null;
+    if (ext === 'ply' || head.startsWith('ply')) {
+      mesh = parsePLY(buffer);
+    } else if (ext === 'stl' || /^\s*solid[\s\S]*facet/.test(head) || isBinarySTL(buffer)) {
+      mesh = isBinarySTL(buffer) ? parseBinarySTL(buffer) : parseAsciiSTL(new TextDecoder().decode(buffer));
+    } else {
+      mesh = parseOBJ(new TextDecoder().decode(buffer));
+    }
+
+    if (!mesh || mesh.positions.length < 3) return null;
+    return normalizeMesh(mesh);
+  }
+
+  function parseOBJ(text) {
+    const positions = [];
+    const indices = [];
+    const lines = text.split('\n');
+    for (let li = 0; li < lines.length; li++) {
+      const parts = lines[li].trim().split(/\s+/);
+      if (parts[0] === 'v') {
+        positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+      } else if (parts[0] === 'f') {
+        // Face tokens are v, v/vt, v//vn or v/vt/vn; negative indices count back from the end
+        const vertCount = positions.length / 3;
+        const face = [];
+        for (let i = 1; i < parts.length; i++) {
+          const idx = parseInt(parts[i].split('/')[0], 10);
+          if (!Number.isFinite(idx)) continue;
+          face.push(idx < 0 ? vertCount + idx : idx - 1);
+        }
+        // Triangle fan for quads and n-gons
+        for (let i = 1; i < face.length - 1; i++) {
+          indices.push(face[0], face[i], face[i + 1]);
+        }
+      }
+    }
+    return { positions, indices };
+  }
+
+  function isBinarySTL(buffer) {
+    if (buffer.byteLength < 84) return false;
+    const triCount = new DataView(buffer).getUint32(80, true);
+    return 84 + triCount * 50 === buffer.byteLength;
+  }
+
+  function parseBinarySTL(buffer) {
+    if (buffer.byteLength < 84) return null;
+    const view = new DataView(buffer);
+    const triCount = view.getUint32(80, true);
+    if (84 + triCount * 50 > buffer.byteLength) return null;
+    const positions = [];
+    const indices = [];
+    for (let t = 0; t < triCount; t++) {
+      // 12 bytes normal, 3 × 12 bytes vertices, 2 bytes attribute count
+      const base = 84 + t * 50 + 12;
+      for (let v = 0; v < 3; v++) {
+        const off = base + v * 12;
+        positions.push(
+          view.getFloat32(off, true),
+          view.getFloat32(off + 4, true),
+          view.getFloat32(off + 8, true)
+        );
+        indices.push(t * 3 + v);
+      }
+    }
+    return { positions, indices };
+  }
+
+  function parseAsciiSTL(text) {
+    const positions = [];
+    const indices = [];
+    const re = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      indices.push(positions.length / 3);
+      positions.push(parseFloat(m[1]), parseFloat(m[2]), parseFloat(m[3]));
+    }
+    return { positions, indices };
+  }
+
+  const PLY_TYPES = {
+    char: ['getInt8', 1], int8: ['getInt8', 1],
+    uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+    short: ['getInt16', 2], int16: ['getInt16', 2],
+    ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+    int: ['getInt32', 4], int32: ['getInt32', 4],
+    uint: ['getUint32', 4], uint32: ['getUint32', 4],
+    float: ['getFloat32', 4], float32: ['getFloat32', 4],
+    double: ['getFloat64', 8], float64: ['getFloat64', 8],
+  };
+
+  function parsePLY(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const headerEnd = findPLYHeaderEnd(bytes);
+    if (headerEnd < 0) return null;
+    const header = new TextDecoder().decode(bytes.subarray(0, headerEnd));
+
+    let format = 'ascii';
+    const elements = [];
+    for (const line of header.split('\n')) {
+      const parts = line.trim().split(/\s+/);
+      if (parts[0] === 'format') format = parts[1];
+      else if (parts[0] === 'element') elements.push({ name: parts[1], count: parseInt(parts[2], 10), props: [] });
+      else if (parts[0] === 'property' && elements.length) {
+        const el = elements[elements.length - 1];
+        if (parts[1] === 'list') el.props.push({ name: parts[4], list: true, countType: parts[2], type: parts[3] });
+        else el.props.push({ name: parts[2], type: parts[1] });
+      }
+    }
+
+    const positions = [];
+    const indices = [];
+
+    // Both readers yield one element row at a time as { propName: value | [values] },
+    // or null once the file runs out
+    let readRow;
+    if (format === 'ascii') {
+      const tokens = new TextDecoder().decode(bytes.subarray(headerEnd)).trim().split(/\s+/);
+      let ti = 0;
+      readRow = (el) => {
+        const row = {};
+        for (const p of el.props) {
+          if (p.list) {
+            const n = parseInt(tokens[ti++], 10);
+            if (!(n >= 0) || ti + n > tokens.length) return null;
+            row[p.name] = tokens.slice(ti, ti + n).map(Number);
+            ti += n;
+          } else {
+            if (ti >= tokens.length) return null;
+            row[p.name] = parseFloat(tokens[ti++]);
+          }
+        }
+        return row;
+      };
+    } else {
+      const little = format === 'binary_little_endian';
+      const view = new DataView(buffer);
+      let off = headerEnd;
+      const typeOf = (type) => Object.hasOwn(PLY_TYPES, type) ? PLY_TYPES[type] : PLY_TYPES.float;
+      // Callers check there are `size` bytes left first
+      const read = (type) => {
+        const [fn, size] = typeOf(type);
+        const v = view[fn](off, little);
+        off += size;
+        return v;
+      };
+      const fits = (bytes) => off + bytes <= buffer.byteLength;
+      readRow = (el) => {
+        const row = {};
+        for (const p of el.props) {
+          if (p.list) {
+            if (!fits(typeOf(p.countType)[1])) return null;
+            const n = read(p.countType);
+            if (!Number.isInteger(n) || n < 0 || !fits(n * typeOf(p.type)[1])) return null;
+            const list = new Array(n);
+            for (let i = 0; i < n; i++) list[i] = read(p.type);
+            row[p.name] = list;
+          } else {
+            if (!fits(typeOf(p.type)[1])) return null;
+            row[p.name] = read(p.type);
+          }
+        }
+        return row;
+      };
+    }
+
+    for (const el of elements) {
+      for (let r = 0; r < el.count; r++) {
+        const row = readRow(el);
+        if (!row) return null;
+        if (el.name === 'vertex') {
+          positions.push(row.x, row.y, row.z);
+        } else if (el.name === 'face') {
+          const face = row.vertex_indices || row.vertex_index || [];
+          for (let i = 1; i < face.length - 1; i++) {
+            indices.push(face[0], face[i], face[i + 1]);
+          }
+        }
+      }
+    }
+    return { positions, indices };
+  }
+
+  function findPLYHeaderEnd(bytes) {
+    const marker = 'end_header';
+    const limit = Math.min(bytes.length, 65536);
+    for (let i = 0; i < limit - marker.length; i++) {
+      let match = true;
+      for (let j = 0; j < marker.length; j++) {
+        if (bytes[i + j] !== marker.charCodeAt(j)) { match = false; break; }
+      }
+      if (!match) continue;
+      let end = i + marker.length;
+      if (bytes[end] === 13) end++;
+      if (bytes[end] === 10) end++;
+      return end;
+    }
+    return -1;
+  }
+
+  // Vertices missing a coordinate or holding a non-numeric one (`v 1 2`,
+  // `v 1 x 2`, a PLY row without z) are left out, with the triangles that
+  // use them; null when none are left
+  function normalizeMesh(mesh) {
+    const vertCount = Math.floor(mesh.positions.length / 3);
+    const remap = new Int32Array(vertCount).fill(-1);
+    const src = [];
+    for (let v = 0; v < vertCount; v++) {
+      const x = mesh.positions[v * 3], y = mesh.positions[v * 3 + 1], z = mesh.positions[v * 3 + 2];
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+      remap[v] = src.length / 3;
+      src.push(x, y, z);
+    }
+    if (src.length === 0) return null;
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (let i = 0; i < src.length; i += 3) {
+      if (src[i] < minX) minX = src[i];
+      if (src[i] > maxX) maxX = src[i];
+      if (src[i + 1] < minY) minY = src[i + 1];
+      if (src[i + 1] > maxY) maxY = src[i + 1];
+      if (src[i + 2] < minZ) minZ = src[i + 2];
+      if (src[i + 2] > maxZ) maxZ = src[i + 2];
+    }
+    const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2, cz = (minZ + maxZ) / 2;
+    const halfRange = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 || 1;
+
+    // Models are Y-up; screen space (like SVG) is Y-down, so flip Y
+    const positions = new Float32Array(src.length);
+    for (let i = 0; i < src.length; i += 3) {
+      positions[i] = (src[i] - cx) / halfRange;
+      positions[i + 1] = -(src[i + 1] - cy) / halfRange;
+      positions[i + 2] = (src[i + 2] - cz) / halfRange;
+    }
+
+    // Drop triangles that reference missing or left-out vertices
+    const valid = i => Number.isInteger(i) && i >= 0 && i < vertCount && remap[i] >= 0;
+    const indices = [];
+    for (let i = 0; i + 2 < mesh.indices.length; i += 3) {
+      const a = mesh.indices[i], b = mesh.indices[i + 1], c = mesh.indices[i + 2];
+      if (valid(a) && valid(b) && valid(c)) indices.push(remap[a], remap[b], remap[c]);
+    }
+    return { positions, indices: Uint32Array.from(indices) };
+  }
+
+  // ── Mesh Generator ─────────────────────────────────────────────────
+
+  function generateMesh(n, config, rng = Math.random) {
+    const mesh = config && config.meshData;
+    if (!mesh || mesh.positions.length === 0) return [{ x: 0, y: 0, z: 0 }];
+
+    const pos = mesh.positions;
+    const idx = mesh.indices;
+    const vertCount = pos.length / 3;
+    const points = [];
+
+    // Vertex mode (or point clouds with no faces): evenly strided subset
+    if (config.meshSampling === 'vertices' || idx.length < 3) {
+      const step = Math.max(1, vertCount / n);
+      for (let f = 0; f < vertCount && points.length < n; f += step) {
+        const i = Math.floor(f) * 3;
+        points.push({ x: pos[i], y: pos[i + 1], z: pos[i + 2] });
+      }
+      return points;
+    }
+
+    // Surface mode: pick triangles proportional to area, then a uniform
+    // barycentric point inside each
+    const triCount = idx.length / 3;
+    const cumArea = new Float64Array(triCount);
+    let total = 0;
+    for (let t = 0; t < triCount; t++) {
+      const a = idx[t * 3] * 3, b = idx[t * 3 + 1] * 3, c = idx[t * 3 + 2] * 3;
+      const ux = pos[b] - pos[a], uy = pos[b + 1] - pos[a + 1], uz = pos[b + 2] - pos[a + 2];
+      const vx = pos[c] - pos[a], vy = pos[c + 1] - pos[a + 1], vz = pos[c + 2] - pos[a + 2];
+      const cx = uy * vz - uz * vy, cy = uz * vx - ux * vz, cz = ux * vy - uy * vx;
+      total += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+      cumArea[t] = total;
+    }
+    if (total === 0) return generateMesh(n, { ...config, meshSampling: 'vertices' }, rng);
+
+    for (let i = 0; i < n; i++) {
+      const target = rng() * total;
+      let lo = 0, hi = triCount - 1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (cumArea[mid] < target) lo = mid + 1; else hi = mid;
+      }
+      const a = idx[lo * 3] * 3, b = idx[lo * 3 + 1] * 3, c = idx[lo * 3 + 2] * 3;
+      let u = rng(), v = rng();
+      if (u + v > 1) { u = 1 - u; v = 1 - v; }
+      const w = 1 - u - v;
+      points.push({
+        x: pos[a] * w + pos[b] * u + pos[c] * v,
+        y: pos[a + 1] * w + pos[b + 1] * u + pos[c + 1] * v,
+        z: pos[a + 2] * w + pos[b + 2] * u + pos[c + 2] * v,
+      });
+    }
+    return points;
+  }
+
   // ── Voronoi Generator ────────────────────────────────────────────
+  // Particles sit on the membranes between slowly moving cells: of a fixed
+  // set of samples, those whose two nearest cell seeds are within
+  // voronoiMembraneWidth of each other. voronoiMode places samples and seeds:
+  //   plane  — a flat disc of cells (z = 0)
+  //   sphere — cells on the surface of the unit sphere
+  //   volume — cells filling the unit ball, the membranes walls between them
+  //
+  // Samples are bucketed into a grid once. Grid cells too deep inside one
+  // seed's cell to hold a membrane are skipped, and the rest only test the
+  // seeds that can be nearest there. Those candidate lists allow for the seeds
+  // moving a little, so consecutive frames share them until a seed has gone
+  // further than that.
+
+  const VORONOI_MODES = ['plane', 'sphere', 'volume'];
 
-  function initVoronoiSamples(density) {
-    const needed = Math.max(density * 6, 8000);
-    const gridRes = Math.ceil(Math.sqrt(needed));
+  const voronoiMode = (mode) => VORONOI_MODES.includes(mode) ? mode : 'plane';
+
+  function initVoronoiSamples(density, rng = Math.random, mode = 'plane') {
     const samples = [];
-    for (let xi = 0; xi < gridRes; xi++) {
-      for (let yi = 0; yi < gridRes; yi++) {
-        samples.push({
-          x: ((xi + 0.5 + (Math.random() - 0.5) * 0.85) / gridRes) * 2 - 1,
-          y: ((yi + 0.5 + (Math.random() - 0.5) * 0.85) / gridRes) * 2 - 1,
-        });
+    const jitter = () => (rng() - 0.5) * 0.85;
+    switch (voronoiMode(mode)) {
+      case 'plane': {
+        const gridRes = Math.ceil(Math.sqrt(Math.max(density * 6, 8000)));
+        for (let xi = 0; xi < gridRes; xi++) {
+          for (let yi = 0; yi < gridRes; yi++) {
+            samples.push({
+              x: ((xi + 0.5 + jitter()) / gridRes) * 2 - 1,
+              y: ((yi + 0.5 + jitter()) / gridRes) * 2 - 1,
+              z: 0,
+            });
+          }
+        }
+        break;
+      }
+      case 'sphere': {
+        // Jittered Fibonacci sphere, about as dense per area as the plane
+        const count = Math.max(density * 10, 12000);
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        for (let i = 0; i < count; i++) {
+          const y = 1 - ((i + 0.5 + jitter()) / count) * 2;
+          const r = Math.sqrt(1 - y * y);
+          const theta = goldenAngle * (i + jitter());
+          samples.push({ x: Math.cos(theta) * r, y, z: Math.sin(theta) * r });
+        }
+        break;
+      }
+      case 'volume': {
+        // Jittered cube grid, kept inside the unit ball
+        const gridRes = Math.ceil(Math.cbrt(Math.max(density * 10, 12000) * 6 / Math.PI));
+        const axis = (i) => ((i + 0.5 + jitter()) / gridRes) * 2 - 1;
+        for (let xi = 0; xi < gridRes; xi++) {
+          for (let yi = 0; yi < gridRes; yi++) {
+            for (let zi = 0; zi < gridRes; zi++) {
+              const p = { x: axis(xi), y: axis(yi), z: axis(zi) };
+              if (p.x * p.x + p.y * p.y + p.z * p.z <= 1) samples.push(p);
+            }
+          }
+        }
+        break;
       }
     }
     for (let i = samples.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(rng() * (i + 1));
       [samples[i], samples[j]] = [samples[j], samples[i]];
     }
     return samples;
   }
 
-  function generateVoronoiPoints(samples, config, t) {
-    const count = config.density || 1500;
-    const mw = config.voronoiMembraneWidth || 0.05;
+  // Seeds spread evenly and each circle their home position
+  function voronoiSeeds(config, t) {
+    const mode = voronoiMode(config.voronoiMode);
     const vari = config.voronoiVariability || 0.5;
     const numSeeds = Math.max(3, config.voronoiCells || 12);
+    const period = config.loopPeriod;
 
     const seeds = [];
     for (let i = 0; i < numSeeds; i++) {
       const theta = i * 2.399963;
-      const r0 = Math.sqrt((i + 0.5) / numSeeds) * 0.75;
-      const cx = r0 * Math.cos(theta);
-      const cy = r0 * Math.sin(theta);
       const orbitR = 0.08 + ((i * 0.137) % 1) * 0.12;
       const freq = (config.voronoiSpeed || 0.5) * (0.4 + ((i * 0.31) % 1) * vari * 0.8);
       const phase = i * 1.618;
-      seeds.push({
-        x: cx + orbitR * Math.cos(t * freq + phase),
-        y: cy + orbitR * Math.sin(t * freq * 0.71 + phase + 1.2),
-      });
+      const ox = orbitR * Math.cos(t * loopFrequency(freq, period) + phase);
+      const oy = orbitR * Math.sin(t * loopFrequency(freq * 0.71, period) + phase + 1.2);
+      if (mode === 'plane') {
+        const r0 = Math.sqrt((i + 0.5) / numSeeds) * 0.75;
+        seeds.push({ x: r0 * Math.cos(theta) + ox, y: r0 * Math.sin(theta) + oy, z: 0 });
+        continue;
+      }
+      const oz = orbitR * Math.sin(t * loopFrequency(freq * 0.53, period) + phase + 2.1);
+      if (mode === 'sphere') {
+        // Fibonacci sphere directions; the orbit is projected back onto it
+        const y = 1 - (2 * i + 1) / numSeeds;
+        const r = Math.sqrt(1 - y * y);
+        const x = r * Math.cos(theta) + ox;
+        const z = r * Math.sin(theta) + oz;
+        const len = Math.sqrt(x * x + (y + oy) * (y + oy) + z * z);
+        seeds.push({ x: x / len, y: (y + oy) / len, z: z / len });
+      } else {
+        // Golden-ratio heights keep direction and radius independent
+        const y = 1 - 2 * ((i * 0.618034 + 0.5) % 1);
+        const r = Math.sqrt(1 - y * y);
+        const r0 = Math.cbrt((i + 0.5) / numSeeds) * 0.75;
+        seeds.push({ x: r0 * r * Math.cos(theta) + ox, y: r0 * y + oy, z: r0 * r * Math.sin(theta) + oz });
+      }
+    }
+    return seeds;
+  }
+
+  // Sample grid, built on first use and kept per samples array, with the
+  // samples' coordinates copied out flat so frames read them in order
+  const voronoiGrids = new WeakMap();
+
+  // How far seeds may move before candidate lists are worked out again, as a
+  // share of the grid's reach
+  const VORONOI_SLACK = 0.5;
+
+  function voronoiGrid(samples) {
+    let grid = voronoiGrids.get(samples);
+    if (grid) return grid;
+    const flat = samples.every(s => !s.z);
+    const dims = flat ? 2 : 3;
+    // ~16 samples per grid cell
+    let res = Math.max(1, Math.round((samples.length / 16) ** (1 / dims)));
+    const index = (v) => Math.min(res - 1, Math.max(0, Math.floor((v + 1) * res / 2)));
+    const keyOf = (s) => index(s.x) + res * (index(s.y) + res * (flat ? 0 : index(s.z || 0)));
+    // A surface (sphere mode) only passes through some cells of a volume
+    // grid, so that grid is refined until those hold about as many
+    while (!flat && res < 128 && samples.length / new Set(samples.map(keyOf)).size > 32) res *= 2;
+    const size = 2 / res;
+    const centre = (i) => (i + 0.5) * size - 1;
+    const keys = new Map();
+    const cells = [];
+    const cellOf = new Int32Array(samples.length);
+    const coords = new Float64Array(samples.length * 3);
+    samples.forEach((s, i) => {
+      const key = keyOf(s);
+      if (!keys.has(key)) {
+        keys.set(key, cells.length);
+        cells.push({ x: centre(index(s.x)), y: centre(index(s.y)), z: flat ? 0 : centre(index(s.z)) });
+      }
+      cellOf[i] = keys.get(key);
+      coords[i * 3] = s.x;
+      coords[i * 3 + 1] = s.y;
+      coords[i * 3 + 2] = s.z || 0;
+    });
+    grid = { cells, cellOf, coords, reach: (size / 2) * Math.sqrt(dims), candidates: null };  // reach: cell centre to corner
+    voronoiGrids.set(samples, grid);
+    return grid;
+  }
+
+  // Candidate lists for these seeds: the grid's current ones while no seed
+  // has moved further than their slack since they were made, else new ones
+  function voronoiCandidateCache(grid, seeds, mw) {
+    const cache = grid.candidates;
+    if (cache && cache.mw === mw && cache.seeds.length === seeds.length && seeds.every((s, k) => {
+      const from = cache.seeds[k];
+      const dx = s.x - from.x, dy = s.y - from.y, dz = s.z - from.z;
+      return dx * dx + dy * dy + dz * dz <= cache.slack * cache.slack;
+    })) return cache;
+    // Grid cells are only looked at once a sample in them is
+    grid.candidates = { seeds, mw, slack: grid.reach * VORONOI_SLACK, lists: new Array(grid.cells.length) };
+    return grid.candidates;
+  }
+
+  // Seeds that can be nearest or second nearest anywhere in the grid cell,
+  // or null when every point in it is further than `mw` from a membrane
+  function voronoiCandidates(cell, seeds, reach, mw, dist) {
+    let c1 = Infinity, c2 = Infinity;
+    for (let k = 0; k < seeds.length; k++) {
+      const dx = cell.x - seeds[k].x, dy = cell.y - seeds[k].y, dz = cell.z - seeds[k].z;
+      const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      dist[k] = d;
+      if (d < c1) { c2 = c1; c1 = d; } else if (d < c2) { c2 = d; }
     }
+    if (c2 - c1 - 2 * reach >= mw) return null;
+    const candidates = [];
+    for (let k = 0; k < seeds.length; k++) if (dist[k] <= c2 + 2 * reach) candidates.push(k);
+    return candidates;
+  }
+
+  function generateVoronoiPoints(samples, config, t) {
+    const count = config.density || 1500;
+    const mw = config.voronoiMembraneWidth || 0.05;
+    const seeds = voronoiSeeds(config, t);
+    const grid = voronoiGrid(samples);
+    const { cells, cellOf, coords } = grid;
+    const cache = voronoiCandidateCache(grid, seeds, mw);
+    // Seeds within the slack of where they were can only be that much nearer
+    const reach = grid.reach + cache.slack;
+    const cellCandidates = cache.lists;
+    const dist = new Float64Array(seeds.length);
 
+    // Samples are shuffled, so taking the first `count` thins evenly
     const result = [];
     for (let si = 0; si < samples.length && result.length < count; si++) {
-      const s = samples[si];
-      let d1 = Infinity, d2 = Infinity;
-      for (const seed of seeds) {
-        const dx = s.x - seed.x, dy = s.y - seed.y;
-        const d = Math.sqrt(dx * dx + dy * dy);
-        if (d < d1) { d2 = d1; d1 = d; } else if (d < d2) { d2 = d; }
+      const c = cellOf[si];
+      if (cellCandidates[c] === undefined) cellCandidates[c] = voronoiCandidates(cells[c], cache.seeds, reach, mw, dist);
+      const candidates = cellCandidates[c];
+      if (!candidates) continue;
+      const x = coords[si * 3], y = coords[si * 3 + 1], z = coords[si * 3 + 2];
+      let d1 = Infinity, d2 = Infinity, cell = 0;
+      for (let j = 0; j < candidates.length; j++) {
+        const k = candidates[j];
+        const dx = x - seeds[k].x, dy = y - seeds[k].y, dz = z - seeds[k].z;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (d < d1) { d2 = d1; d1 = d; cell = k; } else if (d < d2) { d2 = d; }
       }
-      if (d2 - d1 < mw) result.push({ x: s.x, y: s.y, z: 0 });
+      // Membership changes every frame, so `id` (the sample) keeps per-particle
+      // colours and connections stable; `region` is the nearest cell
+      if (d2 - d1 < mw) result.push({ x, y, z, region: cell, id: si });
     }
     return result;
   }
 
+  // The t = 0 frame, for generatePoints(); animated views keep the samples
+  // and call generateVoronoiPoints() each frame
+  function generateVoronoi(n, config) {
+    const samples = initVoronoiSamples(n, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+    return generateVoronoiPoints(samples, { ...config, density: n }, 0);
+  }
+
   // ── Float Animation ────────────────────────────────────────────
 
-  function initFloatPhases(count) {
+  function initFloatPhases(count, rng = Math.random) {
     const phases = [];
     for (let i = 0; i < count; i++) {
       phases.push({
-        px: Math.random() * Math.PI * 2,
-        py: Math.random() * Math.PI * 2,
-        pz: Math.random() * Math.PI * 2,
-        sx: Math.random() * 2 - 1,
-        sy: Math.random() * 2 - 1,
-        sz: Math.random() * 2 - 1,
+        px: rng() * Math.PI * 2,
+        py: rng() * Math.PI * 2,
+        pz: rng() * Math.PI * 2,
+        sx: rng() * 2 - 1,
+        sy: rng() * 2 - 1,
+        sz: rng() * 2 - 1,
       });
     }
     return phases;
@@ -290,455 +857,4323 @@
     const base = config.floatSpeed || 1.0;
     const vari = config.floatVariability || 0.5;
     const r = config.floatRadius || 0.1;
+    const period = config.loopPeriod;
     return points.map((p, i) => {
       const ph = phases[i] || { px: 0, py: 0, pz: 0, sx: 0, sy: 0, sz: 0 };
-      const fx = base * (1 + ph.sx * vari);
-      const fy = base * (1 + ph.sy * vari);
-      const fz = base * (1 + ph.sz * vari);
+      const fx = loopFrequency(base * (1 + ph.sx * vari), period);
+      const fy = loopFrequency(base * (1 + ph.sy * vari), period);
+      const fz = loopFrequency(base * (1 + ph.sz * vari), period);
       return {
         x: p.x + Math.sin(t * fx + ph.px) * r,
         y: p.y + Math.cos(t * fy + ph.py) * r,
         z: p.z + Math.sin(t * fz + ph.pz) * r,
+        region: p.region,
       };
     });
   }
 
-  const generators = {
-    sphere: generateSphere,
-    cube: generateCube,
-    galaxy: generateGalaxy,
-    spiralGalaxy: generateSpiralGalaxy,
-    torus: generateTorus,
-    cylinder: generateCylinder,
-    helix: generateHelix,
-  };
+  // ── Cursor Physics ─────────────────────────────────────────────────
+  // Particles near the cursor are pushed away ('repel') or drawn in
+  // ('attract'), and a spring pulls each one back home. The simulation only
+  // keeps a velocity and an offset per particle; the offsets go on top of
+  // the generated (or floating) positions each frame, before projection, so
+  // connection lines follow the displaced particles.
+  //
+  // The cursor is in CSS pixels on the canvas, and `cursorRadius` likewise;
+  // `cursorStrength` scales the push and the click scatter, `cursorDamping`
+  // is the share of velocity lost per frame. Voronoi frames are rebuilt from
+  // their samples every frame, so they're left alone.
 
-  // ── Helpers ──────────────────────────────────────────────────────
+  const CURSOR_MODES = ['none', 'repel', 'attract'];
 
-  function applyRandomness(points, amount) {
-    const scale = amount * 0.2;
-    return points.map(p => ({
-      x: p.x + (Math.random() - 0.5) * scale,
-      y: p.y + (Math.random() - 0.5) * scale,
-      z: p.z + (Math.random() - 0.5) * scale,
-    }));
+  const CURSOR_SPRING = 0.02;   // pull towards home per frame, per unit offset
+  const CURSOR_FORCE = 0.006;   // push per frame at full strength
+  const CURSOR_SCATTER = 0.06;  // outward kick per click at full strength
+  const CURSOR_REST = 1e-4;     // below this everything snaps home and sleeps
+
+  function createCursorPhysics() {
+    return { offsets: new Float32Array(0), velocities: new Float32Array(0), resting: true };
   }
 
-  function hexToRGB(hex) {
-    const v = parseInt(hex.slice(1), 16);
-    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+  function sizeCursorPhysics(physics, count) {
+    if (physics.offsets.length === count * 3) return;
+    physics.offsets = new Float32Array(count * 3);
+    physics.velocities = new Float32Array(count * 3);
+    physics.resting = true;
   }
 
-  // ── High-level API ──────────────────────────────────────────────
+  // World-space directions of the screen's x and y axes: the rows of the
+  // Y → X → Z rotation in projectPoints
+  function screenAxes(rotX, rotY, rotZ) {
+    const basis = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(([x, y, z]) => {
+      const x1 = x * Math.cos(rotY) + z * Math.sin(rotY);
+      const z1 = -x * Math.sin(rotY) + z * Math.cos(rotY);
+      const y1 = y * Math.cos(rotX) - z1 * Math.sin(rotX);
+      return [x1 * Math.cos(rotZ) - y1 * Math.sin(rotZ), x1 * Math.sin(rotZ) + y1 * Math.cos(rotZ)];
+    });
+    return [basis.map((b) => b[0]), basis.map((b) => b[1])];
+  }
 
-  function generatePoints(config) {
-    const gen = generators[config.shapeType];
-    if (!gen) return [];
-    let points = gen(config.density, config);
-    if (config.randomness > 0) {
-      points = applyRandomness(points, config.randomness);
+  // Advances the simulation by `dt` frames (60 fps units, as the rotation
+  // uses). `view`: { width, height, pointer: { x, y } or null, dt }.
+  function stepCursorPhysics(physics, points, config, { width, height, pointer, dt }) {
+    if (config.shapeType === 'voronoi') {
+      sizeCursorPhysics(physics, 0);
+      return;
     }
-    return points;
-  }
+    sizeCursorPhysics(physics, points.length);
+    const active = pointer && (config.cursorMode === 'repel' || config.cursorMode === 'attract');
+    if (physics.resting && !active) return;
 
-  // ── Connections ─────────────────────────────────────────────────
+    const { offsets, velocities } = physics;
+    const strength = (config.cursorStrength ?? 1) * CURSOR_FORCE;
+    const radius = config.cursorRadius || 120;
+    const keep = Math.pow(1 - Math.min(1, Math.max(0, config.cursorDamping ?? 0.12)), dt);
+    const attract = config.cursorMode === 'attract';
 
-  function generateHubPosition(points, placement, index) {
-    if (placement === 'inside' || (placement === 'mixed' && index % 2 === 0)) {
-      const baseIdx = Math.floor(Math.random() * points.length);
-      const base = points[baseIdx];
-      return {
-        x: base.x * 0.5 + (Math.random() - 0.5) * 0.3,
-        y: base.y * 0.5 + (Math.random() - 0.5) * 0.3,
-        z: base.z * 0.5 + (Math.random() - 0.5) * 0.3,
-      };
+    let projected = null;
+    let axisX, axisY;
+    if (active) {
+      const zoom = config.zoom || 1.0;
+      const perspD = config.lensType === 'orthographic' ? Infinity : focalLengthToPerspD(config.focalLength ?? 50);
+      const rotX = config.rotX || 0, rotY = config.rotY || 0, rotZ = config.rotZ || 0;
+      const [cx, cy] = viewCenter(width, height, config);
+      projected = projectPoints(applyCursorPhysics(points, physics), rotX, rotY, rotZ, perspD,
+        cx, cy, config.spacing || 1.0, Math.min(width, height) * 0.35 * zoom);
+      [axisX, axisY] = screenAxes(rotX, rotY, rotZ);
+    }
+
+    let motion = 0;
+    for (let i = 0; i < points.length; i++) {
+      let fx = 0, fy = 0;
+      if (projected && projected[i].scale > 0) {
+        const dx = projected[i].sx - pointer.x;
+        const dy = projected[i].sy - pointer.y;
+        const d = Math.hypot(dx, dy);
+        if (d < radius && d > 1e-6) {
+          // Repel is strongest under the cursor; attract fades out there too,
+          // so drawn-in particles gather around it instead of on one pixel
+          const u = d / radius;
+          const push = attract ? -4 * u * (1 - u) : (1 - u) * (1 - u);
+          fx = dx / d * push * strength;
+          fy = dy / d * push * strength;
+        }
+      }
+      for (let k = 0; k < 3; k++) {
+        const j = i * 3 + k;
+        const force = projected ? fx * axisX[k] + fy * axisY[k] : 0;
+        velocities[j] = (velocities[j] + (force - offsets[j] * CURSOR_SPRING) * dt) * keep;
+        offsets[j] += velocities[j] * dt;
+        motion = Math.max(motion, Math.abs(offsets[j]), Math.abs(velocities[j]));
+      }
+    }
+    physics.resting = motion < CURSOR_REST;
+    if (physics.resting) {
+      offsets.fill(0);
+      velocities.fill(0);
     }
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const r = 1.5 + Math.random();
-    return {
-      x: r * Math.sin(phi) * Math.cos(theta),
-      y: r * Math.cos(phi),
-      z: r * Math.sin(phi) * Math.sin(theta),
-    };
   }
 
-  function selectParticlesForHub(hub, points, count, distribution, spread, focus) {
-    const distances = [];
+  // Kicks every particle away from the centre; the spring brings them back
+  function scatterCursorPhysics(physics, points, config, rng = Math.random) {
+    if (config.shapeType === 'voronoi') return;
+    sizeCursorPhysics(physics, points.length);
+    const kick = (config.cursorStrength ?? 1) * CURSOR_SCATTER;
     for (let i = 0; i < points.length; i++) {
       const p = points[i];
-      const dx = p.x - hub.x, dy = p.y - hub.y, dz = p.z - hub.z;
-      distances.push({ idx: i, dist: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+      const len = Math.hypot(p.x, p.y, p.z);
+      const dir = len > 1e-6 ? [p.x / len, p.y / len, p.z / len] : [rng() - 0.5, rng() - 0.5, rng() - 0.5];
+      const speed = kick * (0.5 + rng());
+      for (let k = 0; k < 3; k++) physics.velocities[i * 3 + k] += dir[k] * speed;
     }
-    distances.sort((a, b) => a.dist - b.dist);
+    physics.resting = false;
+  }
 
-    const maxDist = distances.length > 0 ? distances[distances.length - 1].dist : 1;
-    const reach = maxDist * (0.1 + spread * 0.9);
-    const candidates = distances.filter(d => d.dist <= reach);
-    if (candidates.length === 0) {
-      return distances.slice(0, count).map(d => d.idx);
-    }
+  function applyCursorPhysics(points, physics) {
+    if (physics.resting || physics.offsets.length !== points.length * 3) return points;
+    const o = physics.offsets;
+    return points.map((p, i) => ({
+      x: p.x + o[i * 3],
+      y: p.y + o[i * 3 + 1],
+      z: p.z + o[i * 3 + 2],
+      region: p.region,
+    }));
+  }
 
-    const n = Math.min(count, candidates.length);
+  // ── Morph Transitions ────────────────────────────────────────────
+  // A morph tweens from whatever was on screen to a freshly generated point
+  // set. Slots are laid out in target order (slot i heads for target i), so
+  // the new connectionData stays valid for the whole transition. When the
+  // target has more points, the extras spawn from a source point; when it has
+  // fewer, the leftover sources are appended and collapse onto a target,
+  // disappearing once the morph completes.
 
-    if (distribution === 'nearest') {
-      return candidates.slice(0, n).map(d => d.idx);
-    }
+  const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  };
 
-    if (distribution === 'random') {
-      const shuffled = candidates.slice();
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-      return shuffled.slice(0, n).map(d => d.idx);
+  // Uniform grid for nearest-neighbour lookups. `nearest(p, claim)` skips and
+  // (when claim is set) removes points already handed out.
+  function createPointGrid(points) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const p of points) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+      if (p.z < minZ) minZ = p.z;
+      if (p.z > maxZ) maxZ = p.z;
     }
+    const res = Math.max(1, Math.ceil(Math.cbrt(points.length / 2)));
+    const cell = Math.max(maxX - minX, maxY - minY, maxZ - minZ, 1e-6) / res;
+    const cells = new Array(res * res * res).fill(null);
+    const key = (ix, iy, iz) => (ix * res + iy) * res + iz;
+    const coord = (v, min) => Math.min(res - 1, Math.max(0, Math.floor((v - min) / cell)));
 
-    if (distribution === 'weighted') {
-      const exponent = 0.5 + focus * 4.5;
-      const selected = new Set();
-      const weights = candidates.map(d => {
-        const normDist = d.dist / (reach || 1);
-        return Math.pow(1 - normDist + 0.01, exponent);
-      });
-      const totalWeight = weights.reduce((s, w) => s + w, 0);
+    points.forEach((p, i) => {
+      const k = key(coord(p.x, minX), coord(p.y, minY), coord(p.z, minZ));
+      if (!cells[k]) cells[k] = [];
+      cells[k].push(i);
+    });
 
-      let attempts = 0;
-      while (selected.size < n && attempts < n * 20) {
-        let r = Math.random() * totalWeight;
-        for (let i = 0; i < candidates.length; i++) {
-          r -= weights[i];
-          if (r <= 0) {
-            selected.add(candidates[i].idx);
-            break;
+    function nearest(p, claim) {
+      const cx = coord(p.x, minX), cy = coord(p.y, minY), cz = coord(p.z, minZ);
+      let best = -1, bestD = Infinity;
+      for (let r = 0; r < res; r++) {
+        for (let ix = cx - r; ix <= cx + r; ix++) {
+          if (ix < 0 || ix >= res) continue;
+          for (let iy = cy - r; iy <= cy + r; iy++) {
+            if (iy < 0 || iy >= res) continue;
+            // Only the shell of the cube is new at radius r
+            const onShell = Math.abs(ix - cx) === r || Math.abs(iy - cy) === r;
+            const step = onShell || r === 0 ? 1 : 2 * r;
+            for (let iz = cz - r; iz <= cz + r; iz += step) {
+              if (iz < 0 || iz >= res) continue;
+              const bucket = cells[key(ix, iy, iz)];
+              if (!bucket) continue;
+              for (const i of bucket) {
+                const q = points[i];
+                const dx = q.x - p.x, dy = q.y - p.y, dz = q.z - p.z;
+                const d = dx * dx + dy * dy + dz * dz;
+                if (d < bestD) { bestD = d; best = i; }
+              }
+            }
           }
         }
-        attempts++;
+        // Anything outside the searched cube is at least r cells away
+        if (best >= 0 && bestD <= (r * cell) * (r * cell)) break;
       }
-      if (selected.size < n) {
-        for (let i = 0; i < candidates.length && selected.size < n; i++) {
-          selected.add(candidates[i].idx);
-        }
+      if (claim && best >= 0) {
+        const k = key(coord(points[best].x, minX), coord(points[best].y, minY), coord(points[best].z, minZ));
+        const bucket = cells[k];
+        bucket.splice(bucket.indexOf(best), 1);
+        if (bucket.length === 0) cells[k] = null;
       }
-      return Array.from(selected);
+      return best;
     }
 
-    if (distribution === 'stratified') {
-      const bandCount = Math.min(n, 5);
-      const perBand = Math.ceil(n / bandCount);
-      const bandWidth = reach / bandCount;
-      const selected = [];
+    return { nearest };
+  }
 
-      for (let b = 0; b < bandCount; b++) {
-        const lo = b * bandWidth;
-        const hi = (b + 1) * bandWidth;
-        const inBand = candidates.filter(d => d.dist >= lo && d.dist < hi);
-        for (let i = inBand.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [inBand[i], inBand[j]] = [inBand[j], inBand[i]];
-        }
-        const take = Math.min(perBand, inBand.length);
-        for (let i = 0; i < take; i++) {
-          selected.push(inBand[i].idx);
+  function coprimeStride(n) {
+    let s = Math.max(1, Math.round(n * 0.618));
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    while (gcd(s, n) !== 1) s++;
+    return s;
+  }
+
+  // match: 'nearest' pairs each target with the closest unused source,
+  // 'index' pairs them by array position.
+  function createMorph(fromPoints, toPoints, config = {}) {
+    const from = [];
+    const target = [];
+    const nTo = toPoints.length;
+    const nFrom = fromPoints.length;
+    if (nFrom === 0 || nTo === 0) return null;
+
+    if (config.morphMatch === 'index') {
+      for (let j = 0; j < nTo; j++) {
+        from.push(fromPoints[j % nFrom]);
+        target.push(j);
+      }
+      for (let i = nTo; i < nFrom; i++) {
+        from.push(fromPoints[i]);
+        target.push(i % nTo);
+      }
+    } else {
+      const sourceGrid = createPointGrid(fromPoints);
+      let spawnGrid = null;
+      const used = new Uint8Array(nFrom);
+      const pairs = new Array(nTo);
+      // Visit targets in a scattered order so no region of the source set
+      // gets used up first and forces long searches for the remainder
+      const stride = coprimeStride(nTo);
+      for (let n = 0, j = 0; n < nTo; n++, j = (j + stride) % nTo) {
+        let i;
+        if (n < nFrom) {
+          i = sourceGrid.nearest(toPoints[j], true);
+          used[i] = 1;
+        } else {
+          // Every source is taken; spawn from the closest one
+          if (!spawnGrid) spawnGrid = createPointGrid(fromPoints);
+          i = spawnGrid.nearest(toPoints[j], false);
         }
+        pairs[j] = i;
       }
-
-      if (selected.length > n) return selected.slice(0, n);
-      if (selected.length < n) {
-        const set = new Set(selected);
-        for (let i = 0; i < candidates.length && selected.length < n; i++) {
-          if (!set.has(candidates[i].idx)) {
-            selected.push(candidates[i].idx);
-            set.add(candidates[i].idx);
-          }
+      for (let j = 0; j < nTo; j++) {
+        from.push(fromPoints[pairs[j]]);
+        target.push(j);
+      }
+      if (nFrom > nTo) {
+        const targetGrid = createPointGrid(toPoints);
+        for (let i = 0; i < nFrom; i++) {
+          if (used[i]) continue;
+          from.push(fromPoints[i]);
+          target.push(targetGrid.nearest(fromPoints[i], false));
         }
       }
-      return selected.slice(0, n);
     }
 
-    return candidates.slice(0, n).map(d => d.idx);
+    return {
+      from: from.map((p) => ({ x: p.x, y: p.y, z: p.z })),
+      target,
+      start: config.morphStart != null ? config.morphStart : performance.now(),
+      duration: config.morphDuration,
+      easing: EASINGS[config.morphEasing] || EASINGS.easeInOut,
+      done: false,
+    };
   }
 
-  function generateConnections(points, config) {
-    if (!config.connectionsEnabled || !points.length) {
-      return { hubs: [], connections: [] };
+  // Interpolates towards the live target frame (so float / voronoi keep
+  // animating underneath) and flags the morph done once time runs out.
+  function applyMorph(morph, toPoints, now) {
+    const raw = morph.duration > 0 ? (now - morph.start) / morph.duration : 1;
+    if (raw >= 1) {
+      morph.done = true;
+      return toPoints;
     }
-    const hubCount = config.hubCount || 3;
-    const connectionsPerHub = config.connectionsPerHub || 15;
-    const placement = config.hubPlacement || 'mixed';
-    const distribution = config.connectionDistribution || 'nearest';
-    const spread = config.connectionSpread != null ? config.connectionSpread : 0.5;
+    const k = morph.easing(Math.max(0, raw));
+    const result = new Array(morph.from.length);
+    for (let i = 0; i < morph.from.length; i++) {
+      const a = morph.from[i];
+      const b = toPoints[morph.target[i]] || a;
+      result[i] = {
+        x: a.x + (b.x - a.x) * k,
+        y: a.y + (b.y - a.y) * k,
+        z: a.z + (b.z - a.z) * k,
+        region: b.region,
+        id: b.id,
+      };
+    }
+    return result;
+  }
+  // Same idea for the camera: eases rotX / rotY / rotZ towards a target.
+  function createRotationTween(config, target, duration, now = performance.now()) {
+    return {
+      from: { rotX: config.rotX, rotY: config.rotY, rotZ: config.rotZ },
+      to: { rotX: target.rotX, rotY: target.rotY, rotZ: target.rotZ },
+      start: now,
+      duration,
+      easing: EASINGS[config.morphEasing] || EASINGS.easeInOut,
+    };
+  }
+
+  // Writes the eased angles into config; returns true once the tween is over.
+  function applyRotationTween(tween, config, now) {
+    const raw = tween.duration > 0 ? (now - tween.start) / tween.duration : 1;
+    const k = tween.easing(Math.min(1, Math.max(0, raw)));
+    for (const key of ['rotX', 'rotY', 'rotZ']) {
+      config[key] = tween.from[key] + (tween.to[key] - tween.from[key]) * k;
+    }
+    return raw >= 1;
+  }
+  const generators = {
+    sphere: generateSphere,
+    cube: generateCube,
+    galaxy: generateGalaxy,
+    spiralGalaxy: generateSpiralGalaxy,
+    torus: generateTorus,
+    cylinder: generateCylinder,
+    helix: generateHelix,
+    mesh: generateMesh,
+    voronoi: generateVoronoi,
+    text: generateText,
+  };
+
+  // ── Timeline ───────────────────────────────────────────────────────
+  // Keyframes of config values at positions 0–1 along a timeline, e.g. scroll
+  // progress: [{ at: 0, zoom: 1 }, { at: 1, zoom: 1.6, color: '#d94a6a' }].
+  // Each key is interpolated between the keyframes that set it: numbers
+  // linearly, #rrggbb colours per channel, anything else switches at the
+  // keyframe. An `easing` (see EASINGS) shapes the segment leading into it.
+  //
+  // A timeline saved by the editor wraps the keyframes with a clock:
+  // { duration: 6, loop: 'loop', keyframes: [...] }, duration in seconds.
+
+  const TIMELINE_LOOPS = ['loop', 'pingPong', 'none'];
+
+  // Accepts a keyframe array, a saved timeline object, or the JSON text of
+  // either; drops malformed frames, sorts by `at`. Duration is null for a
+  // bare array.
+  function parseTimelineDocument(value) {
+    let doc = value;
+    if (typeof value === 'string') {
+      try {
+        doc = JSON.parse(value);
+      } catch (e) {
+        doc = null;
+      }
+    }
+    const frames = Array.isArray(doc) ? doc : doc && Array.isArray(doc.keyframes) ? doc.keyframes : [];
+    const duration = doc && !Array.isArray(doc) ? Number(doc.duration) : NaN;
+    return {
+      duration: duration > 0 ? duration : null,
+      loop: doc && TIMELINE_LOOPS.includes(doc.loop) ? doc.loop : 'loop',
+      keyframes: frames
+        .filter(f => f && typeof f === 'object' && Number.isFinite(Number(f.at)))
+        .map(f => ({ ...f, at: Math.max(0, Math.min(1, Number(f.at))) }))
+        .sort((a, b) => a.at - b.at),
+    };
+  }
+
+  function parseTimeline(value) {
+    return parseTimelineDocument(value).keyframes;
+  }
+
+  // Progress (0–1) after `seconds` of a timeline played over `duration`
+  function timelineProgress(seconds, duration, loop = 'loop') {
+    if (!(duration > 0)) return 1;
+    const t = Math.max(0, seconds) / duration;
+    if (loop === 'none') return Math.min(1, t);
+    if (loop === 'pingPong') {
+      const u = t % 2;
+      return u > 1 ? 2 - u : u;
+    }
+    return t % 1;
+  }
+
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+  // Config values at `progress` (0–1) for every key the keyframes mention
+  function sampleTimeline(keyframes, progress) {
+    const t = Math.max(0, Math.min(1, progress));
+    const keys = new Set();
+    for (const f of keyframes) {
+      for (const key in f) if (key !== 'at' && key !== 'easing') keys.add(key);
+    }
+
+    const values = {};
+    for (const key of keys) {
+      let prev = null, next = null;
+      for (const f of keyframes) {
+        if (!(key in f)) continue;
+        if (f.at <= t) prev = f;
+        else { next = f; break; }
+      }
+      if (!prev || !next) {
+        values[key] = (prev || next)[key];
+        continue;
+      }
+      const a = prev[key], b = next[key];
+      const k = (EASINGS[next.easing] || EASINGS.linear)((t - prev.at) / (next.at - prev.at));
+      if (typeof a === 'number' && typeof b === 'number') {
+        values[key] = a + (b - a) * k;
+      } else if (HEX_COLOR.test(a) && HEX_COLOR.test(b)) {
+        values[key] = rgbToHex(mixRGB(hexToRGB(a), hexToRGB(b), k));
+      } else {
+        values[key] = a;
+      }
+    }
+    return values;
+  }
+
+  // ── Helpers ──────────────────────────────────────────────────────
+
+  function applyRandomness(points, amount, rng = Math.random) {
+    const scale = amount * 0.2;
+    return points.map(p => ({
+      x: p.x + (rng() - 0.5) * scale,
+      y: p.y + (rng() - 0.5) * scale,
+      z: p.z + (rng() - 0.5) * scale,
+      region: p.region,
+    }));
+  }
+
+  function hexToRGB(hex) {
+    const v = parseInt(hex.slice(1), 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+  }
+
+  function rgbToHex([r, g, b]) {
+    return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+  }
+
+  // With config.loopPeriod set (seconds), float and voronoi frequencies are
+  // rounded to whole cycles per period, so the motion at t and t + period is
+  // identical. Used by offline video export to close the loop.
+  function loopFrequency(freq, period) {
+    if (!(period > 0) || freq === 0) return freq;
+    const cycle = (Math.PI * 2) / period;
+    return Math.sign(freq) * Math.max(1, Math.round(Math.abs(freq) / cycle)) * cycle;
+  }
+
+  // ── Particle Color ─────────────────────────────────────────────────
+  // config.colorMode picks how each particle is coloured:
+  //   solid    — config.color for everything
+  //   linear   — gradient from color to gradientColor along colorAxis
+  //   radial   — same, by distance from the colorAxis line
+  //   distance — same, by distance from the shape centre
+  //   depth    — same, near (color) to far (gradientColor) after rotation
+  //   region   — palette entry per generator part (galaxy arm, cube face, ...)
+  //   palette  — a seeded random palette entry per particle
+
+  const COLOR_MODES = ['solid', 'linear', 'radial', 'distance', 'depth', 'region', 'palette'];
+  const DEFAULT_PALETTE = ['#ffffff', '#9f7427', '#4a7fd9', '#d94a6a'];
+
+  // Accepts an array or a comma / space separated string; keeps #rrggbb entries
+  function parsePalette(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    return list.map(c => String(c).trim()).filter(c => /^#[0-9a-f]{6}$/i.test(c));
+  }
+
+  // Stable 0..1 value per (seed, key), so palette picks survive regeneration
+  // of other settings and match between live view and export
+  function hashUnit(seed, key) {
+    let h = Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(key + 1, 0xc2b2ae35);
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+  }
+
+  function mixRGB(a, b, t) {
+    return [
+      Math.round(a[0] + (b[0] - a[0]) * t),
+      Math.round(a[1] + (b[1] - a[1]) * t),
+      Math.round(a[2] + (b[2] - a[2]) * t),
+    ];
+  }
+
+  // One [r, g, b] per point, or null in solid mode (renderers then use
+  // config.color as before)
+  function particleColors(points, config) {
+    const mode = config.colorMode || 'solid';
+    if (mode === 'solid' || !COLOR_MODES.includes(mode) || points.length === 0) return null;
+
+    if (mode === 'palette' || mode === 'region') {
+      const palette = parsePalette(config.palette);
+      const rgb = (palette.length > 0 ? palette : DEFAULT_PALETTE).map(hexToRGB);
+      const seed = Math.floor(Number(config.seed)) || 0;
+      return points.map((p, i) => mode === 'region'
+        ? rgb[(p.region || 0) % rgb.length]
+        : rgb[Math.floor(hashUnit(seed, p.id ?? i) * rgb.length)]);
+    }
+
+    const from = hexToRGB(config.color || '#ffffff');
+    const to = hexToRGB(config.gradientColor || '#4a7fd9');
+    const axis = ['x', 'y', 'z'].includes(config.colorAxis) ? config.colorAxis : 'y';
+    let value;
+    if (mode === 'linear') {
+      value = (p) => p[axis];
+    } else if (mode === 'radial') {
+      value = (p) => Math.hypot(axis === 'x' ? 0 : p.x, axis === 'y' ? 0 : p.y, axis === 'z' ? 0 : p.z);
+    } else if (mode === 'distance') {
+      value = (p) => Math.hypot(p.x, p.y, p.z);
+    } else {
+      // Camera-space z, as in projectPoints (rotZ doesn't change depth)
+      const cosA = Math.cos(config.rotX || 0), sinA = Math.sin(config.rotX || 0);
+      const cosB = Math.cos(config.rotY || 0), sinB = Math.sin(config.rotY || 0);
+      value = (p) => p.y * sinA + (-p.x * sinB + p.z * cosB) * cosA;
+    }
+
+    let min = Infinity, max = -Infinity;
+    if (mode === 'depth') {
+      // Normalise by the shape's extent so colours don't shift as it turns
+      for (const p of points) max = Math.max(max, Math.hypot(p.x, p.y, p.z));
+      min = -max;
+    } else {
+      for (const p of points) {
+        const v = value(p);
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+    }
+    const range = max - min > 1e-9 ? max - min : 1;
+    return points.map(p => mixRGB(from, to, (value(p) - min) / range));
+  }
+
+  // ── Glyphs ─────────────────────────────────────────────────────────
+  // Particles and hubs are squares unless config.glyph picks another mark:
+  // circle, diamond, cross, ring, a text character (glyphChar) or an image /
+  // SVG sprite (glyphSrc). Hubs follow the particles unless hubGlyph is set,
+  // with hubGlyphChar / hubGlyphSrc falling back to the particle ones.
+  // Canvas2D needs the sprite decoded first: the host sets config.glyphImage /
+  // hubGlyphImage (see loadGlyphImage); until then sprites draw as squares.
+
+  const GLYPHS = ['square', 'circle', 'diamond', 'cross', 'ring', 'char', 'sprite'];
+
+  // Outlines in a unit box centred on the particle, shared by every renderer
+  const GLYPH_POLYGONS = {
+    diamond: [[0, -0.5], [0.5, 0], [0, 0.5], [-0.5, 0]],
+    cross: [
+      [-1 / 6, -0.5], [1 / 6, -0.5], [1 / 6, -1 / 6], [0.5, -1 / 6], [0.5, 1 / 6], [1 / 6, 1 / 6],
+      [1 / 6, 0.5], [-1 / 6, 0.5], [-1 / 6, 1 / 6], [-0.5, 1 / 6], [-0.5, -1 / 6], [-1 / 6, -1 / 6],
+    ],
+  };
+  const RING_INNER = 0.6; // inner radius as a fraction of the outer
+
+  // { type, char, src, image } for particles, or for hubs with `hub` set
+  function resolveGlyph(config, hub = false) {
+    const own = hub && !!config.hubGlyph;
+    const type = own ? config.hubGlyph : config.glyph;
+    return {
+      type: GLYPHS.includes(type) ? type : 'square',
+      char: (own && config.hubGlyphChar) || config.glyphChar || '*',
+      src: (own && config.hubGlyphSrc) || config.glyphSrc || '',
+      image: (own && config.hubGlyphSrc ? config.hubGlyphImage : config.glyphImage) || null,
+    };
+  }
+
+  // Decodes a sprite URL / data URI for config.glyphImage. DOM only; workers
+  // receive an ImageBitmap made from the result.
+  function loadGlyphImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Could not load glyph image ${src}`));
+      img.src = src;
+    });
+  }
+
+  // Fills one glyph centred on (x, y) with the current fillStyle. Sprites
+  // ignore fillStyle and are drawn at `alpha`.
+  function drawGlyph(ctx, glyph, x, y, size, alpha) {
+    const r = size / 2;
+    switch (glyph.type) {
+      case 'circle':
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fill();
+        return;
+      case 'ring':
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.moveTo(x + r * RING_INNER, y);
+        ctx.arc(x, y, r * RING_INNER, 0, Math.PI * 2, true);
+        ctx.fill();
+        return;
+      case 'diamond':
+      case 'cross': {
+        const poly = GLYPH_POLYGONS[glyph.type];
+        ctx.beginPath();
+        ctx.moveTo(x + poly[0][0] * size, y + poly[0][1] * size);
+        for (let i = 1; i < poly.length; i++) ctx.lineTo(x + poly[i][0] * size, y + poly[i][1] * size);
+        ctx.closePath();
+        ctx.fill();
+        return;
+      }
+      case 'char':
+        ctx.font = `${size}px sans-serif`;
+        ctx.fillText(glyph.char, x, y);
+        return;
+      case 'sprite':
+        if (glyph.image) {
+          ctx.globalAlpha = alpha;
+          ctx.drawImage(glyph.image, x - r, y - r, size, size);
+          ctx.globalAlpha = 1;
+          return;
+        }
+        break;
+    }
+    ctx.fillRect(x - r, y - r, size, size);
+  }
+
+  // ── High-level API ──────────────────────────────────────────────
+
+  function generatePoints(config) {
+    // Own keys only: `shape="hasOwnProperty"` mustn't reach Object.prototype
+    const gen = Object.hasOwn(generators, config.shapeType) ? generators[config.shapeType] : null;
+    if (!gen) return [];
+    let points = gen(config.density, withParamDefaults(config), createRNG(config.seed, RNG_STREAMS.points));
+    if (config.randomness > 0) {
+      points = applyRandomness(points, config.randomness, createRNG(config.seed, RNG_STREAMS.randomness));
+    }
+    return points;
+  }
+
+  // ── Connections ─────────────────────────────────────────────────
+
+  function generateHubPosition(points, placement, index, rng) {
+    if (placement === 'inside' || (placement === 'mixed' && index % 2 === 0)) {
+      const baseIdx = Math.floor(rng() * points.length);
+      const base = points[baseIdx];
+      return {
+        x: base.x * 0.5 + (rng() - 0.5) * 0.3,
+        y: base.y * 0.5 + (rng() - 0.5) * 0.3,
+        z: base.z * 0.5 + (rng() - 0.5) * 0.3,
+      };
+    }
+    const theta = rng() * Math.PI * 2;
+    const phi = Math.acos(2 * rng() - 1);
+    const r = 1.5 + rng();
+    return {
+      x: r * Math.sin(phi) * Math.cos(theta),
+      y: r * Math.cos(phi),
+      z: r * Math.sin(phi) * Math.sin(theta),
+    };
+  }
+
+  function selectParticlesForHub(hub, points, count, distribution, spread, focus, rng) {
+    const distances = [];
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const dx = p.x - hub.x, dy = p.y - hub.y, dz = p.z - hub.z;
+      distances.push({ idx: i, dist: Math.sqrt(dx * dx + dy * dy + dz * dz) });
+    }
+    distances.sort((a, b) => a.dist - b.dist);
+
+    const maxDist = distances.length > 0 ? distances[distances.length - 1].dist : 1;
+    const reach = maxDist * (0.1 + spread * 0.9);
+    const candidates = distances.filter(d => d.dist <= reach);
+    if (candidates.length === 0) {
+      return distances.slice(0, count).map(d => d.idx);
+    }
+
+    const n = Math.min(count, candidates.length);
+
+    if (distribution === 'nearest') {
+      return candidates.slice(0, n).map(d => d.idx);
+    }
+
+    if (distribution === 'random') {
+      const shuffled = candidates.slice();
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return shuffled.slice(0, n).map(d => d.idx);
+    }
+
+    if (distribution === 'weighted') {
+      const exponent = 0.5 + focus * 4.5;
+      const selected = new Set();
+      const weights = candidates.map(d => {
+        const normDist = d.dist / (reach || 1);
+        return Math.pow(1 - normDist + 0.01, exponent);
+      });
+      const totalWeight = weights.reduce((s, w) => s + w, 0);
+
+      let attempts = 0;
+      while (selected.size < n && attempts < n * 20) {
+        let r = rng() * totalWeight;
+        for (let i = 0; i < candidates.length; i++) {
+          r -= weights[i];
+          if (r <= 0) {
+            selected.add(candidates[i].idx);
+            break;
+          }
+        }
+        attempts++;
+      }
+      if (selected.size < n) {
+        for (let i = 0; i < candidates.length && selected.size < n; i++) {
+          selected.add(candidates[i].idx);
+        }
+      }
+      return Array.from(selected);
+    }
+
+    if (distribution === 'stratified') {
+      const bandCount = Math.min(n, 5);
+      const perBand = Math.ceil(n / bandCount);
+      const bandWidth = reach / bandCount;
+      const selected = [];
+
+      for (let b = 0; b < bandCount; b++) {
+        const lo = b * bandWidth;
+        const hi = (b + 1) * bandWidth;
+        const inBand = candidates.filter(d => d.dist >= lo && d.dist < hi);
+        for (let i = inBand.length - 1; i > 0; i--) {
+          const j = Math.floor(rng() * (i + 1));
+          [inBand[i], inBand[j]] = [inBand[j], inBand[i]];
+        }
+        const take = Math.min(perBand, inBand.length);
+        for (let i = 0; i < take; i++) {
+          selected.push(inBand[i].idx);
+        }
+      }
+
+      if (selected.length > n) return selected.slice(0, n);
+      if (selected.length < n) {
+        const set = new Set(selected);
+        for (let i = 0; i < candidates.length && selected.length < n; i++) {
+          if (!set.has(candidates[i].idx)) {
+            selected.push(candidates[i].idx);
+            set.add(candidates[i].idx);
+          }
+        }
+      }
+      return selected.slice(0, n);
+    }
+
+    return candidates.slice(0, n).map(d => d.idx);
+  }
+
+  // ── Plexus Links ────────────────────────────────────────────────
+  // The other topologies link particles to each other rather than to hubs:
+  //   distance — every pair closer than connectionDistance
+  //   nearest  — each particle to its connectionNeighbors nearest
+  //   tree     — a minimum spanning tree (a forest where gaps exceed the distance)
+  //   mesh     — a Delaunay-style mesh: neighbour pairs with no other particle
+  //              inside the sphere across them (the Gabriel graph)
+  // All of them only look as far as connectionDistance (shape units; shapes
+  // span about -1…1) and connectionMaxLines keeps the shortest links when
+  // there are more, so a grid finds the candidates in the cells around each
+  // particle, searching no further out than it has to.
+  //
+  // Links follow the particles, so they're made again when the particles
+  // move. At 10,000 particles one pass takes roughly 10–30 ms for distance
+  // and nearest and 40–90 ms for tree and mesh in Node, more for crowded
+  // shapes, so live views call reuseLinks() to keep a frame's links until a
+  // particle has moved LINK_SLACK of the distance. With float that's every
+  // few frames, about a quarter of the cost on average.
+
+  const CONNECTION_TOPOLOGIES = ['hubs', 'distance', 'nearest', 'tree', 'mesh'];
+
+  const MAX_GRID_CELLS = 8;       // per particle, before cells grow past connectionDistance
+  const TREE_CANDIDATES = 8;      // nearest neighbours a tree edge is picked from
+  const MESH_CANDIDATES = 12;     // ...and a mesh edge
+  const LINK_SLACK = 0.05;        // of connectionDistance, that particles may move before relinking
+
+  // Uniform grid over the points' bounds as a counting sort: cell c holds
+  // order[start[c]] … order[start[c + 1] - 1], whose positions are copied
+  // alongside into `xyz` so a cell's are read together. Cells are at least
+  // `radius` wide (wider when there would be too many), so the 27 cells
+  // around a particle hold everything within `radius` of it.
+  function buildGrid(points, radius) {
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const p of points) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+      if (p.z < minZ) minZ = p.z;
+      if (p.z > maxZ) maxZ = p.z;
+    }
+    const maxCells = Math.max(4096, points.length * MAX_GRID_CELLS);
+    let cell = radius;
+    const cellsFor = (size) => Math.floor((maxX - minX) / size + 1) * Math.floor((maxY - minY) / size + 1) * Math.floor((maxZ - minZ) / size + 1);
+    while (cellsFor(cell) > maxCells) cell *= 1.25;
+    const nx = Math.floor((maxX - minX) / cell) + 1;
+    const ny = Math.floor((maxY - minY) / cell) + 1;
+    const nz = Math.floor((maxZ - minZ) / cell) + 1;
+
+    const cellOf = new Uint32Array(points.length);
+    const start = new Uint32Array(nx * ny * nz + 1);
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const c = (Math.floor((p.x - minX) / cell) * ny + Math.floor((p.y - minY) / cell)) * nz + Math.floor((p.z - minZ) / cell);
+      cellOf[i] = c;
+      start[c + 1]++;
+    }
+    for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+    const fill = start.slice(0, -1);
+    const order = new Uint32Array(points.length);
+    const xyz = new Float64Array(points.length * 3);
+    for (let i = 0; i < points.length; i++) {
+      const k = fill[cellOf[i]]++;
+      order[k] = i;
+      xyz[k * 3] = points[i].x;
+      xyz[k * 3 + 1] = points[i].y;
+      xyz[k * 3 + 2] = points[i].z;
+    }
+    return { minX, minY, minZ, cell, nx, ny, nz, start, order, xyz };
+  }
+
+  // Fills idx / d2 with the particles within sqrt(r2) of particle i and
+  // returns how many there are
+  function gatherNeighbors(points, grid, i, r2, idx, d2) {
+    const { minX, minY, minZ, cell, nx, ny, nz, start, order, xyz } = grid;
+    const p = points[i];
+    const gx = Math.floor((p.x - minX) / cell);
+    const gy = Math.floor((p.y - minY) / cell);
+    const gz = Math.floor((p.z - minZ) / cell);
+    let count = 0;
+    for (let x = Math.max(0, gx - 1); x <= Math.min(nx - 1, gx + 1); x++) {
+      for (let y = Math.max(0, gy - 1); y <= Math.min(ny - 1, gy + 1); y++) {
+        const row = (x * ny + y) * nz;
+        const end = start[row + Math.min(nz - 1, gz + 1) + 1];
+        for (let k = start[row + Math.max(0, gz - 1)]; k < end; k++) {
+          const dx = xyz[k * 3] - p.x, dy = xyz[k * 3 + 1] - p.y, dz = xyz[k * 3 + 2] - p.z;
+          const dd = dx * dx + dy * dy + dz * dz;
+          if (dd > r2) continue;
+          const j = order[k];
+          if (j === i) continue;
+          idx[count] = j;
+          d2[count] = dd;
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
+  // Growable edge list { a, b, d2, count }
+  function createEdges(capacity) {
+    return { a: new Uint32Array(capacity), b: new Uint32Array(capacity), d2: new Float64Array(capacity), count: 0 };
+  }
+
+  function pushEdge(edges, a, b, d2) {
+    if (edges.count === edges.a.length) {
+      const grow = (arr) => {
+        const next = new arr.constructor(arr.length * 2);
+        next.set(arr);
+        return next;
+      };
+      edges.a = grow(edges.a);
+      edges.b = grow(edges.b);
+      edges.d2 = grow(edges.d2);
+    }
+    edges.a[edges.count] = a;
+    edges.b[edges.count] = b;
+    edges.d2[edges.count] = d2;
+    edges.count++;
+  }
+
+  function dist2(a, b) {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  // The k-th smallest (from 0) of values[0 … count - 1], by quickselect
+  function kthSmallest(values, count, k) {
+    const a = values.slice(0, count);
+    let lo = 0, hi = count - 1;
+    while (lo < hi) {
+      const pivot = a[(lo + hi) >> 1];
+      let i = lo, j = hi;
+      while (i <= j) {
+        while (a[i] < pivot) i++;
+        while (a[j] > pivot) j--;
+        if (i <= j) {
+          const t = a[i]; a[i] = a[j]; a[j] = t;
+          i++;
+          j--;
+        }
+      }
+      if (k <= j) hi = j;
+      else if (k >= i) lo = i;
+      else break;
+    }
+    return a[k];
+  }
+
+  // Edge indices, shortest first. Lengths (all within r2) are quantised to
+  // 30 bits and packed above the index, so a plain numeric sort does it.
+  function edgesByLength(edges, r2) {
+    const count = edges.count;
+    if (count >= 1 << 21) {
+      return Array.from({ length: count }, (_, i) => i).sort((x, y) => edges.d2[x] - edges.d2[y]);
+    }
+    const keys = new Float64Array(count);
+    const scale = ((1 << 30) - 1) / (r2 || 1);
+    for (let e = 0; e < count; e++) keys[e] = Math.floor(edges.d2[e] * scale) * (1 << 21) + e;
+    keys.sort();
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = keys[i] % (1 << 21);
+    return order;
+  }
+
+  function findRoot(parent, i) {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  }
+
+  // Candidate edges for a topology, each pair once. Everything out to
+  // `radius` can be a lot of pairs where particles crowd, and only the
+  // shortest are kept, so the search starts at the grid's own cell size and
+  // only widens (doubling up to `radius`) where that found too few: for
+  // distance, until there are connectionMaxLines pairs; for the others, for
+  // each particle that hasn't found its nearest few yet.
+  function linkCandidates(points, topology, radius, neighbors, maxLines) {
+    const n = points.length;
+    const idx = new Uint32Array(n);
+    const d2 = new Float64Array(n);
+    const edges = createEdges(Math.max(16, n * 4));
+
+    if (topology === 'distance') {
+      for (let reach = 0; ;) {
+        const grid = buildGrid(points, Math.max(reach * 2, radius / 64));
+        reach = Math.min(radius, grid.cell);
+        const r2 = reach * reach;
+        edges.count = 0;
+        for (let i = 0; i < n; i++) {
+          const count = gatherNeighbors(points, grid, i, r2, idx, d2);
+          for (let k = 0; k < count; k++) {
+            if (idx[k] > i) pushEdge(edges, i, idx[k], d2[k]);
+          }
+        }
+        if (reach >= radius || edges.count >= maxLines) return edges;
+      }
+    }
+
+    // Each particle's nearest few, nearest first (by insertion), in rows of
+    // `limit`
+    const limit = topology === 'nearest' ? neighbors : topology === 'tree' ? TREE_CANDIDATES : MESH_CANDIDATES;
+    const nearIdx = new Uint32Array(n * limit);
+    const nearD2 = new Float64Array(n * limit);
+    const found = new Uint8Array(n);
+    let pending = Uint32Array.from({ length: n }, (_, i) => i);
+    for (let reach = 0; pending.length > 0;) {
+      const grid = buildGrid(points, Math.max(reach * 2, radius / 64));
+      reach = Math.min(radius, grid.cell);
+      const r2 = reach * reach;
+      let left = 0;
+      for (const i of pending) {
+        const count = gatherNeighbors(points, grid, i, r2, idx, d2);
+        // Fewer than `limit` this close: the nearest may be further out
+        if (count < limit && reach < radius) {
+          pending[left++] = i;
+          continue;
+        }
+        const row = i * limit;
+        let m = 0;
+        for (let k = 0; k < count; k++) {
+          if (m === limit && d2[k] >= nearD2[row + limit - 1]) continue;
+          let at = m < limit ? m++ : limit - 1;
+          while (at > 0 && nearD2[row + at - 1] > d2[k]) {
+            nearIdx[row + at] = nearIdx[row + at - 1];
+            nearD2[row + at] = nearD2[row + at - 1];
+            at--;
+          }
+          nearIdx[row + at] = idx[k];
+          nearD2[row + at] = d2[k];
+        }
+        found[i] = m;
+      }
+      pending = pending.subarray(0, left);
+    }
+
+    const lists = (i, j) => {
+      for (let k = i * limit, end = k + found[i]; k < end; k++) if (nearIdx[k] === j) return true;
+      return false;
+    };
+    for (let i = 0; i < n; i++) {
+      const row = i * limit;
+      for (let k = 0; k < found[i]; k++) {
+        const j = nearIdx[row + k];
+        // A pair both list is taken from the lower index's side
+        if (j < i && lists(j, i)) continue;
+        if (topology === 'mesh') {
+          // Anything inside the sphere across i–j is nearer to i than j is,
+          // so it's earlier in the list
+          let blocked = false;
+          for (let w = 0; w < k && !blocked; w++) {
+            blocked = nearD2[row + w] + dist2(points[nearIdx[row + w]], points[j]) < nearD2[row + k];
+          }
+          if (blocked) continue;
+        }
+        pushEdge(edges, i, j, nearD2[row + k]);
+      }
+    }
+    return edges;
+  }
+
+  function linkParticles(points, config) {
+    const topology = config.connectionTopology;
+    const radius = Math.max(0.01, config.connectionDistance || 0.25);
+    const neighbors = Math.max(1, Math.round(config.connectionNeighbors || 3));
+    const maxLines = Math.max(0, Math.round(config.connectionMaxLines ?? 2000));
+    const edges = linkCandidates(points, topology, radius, neighbors, maxLines);
+    const keep = [];
+
+    if (topology === 'tree') {
+      // Kruskal: shortest first, skipping edges that would close a loop
+      const parent = Uint32Array.from({ length: points.length }, (_, i) => i);
+      for (const e of edgesByLength(edges, radius * radius)) {
+        if (keep.length >= maxLines) break;
+        const ra = findRoot(parent, edges.a[e]), rb = findRoot(parent, edges.b[e]);
+        if (ra === rb) continue;
+        parent[ra] = rb;
+        keep.push(e);
+      }
+    } else if (edges.count > maxLines) {
+      // The shortest maxLines: everything under the cut-off length, then ties
+      const cut = maxLines > 0 ? kthSmallest(edges.d2, edges.count, maxLines - 1) : -1;
+      for (let e = 0; e < edges.count; e++) if (edges.d2[e] < cut) keep.push(e);
+      for (let e = 0; e < edges.count && keep.length < maxLines; e++) if (edges.d2[e] === cut) keep.push(e);
+    } else {
+      for (let e = 0; e < edges.count; e++) keep.push(e);
+    }
+
+    const links = new Uint32Array(keep.length * 2);
+    for (let i = 0; i < keep.length; i++) {
+      links[i * 2] = edges.a[keep[i]];
+      links[i * 2 + 1] = edges.b[keep[i]];
+    }
+    return { hubs: [], connections: [], links };
+  }
+
+  // Links are worked out for every new set of frame points; a set drawn
+  // again (paused, no float) reuses them, and reuseLinks() can hand them on
+  // to the next. Each entry keeps the positions they were made from.
+  const linkCache = new WeakMap();
+
+  const linkKey = (config) => `${config.connectionTopology}|${config.connectionDistance}|${config.connectionNeighbors}|${config.connectionMaxLines}`;
+
+  function cachedLinks(points, config) {
+    const key = linkKey(config);
+    const cached = linkCache.get(points);
+    if (cached && cached.key === key) return cached.connData;
+    const positions = new Float64Array(points.length * 3);
+    points.forEach((p, i) => {
+      positions[i * 3] = p.x;
+      positions[i * 3 + 1] = p.y;
+      positions[i * 3 + 2] = p.z;
+    });
+    const connData = linkParticles(points, config);
+    linkCache.set(points, { key, connData, positions });
+    return connData;
+  }
+
+  // For live views, before drawing `points` after `previous`: the same
+  // particles (same count and ids), none further than LINK_SLACK of
+  // connectionDistance from where the previous frame's links were made, keep
+  // those links. Lines still follow the particles and fade by their current
+  // length. One-off renders (exports, video frames) don't call it, so they
+  // always link exactly.
+  function reuseLinks(previous, points, config) {
+    if (!previous || previous === points || previous.length !== points.length || linkCache.has(points)) return;
+    const cached = linkCache.get(previous);
+    if (!cached || cached.key !== linkKey(config)) return;
+    const slack = LINK_SLACK * Math.max(0.01, config.connectionDistance || 0.25);
+    const { positions } = cached;
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      if (p.id !== previous[i].id) return;
+      const dx = p.x - positions[i * 3], dy = p.y - positions[i * 3 + 1], dz = p.z - positions[i * 3 + 2];
+      if (dx * dx + dy * dy + dz * dz > slack * slack) return;
+    }
+    linkCache.set(points, cached);
+  }
+
+  // How much of a link's opacity is left at its length: plexus lines fade
+  // out as they near connectionDistance
+  function linkFade(a, b, config) {
+    const radius = Math.max(0.01, config.connectionDistance || 0.25);
+    return Math.max(0, 1 - Math.sqrt(dist2(a, b)) / radius);
+  }
+
+  // Particle indices with at least one line, for highlightConnected
+  function connectedParticles(connData) {
+    const set = new Set();
+    if (!connData) return set;
+    for (const conn of connData.connections) set.add(conn.particleIdx);
+    if (connData.links) for (const idx of connData.links) set.add(idx);
+    return set;
+  }
+
+  function generateConnections(points, config) {
+    if (!config.connectionsEnabled || !points.length) {
+      return { hubs: [], connections: [] };
+    }
+    if (CONNECTION_TOPOLOGIES.includes(config.connectionTopology) && config.connectionTopology !== 'hubs') {
+      return cachedLinks(points, config);
+    }
+    const hubCount = config.hubCount || 3;
+    const placement = config.hubPlacement || 'mixed';
+
+    const rng = createRNG(config.seed, RNG_STREAMS.connections);
+
+    const hubs = [];
+    for (let i = 0; i < hubCount; i++) {
+      hubs.push(generateHubPosition(points, placement, i, rng));
+    }
+
+    const connData = { hubs, connections: selectConnections(points, hubs, config, rng) };
+    connectionSources.set(connData, points);
+    return connData;
+  }
+
+  function selectConnections(points, hubs, config, rng) {
+    const connectionsPerHub = config.connectionsPerHub || 15;
+    const distribution = config.connectionDistribution || 'nearest';
+    const spread = config.connectionSpread != null ? config.connectionSpread : 0.5;
     const focus = config.connectionFocus != null ? config.connectionFocus : 0.5;
 
-    const hubs = [];
-    for (let i = 0; i < hubCount; i++) {
-      hubs.push(generateHubPosition(points, placement, i));
+    const connections = [];
+    for (let h = 0; h < hubs.length; h++) {
+      const selected = selectParticlesForHub(
+        hubs[h], points, connectionsPerHub, distribution, spread, focus, rng
+      );
+      for (const idx of selected) {
+        connections.push({ particleIdx: idx, hubIdx: h, particleId: points[idx].id });
+      }
+    }
+    return connections;
+  }
+
+  // Connections as drawn at animation time `t` (seconds). Connections point
+  // at particles by index into the points they were made from. Voronoi frames
+  // change which samples are on a membrane, so there each particle is found
+  // again by `id`; connections whose particle is off the membranes this frame
+  // are left out. Plexus links are made again from the frame's points.
+  function frameConnections(points, connData, config, t = 0) {
+    if (connData && connData.links) return config ? cachedLinks(points, config) : connData;
+    if (!connData || connData.hubs.length === 0) return connData;
+    if (config && connectionsAnimated(config)) return animateConnections(points, connData, config, t);
+    const connections = matchParticles(points, connData.connections);
+    return connections === connData.connections ? connData : { hubs: connData.hubs, connections };
+  }
+
+  function matchParticles(points, connections) {
+    if (connections.length === 0 || connections[0].particleId == null) return connections;
+    const current = connections.every(c => points[c.particleIdx] && points[c.particleIdx].id === c.particleId);
+    if (current) return connections;
+    const index = new Map();
+    for (let i = 0; i < points.length; i++) index.set(points[i].id, i);
+    const matched = [];
+    for (const c of connections) {
+      const i = index.get(c.particleId);
+      if (i !== undefined) matched.push({ ...c, particleIdx: i });
+    }
+    return matched;
+  }
+
+  // ── Connection Animation ────────────────────────────────────────
+  // Hub connections can change over time:
+  //   connectionMotion  — none | orbit (hubs circle the vertical axis) |
+  //                       drift (hubs wander around where they were placed),
+  //                       at connectionMotionSpeed radians per second
+  //   connectionRelink  — every this many seconds each hub picks its particles
+  //                       again, from where it is by then; old lines fade out
+  //                       as the new ones fade in (0 = never)
+  //   connectionPulses  — a signal runs along each line from particle to hub,
+  //                       connectionPulseSpeed times a second, drawn in
+  //                       connectionPulseColor
+  // All of it is a function of `t` alone, so an export renders any moment
+  // exactly. With config.loopPeriod set, rates and the relink interval are
+  // rounded to whole cycles per period, so a seamless video loop closes.
+
+  const CONNECTION_MOTIONS = ['none', 'orbit', 'drift'];
+
+  const DRIFT_RADIUS = 0.3;   // how far a drifting hub wanders, in shape units
+  const RELINK_FADE = 0.3;    // share of each relink interval spent crossfading
+  const RELINK_CACHE = 4;     // selections kept per connection set, beyond a loop's
+
+  // The points each hub set was made from, so relinking picks from the same
+  // layout whichever frame asks first. Particles that come and go (voronoi,
+  // found by `id`) are picked from the frame's points instead, which a loop
+  // keeps for its whole period.
+  const connectionSources = new WeakMap();
+  const relinkCache = new WeakMap();
+
+  // Pulses are round whatever the particle glyph is
+  const PULSE_GLYPH = { type: 'circle', char: '', src: '' };
+
+  function connectionsAnimated(config) {
+    return config.connectionMotion === 'orbit' || config.connectionMotion === 'drift'
+      || config.connectionRelink > 0 || config.connectionPulses === true;
+  }
+
+  // Each hub has its own pace (±40%) and direction, so they don't move in
+  // lockstep; at t = 0 every hub is where it was generated
+  function hubsAt(hubs, config, t) {
+    const motion = config.connectionMotion;
+    if (motion !== 'orbit' && motion !== 'drift') return hubs;
+    const speed = config.connectionMotionSpeed ?? 0.3;
+    const period = config.loopPeriod;
+    const seed = Number(config.seed) || 0;
+    const vary = (h, k) => 0.6 + hashUnit(seed, h * 8 + k) * 0.8;
+    return hubs.map((hub, h) => {
+      if (motion === 'orbit') {
+        const a = t * loopFrequency(speed * vary(h, 0) * (h % 2 ? -1 : 1), period);
+        const cosA = Math.cos(a), sinA = Math.sin(a);
+        return { x: hub.x * cosA + hub.z * sinA, y: hub.y, z: -hub.x * sinA + hub.z * cosA };
+      }
+      const wander = (k) => {
+        const phase = hashUnit(seed, h * 8 + 4 + k) * Math.PI * 2;
+        return (Math.sin(t * loopFrequency(speed * vary(h, k + 1), period) + phase) - Math.sin(phase)) * DRIFT_RADIUS;
+      };
+      return { x: hub.x + wander(0), y: hub.y + wander(1), z: hub.z + wander(2) };
+    });
+  }
+
+  // Seconds between selections, and how many fit in config.loopPeriod (0
+  // without one)
+  function relinkInterval(config) {
+    const period = config.loopPeriod;
+    if (!(period > 0)) return { interval: config.connectionRelink, epochs: 0 };
+    const epochs = Math.max(1, Math.round(period / config.connectionRelink));
+    return { interval: period / epochs, epochs };
+  }
+
+  // Epoch 0 is the generated selection; later ones draw from their own stream
+  function epochConnections(points, connData, config, epoch, { interval, epochs }) {
+    if (epoch === 0) return connData.connections;
+    let cache = relinkCache.get(connData);
+    if (!cache) {
+      cache = new Map();
+      relinkCache.set(connData, cache);
+    }
+    const key = `${epoch}|${interval}|${config.connectionMotion}|${config.connectionMotionSpeed}|${config.loopPeriod}`;
+    let connections = cache.get(key);
+    if (!connections) {
+      const hubs = hubsAt(connData.hubs, config, epoch * interval);
+      const stored = connectionSources.get(connData);
+      const source = stored && !(points[0] && points[0].id != null) ? stored : points;
+      connections = selectConnections(source, hubs, config, createRNG(config.seed, RNG_STREAMS.relink + epoch));
+      cache.set(key, connections);
+      if (cache.size > RELINK_CACHE + epochs) cache.delete(cache.keys().next().value);
+    }
+    return connections;
+  }
+
+  // The current selection, crossfading from the previous one early in each
+  // interval. Lines in both stay at full strength.
+  function relinkConnections(points, connData, config, t) {
+    const timing = relinkInterval(config);
+    const { interval, epochs } = timing;
+    const k = Math.floor(t / interval);
+    const wrap = (e) => (epochs > 0 ? ((e % epochs) + epochs) % epochs : e);
+    const current = matchParticles(points, epochConnections(points, connData, config, wrap(k), timing));
+    const u = (t - k * interval) / (interval * RELINK_FADE);
+    if (u >= 1 || (epochs === 0 && k === 0)) return current;
+    const previous = matchParticles(points, epochConnections(points, connData, config, wrap(k - 1), timing));
+    const fade = u * u * (3 - 2 * u);
+    const keyOf = (c) => c.hubIdx * points.length + c.particleIdx;
+    const before = new Set(previous.map(keyOf));
+    const after = new Set(current.map(keyOf));
+    const connections = current.map(c => (before.has(keyOf(c)) ? c : { ...c, fade }));
+    for (const c of previous) {
+      if (!after.has(keyOf(c))) connections.push({ ...c, fade: 1 - fade });
+    }
+    return connections;
+  }
+
+  // Adds `pulse`, how far along the line (0 at the particle, 1 at the hub)
+  // its signal is, at a fixed offset per line
+  function withPulses(connections, config, t) {
+    const tau = Math.PI * 2;
+    const rate = loopFrequency((config.connectionPulseSpeed ?? 0.5) * tau, config.loopPeriod) / tau;
+    const seed = Number(config.seed) || 0;
+    return connections.map((c) => {
+      const offset = hashUnit(seed, (c.particleId ?? c.particleIdx) * 16 + c.hubIdx);
+      return { ...c, pulse: (t * rate + offset) % 1 };
+    });
+  }
+
+  // Reduced motion keeps the lines but leaves out the pulses, which would
+  // only be dots frozen along them
+  function animateConnections(points, connData, config, t) {
+    const hubs = hubsAt(connData.hubs, config, t);
+    let connections = config.connectionRelink > 0
+      ? relinkConnections(points, connData, config, t)
+      : matchParticles(points, connData.connections);
+    if (config.connectionPulses === true && !config.reducedMotion) connections = withPulses(connections, config, t);
+    return { hubs, connections };
+  }
+
+  // World positions of this frame's pulses, each with the `fade` of its line
+  function pulsePositions(points, connData) {
+    const pulses = [];
+    if (!connData || !connData.connections) return pulses;
+    for (const c of connData.connections) {
+      const p = points[c.particleIdx];
+      const hub = connData.hubs[c.hubIdx];
+      if (c.pulse == null || !p || !hub) continue;
+      pulses.push({
+        x: p.x + (hub.x - p.x) * c.pulse,
+        y: p.y + (hub.y - p.y) * c.pulse,
+        z: p.z + (hub.z - p.z) * c.pulse,
+        fade: c.fade ?? 1,
+      });
+    }
+    return pulses;
+  }
+
+  // Where the origin lands on a w × h view: the middle, moved by panX / panY
+  // (fractions of the shorter side, so a pan survives exporting at any size)
+  function viewCenter(w, h, config) {
+    const side = Math.min(w, h);
+    return [w / 2 + (config.panX || 0) * side, h / 2 + (config.panY || 0) * side];
+  }
+
+  function projectPoints(points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale) {
+    const cosA = Math.cos(rotX), sinA = Math.sin(rotX);
+    const cosB = Math.cos(rotY), sinB = Math.sin(rotY);
+    const cosC = Math.cos(rotZ), sinC = Math.sin(rotZ);
+    const result = new Array(points.length);
+
+    for (let i = 0; i < points.length; i++) {
+      let x = points[i].x * spacing;
+      let y = points[i].y * spacing;
+      let z = points[i].z * spacing;
+
+      let x1 = x * cosB + z * sinB;
+      let z1 = -x * sinB + z * cosB;
+      let y1 = y * cosA - z1 * sinA;
+      let z2 = y * sinA + z1 * cosA;
+      let x2 = x1 * cosC - y1 * sinC;
+      let y2 = x1 * sinC + y1 * cosC;
+
+      const scale = Number.isFinite(perspD) ? perspD / (perspD + z2) : 1;
+      result[i] = {
+        sx: cx + x2 * scale * worldScale,
+        sy: cy + y2 * scale * worldScale,
+        scale,
+        depth: z2,
+        origIdx: i,
+      };
+    }
+    return result;
+  }
+
+  function focalLengthToPerspD(focalMm) {
+    const t = (Math.max(24, Math.min(200, focalMm)) - 24) / 176;
+    return 12 + t * 488;
+  }
+
+  // ── Presets ────────────────────────────────────────────────────────
+  // Versioned project files shared by the editor, <particle-shape preset>
+  // and export.mjs:
+  //
+  //   { format: 'particle-shape', version: 1,
+  //     name:     'Network globe',                       — optional
+  //     config:   { shapeType, density, color, ... },    — PRESET_KEYS only, see presetValue
+  //     svg:      { name, pathDatas: [d, ...] } or { src },
+  //     mesh:     { src },                               — models aren't inlined
+  //     timeline: { duration, loop, keyframes } }
+  //
+  // Older files are upgraded one version at a time by PRESET_MIGRATIONS.
+
+  const PRESET_FORMAT = 'particle-shape';
+  const PRESET_VERSION = 1;
+
+  // Config keys a preset carries: the design, not loaded data or runtime state
+  const PRESET_KEYS = [
+    'shapeType', 'density', 'spacing', 'randomness', 'seed', 'spiralArms', 'extrudeDepth', 'snapToGrid', 'meshSampling',
+    'text', 'font', 'fontWeight', 'letterSpacing',
+    'voronoiMode', 'voronoiCells', 'voronoiMembraneWidth', 'voronoiSpeed', 'voronoiVariability',
+    'morphDuration', 'morphEasing', 'morphMatch',
+    'squareSize', 'glyph', 'glyphChar', 'glyphSrc', 'hubGlyph', 'hubGlyphChar', 'hubGlyphSrc',
+    'float', 'floatRadius', 'floatSpeed', 'floatVariability',
+    'cursorMode', 'cursorStrength', 'cursorRadius', 'cursorDamping',
+    'color', 'colorMode', 'gradientColor', 'colorAxis', 'palette', 'bgColor', 'pixelate', 'renderer', 'depthOpacity', 'depthSizing',
+    'lensType', 'focalLength', 'zoom', 'panX', 'panY', 'rotX', 'rotY', 'rotZ', 'autoRotate', 'rotSpeed',
+    'interactive', 'minPolarAngle', 'maxPolarAngle',
+    'connectionsEnabled', 'connectionTopology', 'connectionDistance', 'connectionNeighbors', 'connectionMaxLines',
+    'hubCount', 'connectionsPerHub', 'hubPlacement', 'connectionDistribution', 'connectionSpread', 'connectionFocus',
+    'connectionOpacity', 'connectionThickness', 'hubVisible', 'hubSize', 'connectionDepthOpacity',
+    'connectionMotion', 'connectionMotionSpeed', 'connectionRelink', 'connectionPulses', 'connectionPulseSpeed', 'connectionPulseColor',
+    'highlightConnected', 'nonConnectedColor', 'nonConnectedOpacity',
+  ];
+
+  // PRESET_MIGRATIONS[n] turns a version n file into version n + 1
+  const PRESET_MIGRATIONS = [
+    // 0: a bare config object, as export.mjs has always read, with the
+    // shape sources as svgSrc / meshSrc / svgPathDatas next to the keys
+    (doc) => {
+      const { svgSrc, svgPathDatas, meshSrc, timeline, ...config } = doc;
+      const next = { format: PRESET_FORMAT, version: 1, config };
+      if (Array.isArray(svgPathDatas)) next.svg = { pathDatas: svgPathDatas };
+      else if (svgSrc) next.svg = { src: svgSrc };
+      if (meshSrc) next.mesh = { src: meshSrc };
+      if (timeline) next.timeline = timeline;
+      return next;
+    },
+  ];
+
+  // `extras`: { name, timeline, svgPathDatas, svgName, meshSrc }
+  function createPreset(config, { name = '', timeline = null, svgPathDatas = [], svgName = '', meshSrc = '' } = {}) {
+    const preset = { format: PRESET_FORMAT, version: PRESET_VERSION, config: {} };
+    if (name) preset.name = name;
+    for (const key of PRESET_KEYS) {
+      const v = config[key];
+      if (v !== undefined) preset.config[key] = Array.isArray(v) ? [...v] : v;
+    }
+    if (svgPathDatas.length > 0) preset.svg = { name: svgName, pathDatas: [...svgPathDatas] };
+    if (meshSrc) preset.mesh = { src: meshSrc };
+    if (timeline && timeline.keyframes.length > 0) preset.timeline = timeline;
+    return preset;
+  }
+
+  // Accepts a preset object or its JSON text, of this or any earlier
+  // version; returns null when it isn't one. Files from a newer version are
+  // read as far as this one understands them.
+  function parsePreset(value) {
+    let doc = value;
+    if (typeof value === 'string') {
+      try {
+        doc = JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return null;
+    if ('format' in doc && doc.format !== PRESET_FORMAT) return null;
+
+    // Unversioned: the { config } wrapper arrived with version 1
+    let version = Number.isInteger(doc.version) && doc.version > 0 ? doc.version : doc.config ? 1 : 0;
+    for (; version < PRESET_VERSION; version++) doc = PRESET_MIGRATIONS[version](doc);
+
+    const config = {};
+    const source = doc.config && typeof doc.config === 'object' ? doc.config : {};
+    for (const key of PRESET_KEYS) {
+      if (!Object.hasOwn(source, key)) continue;
+      const v = presetValue(key, source[key]);
+      if (v !== undefined) config[key] = v;
+    }
+
+    const svg = doc.svg && typeof doc.svg === 'object' ? doc.svg : null;
+    const pathDatas = svg && Array.isArray(svg.pathDatas) ? svg.pathDatas.filter(d => typeof d === 'string') : [];
+    return {
+      version: doc.version,
+      name: typeof doc.name === 'string' ? doc.name : '',
+      config,
+      svg: svg && (pathDatas.length > 0 || svg.src)
+        ? { name: String(svg.name || ''), src: pathDatas.length > 0 ? '' : String(svg.src), pathDatas }
+        : null,
+      mesh: doc.mesh && doc.mesh.src ? { src: String(doc.mesh.src) } : null,
+      timeline: doc.timeline ? parseTimelineDocument(doc.timeline) : null,
+    };
+  }
+
+  // A preset's value for `key` as the matching attribute would read it, with
+  // numbers clamped to what the generators and renderers can take; undefined
+  // when it can't be read (rotSpeed: 'fast', a colour that isn't #rrggbb),
+  // which leaves the setting as it was
+  function presetValue(key, value) {
+    switch (key) {
+      case 'shapeType':              return typeof value === 'string' && value ? value : undefined;
+      case 'density':                return presetNumber(value, 1, 100000, true);
+      case 'spacing':                return presetNumber(value, 0.05, 10);
+      case 'randomness':             return presetNumber(value, 0, 1);
+      case 'seed':                   return value === null ? null : presetNumber(value, 0, 2 ** 32 - 1, true);
+      case 'spiralArms':             return presetNumber(value, 1, 32, true);
+      case 'extrudeDepth':           return presetNumber(value, 0, 10);
+      case 'meshSampling':           return presetOption(value, ['surface', 'vertices']);
+      case 'fontWeight':             return presetNumber(value, 1, 1000, true);
+      case 'letterSpacing':          return presetNumber(value, -1, 5);
+      case 'voronoiMode':            return presetOption(value, VORONOI_MODES);
+      case 'voronoiCells':           return presetNumber(value, 2, 200, true);
+      case 'voronoiMembraneWidth':   return presetNumber(value, 0, 1);
+      case 'voronoiSpeed':           return presetNumber(value, 0, 20);
+      case 'voronoiVariability':     return presetNumber(value, 0, 1);
+      case 'morphDuration':          return presetNumber(value, 0, 60000);
+      case 'morphEasing':            return typeof value === 'string' && Object.hasOwn(EASINGS, value) ? value : undefined;
+      case 'morphMatch':             return presetOption(value, ['nearest', 'index']);
+      case 'squareSize':             return presetNumber(value, 0.1, 100);
+      case 'glyph':                  return presetOption(value, GLYPHS);
+      case 'hubGlyph':               return value === '' ? '' : presetOption(value, GLYPHS);
+      case 'floatRadius':            return presetNumber(value, 0, 2);
+      case 'floatSpeed':             return presetNumber(value, 0, 20);
+      case 'floatVariability':       return presetNumber(value, 0, 1);
+      case 'cursorMode':             return presetOption(value, CURSOR_MODES);
+      case 'cursorStrength':         return presetNumber(value, -20, 20);
+      case 'cursorRadius':           return presetNumber(value, 1, 5000);
+      case 'cursorDamping':          return presetNumber(value, 0, 1);
+      case 'colorMode':              return presetOption(value, COLOR_MODES);
+      case 'colorAxis':              return presetOption(value, ['x', 'y', 'z']);
+      case 'palette': {
+        const palette = Array.isArray(value) ? parsePalette(value) : [];
+        return palette.length > 0 ? palette : undefined;
+      }
+      case 'bgColor':                return typeof value === 'string' && BG_COLOR.test(value.replace(/\s/g, '')) ? value : undefined;
+      case 'pixelate':               return presetNumber(value, 0, 256, true);
+      case 'renderer':               return presetOption(value, ['canvas', 'webgl']);
+      case 'lensType':               return presetOption(value, ['perspective', 'orthographic']);
+      case 'focalLength':            return presetNumber(value, 1, 1000);
+      case 'zoom':                   return presetNumber(value, 0.01, 100);
+      case 'panX': case 'panY':      return presetNumber(value, -100, 100);
+      case 'rotX': case 'rotY': case 'rotZ': return presetNumber(value, -Infinity, Infinity);
+      case 'rotSpeed':               return presetNumber(value, -1, 1);
+      case 'minPolarAngle': case 'maxPolarAngle': return presetNumber(value, -Math.PI, Math.PI);
+      case 'connectionTopology':     return presetOption(value, CONNECTION_TOPOLOGIES);
+      case 'connectionDistance':     return presetNumber(value, 0.001, 4);
+      case 'connectionNeighbors':    return presetNumber(value, 1, 32, true);
+      case 'connectionMaxLines':     return presetNumber(value, 0, 100000, true);
+      case 'hubCount':               return presetNumber(value, 1, 100, true);
+      case 'connectionsPerHub':      return presetNumber(value, 1, 10000, true);
+      case 'connectionSpread':       return presetNumber(value, 0, 1);
+      case 'connectionFocus':        return presetNumber(value, 0, 1);
+      case 'connectionOpacity':      return presetNumber(value, 0, 1);
+      case 'connectionThickness':    return presetNumber(value, 0, 20);
+      case 'hubSize':                return presetNumber(value, 0, 100);
+      case 'connectionMotion':       return presetOption(value, CONNECTION_MOTIONS);
+      case 'connectionMotionSpeed':  return presetNumber(value, -10, 10);
+      case 'connectionRelink':       return presetNumber(value, 0, 3600);
+      case 'connectionPulseSpeed':   return presetNumber(value, -10, 10);
+      case 'nonConnectedOpacity':    return presetNumber(value, 0, 1);
+      case 'color': case 'gradientColor': case 'connectionPulseColor': case 'nonConnectedColor':
+        return typeof value === 'string' && HEX_COLOR.test(value) ? value : undefined;
+      case 'snapToGrid': case 'float': case 'autoRotate': case 'depthOpacity': case 'depthSizing':
+      case 'connectionsEnabled': case 'hubVisible': case 'connectionDepthOpacity': case 'connectionPulses':
+      case 'highlightConnected':
+        return typeof value === 'boolean' ? value : undefined;
+      case 'text': case 'font': case 'glyphChar': case 'glyphSrc': case 'hubGlyphChar': case 'hubGlyphSrc':
+      case 'interactive': case 'hubPlacement': case 'connectionDistribution':
+        return typeof value === 'string' ? value : undefined;
+    }
+    // Otherwise a registered shape's param, read by its spec
+    const params = Object.values(shapeParams).find((p) => Object.hasOwn(p, key));
+    const spec = params ? params[key] : null;
+    switch (spec && spec.type) {
+      case 'range':    return presetNumber(value, spec.min ?? -Infinity, spec.max ?? Infinity);
+      case 'select':   return spec.options && spec.options.includes(value) ? value : undefined;
+      case 'checkbox': return typeof value === 'boolean' ? value : undefined;
+      case 'text':     return typeof value === 'string' ? value : undefined;
+      default:         return undefined;
+    }
+  }
+
+  // bgColor may also be see-through
+  const BG_COLOR = /^(#[0-9a-f]{6}|rgba\(\d+,\d+,\d+,[\d.]+\)|transparent)$/i;
+
+  // A finite number, or numeric text as an attribute would hold, clamped to
+  // [min, max] and rounded when `whole`
+  function presetNumber(value, min, max, whole = false) {
+    const num = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) return undefined;
+    const clamped = Math.min(max, Math.max(min, num));
+    return whole ? Math.round(clamped) : clamped;
+  }
+
+  function presetOption(value, options) {
+    return options.includes(value) ? value : undefined;
+  }
+
+  // `t` is the animation time in seconds, which animated connections follow
+  function renderFrame(ctx, w, h, points, config, t = 0) {
+    const bg = config.bgColor || '#0a0a0a';
+    if (bg === 'transparent') {
+      ctx.clearRect(0, 0, w, h);
+    } else {
+      if (bg.startsWith('rgba')) ctx.clearRect(0, 0, w, h);
+      ctx.fillStyle = bg;
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    const [cx, cy] = viewCenter(w, h, config);
+    const zoom = config.zoom || 1.0;
+    const worldScale = Math.min(w, h) * 0.35 * zoom;
+
+    const rotX = config.rotX || 0;
+    const rotY = config.rotY || 0;
+    const rotZ = config.rotZ || 0;
+    const perspD = config.lensType === 'orthographic'
+      ? Infinity
+      : focalLengthToPerspD(config.focalLength ?? 50);
+    const spacing = config.spacing || 1.0;
+
+    const projected = projectPoints(
+      points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+    );
+
+    const [cr, cg, cb] = hexToRGB(config.color || '#ffffff');
+    const colors = particleColors(points, config);
+    const squareSize = config.squareSize || 3;
+    const depthSizing = config.depthSizing !== false;
+    const depthOpacity = config.depthOpacity !== false;
+    const glyph = resolveGlyph(config);
+    const hubGlyph = resolveGlyph(config, true);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Build connected-particle set for highlight mode
+    const connData = frameConnections(points, config.connectionData, config, t);
+    const highlightConnected = config.highlightConnected === true;
+    let connectedSet = null;
+    if (highlightConnected && connData) {
+      connectedSet = connectedParticles(connData);
+      if (connectedSet.size === 0) connectedSet = null;
+    }
+
+    const [ncr, ncg, ncb] = hexToRGB(config.nonConnectedColor || '#404040');
+
+    const lineThickness = config.connectionThickness || 1;
+    const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
+    const useDepthOpacity = config.connectionDepthOpacity !== false;
+    const strokeLine = (pFrom, pTo, fade) => {
+      const avgScale = (pFrom.scale + pTo.scale) / 2;
+      const alpha = useDepthOpacity
+        ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
+        : baseOpacity;
+      const dynThickness = depthSizing ? lineThickness * avgScale : lineThickness;
+
+      ctx.strokeStyle = `rgba(${cr},${cg},${cb},${alpha * fade})`;
+      ctx.lineWidth = dynThickness;
+      ctx.beginPath();
+      ctx.moveTo(pFrom.sx, pFrom.sy);
+      ctx.lineTo(pTo.sx, pTo.sy);
+      ctx.stroke();
+    };
+    ctx.lineCap = 'round';
+
+    // Draw plexus links (before sort, as below)
+    if (connData && connData.links && connData.links.length > 0) {
+      const links = connData.links;
+      for (let i = 0; i < links.length; i += 2) {
+        const pFrom = projected[links[i]];
+        const pTo = projected[links[i + 1]];
+        if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+        const fade = linkFade(points[links[i]], points[links[i + 1]], config);
+        if (fade > 0) strokeLine(pFrom, pTo, fade);
+      }
+    }
+
+    // Draw connections (before sort so indices are intact, lines behind squares)
+    if (connData && connData.hubs.length > 0 && connData.connections.length > 0) {
+      const projectedHubs = projectPoints(
+        connData.hubs, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+      );
+
+      for (let i = 0; i < connData.connections.length; i++) {
+        const conn = connData.connections[i];
+        const pFrom = projected[conn.particleIdx];
+        const pTo = projectedHubs[conn.hubIdx];
+        if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+        strokeLine(pFrom, pTo, conn.fade ?? 1);
+      }
+
+      // Signal pulses, on top of their lines and under the hubs
+      const pulses = pulsePositions(points, connData);
+      if (pulses.length > 0) {
+        const [pr, pg, pb] = hexToRGB(config.connectionPulseColor || '#ffffff');
+        const pulseSize = lineThickness * 2 + 2;
+        const projectedPulses = projectPoints(pulses, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale);
+        for (let i = 0; i < projectedPulses.length; i++) {
+          const pP = projectedPulses[i];
+          if (pP.scale <= 0) continue;
+          const size = depthSizing ? pulseSize * pP.scale : pulseSize;
+          const alpha = (depthOpacity ? Math.max(0.1, Math.min(1.0, 0.3 + pP.scale * 0.7)) : 0.85) * pulses[i].fade;
+          ctx.fillStyle = `rgba(${pr},${pg},${pb},${alpha})`;
+          drawGlyph(ctx, PULSE_GLYPH, pP.sx, pP.sy, size, alpha);
+        }
+      }
+
+      if (config.hubVisible !== false) {
+        const hubSize = config.hubSize || 6;
+        for (let i = 0; i < projectedHubs.length; i++) {
+          const pH = projectedHubs[i];
+          if (pH.scale <= 0) continue;
+          const size = depthSizing ? hubSize * pH.scale : hubSize;
+          const alpha = depthOpacity
+            ? Math.max(0.1, Math.min(1.0, 0.3 + pH.scale * 0.7))
+            : 0.85;
+          ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
+          drawGlyph(ctx, hubGlyph, pH.sx, pH.sy, size, alpha);
+        }
+      }
+    }
+
+    // Sort by depth and draw particle squares
+    projected.sort((a, b) => b.depth - a.depth);
+
+    for (let i = 0; i < projected.length; i++) {
+      const p = projected[i];
+      if (p.scale <= 0) continue;
+
+      const size = depthSizing ? squareSize * p.scale : squareSize;
+
+      const alpha = depthOpacity
+        ? Math.max(0.05, Math.min(1.0, 0.3 + p.scale * 0.7))
+        : 0.85;
+
+      if (connectedSet && !connectedSet.has(p.origIdx)) {
+        ctx.fillStyle = `rgba(${ncr},${ncg},${ncb},${alpha})`;
+      } else if (colors) {
+        const [r, g, b] = colors[p.origIdx];
+        ctx.fillStyle = `rgba(${r},${g},${b},${alpha})`;
+      } else {
+        ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
+      }
+      drawGlyph(ctx, glyph, p.sx, p.sy, size, alpha);
+    }
+  }
+
+  // ── Expressions ────────────────────────────────────────────────────
+  // compileExpression('sin(u) * cos(v)', ['u', 'v']) parses a formula once
+  // into a tree of closures and returns fn(u, v). Nothing is eval'd: only
+  // numbers, the named variables, pi / tau / e, + - * / % ^ (or **), unary
+  // minus, parentheses and the functions in EXPRESSION_FUNCTIONS are
+  // understood. Anything else throws a SyntaxError with its position.
+
+  const EXPRESSION_FUNCTIONS = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs,
+    exp: Math.exp, log: Math.log, pow: Math.pow, min: Math.min, max: Math.max, hypot: Math.hypot,
+    floor: Math.floor, ceil: Math.ceil, round: Math.round, sign: Math.sign,
+  };
+  const VARIADIC_FUNCTIONS = ['min', 'max', 'hypot'];
+  const EXPRESSION_CONSTANTS = { pi: Math.PI, tau: Math.PI * 2, e: Math.E };
+
+  const EXPRESSION_TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]\w*)|(\*\*|[-+*/%^(),]))/iy;
+
+  function tokenizeExpression(source) {
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while (EXPRESSION_TOKEN.lastIndex < source.length) {
+      const at = EXPRESSION_TOKEN.lastIndex;
+      const m = EXPRESSION_TOKEN.exec(source);
+      if (!m) {
+        if (!source.slice(at).trim()) break;
+        const pos = at + source.slice(at).search(/\S/);
+        throw new SyntaxError(`Unexpected "${source[pos]}" at ${pos + 1}`);
+      }
+      const pos = EXPRESSION_TOKEN.lastIndex - m[0].trimStart().length;
+      if (m[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(m[1]), pos });
+      else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], pos });
+      else tokens.push({ type: 'op', value: m[3] === '**' ? '^' : m[3], pos });
+    }
+    return tokens;
+  }
+
+  function compileExpression(source, variables = ['u', 'v']) {
+    const text = String(source ?? '');
+    const tokens = tokenizeExpression(text);
+    let i = 0;
+
+    const peek = (op) => i < tokens.length && tokens[i].type === 'op' && tokens[i].value === op;
+    const fail = (message) => {
+      const pos = i < tokens.length ? tokens[i].pos + 1 : text.length + 1;
+      throw new SyntaxError(`${message} at ${pos}`);
+    };
+    const expect = (op) => {
+      if (!peek(op)) fail(`Expected "${op}"`);
+      i++;
+    };
+
+    // sum := product (('+' | '-') product)*
+    function sum() {
+      let left = product();
+      while (peek('+') || peek('-')) {
+        const op = tokens[i++].value;
+        const a = left, b = product();
+        left = op === '+' ? (s) => a(s) + b(s) : (s) => a(s) - b(s);
+      }
+      return left;
+    }
+
+    // product := unary (('*' | '/' | '%') unary)*
+    function product() {
+      let left = unary();
+      while (peek('*') || peek('/') || peek('%')) {
+        const op = tokens[i++].value;
+        const a = left, b = unary();
+        left = op === '*' ? (s) => a(s) * b(s) : op === '/' ? (s) => a(s) / b(s) : (s) => a(s) % b(s);
+      }
+      return left;
+    }
+
+    // unary := ('-' | '+') unary | power — so -2^2 is -(2^2)
+    function unary() {
+      if (peek('-')) {
+        i++;
+        const a = unary();
+        return (s) => -a(s);
+      }
+      if (peek('+')) {
+        i++;
+        return unary();
+      }
+      return power();
+    }
+
+    // power := atom ('^' unary)? — right-associative
+    function power() {
+      const base = atom();
+      if (!peek('^')) return base;
+      i++;
+      const exp = unary();
+      return (s) => Math.pow(base(s), exp(s));
+    }
+
+    function atom() {
+      const tok = tokens[i];
+      if (!tok) fail('Unexpected end');
+      if (tok.type === 'num') {
+        i++;
+        return () => tok.value;
+      }
+      if (peek('(')) {
+        i++;
+        const inner = sum();
+        expect(')');
+        return inner;
+      }
+      if (tok.type !== 'name') fail(`Unexpected "${tok.value}"`);
+      i++;
+      const name = tok.value.toLowerCase();
+      if (peek('(')) {
+        // Own keys only: no reaching Object.prototype through `constructor(...)`
+        const fn = Object.hasOwn(EXPRESSION_FUNCTIONS, name) ? EXPRESSION_FUNCTIONS[name] : null;
+        if (!fn) throw new SyntaxError(`Unknown function "${tok.value}" at ${tok.pos + 1}`);
+        i++;
+        const args = [];
+        if (!peek(')')) {
+          args.push(sum());
+          while (peek(',')) {
+            i++;
+            args.push(sum());
+          }
+        }
+        expect(')');
+        const arity = VARIADIC_FUNCTIONS.includes(name) ? args.length > 0 : args.length === fn.length;
+        if (!arity) throw new SyntaxError(`Wrong number of arguments to ${name}() at ${tok.pos + 1}`);
+        if (args.length === 1) {
+          const a = args[0];
+          return (s) => fn(a(s));
+        }
+        return (s) => fn(...args.map(a => a(s)));
+      }
+      const slot = variables.indexOf(tok.value);
+      if (slot >= 0) return (s) => s[slot];
+      if (Object.hasOwn(EXPRESSION_CONSTANTS, name)) {
+        const value = EXPRESSION_CONSTANTS[name];
+        return () => value;
+      }
+      throw new SyntaxError(`Unknown name "${tok.value}" at ${tok.pos + 1}`);
+    }
+
+    if (tokens.length === 0) throw new SyntaxError('Empty expression');
+    const root = sum();
+    if (i < tokens.length) fail(`Unexpected "${tokens[i].value}"`);
+    return (...values) => root(values);
+  }
+
+  // ── Shape Registry ─────────────────────────────────────────────────
+  // registerShape(name, generate, params) adds a shape next to the built-in
+  // ones. generate(n, config, rng) works like the generators above: n points
+  // in about [-1, 1], drawing randomness from `rng` so seeds reproduce.
+  // `params` describes the config keys it reads, so the editor can build its
+  // controls and <particle-shape> can read them from attributes:
+  //
+  //   { twist:   { type: 'range', label: 'Twist', min: 0, max: 5, step: 0.1, default: 1 },
+  //     profile: { type: 'select', options: ['round', 'flat'], default: 'round' },
+  //     capped:  { type: 'checkbox', default: false },
+  //     formula: { type: 'text', default: 'sin(u)' } }
+  //
+  // The attribute is the key in kebab-case (`twistAmount` → twist-amount)
+  // unless the spec names one with `attribute`. A `validate(value)` returning
+  // a message lets the editor flag text it can't use. Param keys are saved in
+  // presets like the built-in ones, so register before loading such presets.
+  //
+  // Built-in shapes can't be replaced (<particle-shape worker> would still
+  // generate the original), and params can't reuse a built-in config key or
+  // element attribute. Registering a shape's name again replaces it.
+
+  const PARAM_TYPES = ['range', 'select', 'checkbox', 'text'];
+
+  // Config keys the element, editor and worker keep beside the preset ones:
+  // loaded data, derived values and runtime state
+  const RUNTIME_KEYS = [
+    'perspectiveD', 'worker', 'motion', 'reducedMotion', 'points', 'connectionData',
+    'glyphImage', 'hubGlyphImage', '_bgHex', 'bgAlpha',
+    'svgOutline', 'svgPath', 'svgPath2D', '_svgNorm', 'svgFileName', 'svgPathDatas', 'svgSrc',
+    'textOutline', 'textPath', 'textPath2D', '_textNorm',
+    'meshData', 'meshFileName', 'meshSrc', 'timeline',
+  ];
+
+  // Keys that would reach Object.prototype rather than add an entry
+  const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+  // Taken before any shape registers, so params only collide with these
+  const BUILTIN_CONFIG_KEYS = new Set([...PRESET_KEYS, ...RUNTIME_KEYS, ...UNSAFE_KEYS]);
+
+  // The element's own attributes, which <particle-shape> reserves on load
+  const reservedAttributes = new Set();
+
+  function reserveAttributes(names) {
+    for (const name of names) reservedAttributes.add(name);
+  }
+
+  // Shape name → params, for every shape added through registerShape()
+  const shapeParams = {};
+
+  // The params of a registered shape, else null. Own keys only, so a name like
+  // `constructor` finds nothing
+  function paramsOfShape(shapeType) {
+    return Object.hasOwn(shapeParams, shapeType) ? shapeParams[shapeType] : null;
+  }
+
+  function registerShape(name, generate, params = {}) {
+    if (typeof name !== 'string' || !name) throw new TypeError('registerShape: name must be a non-empty string');
+    if (BUILTIN_SHAPES.includes(name) || UNSAFE_KEYS.includes(name)) {
+      throw new TypeError(`registerShape: "${name}" is a built-in shape`);
+    }
+    if (typeof generate !== 'function') throw new TypeError(`registerShape: the generator for "${name}" must be a function`);
+    for (const [key, spec] of Object.entries(params)) {
+      if (!spec || !PARAM_TYPES.includes(spec.type)) {
+        throw new TypeError(`registerShape: param "${key}" of "${name}" needs a type (${PARAM_TYPES.join(', ')})`);
+      }
+      if (BUILTIN_CONFIG_KEYS.has(key)) {
+        throw new TypeError(`registerShape: param "${key}" of "${name}" is a built-in config key`);
+      }
+      const attribute = paramAttribute(key, spec);
+      if (reservedAttributes.has(attribute)) {
+        throw new TypeError(`registerShape: param "${key}" of "${name}" uses the built-in attribute "${attribute}"`);
+      }
+    }
+    addShape(name, generate, params);
+  }
+
+  function addShape(name, generate, params) {
+    generators[name] = generate;
+    shapeParams[name] = params;
+    for (const key of Object.keys(params)) if (!PRESET_KEYS.includes(key)) PRESET_KEYS.push(key);
+  }
+
+  // Whether some registered shape reads `key`
+  function isShapeParam(key) {
+    return Object.values(shapeParams).some((params) => Object.hasOwn(params, key));
+  }
+
+  function paramAttribute(key, spec) {
+    return spec.attribute || key.replace(/[A-Z]/g, (ch) => '-' + ch.toLowerCase());
+  }
+
+  // Attribute string (null when removed) → config value, as the built-in
+  // attributes parse: bad or missing values fall back to the default
+  function parseParamAttribute(spec, value) {
+    switch (spec.type) {
+      case 'range': {
+        const num = parseFloat(value);
+        return Number.isFinite(num) ? num : spec.default;
+      }
+      case 'checkbox': return value !== 'false' && value !== null;
+      case 'select':   return spec.options && spec.options.includes(value) ? value : spec.default;
+      default:         return value ?? spec.default;
+    }
+  }
+
+  // The config with defaults filled in for the shape's params it doesn't set
+  function withParamDefaults(config) {
+    const params = paramsOfShape(config.shapeType);
+    if (!params) return config;
+    let filled = config;
+    for (const [key, spec] of Object.entries(params)) {
+      if (filled[key] !== undefined || spec.default === undefined) continue;
+      if (filled === config) filled = { ...config };
+      filled[key] = spec.default;
+    }
+    return filled;
+  }
+
+  // '' while the shape's params all pass their validate(), else the first
+  // one's message with its label, e.g. why a formula doesn't parse
+  function shapeError(config) {
+    const params = paramsOfShape(config.shapeType);
+    if (!params) return '';
+    const filled = withParamDefaults(config);
+    for (const [key, spec] of Object.entries(params)) {
+      const message = spec.validate ? spec.validate(filled[key]) : '';
+      if (message) return `${spec.label || key}: ${message}`;
+    }
+    return '';
+  }
+
+  // parametric: x(u, v), y(u, v), z(u, v) over an even u × v grid with both
+  // running 0 → 2π, scaled so the furthest point sits on the unit sphere.
+  // A formula that doesn't parse gives no points; shapeError() says why.
+  function generateParametric(n, config) {
+    let fx, fy, fz;
+    try {
+      fx = compileExpression(config.parametricX);
+      fy = compileExpression(config.parametricY);
+      fz = compileExpression(config.parametricZ);
+    } catch (e) {
+      return [];
+    }
+    const cols = Math.max(1, Math.ceil(Math.sqrt(n)));
+    const rows = Math.max(1, Math.ceil(n / cols));
+    const points = [];
+    let maxR = 0;
+    for (let i = 0; i < n; i++) {
+      // Cell centres, so closed surfaces don't double up along the seam
+      const u = ((i % cols) + 0.5) / cols * Math.PI * 2;
+      const v = (Math.floor(i / cols) + 0.5) / rows * Math.PI * 2;
+      const x = fx(u, v), y = fy(u, v), z = fz(u, v);
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+      maxR = Math.max(maxR, Math.hypot(x, y, z));
+      points.push({ x, y, z });
+    }
+    if (maxR > 0) {
+      for (const p of points) {
+        p.x /= maxR;
+        p.y /= maxR;
+        p.z /= maxR;
+      }
+    }
+    return points;
+  }
+
+  // '' for a formula that compiles, else why it doesn't
+  function expressionError(source) {
+    try {
+      compileExpression(source);
+      return '';
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  addShape('parametric', generateParametric, {
+    parametricX: { type: 'text', label: 'x(u, v)', default: 'u / pi - 1', validate: expressionError },
+    parametricY: { type: 'text', label: 'y(u, v)', default: '0.25 * sin(3 * u) * cos(2 * v)', validate: expressionError },
+    parametricZ: { type: 'text', label: 'z(u, v)', default: 'v / pi - 1', validate: expressionError },
+  });
+
+  // Shapes this file provides, which <particle-shape worker> can generate in
+  // its worker; registered ones are generated on the page and posted over
+  const BUILTIN_SHAPES = Object.freeze(Object.keys(generators));
+
+  // ── Vector Output ────────────────────────────────────────────────────
+  // Vector counterpart to renderFrame: same projection, colours and depth
+  // rules, as a flat list of lines and marks (`rects`, each with the bounding
+  // square and glyph of a particle or hub) that renderSVG (and the PDF writer
+  // in particle-export.js) serialise. With pixelate, the scene is laid
+  // out on the coarse grid (as the raster path does) and snapped to whole
+  // units; the caller scales it back up by `block`.
+
+  function buildVectorScene(w, h, points, config, t = 0) {
+    const block = config.pixelate > 1 ? config.pixelate : 1;
+    const vw = Math.max(1, Math.round(w / block));
+    const vh = Math.max(1, Math.round(h / block));
+    const snap = block > 1 ? Math.round : (v) => v;
+    const snapSize = block > 1 ? (v) => Math.max(1, Math.round(v)) : (v) => v;
+
+    const [cx, cy] = viewCenter(vw, vh, config);
+    const zoom = config.zoom || 1.0;
+    const worldScale = Math.min(vw, vh) * 0.35 * zoom;
+
+    const rotX = config.rotX || 0;
+    const rotY = config.rotY || 0;
+    const rotZ = config.rotZ || 0;
+    const useOrthographic = config.lensType === 'orthographic';
+    const perspD = useOrthographic ? Infinity : focalLengthToPerspD(config.focalLength ?? 50);
+    const spacing = config.spacing || 1.0;
+
+    const projected = projectPoints(
+      points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+    );
+
+    const color = hexToRGB(config.color || '#ffffff');
+    const nonConnectedColor = hexToRGB(config.nonConnectedColor || '#404040');
+    const colors = particleColors(points, config);
+    const squareSize = config.squareSize || 3;
+    const depthSizing = config.depthSizing !== false;
+    const depthOpacity = config.depthOpacity !== false;
+    const connData = frameConnections(points, config.connectionData, config, t);
+
+    let connectedSet = null;
+    if (config.highlightConnected === true && connData) {
+      connectedSet = connectedParticles(connData);
+      if (connectedSet.size === 0) connectedSet = null;
+    }
+
+    const glyph = resolveGlyph(config);
+    const hubGlyph = config.hubGlyph ? resolveGlyph(config, true) : glyph;
+
+    const lines = [];
+    const rects = [];
+    const addRect = (sx, sy, size, rgb, alpha, g) => {
+      rects.push({ x: snap(sx - size / 2), y: snap(sy - size / 2), size: snapSize(size), color: rgb, alpha, glyph: g });
+    };
+
+    const lineThickness = config.connectionThickness || 1;
+    const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
+    const useDepthOpacity = config.connectionDepthOpacity !== false;
+    const addLine = (pFrom, pTo, fade) => {
+      const avgScale = (pFrom.scale + pTo.scale) / 2;
+      const alpha = useDepthOpacity
+        ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
+        : baseOpacity;
+      const thickness = depthSizing ? lineThickness * avgScale : lineThickness;
+      lines.push({ x1: pFrom.sx, y1: pFrom.sy, x2: pTo.sx, y2: pTo.sy, width: thickness, color, alpha: alpha * fade });
+    };
+
+    // Plexus links, fading out with length
+    if (connData && connData.links && connData.links.length > 0) {
+      const links = connData.links;
+      for (let i = 0; i < links.length; i += 2) {
+        const pFrom = projected[links[i]];
+        const pTo = projected[links[i + 1]];
+        if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+        const fade = linkFade(points[links[i]], points[links[i + 1]], config);
+        if (fade > 0) addLine(pFrom, pTo, fade);
+      }
+    }
+
+    // Connection lines + hub squares (before sort, so indices are intact)
+    if (connData && connData.hubs.length > 0 && connData.connections.length > 0) {
+      const projectedHubs = projectPoints(
+        connData.hubs, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
+      );
+
+      for (const conn of connData.connections) {
+        const pFrom = projected[conn.particleIdx];
+        const pTo = projectedHubs[conn.hubIdx];
+        if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+        addLine(pFrom, pTo, conn.fade ?? 1);
+      }
+
+      const pulses = pulsePositions(points, connData);
+      if (pulses.length > 0) {
+        const pulseColor = hexToRGB(config.connectionPulseColor || '#ffffff');
+        const pulseSize = lineThickness * 2 + 2;
+        const projectedPulses = projectPoints(pulses, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale);
+        for (let i = 0; i < projectedPulses.length; i++) {
+          const pP = projectedPulses[i];
+          if (pP.scale <= 0) continue;
+          const size = depthSizing ? pulseSize * pP.scale : pulseSize;
+          const a = depthOpacity
+            ? Math.max(0.1, Math.min(1.0, 0.3 + pP.scale * 0.7))
+            : 0.85;
+          addRect(pP.sx, pP.sy, size, pulseColor, a * pulses[i].fade, PULSE_GLYPH);
+        }
+      }
+
+      if (config.hubVisible !== false) {
+        const hubSize = config.hubSize || 6;
+        for (const pH of projectedHubs) {
+          if (pH.scale <= 0) continue;
+          const size = depthSizing ? hubSize * pH.scale : hubSize;
+          const a = depthOpacity
+            ? Math.max(0.1, Math.min(1.0, 0.3 + pH.scale * 0.7))
+            : 0.85;
+          addRect(pH.sx, pH.sy, size, color, a, hubGlyph);
+        }
+      }
+    }
+
+    // Now sort for particle rects
+    projected.sort((a, b) => b.depth - a.depth);
+
+    for (const p of projected) {
+      if (p.scale <= 0) continue;
+      const size = depthSizing ? squareSize * p.scale : squareSize;
+      const alpha = depthOpacity
+        ? Math.max(0.05, Math.min(1.0, 0.3 + p.scale * 0.7))
+        : 0.85;
+      const useNonConnected = connectedSet && !connectedSet.has(p.origIdx);
+      const rgb = useNonConnected ? nonConnectedColor : colors ? colors[p.origIdx] : color;
+      addRect(p.sx, p.sy, size, rgb, alpha, glyph);
+    }
+
+    const bg = config.bgColor || '#0a0a0a';
+    return {
+      width: w,
+      height: h,
+      viewWidth: vw,
+      viewHeight: vh,
+      block,
+      background: bg === 'transparent' ? null : bg,
+      lines,
+      rects,
+    };
+  }
+
+  const escapeXML = (s) => String(s).replace(/[<>&"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+  // Unit-box (-0.5..0.5) markup for a <symbol>; filled shapes take the fill
+  // of the <use> that places them
+  function glyphSymbolMarkup(glyph) {
+    const pt = ([x, y]) => `${+x.toFixed(4)} ${+y.toFixed(4)}`;
+    switch (glyph.type) {
+      case 'circle':
+        return '<circle r="0.5"/>';
+      case 'ring': {
+        const i = RING_INNER / 2;
+        return `<path fill-rule="evenodd" d="M0.5 0A0.5 0.5 0 1 0 -0.5 0A0.5 0.5 0 1 0 0.5 0ZM${i} 0A${i} ${i} 0 1 0 ${-i} 0A${i} ${i} 0 1 0 ${i} 0Z"/>`;
+      }
+      case 'diamond':
+      case 'cross':
+        return `<path d="M${GLYPH_POLYGONS[glyph.type].map(pt).join('L')}Z"/>`;
+      case 'char':
+        return `<text font-size="1" font-family="sans-serif" text-anchor="middle" dominant-baseline="central">${escapeXML(glyph.char)}</text>`;
+      case 'sprite':
+        return `<image xlink:href="${escapeXML(glyph.src)}" x="-0.5" y="-0.5" width="1" height="1"/>`;
+    }
+    return '<rect x="-0.5" y="-0.5" width="1" height="1"/>';
+  }
+
+  // Standalone SVG document string for the scene above. Squares stay plain
+  // <rect>s; other glyphs are defined once as a <symbol> and placed with <use>.
+  function renderSVG(w, h, points, config, t = 0) {
+    const scene = buildVectorScene(w, h, points, config, t);
+    const num = scene.block > 1 ? (v) => String(v) : (v) => v.toFixed(1);
+
+    let body = '';
+    for (const l of scene.lines) {
+      const [r, g, b] = l.color;
+      body += `  <line x1="${l.x1.toFixed(1)}" y1="${l.y1.toFixed(1)}" x2="${l.x2.toFixed(1)}" y2="${l.y2.toFixed(1)}" stroke="rgba(${r},${g},${b},${l.alpha.toFixed(2)})" stroke-width="${l.width.toFixed(1)}" stroke-linecap="round"/>\n`;
+    }
+    const symbols = new Map();
+    let defs = '';
+    for (const q of scene.rects) {
+      const [r, g, b] = q.color;
+      const paint = q.glyph.type === 'sprite'
+        ? `opacity="${q.alpha.toFixed(2)}"`
+        : `fill="rgba(${r},${g},${b},${q.alpha.toFixed(2)})"`;
+      if (q.glyph.type === 'square') {
+        body += `  <rect x="${num(q.x)}" y="${num(q.y)}" width="${num(q.size)}" height="${num(q.size)}" ${paint}/>\n`;
+        continue;
+      }
+      const key = `${q.glyph.type}|${q.glyph.char}|${q.glyph.src}`;
+      let id = symbols.get(key);
+      if (!id) {
+        id = `g${symbols.size}`;
+        symbols.set(key, id);
+        defs += `    <symbol id="${id}" viewBox="-0.5 -0.5 1 1" overflow="visible">${glyphSymbolMarkup(q.glyph)}</symbol>\n`;
+      }
+      body += `  <use xlink:href="#${id}" x="${num(q.x)}" y="${num(q.y)}" width="${num(q.size)}" height="${num(q.size)}" ${paint}/>\n`;
+    }
+    if (defs) body = `  <defs>\n${defs}  </defs>\n${body}`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg"${defs ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ''} width="${w}" height="${h}" viewBox="0 0 ${scene.viewWidth} ${scene.viewHeight}"${scene.block > 1 ? ' shape-rendering="crispEdges"' : ''}>
+  ${scene.background ? `<rect width="100%" height="100%" fill="${scene.background}"/>` : ''}
+${body}</svg>`;
+  }
+
+  // ── SVG Parser ───────────────────────────────────────────────────
+
+  function parseSVGFile(svgText) {
+    // Workers have no document — use the string-based parser there
+    if (typeof document === 'undefined') return parseSVGText(svgText);
+
+    const container = document.createElement('div');
+    container.innerHTML = svgText;
+    const svgEl = container.querySelector('svg');
+    if (!svgEl) return null;
+
+    const tempSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    tempSVG.style.position = 'absolute';
+    tempSVG.style.left = '-9999px';
+    tempSVG.style.width = '0';
+    tempSVG.style.height = '0';
+    document.body.appendChild(tempSVG);
+
+    const geoTags = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+    const elements = [];
+    for (const tag of geoTags) {
+      elements.push(...svgEl.querySelectorAll(tag));
+    }
+
+    if (elements.length === 0) {
+      document.body.removeChild(tempSVG);
+      return null;
+    }
+
+    const rawPoints = [];
+    const pathDatas = [];
+
+    for (const el of elements) {
+      const clone = el.cloneNode(true);
+      tempSVG.appendChild(clone);
+
+      if (typeof clone.getTotalLength === 'function') {
+        const len = clone.getTotalLength();
+        const sampleCount = Math.max(50, Math.ceil(len / 2));
+        for (let i = 0; i < sampleCount; i++) {
+          const pt = clone.getPointAtLength((i / sampleCount) * len);
+          rawPoints.push({ x: pt.x, y: pt.y });
+        }
+      }
+
+      if (el.tagName === 'path' && el.getAttribute('d')) {
+        pathDatas.push(el.getAttribute('d'));
+      } else if (el.tagName === 'rect') {
+        const rx = parseFloat(el.getAttribute('x') || 0);
+        const ry = parseFloat(el.getAttribute('y') || 0);
+        const rw = parseFloat(el.getAttribute('width') || 0);
+        const rh = parseFloat(el.getAttribute('height') || 0);
+        pathDatas.push(`M${rx},${ry} L${rx+rw},${ry} L${rx+rw},${ry+rh} L${rx},${ry+rh} Z`);
+      } else if (el.tagName === 'circle') {
+        const ccx = parseFloat(el.getAttribute('cx') || 0);
+        const ccy = parseFloat(el.getAttribute('cy') || 0);
+        const cr = parseFloat(el.getAttribute('r') || 0);
+        pathDatas.push(`M${ccx-cr},${ccy} A${cr},${cr} 0 1,0 ${ccx+cr},${ccy} A${cr},${cr} 0 1,0 ${ccx-cr},${ccy} Z`);
+      } else if (el.tagName === 'ellipse') {
+        const ecx = parseFloat(el.getAttribute('cx') || 0);
+        const ecy = parseFloat(el.getAttribute('cy') || 0);
+        const erx = parseFloat(el.getAttribute('rx') || 0);
+        const ery = parseFloat(el.getAttribute('ry') || 0);
+        pathDatas.push(`M${ecx-erx},${ecy} A${erx},${ery} 0 1,0 ${ecx+erx},${ecy} A${erx},${ery} 0 1,0 ${ecx-erx},${ecy} Z`);
+      } else if (el.tagName === 'polygon') {
+        const pts = el.getAttribute('points');
+        if (pts) pathDatas.push(`M${pts} Z`);
+      }
+
+      tempSVG.removeChild(clone);
+    }
+
+    document.body.removeChild(tempSVG);
+
+    return normalizeSVGSamples(rawPoints, pathDatas);
+  }
+
+  // Shared tail of both SVG parsers: centre the sampled outline, scale it into
+  // [-1, 1] and build the Path2D used for interior hit-testing.
+  function normalizeSVGSamples(rawPoints, pathDatas) {
+    if (rawPoints.length === 0) return null;
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const p of rawPoints) {
+      if (p.x < minX) minX = p.x;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.y > maxY) maxY = p.y;
+    }
+    const rangeX = maxX - minX || 1;
+    const rangeY = maxY - minY || 1;
+    const maxRange = Math.max(rangeX, rangeY);
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+
+    const outline = rawPoints.map(p => ({
+      x: ((p.x - centerX) / maxRange) * 2,
+      y: ((p.y - centerY) / maxRange) * 2,
+    }));
+
+    let svgPath2D = null;
+    let svgNorm = null;
+    if (pathDatas.length > 0) {
+      if (typeof Path2D !== 'undefined') svgPath2D = new Path2D(pathDatas.join(' '));
+      svgNorm = { centerX, centerY, maxRange };
+    }
+
+    return { outline, svgPath2D, svgNorm, pathDatas };
+  }
+
+  // DOM-free variant of parseSVGFile. Elements are found with a regex scan
+  // and outlines sampled from our own path flattener instead of
+  // getPointAtLength, so results match the DOM parser closely but not
+  // bit-for-bit.
+  function parseSVGText(svgText) {
+    if (!/<svg[\s>]/i.test(svgText)) return null;
+
+    const geoTags = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+    const rawPoints = [];
+    const pathDatas = [];
+    let found = 0;
+
+    for (const tag of geoTags) {
+      const re = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+      let m;
+      while ((m = re.exec(svgText)) !== null) {
+        found++;
+        const attrs = parseSVGAttributes(m[1]);
+        const d = shapeToPathData(tag, attrs);
+        if (!d) continue;
+
+        const segs = flattenPathData(d);
+        const len = segs.reduce((sum, s) => sum + s[4], 0);
+        const sampleCount = Math.max(50, Math.ceil(len / 2));
+        let si = 0, segStart = 0;
+        for (let i = 0; i < sampleCount && segs.length > 0; i++) {
+          const target = (i / sampleCount) * len;
+          while (si < segs.length - 1 && segStart + segs[si][4] < target) {
+            segStart += segs[si][4];
+            si++;
+          }
+          const [x1, y1, x2, y2, sl] = segs[si];
+          const t = sl > 0 ? Math.min(1, (target - segStart) / sl) : 0;
+          rawPoints.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t });
+        }
+
+        // Same rule as the DOM parser: open shapes contribute outline only
+        if (tag !== 'line' && tag !== 'polyline') pathDatas.push(d);
+      }
+    }
+
+    if (found === 0) return null;
+    return normalizeSVGSamples(rawPoints, pathDatas);
+  }
+
+  function parseSVGAttributes(str) {
+    const attrs = {};
+    const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(str)) !== null) attrs[m[1]] = m[2] != null ? m[2] : m[3];
+    return attrs;
+  }
+
+  function shapeToPathData(tag, a) {
+    const num = (v) => parseFloat(v || 0);
+    switch (tag) {
+      case 'path':
+        return a.d || null;
+      case 'rect': {
+        const rx = num(a.x), ry = num(a.y), rw = num(a.width), rh = num(a.height);
+        return `M${rx},${ry} L${rx+rw},${ry} L${rx+rw},${ry+rh} L${rx},${ry+rh} Z`;
+      }
+      case 'circle': {
+        const ccx = num(a.cx), ccy = num(a.cy), cr = num(a.r);
+        return `M${ccx-cr},${ccy} A${cr},${cr} 0 1,0 ${ccx+cr},${ccy} A${cr},${cr} 0 1,0 ${ccx-cr},${ccy} Z`;
+      }
+      case 'ellipse': {
+        const ecx = num(a.cx), ecy = num(a.cy), erx = num(a.rx), ery = num(a.ry);
+        return `M${ecx-erx},${ecy} A${erx},${ery} 0 1,0 ${ecx+erx},${ecy} A${erx},${ery} 0 1,0 ${ecx-erx},${ecy} Z`;
+      }
+      case 'polygon':
+        return a.points ? `M${a.points} Z` : null;
+      case 'polyline':
+        return a.points ? `M${a.points}` : null;
+      case 'line':
+        return `M${num(a.x1)},${num(a.y1)} L${num(a.x2)},${num(a.y2)}`;
+    }
+    return null;
+  }
+
+  // Flattens SVG path data into straight segments [x1, y1, x2, y2, length].
+  // Curves are subdivided uniformly; arcs follow the SVG spec's
+  // endpoint-to-centre conversion.
+  const PATH_NUM_RE = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+
+  function flattenPathData(d) {
+    const segs = [];
+    const CURVE_STEPS = 16;
+    let i = 0;
+    let x = 0, y = 0, sx = 0, sy = 0;
+    let cpx = 0, cpy = 0, lastCmd = '';
+
+    const skip = () => { while (i < d.length && /[\s,]/.test(d[i])) i++; };
+    const num = () => {
+      skip();
+      PATH_NUM_RE.lastIndex = i;
+      const m = PATH_NUM_RE.exec(d);
+      if (!m) return NaN;
+      i += m[0].length;
+      return parseFloat(m[0]);
+    };
+    // Arc flags may be packed without separators ("a1 1 0 01 5 5")
+    const flag = () => { skip(); const c = d[i++]; return c === '1' ? 1 : c === '0' ? 0 : NaN; };
+    const finite = (...v) => v.every(Number.isFinite);
+    const lineTo = (nx, ny) => {
+      const dx = nx - x, dy = ny - y;
+      segs.push([x, y, nx, ny, Math.sqrt(dx * dx + dy * dy)]);
+      x = nx; y = ny;
+    };
+    const cubic = (x1, y1, x2, y2, ex, ey) => {
+      const x0 = x, y0 = y;
+      for (let s = 1; s <= CURVE_STEPS; s++) {
+        const t = s / CURVE_STEPS, mt = 1 - t;
+        lineTo(
+          mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * ex,
+          mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * ey
+        );
+      }
+    };
+    const quad = (x1, y1, ex, ey) => {
+      const x0 = x, y0 = y;
+      for (let s = 1; s <= CURVE_STEPS; s++) {
+        const t = s / CURVE_STEPS, mt = 1 - t;
+        lineTo(mt * mt * x0 + 2 * mt * t * x1 + t * t * ex, mt * mt * y0 + 2 * mt * t * y1 + t * t * ey);
+      }
+    };
+    const arc = (rx, ry, phiDeg, fa, fs, ex, ey) => {
+      rx = Math.abs(rx); ry = Math.abs(ry);
+      if (rx === 0 || ry === 0 || (ex === x && ey === y)) { lineTo(ex, ey); return; }
+      const phi = phiDeg * Math.PI / 180;
+      const cosP = Math.cos(phi), sinP = Math.sin(phi);
+      const dx = (x - ex) / 2, dy = (y - ey) / 2;
+      const x1p = cosP * dx + sinP * dy;
+      const y1p = -sinP * dx + cosP * dy;
+      const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+      if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+      const num2 = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+      const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+      let coef = Math.sqrt(Math.max(0, num2 / den));
+      if (fa === fs) coef = -coef;
+      const cxp = coef * (rx * y1p) / ry;
+      const cyp = coef * -(ry * x1p) / rx;
+      const ccx = cosP * cxp - sinP * cyp + (x + ex) / 2;
+      const ccy = sinP * cxp + cosP * cyp + (y + ey) / 2;
+      const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      const th1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+      let dth = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+      if (!fs && dth > 0) dth -= Math.PI * 2;
+      else if (fs && dth < 0) dth += Math.PI * 2;
+      const steps = Math.max(4, Math.ceil(Math.abs(dth) / (Math.PI / 16)));
+      for (let s = 1; s <= steps; s++) {
+        const t = th1 + (dth * s) / steps;
+        const px = rx * Math.cos(t), py = ry * Math.sin(t);
+        if (s === steps) lineTo(ex, ey);
+        else lineTo(ccx + px * cosP - py * sinP, ccy + px * sinP + py * cosP);
+      }
+    };
+
+    let cmd = '';
+    while (true) {
+      skip();
+      if (i >= d.length) break;
+      if (/[a-zA-Z]/.test(d[i])) cmd = d[i++];
+      else if (!cmd) break;
+
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? x : 0, oy = rel ? y : 0;
+      const upper = cmd.toUpperCase();
+
+      if (upper === 'M') {
+        const nx = num() + ox, ny = num() + oy;
+        if (!finite(nx, ny)) break;
+        x = sx = nx; y = sy = ny;
+        cmd = rel ? 'l' : 'L'; // further pairs are implicit lineto
+      } else if (upper === 'L') {
+        const nx = num() + ox, ny = num() + oy;
+        if (!finite(nx, ny)) break;
+        lineTo(nx, ny);
+      } else if (upper === 'H') {
+        const nx = num() + ox;
+        if (!finite(nx)) break;
+        lineTo(nx, y);
+      } else if (upper === 'V') {
+        const ny = num() + oy;
+        if (!finite(ny)) break;
+        lineTo(x, ny);
+      } else if (upper === 'C' || upper === 'S') {
+        let x1, y1;
+        if (upper === 'C') { x1 = num() + ox; y1 = num() + oy; }
+        else if (lastCmd === 'C' || lastCmd === 'S') { x1 = 2 * x - cpx; y1 = 2 * y - cpy; }
+        else { x1 = x; y1 = y; }
+        const x2 = num() + ox, y2 = num() + oy, ex = num() + ox, ey = num() + oy;
+        if (!finite(x1, y1, x2, y2, ex, ey)) break;
+        cubic(x1, y1, x2, y2, ex, ey);
+        cpx = x2; cpy = y2;
+      } else if (upper === 'Q' || upper === 'T') {
+        let x1, y1;
+        if (upper === 'Q') { x1 = num() + ox; y1 = num() + oy; }
+        else if (lastCmd === 'Q' || lastCmd === 'T') { x1 = 2 * x - cpx; y1 = 2 * y - cpy; }
+        else { x1 = x; y1 = y; }
+        const ex = num() + ox, ey = num() + oy;
+        if (!finite(x1, y1, ex, ey)) break;
+        quad(x1, y1, ex, ey);
+        cpx = x1; cpy = y1;
+      } else if (upper === 'A') {
+        const rx = num(), ry = num(), rot = num(), fa = flag(), fs = flag();
+        const ex = num() + ox, ey = num() + oy;
+        if (!finite(rx, ry, rot, fa, fs, ex, ey)) break;
+        arc(rx, ry, rot, fa, fs, ex, ey);
+      } else if (upper === 'Z') {
+        if (x !== sx || y !== sy) lineTo(sx, sy);
+        x = sx; y = sy;
+        cmd = '';
+      } else {
+        break;
+      }
+      lastCmd = upper;
+    }
+    return segs;
+  }
+
+  // Minimal SVG document around saved path data (`pathDatas` from either
+  // parser), so a shape can be restored with its fill through parseSVGFile
+  function pathDataToSVG(pathDatas) {
+    const paths = pathDatas.map(d => `<path d="${escapeXML(d)}"/>`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg">${paths}</svg>`;
+  }
+
+  // ── SVG Extrude Generator ──────────────────────────────────────────
+
+  function generateSVGExtrude(n, config, rng = Math.random) {
+    const outline = (config && config.svgOutline) || [];
+    if (outline.length === 0) return [{ x: 0, y: 0, z: 0 }];
+
+    const depth = (config && config.extrudeDepth) || 0.5;
+    const useGrid = (config && config.snapToGrid) || false;
+    const svgPath2D = (config && config.svgPath2D) || null;
+    const svgNorm = (config && config._svgNorm) || null;
+    const points = [];
+
+    const hasPath = svgPath2D && svgNorm;
+    let offCtx = null;
+    if (hasPath) {
+      // OffscreenCanvas when running inside a worker
+      const offCanvas = typeof document !== 'undefined'
+        ? document.createElement('canvas')
+        : new OffscreenCanvas(200, 200);
+      offCanvas.width = 200;
+      offCanvas.height = 200;
+      offCtx = offCanvas.getContext('2d');
+    }
+
+    function isInsideSVG(nx, ny) {
+      if (!hasPath || !offCtx) return true;
+      const svgX = (nx / 2) * svgNorm.maxRange + svgNorm.centerX;
+      const svgY = (ny / 2) * svgNorm.maxRange + svgNorm.centerY;
+      return offCtx.isPointInPath(svgPath2D, svgX, svgY);
+    }
+
+    let bMinX = Infinity, bMaxX = -Infinity, bMinY = Infinity, bMaxY = -Infinity;
+    for (const p of outline) {
+      if (p.x < bMinX) bMinX = p.x;
+      if (p.x > bMaxX) bMaxX = p.x;
+      if (p.y < bMinY) bMinY = p.y;
+      if (p.y > bMaxY) bMaxY = p.y;
+    }
+
+    if (useGrid) {
+      const bW = bMaxX - bMinX;
+      const bH = bMaxY - bMinY;
+      const gridRes = Math.max(4, Math.ceil(Math.sqrt(n / (2 + depth * 4))));
+      const stepX = bW / gridRes;
+      const stepY = bH / gridRes;
+      const zLayers = Math.max(2, Math.ceil(gridRes * (depth / Math.max(bW, bH))));
+      const stepZ = depth / (zLayers - 1);
+
+      for (let ix = 0; ix <= gridRes; ix++) {
+        for (let iy = 0; iy <= gridRes; iy++) {
+          const px = bMinX + ix * stepX;
+          const py = bMinY + iy * stepY;
+          if (isInsideSVG(px, py)) {
+            points.push({ x: px, y: py, z: -depth / 2, region: 1 });
+            points.push({ x: px, y: py, z: depth / 2, region: 2 });
+          }
+        }
+      }
+
+      const outlineStep = Math.max(1, Math.floor(outline.length / (gridRes * 4)));
+      for (let i = 0; i < outline.length; i += outlineStep) {
+        const op = outline[i];
+        const sx = Math.round((op.x - bMinX) / stepX) * stepX + bMinX;
+        const sy = Math.round((op.y - bMinY) / stepY) * stepY + bMinY;
+        for (let zl = 0; zl < zLayers; zl++) {
+          const zPos = -depth / 2 + zl * stepZ;
+          points.push({ x: sx, y: sy, z: zPos, region: 0 });
+        }
+      }
+    } else {
+      const faceCount = Math.floor(n * 0.3);
+      const sideCount = Math.floor(n * 0.4);
+      const layers = Math.max(3, Math.ceil(Math.sqrt(sideCount / outline.length) * 5));
+      const pointsPerLayer = Math.ceil(sideCount / layers);
+
+      for (let layer = 0; layer < layers; layer++) {
+        const zPos = -depth / 2 + (layer / (layers - 1)) * depth;
+        for (let i = 0; i < pointsPerLayer; i++) {
+          const t = i / pointsPerLayer;
+          const idx = Math.floor(t * outline.length) % outline.length;
+          const op = outline[idx];
+          points.push({ x: op.x, y: op.y, z: zPos, region: 0 });
+        }
+      }
+
+      const maxAttempts = faceCount * 20;
+      let filled = 0;
+      let attempts = 0;
+      while (filled < faceCount && attempts < maxAttempts) {
+        const rx = bMinX + rng() * (bMaxX - bMinX);
+        const ry = bMinY + rng() * (bMaxY - bMinY);
+        attempts++;
+        if (isInsideSVG(rx, ry)) {
+          points.push({ x: rx, y: ry, z: -depth / 2, region: 1 });
+          filled++;
+        }
+      }
+
+      filled = 0;
+      attempts = 0;
+      while (filled < faceCount && attempts < maxAttempts) {
+        const rx = bMinX + rng() * (bMaxX - bMinX);
+        const ry = bMinY + rng() * (bMaxY - bMinY);
+        attempts++;
+        if (isInsideSVG(rx, ry)) {
+          points.push({ x: rx, y: ry, z: depth / 2, region: 2 });
+          filled++;
+        }
+      }
+    }
+
+    return points;
+  }
+
+  // ── Text Outlines ──────────────────────────────────────────────────
+  // The text shape draws its string with the canvas font engine, so any font
+  // the page can use works: system fonts and @font-face ones such as the
+  // editor's Saans. The glyph edges are traced back into path data and run
+  // through parseSVGText, giving the same { outline, svgPath2D, svgNorm,
+  // pathDatas } as an uploaded SVG, which generateText extrudes.
+  //
+  // Web fonts load lazily, so await loadTextFont(config) first or the trace
+  // may be of a fallback face.
+
+  const TEXT_RASTER_SIZE = 160;   // px font size the glyphs are traced at
+  const TEXT_RASTER_MAX = 4096;   // longest canvas side
+
+  function textFont(config, size) {
+    return `${config.fontWeight || 400} ${size}px ${config.font || 'sans-serif'}`;
+  }
+
+  // Resolves once the font for config.text is ready, or couldn't be had
+  function loadTextFont(config) {
+    const fonts = typeof document !== 'undefined' ? document.fonts : typeof self !== 'undefined' ? self.fonts : null;
+    if (!fonts || !config.text) return Promise.resolve();
+    return fonts.load(textFont(config, TEXT_RASTER_SIZE), config.text).then(() => {}, () => {});
+  }
+
+  // Marching squares cases (bits TL 8, TR 4, BR 2, BL 1) as pairs of crossed
+  // edges (0 top, 1 right, 2 bottom, 3 left), directed so the inside is
+  // always on the same side: outer edges and holes wind opposite ways, and
+  // the nonzero fill rule cuts the holes out
+  const TRACE_SEGMENTS = [[], [3, 2], [2, 1], [3, 1], [1, 0], [1, 0, 3, 2], [2, 0], [3, 0], [0, 3], [0, 2], [0, 3, 2, 1], [0, 1], [1, 3], [1, 2], [2, 3], []];
+  // The two saddles when the cell's centre is inside
+  const TRACE_SADDLES = { 5: [3, 0, 1, 2], 10: [0, 1, 2, 3] };
+
+  // Closed loops around the pixels at least half opaque, as flat
+  // [x0, y0, x1, y1, ...] arrays in pixel units
+  function traceAlpha(data, width, height) {
+    // A transparent border so every loop closes
+    const W = width + 2;
+    const H = height + 2;
+    const v = new Float32Array(W * H);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) v[(y + 1) * W + x + 1] = data[(y * width + x) * 4 + 3] / 255;
+    }
+
+    // Edge ids: horizontal edges y * W + x, vertical ones V + y * W + x
+    const V = W * H;
+    const next = new Int32Array(V * 2).fill(-1);
+    const ex = new Float32Array(V * 2);
+    const ey = new Float32Array(V * 2);
+    const cross = (a, b) => (0.5 - a) / (b - a);
+
+    for (let y = 0; y < H - 1; y++) {
+      for (let x = 0; x < W - 1; x++) {
+        const i = y * W + x;
+        const tl = v[i], tr = v[i + 1], br = v[i + W + 1], bl = v[i + W];
+        const c = (tl >= 0.5 ? 8 : 0) | (tr >= 0.5 ? 4 : 0) | (br >= 0.5 ? 2 : 0) | (bl >= 0.5 ? 1 : 0);
+        if (c === 0 || c === 15) continue;
+        const segs = (c === 5 || c === 10) && tl + tr + br + bl >= 2 ? TRACE_SADDLES[c] : TRACE_SEGMENTS[c];
+        const ids = [i, V + i + 1, i + W, V + i];
+        for (let s = 0; s < segs.length; s += 2) next[ids[segs[s]]] = ids[segs[s + 1]];
+        for (const edge of segs) {
+          const id = ids[edge];
+          if (edge === 0) { ex[id] = x + cross(tl, tr); ey[id] = y; }
+          else if (edge === 1) { ex[id] = x + 1; ey[id] = y + cross(tr, br); }
+          else if (edge === 2) { ex[id] = x + cross(bl, br); ey[id] = y + 1; }
+          else { ex[id] = x; ey[id] = y + cross(tl, bl); }
+        }
+      }
+    }
+
+    const loops = [];
+    for (let start = 0; start < next.length; start++) {
+      if (next[start] < 0) continue;
+      const loop = [];
+      for (let id = start; next[id] >= 0;) {
+        loop.push(ex[id] - 1, ey[id] - 1);
+        const to = next[id];
+        next[id] = -1;
+        id = to;
+      }
+      if (loop.length >= 6) loops.push(simplifyLoop(loop, 0.35));
+    }
+    return loops;
+  }
+
+  // Keeps a point only where a straight run from the last kept one would
+  // stray more than `tolerance` px from the points it skips
+  function simplifyLoop(loop, tolerance) {
+    const n = loop.length / 2;
+    const out = [loop[0], loop[1]];
+    let anchor = 0;
+    for (let j = 2; j <= n; j++) {
+      const ax = loop[anchor * 2], ay = loop[anchor * 2 + 1];
+      const bx = loop[(j % n) * 2], by = loop[(j % n) * 2 + 1];
+      const len = Math.hypot(bx - ax, by - ay) || 1;
+      for (let k = anchor + 1; k < j; k++) {
+        const dist = Math.abs((bx - ax) * (ay - loop[k * 2 + 1]) - (ax - loop[k * 2]) * (by - ay)) / len;
+        if (dist > tolerance) {
+          anchor = j - 1;
+          out.push(loop[anchor * 2], loop[anchor * 2 + 1]);
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  // config: { text, font, fontWeight, letterSpacing (em) }. Lines split on
+  // \n and are centred. Returns null when nothing visible is drawn.
+  function textToOutline(config) {
+    const lines = String(config.text || '').split('\n');
+    if (!lines.some(line => line.trim())) return null;
+
+    const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(1, 1);
+    let ctx = canvas.getContext('2d');
+    const spacing = config.letterSpacing || 0;
+
+    // With letter spacing each character goes where the unspaced prefix
+    // ends, plus the spacing so far, which keeps the font's kerning
+    const layout = (line, size) => {
+      const chars = [...line];
+      const offsets = chars.map((ch, i) => ctx.measureText(chars.slice(0, i).join('')).width + i * spacing * size);
+      const width = Math.max(0, ctx.measureText(line).width + (chars.length - 1) * spacing * size);
+      return { chars, offsets, width };
+    };
+    const measure = (size) => {
+      ctx.font = textFont(config, size);
+      const laid = lines.map(line => layout(line, size));
+      const pad = Math.ceil(size * 0.5);
+      const width = Math.ceil(Math.max(...laid.map(l => l.width))) + pad * 2;
+      const height = Math.ceil(lines.length * size * 1.2) + pad * 2;
+      return { laid, pad, width, height };
+    };
+
+    let size = TEXT_RASTER_SIZE;
+    let box = measure(size);
+    const longest = Math.max(box.width, box.height);
+    if (longest > TEXT_RASTER_MAX) {
+      size = Math.max(8, Math.floor(size * TEXT_RASTER_MAX / longest));
+      box = measure(size);
+    }
+
+    // Resizing resets the context
+    canvas.width = box.width;
+    canvas.height = box.height;
+    ctx = canvas.getContext('2d');
+    ctx.font = textFont(config, size);
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#000';
+    box.laid.forEach(({ chars, offsets, width }, li) => {
+      const x = (box.width - width) / 2;
+      const y = box.pad + (li + 0.5) * size * 1.2;
+      if (spacing === 0) ctx.fillText(lines[li], x, y);
+      else chars.forEach((ch, i) => ctx.fillText(ch, x + offsets[i], y));
+    });
+
+    const { data } = ctx.getImageData(0, 0, box.width, box.height);
+    const pathDatas = traceAlpha(data, box.width, box.height).map((loop) => {
+      let d = '';
+      for (let i = 0; i < loop.length; i += 2) d += `${i === 0 ? 'M' : 'L'}${+loop[i].toFixed(2)},${+loop[i + 1].toFixed(2)}`;
+      return d + 'Z';
+    });
+    if (pathDatas.length === 0) return null;
+    return parseSVGText(pathDataToSVG(pathDatas));
+  }
+
+  // Extruded like svgExtrude, from the outline textToOutline made for it
+  function generateText(n, config, rng) {
+    return generateSVGExtrude(n, {
+      ...config,
+      svgOutline: config.textOutline || [],
+      svgPath2D: config.textPath2D || null,
+      _svgNorm: config._textNorm || null,
+    }, rng);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // PARTICLE EXPORT (inlined)
+  // ═══════════════════════════════════════════════════════════════════
+
+  // ── Frame Resolution ───────────────────────────────────────────────
+
+  // Points as they appear at animation time `t`. Samples / phases can be
+  // passed in to match a running view; otherwise they're rebuilt from the
+  // seed, which matches any view using the same seed.
+  function resolveFrame(config, points, t, { voronoiSamples, floatPhases } = {}) {
+    if (config.shapeType === 'voronoi') {
+      const samples = voronoiSamples && voronoiSamples.length > 0
+        ? voronoiSamples
+        : initVoronoiSamples(config.density, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+      return generateVoronoiPoints(samples, config, t);
+    }
+    if (config.float) {
+      const phases = floatPhases && floatPhases.length > 0
+        ? floatPhases
+        : initFloatPhases(points.length, createRNG(config.seed, RNG_STREAMS.float));
+      return applyFloat(points, phases, config, t);
+    }
+    return points;
+  }
+
+  function pointsForExport(config, points, options) {
+    return options.time != null ? resolveFrame(config, points, options.time, options) : points;
+  }
+
+  const timeForExport = (options) => options.time ?? options.frameTime ?? 0;
+
+  // Pixel-sized settings that follow options.sizeScale
+  const SIZE_KEYS = ['squareSize', 'hubSize', 'connectionThickness', 'pixelate'];
+
+  function configForExport(config, options) {
+    const k = options.sizeScale;
+    if (!(k > 0) || k === 1) return config;
+    const scaled = { ...config };
+    for (const key of SIZE_KEYS) {
+      if (typeof scaled[key] === 'number') scaled[key] *= k;
+    }
+    return scaled;
+  }
+
+  // ── Canvas Helpers ─────────────────────────────────────────────────
+
+  // Browser default; Node callers pass their own (e.g. createCanvas from the
+  // `canvas` package) as options.createCanvas.
+  function defaultCreateCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    throw new Error('No canvas available: pass options.createCanvas');
+  }
+
+  function canvasToBlob(canvas) {
+    if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: 'image/png' });
+    if (typeof canvas.toBlob === 'function') {
+      return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+      });
+    }
+    if (typeof canvas.toBuffer === 'function') {
+      return Promise.resolve(new Blob([canvas.toBuffer('image/png')], { type: 'image/png' }));
+    }
+    return Promise.reject(new Error('Canvas cannot encode PNG'));
+  }
+
+  // ── PNG Resolution ─────────────────────────────────────────────────
+
+  let crcTable = null;
+
+  // Also used for the zip container in particle-video.js
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Canvas encoders don't record a resolution, so print tools assume 72 DPI.
+  // Splices a pHYs chunk in right after IHDR (signature 8 + IHDR 25 bytes).
+  async function withPNGResolution(blob, dpi) {
+    const src = new Uint8Array(await blob.arrayBuffer());
+    const ppm = Math.round(dpi / 0.0254);
+    const chunk = new Uint8Array(21);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+    view.setUint32(8, ppm);
+    view.setUint32(12, ppm);
+    chunk[16] = 1; // unit: metre
+    view.setUint32(17, crc32(chunk.subarray(4, 17)));
+    return new Blob([src.subarray(0, 33), chunk, src.subarray(33)], { type: 'image/png' });
+  }
+
+  // ── Export ─────────────────────────────────────────────────────────
+
+  // Draws one frame into a new canvas of width × height CSS pixels at
+  // `scale` device pixels each, exactly as the live view draws it. Pass
+  // `canvas` to draw into an existing one instead (it is resized to fit).
+  function renderToCanvas(config, points, options = {}) {
+    const { width, height, scale = 1 } = options;
+    const createCanvas = options.createCanvas || defaultCreateCanvas;
+    const deviceW = Math.max(1, Math.round(width * scale));
+    const deviceH = Math.max(1, Math.round(height * scale));
+    let canvas = options.canvas;
+    if (canvas) {
+      canvas.width = deviceW;
+      canvas.height = deviceH;
+    } else {
+      canvas = createCanvas(deviceW, deviceH);
+    }
+    const ctx = canvas.getContext('2d');
+    const pts = pointsForExport(config, points, options);
+    config = configForExport(config, options);
+
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    const blockSize = config.pixelate;
+    if (blockSize > 1) {
+      const pw = Math.max(1, Math.round(width / blockSize));
+      const ph = Math.max(1, Math.round(height / blockSize));
+      const pixelCanvas = createCanvas(pw, ph);
+      renderFrame(pixelCanvas.getContext('2d'), pw, ph, pts, config, timeForExport(options));
+      ctx.imageSmoothingEnabled = false;
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(pixelCanvas, 0, 0, width, height);
+    } else {
+      renderFrame(ctx, width, height, pts, config, timeForExport(options));
+    }
+    return canvas;
+  }
+
+  // options.dpi, when set, is written into the file for print layout tools
+  function toPNGBlob(config, points, options = {}) {
+    try {
+      const png = canvasToBlob(renderToCanvas(config, points, options));
+      return options.dpi > 0 ? png.then((blob) => withPNGResolution(blob, options.dpi)) : png;
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
+  function toSVGString(config, points, options = {}) {
+    const pts = pointsForExport(config, points, options);
+    return renderSVG(options.width, options.height, pts, configForExport(config, options), timeForExport(options));
+  }
+
+  // ── PDF ────────────────────────────────────────────────────────────
+
+  const pdfNum = (v) => String(Math.round(v * 100) / 100);
+  const pdfRGB = ([r, g, b]) => `${pdfNum(r / 255)} ${pdfNum(g / 255)} ${pdfNum(b / 255)}`;
+
+  // Circle of radius r as four Bézier quarters
+  function pdfCircle(cx, cy, r) {
+    const k = r * 0.5523;
+    return `${pdfNum(cx + r)} ${pdfNum(cy)} m `
+      + `${pdfNum(cx + r)} ${pdfNum(cy + k)} ${pdfNum(cx + k)} ${pdfNum(cy + r)} ${pdfNum(cx)} ${pdfNum(cy + r)} c `
+      + `${pdfNum(cx - k)} ${pdfNum(cy + r)} ${pdfNum(cx - r)} ${pdfNum(cy + k)} ${pdfNum(cx - r)} ${pdfNum(cy)} c `
+      + `${pdfNum(cx - r)} ${pdfNum(cy - k)} ${pdfNum(cx - k)} ${pdfNum(cy - r)} ${pdfNum(cx)} ${pdfNum(cy - r)} c `
+      + `${pdfNum(cx + k)} ${pdfNum(cy - r)} ${pdfNum(cx + r)} ${pdfNum(cy - k)} ${pdfNum(cx + r)} ${pdfNum(cy)} c h`;
+  }
+
+  // Fill operators for one scene mark. Text characters and sprites have no
+  // vector form here and fall back to squares.
+  function pdfGlyph(q) {
+    const r = q.size / 2;
+    const cx = q.x + r;
+    const cy = q.y + r;
+    switch (q.glyph.type) {
+      case 'circle':
+        return `${pdfCircle(cx, cy, r)} f`;
+      case 'ring':
+        return `${pdfCircle(cx, cy, r)} ${pdfCircle(cx, cy, r * RING_INNER)} f*`;
+      case 'diamond':
+      case 'cross':
+        return GLYPH_POLYGONS[q.glyph.type]
+          .map(([x, y], i) => `${pdfNum(cx + x * q.size)} ${pdfNum(cy + y * q.size)} ${i === 0 ? 'm' : 'l'}`)
+          .join(' ') + ' h f';
+    }
+    return `${pdfNum(q.x)} ${pdfNum(q.y)} ${pdfNum(q.size)} ${pdfNum(q.size)} re f`;
+  }
+
+  // Single-page PDF of vector marks and lines, from the same scene as
+  // renderSVG. width × height are pixels; `dpi` (default 72) sets the page
+  // size, so 4961 × 7016 at 300 DPI is an A2 sheet. Returns the file as a
+  // string; it is pure ASCII, so it can be written or wrapped in a Blob as is.
+  function toPDFString(config, points, options = {}) {
+    const { width, height, dpi = 72 } = options;
+    const pts = pointsForExport(config, points, options);
+    const scene = buildVectorScene(width, height, pts, configForExport(config, options), timeForExport(options));
+    const pageW = width * 72 / dpi;
+    const pageH = height * 72 / dpi;
+    const k = (72 / dpi) * scene.block;
+
+    // Opacity needs a graphics state per value; alphas are quantised to 1%
+    const states = new Set();
+    const alphaState = (a) => {
+      const name = `A${Math.round(a * 100)}`;
+      states.add(name);
+      return name;
+    };
+
+    // Flip to a top-left origin in scene units, as SVG and canvas use
+    const ops = ['q', `${k.toFixed(6)} 0 0 ${(-k).toFixed(6)} 0 ${pdfNum(pageH)} cm`];
+    if (scene.background) ops.push(`${pdfRGB(hexToRGB(scene.background))} rg 0 0 ${scene.viewWidth} ${scene.viewHeight} re f`);
+    ops.push('1 J');
+    // Style operators are only repeated when they change
+    let style = '';
+    const setStyle = (next) => {
+      if (next !== style) ops.push(next);
+      style = next;
+    };
+    for (const l of scene.lines) {
+      setStyle(`/${alphaState(l.alpha)} gs ${pdfRGB(l.color)} RG ${pdfNum(l.width)} w`);
+      ops.push(`${pdfNum(l.x1)} ${pdfNum(l.y1)} m ${pdfNum(l.x2)} ${pdfNum(l.y2)} l S`);
+    }
+    for (const q of scene.rects) {
+      setStyle(`/${alphaState(q.alpha)} gs ${pdfRGB(q.color)} rg`);
+      ops.push(pdfGlyph(q));
+    }
+    ops.push('Q');
+    const content = ops.join('\n');
+
+    let gsDict = '';
+    for (const name of states) {
+      const a = Number(name.slice(1)) / 100;
+      gsDict += ` /${name} << /ca ${a} /CA ${a} >>`;
+    }
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNum(pageW)} ${pdfNum(pageH)}] /Resources << /ExtGState <<${gsDict} >> >> /Contents 4 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(out.length);
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    for (const offset of offsets) out += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // WEBGL RENDERER (inlined)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const POINT_VS = `
+  attribute vec3 aPos;
+  attribute float aFlag;
+  attribute vec3 aColor;
+  uniform mat3 uRot;
+  uniform float uPerspD;
+  uniform float uSpacing;
+  uniform float uWorldScale;
+  uniform vec2 uResolution;
+  uniform vec2 uCenter;
+  uniform float uPixelRatio;
+  uniform float uSize;
+  uniform float uDepthSizing;
+  uniform float uDepthOpacity;
+  uniform float uMinAlpha;
+  uniform float uFlatAlpha;
+  uniform float uHighlight;
+  uniform float uOnlyFlag;
+  uniform float uFlagAlpha;
+  uniform float uVertexColor;
+  uniform vec3 uColor;
+  uniform vec3 uAltColor;
+  varying vec4 vColor;
+
+  void main() {
+    vec3 r = uRot * (aPos * uSpacing);
+    float scale = uPerspD > 0.0 ? uPerspD / (uPerspD + r.z) : 1.0;
+    vec2 screen = uCenter + r.xy * scale * uWorldScale;
+    vec2 clip = screen / uResolution * 2.0 - 1.0;
+    bool skip = scale <= 0.0 || (uOnlyFlag >= 0.0 && abs(aFlag - uOnlyFlag) > 0.5);
+    gl_Position = skip ? vec4(2.0, 2.0, 2.0, 1.0) : vec4(clip.x, -clip.y, 0.0, 1.0);
+    gl_PointSize = (uDepthSizing > 0.5 ? uSize * scale : uSize) * uPixelRatio;
+    float alpha = uDepthOpacity > 0.5 ? clamp(0.3 + scale * 0.7, uMinAlpha, 1.0) : uFlatAlpha;
+    // Pulses carry their line's fade in the flag instead
+    if (uFlagAlpha > 0.5) alpha *= aFlag;
+    vec3 col = (uHighlight > 0.5 && aFlag < 0.5) ? uAltColor : (uVertexColor > 0.5 ? aColor : uColor);
+    vColor = vec4(col, alpha);
+  }
+  `;
+
+  const LINE_VS = `
+  attribute vec3 aFrom;
+  attribute vec3 aTo;
+  attribute vec2 aCorner;
+  attribute float aFade;
+  uniform mat3 uRot;
+  uniform float uPerspD;
+  uniform float uSpacing;
+  uniform float uWorldScale;
+  uniform vec2 uResolution;
+  uniform vec2 uCenter;
+  uniform float uThickness;
+  uniform float uDepthSizing;
+  uniform float uOpacity;
+  uniform float uDepthOpacity;
+  uniform float uFadeLength;
+  uniform vec3 uColor;
+  varying vec4 vColor;
+
+  vec3 project(vec3 p) {
+    vec3 r = uRot * (p * uSpacing);
+    float scale = uPerspD > 0.0 ? uPerspD / (uPerspD + r.z) : 1.0;
+    return vec3(uCenter + r.xy * scale * uWorldScale, scale);
+  }
+
+  void main() {
+    // Plexus links fade out with length (see linkFade); hub lines only while
+    // relinking, with aFade
+    float fade = (uFadeLength > 0.0 ? max(0.0, 1.0 - length(aTo - aFrom) / uFadeLength) : 1.0) * aFade;
+    vec3 a = project(aFrom);
+    vec3 b = project(aTo);
+    float avgScale = (a.z + b.z) * 0.5;
+    float thick = uDepthSizing > 0.5 ? uThickness * avgScale : uThickness;
+    vec2 dir = b.xy - a.xy;
+    dir = length(dir) > 0.0001 ? normalize(dir) : vec2(1.0, 0.0);
+    vec2 normal = vec2(-dir.y, dir.x);
+    // Extend past each end by half the width to approximate the round cap
+    vec2 screen = mix(a.xy, b.xy, aCorner.x)
+      + normal * aCorner.y * thick * 0.5
+      + dir * (aCorner.x * 2.0 - 1.0) * thick * 0.5;
+    vec2 clip = screen / uResolution * 2.0 - 1.0;
+    bool visible = a.z > 0.0 && b.z > 0.0;
+    gl_Position = visible ? vec4(clip.x, -clip.y, 0.0, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+    float alpha = uDepthOpacity > 0.5 ? clamp(uOpacity * (0.3 + avgScale * 0.7), 0.02, 1.0) : uOpacity;
+    vColor = vec4(uColor, alpha * fade);
+  }
+  `;
+
+  const COLOR_FS = `
+  precision mediump float;
+  varying vec4 vColor;
+  void main() {
+    gl_FragColor = vColor;
+  }
+  `;
+
+  // Glyphs are cut out of the square point sprite; text characters and image
+  // sprites come from a texture (characters as a mask tinted by the colour)
+  const GLYPH_IDS = { square: 0, circle: 1, diamond: 2, cross: 3, ring: 4, char: 5, sprite: 6 };
+
+  const POINT_FS = `
+  precision mediump float;
+  uniform float uGlyph;
+  uniform float uRingInner;
+  uniform sampler2D uGlyphTex;
+  varying vec4 vColor;
+  void main() {
+    vec2 p = gl_PointCoord - 0.5;
+    float d = length(p);
+    if (uGlyph > 0.5 && uGlyph < 1.5 && d > 0.5) discard;
+    if (uGlyph > 1.5 && uGlyph < 2.5 && abs(p.x) + abs(p.y) > 0.5) discard;
+    if (uGlyph > 2.5 && uGlyph < 3.5 && min(abs(p.x), abs(p.y)) > 1.0 / 6.0) discard;
+    if (uGlyph > 3.5 && uGlyph < 4.5 && (d > 0.5 || d < uRingInner * 0.5)) discard;
+    if (uGlyph > 4.5) {
+      vec4 tex = texture2D(uGlyphTex, gl_PointCoord);
+      gl_FragColor = uGlyph < 5.5 ? vec4(vColor.rgb, vColor.a * tex.a) : vec4(tex.rgb, tex.a * vColor.a);
+    } else {
+      gl_FragColor = vColor;
     }
+  }
+  `;
+
+  const BLIT_VS = `
+  attribute vec2 aPos;
+  varying vec2 vUV;
+  void main() {
+    vUV = aPos * 0.5 + 0.5;
+    gl_Position = vec4(aPos, 0.0, 1.0);
+  }
+  `;
+
+  const BLIT_FS = `
+  precision mediump float;
+  uniform sampler2D uTex;
+  varying vec2 vUV;
+  void main() {
+    gl_FragColor = texture2D(uTex, vUV);
+  }
+  `;
+
+  // Quad corners for one line segment: (t along the line, side)
+  const LINE_CORNERS = [0, -1, 1, -1, 1, 1, 0, -1, 1, 1, 0, 1];
 
-    const connections = [];
-    for (let h = 0; h < hubs.length; h++) {
-      const selected = selectParticlesForHub(
-        hubs[h], points, connectionsPerHub, distribution, spread, focus
-      );
-      for (const idx of selected) {
-        connections.push({ particleIdx: idx, hubIdx: h });
+  function compileProgram(gl, vsSource, fsSource) {
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
       }
+      return shader;
+    };
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vsSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fsSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program));
     }
 
-    return { hubs, connections };
+    const locations = {};
+    const attribCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attribCount; i++) {
+      const { name } = gl.getActiveAttrib(program, i);
+      locations[name] = gl.getAttribLocation(program, name);
+    }
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < uniformCount; i++) {
+      const { name } = gl.getActiveUniform(program, i);
+      locations[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, locations };
   }
 
-  function projectPoints(points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale) {
+  // Column-major mat3 equivalent to the Y → X → Z rotation in projectPoints
+  function rotationMatrix(rotX, rotY, rotZ) {
     const cosA = Math.cos(rotX), sinA = Math.sin(rotX);
     const cosB = Math.cos(rotY), sinB = Math.sin(rotY);
     const cosC = Math.cos(rotZ), sinC = Math.sin(rotZ);
-    const result = new Array(points.length);
-
-    for (let i = 0; i < points.length; i++) {
-      let x = points[i].x * spacing;
-      let y = points[i].y * spacing;
-      let z = points[i].z * spacing;
-
-      let x1 = x * cosB + z * sinB;
-      let z1 = -x * sinB + z * cosB;
-      let y1 = y * cosA - z1 * sinA;
-      let z2 = y * sinA + z1 * cosA;
-      let x2 = x1 * cosC - y1 * sinC;
-      let y2 = x1 * sinC + y1 * cosC;
+    const rotate = (x, y, z) => {
+      const x1 = x * cosB + z * sinB;
+      const z1 = -x * sinB + z * cosB;
+      const y1 = y * cosA - z1 * sinA;
+      const z2 = y * sinA + z1 * cosA;
+      return [x1 * cosC - y1 * sinC, x1 * sinC + y1 * cosC, z2];
+    };
+    return new Float32Array([...rotate(1, 0, 0), ...rotate(0, 1, 0), ...rotate(0, 0, 1)]);
+  }
 
-      const scale = Number.isFinite(perspD) ? perspD / (perspD + z2) : 1;
-      result[i] = {
-        sx: cx + x2 * scale * worldScale,
-        sy: cy + y2 * scale * worldScale,
-        scale,
-        depth: z2,
-        origIdx: i,
-      };
+  function parseBackground(bg) {
+    if (!bg || bg === 'transparent') return [0, 0, 0, 0];
+    if (bg.startsWith('rgba') || bg.startsWith('rgb(')) {
+      const parts = bg.slice(bg.indexOf('(') + 1, bg.indexOf(')')).split(',').map(parseFloat);
+      return [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
     }
-    return result;
+    const [r, g, b] = hexToRGB(bg);
+    return [r / 255, g / 255, b / 255, 1];
   }
 
-  function focalLengthToPerspD(focalMm) {
-    const t = (Math.max(24, Math.min(200, focalMm)) - 24) / 176;
-    return 12 + t * 488;
+  function isWebGLAvailable() {
+    try {
+      const probe = document.createElement('canvas');
+      return !!(probe.getContext('webgl') || probe.getContext('experimental-webgl'));
+    } catch (e) {
+      return false;
+    }
   }
 
-  function renderFrame(ctx, w, h, points, config) {
-    const bg = config.bgColor || '#0a0a0a';
-    if (bg === 'transparent') {
-      ctx.clearRect(0, 0, w, h);
-    } else {
-      if (bg.startsWith('rgba')) ctx.clearRect(0, 0, w, h);
-      ctx.fillStyle = bg;
-      ctx.fillRect(0, 0, w, h);
+  function createWebGLRenderer(canvas) {
+    const attrs = { alpha: true, antialias: true, premultipliedAlpha: false, preserveDrawingBuffer: true };
+    let gl = null;
+    try {
+      gl = canvas.getContext('webgl', attrs) || canvas.getContext('experimental-webgl', attrs);
+    } catch (e) {
+      gl = null;
     }
+    if (!gl) return null;
 
-    const cx = w / 2;
-    const cy = h / 2;
-    const zoom = config.zoom || 1.0;
-    const worldScale = Math.min(w, h) * 0.35 * zoom;
+    let pointProg, lineProg, blitProg;
+    try {
+      pointProg = compileProgram(gl, POINT_VS, POINT_FS);
+      lineProg = compileProgram(gl, LINE_VS, COLOR_FS);
+      blitProg = compileProgram(gl, BLIT_VS, BLIT_FS);
+    } catch (e) {
+      return null;
+    }
 
-    const rotX = config.rotX || 0;
-    const rotY = config.rotY || 0;
-    const rotZ = config.rotZ || 0;
-    const perspD = config.lensType === 'orthographic'
-      ? Infinity
-      : focalLengthToPerspD(config.focalLength ?? 50);
-    const spacing = config.spacing || 1.0;
+    const buffers = {
+      pointPos: gl.createBuffer(),
+      pointFlag: gl.createBuffer(),
+      pointColor: gl.createBuffer(),
+      hubPos: gl.createBuffer(),
+      hubFlag: gl.createBuffer(),
+      lineFrom: gl.createBuffer(),
+      lineTo: gl.createBuffer(),
+      lineCorner: gl.createBuffer(),
+      lineFade: gl.createBuffer(),
+      pulsePos: gl.createBuffer(),
+      pulseFade: gl.createBuffer(),
+      blitQuad: gl.createBuffer(),
+    };
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.blitQuad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
 
-    const projected = projectPoints(
-      points, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
-    );
+    let posArray = new Float32Array(0);
+    let flagKey = null;
+    let flagCount = 0;
+    let lineCount = 0;
+    let cornerCount = -1;
+    let pixelTarget = null;
+    const glyphTextures = new Map();
 
-    const [cr, cg, cb] = hexToRGB(config.color || '#ffffff');
-    const squareSize = config.squareSize || 3;
-    const depthSizing = config.depthSizing !== false;
-    const depthOpacity = config.depthOpacity !== false;
+    gl.enable(gl.BLEND);
+    gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
 
-    // Build connected-particle set for highlight mode
-    const connData = config.connectionData;
-    const highlightConnected = config.highlightConnected === true;
-    let connectedSet = null;
-    if (highlightConnected && connData && connData.connections.length > 0) {
-      connectedSet = new Set();
-      for (let i = 0; i < connData.connections.length; i++) {
-        connectedSet.add(connData.connections[i].particleIdx);
+    function bindAttrib(loc, buffer, size) {
+      if (loc == null || loc < 0) return;
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+    }
+
+    function ensurePixelTarget(pw, ph) {
+      if (pixelTarget && pixelTarget.w === pw && pixelTarget.h === ph) return pixelTarget;
+      if (pixelTarget) {
+        gl.deleteTexture(pixelTarget.tex);
+        gl.deleteFramebuffer(pixelTarget.fbo);
       }
+      const tex = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, pw, ph, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      const fbo = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      pixelTarget = { w: pw, h: ph, tex, fbo };
+      return pixelTarget;
     }
 
-    const [ncr, ncg, ncb] = hexToRGB(config.nonConnectedColor || '#404040');
+    // Texture for a 'char' or 'sprite' glyph, cached by character / image.
+    // Null while a sprite's image isn't loaded yet (drawn as squares).
+    function glyphTexture(glyph) {
+      const key = glyph.type === 'char' ? `char:${glyph.char}` : glyph.image;
+      if (!key) return null;
+      if (glyphTextures.has(key)) return glyphTextures.get(key);
+      let source = glyph.image;
+      if (glyph.type === 'char') {
+        const size = 64;
+        source = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(size, size) : document.createElement('canvas');
+        source.width = size;
+        source.height = size;
+        const ctx = source.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.font = `${size}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(glyph.char, size / 2, size / 2);
+      }
+      const tex = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, tex);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      glyphTextures.set(key, tex);
+      return tex;
+    }
 
-    // Draw connections (before sort so indices are intact, lines behind squares)
-    if (connData && connData.hubs.length > 0 && connData.connections.length > 0) {
-      const projectedHubs = projectPoints(
-        connData.hubs, rotX, rotY, rotZ, perspD, cx, cy, spacing, worldScale
-      );
+    function uploadPoints(points, connData, colors, rot) {
+      if (colors) {
+        uploadSortedPoints(points, connData, colors, rot);
+        return;
+      }
+      if (posArray.length !== points.length * 3) posArray = new Float32Array(points.length * 3);
+      for (let i = 0; i < points.length; i++) {
+        posArray[i * 3] = points[i].x;
+        posArray[i * 3 + 1] = points[i].y;
+        posArray[i * 3 + 2] = points[i].z;
+      }
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointPos);
+      gl.bufferData(gl.ARRAY_BUFFER, posArray, gl.DYNAMIC_DRAW);
+
+      // Connected flags only change when the connection set does
+      if (flagKey !== connData || flagCount !== points.length) {
+        const flags = new Float32Array(points.length);
+        for (const idx of connectedParticles(connData)) flags[idx] = 1;
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointFlag);
+        gl.bufferData(gl.ARRAY_BUFFER, flags, gl.STATIC_DRAW);
+        flagKey = connData;
+        flagCount = points.length;
+      }
+    }
 
-      const lineThickness = config.connectionThickness || 1;
-      const baseOpacity = config.connectionOpacity != null ? config.connectionOpacity : 0.3;
-      const useDepthOpacity = config.connectionDepthOpacity !== false;
+    // Mixed colours don't blend order-independently, so particles go back to
+    // front as in renderFrame, with flags and colours in the same order
+    function uploadSortedPoints(points, connData, colors, rot) {
+      const n = points.length;
+      const depth = new Float32Array(n);
+      for (let i = 0; i < n; i++) {
+        const p = points[i];
+        depth[i] = rot[2] * p.x + rot[5] * p.y + rot[8] * p.z;
+      }
+      const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => depth[b] - depth[a]);
+      const connected = new Uint8Array(n);
+      for (const idx of connectedParticles(connData)) connected[idx] = 1;
+      if (posArray.length !== n * 3) posArray = new Float32Array(n * 3);
+      const colorArray = new Float32Array(n * 3);
+      const flags = new Float32Array(n);
+      for (let k = 0; k < n; k++) {
+        const i = order[k];
+        posArray[k * 3] = points[i].x;
+        posArray[k * 3 + 1] = points[i].y;
+        posArray[k * 3 + 2] = points[i].z;
+        colorArray[k * 3] = colors[i][0] / 255;
+        colorArray[k * 3 + 1] = colors[i][1] / 255;
+        colorArray[k * 3 + 2] = colors[i][2] / 255;
+        flags[k] = connected[i];
+      }
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointPos);
+      gl.bufferData(gl.ARRAY_BUFFER, posArray, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointColor);
+      gl.bufferData(gl.ARRAY_BUFFER, colorArray, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointFlag);
+      gl.bufferData(gl.ARRAY_BUFFER, flags, gl.DYNAMIC_DRAW);
+      // Flags are now in depth order; rebuild them if colours are switched off
+      flagKey = null;
+    }
 
-      ctx.lineCap = 'round';
+    // Particle → hub lines, or particle → particle for plexus links
+    function uploadLines(points, connData) {
+      const links = connData.links;
+      const count = links ? links.length / 2 : connData.connections.length;
+      const from = new Float32Array(count * 18);
+      const to = new Float32Array(count * 18);
+      const fade = new Float32Array(count * 6);
+      let n = 0;
+      for (let i = 0; i < count; i++) {
+        const conn = links ? null : connData.connections[i];
+        const p = links ? points[links[i * 2]] : points[conn.particleIdx];
+        const q = links ? points[links[i * 2 + 1]] : connData.hubs[conn.hubIdx];
+        if (!p || !q) continue;
+        for (let v = 0; v < 6; v++) {
+          const o = (n * 6 + v) * 3;
+          from[o] = p.x; from[o + 1] = p.y; from[o + 2] = p.z;
+          to[o] = q.x; to[o + 1] = q.y; to[o + 2] = q.z;
+        }
+        fade.fill(links ? 1 : conn.fade ?? 1, n * 6, n * 6 + 6);
+        n++;
+      }
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineFrom);
+      gl.bufferData(gl.ARRAY_BUFFER, from, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineTo);
+      gl.bufferData(gl.ARRAY_BUFFER, to, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineFade);
+      gl.bufferData(gl.ARRAY_BUFFER, fade, gl.DYNAMIC_DRAW);
+      if (cornerCount !== n) {
+        const corners = new Float32Array(n * 12);
+        for (let i = 0; i < n; i++) corners.set(LINE_CORNERS, i * 12);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineCorner);
+        gl.bufferData(gl.ARRAY_BUFFER, corners, gl.STATIC_DRAW);
+        cornerCount = n;
+      }
+      lineCount = n;
+    }
 
-      for (let i = 0; i < connData.connections.length; i++) {
-        const conn = connData.connections[i];
-        const pFrom = projected[conn.particleIdx];
-        const pTo = projectedHubs[conn.hubIdx];
-        if (!pFrom || !pTo || pFrom.scale <= 0 || pTo.scale <= 0) continue;
+    function setCamera(loc, config, w, h, pixelRatio) {
+      const perspD = config.lensType === 'orthographic' ? 0 : focalLengthToPerspD(config.focalLength ?? 50);
+      gl.uniformMatrix3fv(loc.uRot, false, rotationMatrix(config.rotX || 0, config.rotY || 0, config.rotZ || 0));
+      gl.uniform1f(loc.uPerspD, perspD);
+      gl.uniform1f(loc.uSpacing, config.spacing || 1.0);
+      gl.uniform1f(loc.uWorldScale, Math.min(w, h) * 0.35 * (config.zoom || 1.0));
+      gl.uniform2f(loc.uResolution, w, h);
+      gl.uniform2f(loc.uCenter, ...viewCenter(w, h, config));
+      gl.uniform1f(loc.uPixelRatio, pixelRatio);
+    }
 
-        const avgScale = (pFrom.scale + pTo.scale) / 2;
-        const alpha = useDepthOpacity
-          ? Math.max(0.02, Math.min(1.0, baseOpacity * (0.3 + avgScale * 0.7)))
-          : baseOpacity;
-        const dynThickness = depthSizing ? lineThickness * avgScale : lineThickness;
+    function drawScene(w, h, pixelRatio, points, config, t) {
+      const [cr, cg, cb] = hexToRGB(config.color || '#ffffff').map(v => v / 255);
+      const [ncr, ncg, ncb] = hexToRGB(config.nonConnectedColor || '#404040').map(v => v / 255);
+      const depthSizing = config.depthSizing !== false;
+      const depthOpacity = config.depthOpacity !== false;
+      const connData = frameConnections(points, config.connectionData, config, t);
+      const highlight = config.highlightConnected === true && connectedParticles(connData).size > 0;
+      const hasLinks = !!(connData && connData.links && connData.links.length > 0);
 
-        ctx.strokeStyle = `rgba(${cr},${cg},${cb},${alpha})`;
-        ctx.lineWidth = dynThickness;
-        ctx.beginPath();
-        ctx.moveTo(pFrom.sx, pFrom.sy);
-        ctx.lineTo(pTo.sx, pTo.sy);
-        ctx.stroke();
+      // ── Connection lines and hubs (behind particles, as in renderFrame)
+      if (hasLinks || (connData && connData.hubs.length > 0 && connData.connections.length > 0)) {
+        uploadLines(points, connData);
+        const loc = lineProg.locations;
+        gl.useProgram(lineProg.program);
+        setCamera(loc, config, w, h, pixelRatio);
+        gl.uniform1f(loc.uThickness, config.connectionThickness || 1);
+        gl.uniform1f(loc.uDepthSizing, depthSizing ? 1 : 0);
+        gl.uniform1f(loc.uOpacity, config.connectionOpacity != null ? config.connectionOpacity : 0.3);
+        gl.uniform1f(loc.uDepthOpacity, config.connectionDepthOpacity !== false ? 1 : 0);
+        gl.uniform1f(loc.uFadeLength, hasLinks ? Math.max(0.01, config.connectionDistance || 0.25) : 0);
+        gl.uniform3f(loc.uColor, cr, cg, cb);
+        bindAttrib(loc.aFrom, buffers.lineFrom, 3);
+        bindAttrib(loc.aTo, buffers.lineTo, 3);
+        bindAttrib(loc.aCorner, buffers.lineCorner, 2);
+        bindAttrib(loc.aFade, buffers.lineFade, 1);
+        gl.drawArrays(gl.TRIANGLES, 0, lineCount * 6);
+        gl.disableVertexAttribArray(loc.aFrom);
+        gl.disableVertexAttribArray(loc.aTo);
+        gl.disableVertexAttribArray(loc.aCorner);
+        gl.disableVertexAttribArray(loc.aFade);
+
+        const pulses = pulsePositions(points, connData);
+        if (pulses.length > 0) {
+          const pulsePos = new Float32Array(pulses.length * 3);
+          pulses.forEach((p, i) => pulsePos.set([p.x, p.y, p.z], i * 3));
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pulsePos);
+          gl.bufferData(gl.ARRAY_BUFFER, pulsePos, gl.DYNAMIC_DRAW);
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pulseFade);
+          gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(pulses.map(p => p.fade)), gl.DYNAMIC_DRAW);
+          const pulseColor = hexToRGB(config.connectionPulseColor || '#ffffff').map(v => v / 255);
+          drawPoints(buffers.pulsePos, buffers.pulseFade, pulses.length, config, w, h, pixelRatio, {
+            size: (config.connectionThickness || 1) * 2 + 2, minAlpha: 0.1, highlight: false, color: pulseColor, altColor: pulseColor,
+            glyph: { type: 'circle' }, flagAlpha: true,
+          });
+        }
+
+        if (config.hubVisible !== false && connData.hubs.length > 0) {
+          const hubPos = new Float32Array(connData.hubs.length * 3);
+          connData.hubs.forEach((hub, i) => hubPos.set([hub.x, hub.y, hub.z], i * 3));
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.hubPos);
+          gl.bufferData(gl.ARRAY_BUFFER, hubPos, gl.DYNAMIC_DRAW);
+          gl.bindBuffer(gl.ARRAY_BUFFER, buffers.hubFlag);
+          gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(connData.hubs.length).fill(1), gl.DYNAMIC_DRAW);
+          drawPoints(buffers.hubPos, buffers.hubFlag, connData.hubs.length, config, w, h, pixelRatio, {
+            size: config.hubSize || 6, minAlpha: 0.1, highlight: false, color: [cr, cg, cb], altColor: [cr, cg, cb],
+            glyph: resolveGlyph(config, true),
+          });
+        }
       }
 
-      if (config.hubVisible !== false) {
-        const hubSize = config.hubSize || 6;
-        for (let i = 0; i < projectedHubs.length; i++) {
-          const pH = projectedHubs[i];
-          if (pH.scale <= 0) continue;
-          const size = depthSizing ? hubSize * pH.scale : hubSize;
-          const alpha = depthOpacity
-            ? Math.max(0.1, Math.min(1.0, 0.3 + pH.scale * 0.7))
-            : 0.85;
-          ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
-          ctx.fillRect(pH.sx - size / 2, pH.sy - size / 2, size, size);
+      // ── Particles. Same-colour squares blend order-independently, so no
+      // depth sort is needed unless a colour mode is on; in highlight mode the
+      // dimmed particles are drawn in the first pass and the connected ones on top.
+      const colors = particleColors(points, config);
+      uploadPoints(points, connData, colors, rotationMatrix(config.rotX || 0, config.rotY || 0, config.rotZ || 0));
+      const style = {
+        size: config.squareSize || 3, minAlpha: 0.05, highlight, color: [cr, cg, cb], altColor: [ncr, ncg, ncb],
+        vertexColor: !!colors, glyph: resolveGlyph(config),
+      };
+      drawPoints(buffers.pointPos, buffers.pointFlag, points.length, config, w, h, pixelRatio, style);
+    }
+
+    function drawPoints(posBuffer, flagBuffer, count, config, w, h, pixelRatio, style) {
+      const loc = pointProg.locations;
+      gl.useProgram(pointProg.program);
+      setCamera(loc, config, w, h, pixelRatio);
+      gl.uniform1f(loc.uSize, style.size);
+      gl.uniform1f(loc.uDepthSizing, config.depthSizing !== false ? 1 : 0);
+      gl.uniform1f(loc.uDepthOpacity, config.depthOpacity !== false ? 1 : 0);
+      gl.uniform1f(loc.uMinAlpha, style.minAlpha);
+      gl.uniform1f(loc.uFlatAlpha, 0.85);
+      gl.uniform3fv(loc.uColor, style.color);
+      gl.uniform3fv(loc.uAltColor, style.altColor);
+      bindAttrib(loc.aPos, posBuffer, 3);
+      bindAttrib(loc.aFlag, flagBuffer, 1);
+      if (style.vertexColor) bindAttrib(loc.aColor, buffers.pointColor, 3);
+      gl.uniform1f(loc.uVertexColor, style.vertexColor ? 1 : 0);
+      let glyphId = GLYPH_IDS[style.glyph.type];
+      if (glyphId >= GLYPH_IDS.char) {
+        const tex = glyphTexture(style.glyph);
+        if (tex) {
+          gl.activeTexture(gl.TEXTURE0);
+          gl.bindTexture(gl.TEXTURE_2D, tex);
+          gl.uniform1i(loc.uGlyphTex, 0);
+        } else {
+          glyphId = GLYPH_IDS.square;
         }
       }
+      gl.uniform1f(loc.uGlyph, glyphId);
+      gl.uniform1f(loc.uRingInner, RING_INNER);
+      gl.uniform1f(loc.uFlagAlpha, style.flagAlpha ? 1 : 0);
+      gl.uniform1f(loc.uHighlight, style.highlight ? 1 : 0);
+      if (style.highlight) {
+        gl.uniform1f(loc.uOnlyFlag, 0);
+        gl.drawArrays(gl.POINTS, 0, count);
+        gl.uniform1f(loc.uOnlyFlag, 1);
+        gl.drawArrays(gl.POINTS, 0, count);
+      } else {
+        gl.uniform1f(loc.uOnlyFlag, -1);
+        gl.drawArrays(gl.POINTS, 0, count);
+      }
+      gl.disableVertexAttribArray(loc.aPos);
+      gl.disableVertexAttribArray(loc.aFlag);
+      if (style.vertexColor) gl.disableVertexAttribArray(loc.aColor);
     }
 
-    // Sort by depth and draw particle squares
-    projected.sort((a, b) => b.depth - a.depth);
+    function render(w, h, points, config, t = 0) {
+      const pixelRatio = w > 0 ? canvas.width / w : 1;
+      const [br, bg, bb, ba] = parseBackground(config.bgColor || '#0a0a0a');
+      const blockSize = config.pixelate;
 
-    for (let i = 0; i < projected.length; i++) {
-      const p = projected[i];
-      if (p.scale <= 0) continue;
+      if (blockSize > 1) {
+        const pw = Math.max(1, Math.round(w / blockSize));
+        const ph = Math.max(1, Math.round(h / blockSize));
+        const target = ensurePixelTarget(pw, ph);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+        gl.viewport(0, 0, pw, ph);
+        gl.clearColor(br, bg, bb, ba);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        drawScene(pw, ph, 1, points, config, t);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-      const size = depthSizing ? squareSize * p.scale : squareSize;
+        gl.viewport(0, 0, canvas.width, canvas.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.disable(gl.BLEND);
+        gl.useProgram(blitProg.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, target.tex);
+        gl.uniform1i(blitProg.locations.uTex, 0);
+        bindAttrib(blitProg.locations.aPos, buffers.blitQuad, 2);
+        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        gl.disableVertexAttribArray(blitProg.locations.aPos);
+        gl.enable(gl.BLEND);
+        return;
+      }
 
-      const alpha = depthOpacity
-        ? Math.max(0.05, Math.min(1.0, 0.3 + p.scale * 0.7))
-        : 0.85;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.clearColor(br, bg, bb, ba);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      drawScene(w, h, pixelRatio, points, config, t);
+    }
 
-      if (connectedSet && !connectedSet.has(p.origIdx)) {
-        ctx.fillStyle = `rgba(${ncr},${ncg},${ncb},${alpha})`;
-      } else {
-        ctx.fillStyle = `rgba(${cr},${cg},${cb},${alpha})`;
+    function dispose() {
+      for (const key in buffers) gl.deleteBuffer(buffers[key]);
+      for (const tex of glyphTextures.values()) gl.deleteTexture(tex);
+      glyphTextures.clear();
+      if (pixelTarget) {
+        gl.deleteTexture(pixelTarget.tex);
+        gl.deleteFramebuffer(pixelTarget.fbo);
+        pixelTarget = null;
       }
-      ctx.fillRect(p.sx - size / 2, p.sy - size / 2, size, size);
+      gl.deleteProgram(pointProg.program);
+      gl.deleteProgram(lineProg.program);
+      gl.deleteProgram(blitProg.program);
     }
+
+    return { type: 'webgl', canvas, render, dispose };
   }
 
-  // ── SVG Parser ───────────────────────────────────────────────────
+  // ═══════════════════════════════════════════════════════════════════
+  // RENDER WORKER (inlined)
+  // ═══════════════════════════════════════════════════════════════════
 
-  function parseSVGFile(svgText) {
-    const container = document.createElement('div');
-    container.innerHTML = svgText;
-    const svgEl = container.querySelector('svg');
-    if (!svgEl) return null;
+  function runRenderWorker(scope) {
+    let canvas = null;
+    let ctx = null;
+    let gl = null;
+    let config = null;
+    let points = [];
+    let voronoiSamples = [];
+    let floatPhases = [];
+    let framePoints = [];
+    let frameTime = 0;
+    let morph = null;
+    let physics = createCursorPhysics();
+    let pointer = null;
+    let logicalW = 0;
+    let logicalH = 0;
+    let pixelRatio = 1;
+    let dragging = false;
+    let paused = false;
+    let rotTween = null;
+    let pixelCanvas = null;
+    let timer = null;
 
-    const tempSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    tempSVG.style.position = 'absolute';
-    tempSVG.style.left = '-9999px';
-    tempSVG.style.width = '0';
-    tempSVG.style.height = '0';
-    document.body.appendChild(tempSVG);
+    const raf = typeof scope.requestAnimationFrame === 'function'
+      ? (fn) => scope.requestAnimationFrame(fn)
+      : (fn) => setTimeout(() => fn(performance.now()), 1000 / 60);
+    const caf = typeof scope.cancelAnimationFrame === 'function'
+      ? (id) => scope.cancelAnimationFrame(id)
+      : (id) => clearTimeout(id);
 
-    const geoTags = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
-    const elements = [];
-    for (const tag of geoTags) elements.push(...svgEl.querySelectorAll(tag));
+    function regenerate(withMorph = false, given = null) {
+      const from = withMorph && config.morphDuration > 0 && !config.reducedMotion ? framePoints : null;
+      if (given) {
+        points = given;
+      } else if (config.shapeType === 'voronoi') {
+        voronoiSamples = initVoronoiSamples(config.density, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+        points = generateVoronoiPoints(voronoiSamples, config, 0);
+      } else {
+        points = generatePoints(config);
+      }
+      config.connectionData = generateConnections(points, config);
+      floatPhases = initFloatPhases(points.length, createRNG(config.seed, RNG_STREAMS.float));
+      physics = createCursorPhysics();
+      morph = from && from.length > 0 ? createMorph(from, points, config) : null;
+      scope.postMessage({ type: 'regenerated', points, connectionData: config.connectionData });
+      if (paused) frame();
+    }
 
-    if (elements.length === 0) { document.body.removeChild(tempSVG); return null; }
+    function resize(width, height, dpr) {
+      logicalW = width;
+      logicalH = height;
+      pixelRatio = dpr;
+      canvas.width = Math.max(1, Math.round(width * dpr));
+      canvas.height = Math.max(1, Math.round(height * dpr));
+      if (ctx) ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
 
-    const rawPoints = [];
-    const pathDatas = [];
+    function draw(framePoints, t) {
+      if (gl) {
+        gl.render(logicalW, logicalH, framePoints, config, t);
+        return;
+      }
+      const blockSize = config.pixelate;
+      if (blockSize > 1) {
+        const pw = Math.max(1, Math.round(logicalW / blockSize));
+        const ph = Math.max(1, Math.round(logicalH / blockSize));
+        if (!pixelCanvas) pixelCanvas = new OffscreenCanvas(pw, ph);
+        pixelCanvas.width = pw;
+        pixelCanvas.height = ph;
+        renderFrame(pixelCanvas.getContext('2d'), pw, ph, framePoints, config, t);
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, logicalW, logicalH);
+        ctx.drawImage(pixelCanvas, 0, 0, logicalW, logicalH);
+      } else {
+        ctx.imageSmoothingEnabled = true;
+        renderFrame(ctx, logicalW, logicalH, framePoints, config, t);
+      }
+    }
 
-    for (const el of elements) {
-      const clone = el.cloneNode(true);
-      tempSVG.appendChild(clone);
-      if (typeof clone.getTotalLength === 'function') {
-        const len = clone.getTotalLength();
-        const sampleCount = Math.max(50, Math.ceil(len / 2));
-        for (let i = 0; i < sampleCount; i++) {
-          const pt = clone.getPointAtLength((i / sampleCount) * len);
-          rawPoints.push({ x: pt.x, y: pt.y });
+    function frame(dt = 0) {
+      if (logicalW <= 0) return;
+      const t = config.reducedMotion ? 0 : performance.now() * 0.001;
+      const previous = framePoints;
+      if (config.shapeType === 'voronoi') {
+        framePoints = generateVoronoiPoints(voronoiSamples, config, t);
+      } else if (config.float && floatPhases.length > 0) {
+        framePoints = applyFloat(points, floatPhases, config, t);
+      } else {
+        framePoints = points;
+      }
+      if (dt > 0) stepCursorPhysics(physics, framePoints, config, { width: logicalW, height: logicalH, pointer, dt });
+      framePoints = applyCursorPhysics(framePoints, physics);
+      if (morph) {
+        framePoints = applyMorph(morph, framePoints, performance.now());
+        if (morph.done) morph = null;
+      }
+      // Plexus links can stay while the particles have barely moved
+      reuseLinks(previous, framePoints, config);
+      frameTime = t;
+      draw(framePoints, t);
+    }
+
+    function start() {
+      if (timer != null || paused) return;
+      let lastTs = 0;
+      const tick = (ts) => {
+        const dt = lastTs ? Math.min((ts - lastTs) / (1000 / 60), 4) : 1;
+        lastTs = ts;
+        if (rotTween) {
+          if (applyRotationTween(rotTween, config, performance.now())) rotTween = null;
+        } else if (config.autoRotate && !dragging) {
+          config.rotY += config.rotSpeed * dt;
         }
+        frame(dt);
+        timer = raf(tick);
+      };
+      timer = raf(tick);
+    }
+
+    function stop() {
+      if (timer != null) caf(timer);
+      timer = null;
+    }
+
+    function snapshot(format, options) {
+      const pts = framePoints.length > 0 ? framePoints : points;
+      const opts = { width: logicalW, height: logicalH, scale: pixelRatio, frameTime, ...options };
+      if (format === 'svg') {
+        return Promise.resolve(new Blob([toSVGString(config, pts, opts)], { type: 'image/svg+xml' }));
       }
-      if (el.tagName === 'path' && el.getAttribute('d')) {
-        pathDatas.push(el.getAttribute('d'));
-      } else if (el.tagName === 'rect') {
-        const rx = parseFloat(el.getAttribute('x') || 0), ry = parseFloat(el.getAttribute('y') || 0);
-        const rw = parseFloat(el.getAttribute('width') || 0), rh = parseFloat(el.getAttribute('height') || 0);
-        pathDatas.push(`M${rx},${ry} L${rx+rw},${ry} L${rx+rw},${ry+rh} L${rx},${ry+rh} Z`);
-      } else if (el.tagName === 'circle') {
-        const ccx = parseFloat(el.getAttribute('cx') || 0), ccy = parseFloat(el.getAttribute('cy') || 0), cr = parseFloat(el.getAttribute('r') || 0);
-        pathDatas.push(`M${ccx-cr},${ccy} A${cr},${cr} 0 1,0 ${ccx+cr},${ccy} A${cr},${cr} 0 1,0 ${ccx-cr},${ccy} Z`);
-      } else if (el.tagName === 'ellipse') {
-        const ecx = parseFloat(el.getAttribute('cx') || 0), ecy = parseFloat(el.getAttribute('cy') || 0);
-        const erx = parseFloat(el.getAttribute('rx') || 0), ery = parseFloat(el.getAttribute('ry') || 0);
-        pathDatas.push(`M${ecx-erx},${ecy} A${erx},${ery} 0 1,0 ${ecx+erx},${ecy} A${erx},${ery} 0 1,0 ${ecx-erx},${ecy} Z`);
-      } else if (el.tagName === 'polygon') {
-        const pts = el.getAttribute('points');
-        if (pts) pathDatas.push(`M${pts} Z`);
+      return toPNGBlob(config, pts, opts);
+    }
+
+    scope.addEventListener('message', (e) => {
+      const msg = e.data;
+      switch (msg.type) {
+        case 'init': {
+          canvas = msg.canvas;
+          config = msg.config;
+          if (config.renderer === 'webgl') gl = createWebGLRenderer(canvas);
+          if (!gl) ctx = canvas.getContext('2d');
+          resize(msg.width, msg.height, msg.dpr);
+          regenerate(false, msg.points);
+          start();
+          break;
+        }
+        case 'config': {
+          Object.assign(config, msg.config);
+          if (msg.regenerate) regenerate(msg.morph, msg.points);
+          else if (paused) frame();
+          break;
+        }
+        case 'svg': {
+          const result = parseSVGFile(msg.svgText);
+          if (!result) break;
+          config.svgOutline = result.outline;
+          config.svgPath2D = result.svgPath2D;
+          config._svgNorm = result.svgNorm;
+          if (config.shapeType === 'svgExtrude') regenerate();
+          break;
+        }
+        case 'text': {
+          // The page has the fonts, so it traces; Path2D is rebuilt here
+          const result = msg.pathDatas.length > 0 ? parseSVGFile(pathDataToSVG(msg.pathDatas)) : null;
+          config.textOutline = result ? result.outline : [];
+          config.textPath2D = result ? result.svgPath2D : null;
+          config._textNorm = result ? result.svgNorm : null;
+          if (config.shapeType === 'text') regenerate();
+          break;
+        }
+        case 'glyphImage':
+          config[msg.key] = msg.image;
+          if (paused) frame();
+          break;
+        case 'resize':
+          resize(msg.width, msg.height, msg.dpr);
+          if (paused) frame();
+          break;
+        case 'rotate':
+          rotTween = null;
+          config.rotX += msg.dRotX;
+          config.rotY += msg.dRotY;
+          if (paused) frame();
+          break;
+        case 'rotation': {
+          const target = { rotX: msg.rotX, rotY: msg.rotY, rotZ: msg.rotZ };
+          rotTween = null;
+          if (msg.duration > 0 && !paused) {
+            rotTween = createRotationTween(config, target, msg.duration);
+          } else {
+            Object.assign(config, target);
+            if (paused) frame();
+          }
+          break;
+        }
+        case 'drag':
+          dragging = msg.active;
+          break;
+        case 'pointer':
+          pointer = msg.pointer;
+          break;
+        case 'scatter':
+          scatterCursorPhysics(physics, points, config);
+          break;
+        case 'pause':
+          paused = true;
+          stop();
+          break;
+        case 'play':
+          paused = false;
+          start();
+          break;
+        case 'snapshot':
+          snapshot(msg.format, msg.options).then(
+            (blob) => scope.postMessage({ type: 'snapshot', id: msg.id, blob }),
+            (err) => scope.postMessage({ type: 'snapshot', id: msg.id, error: String(err && err.message || err) })
+          );
+          break;
+        case 'dispose':
+          stop();
+          if (gl) gl.dispose();
+          scope.close();
+          break;
       }
-      tempSVG.removeChild(clone);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // ORBIT CONTROLS (inlined)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const INTERACTIVE_MODES = ['none', 'rotate', 'orbit'];
+
+  const ZOOM_MIN = 0.2;
+  const ZOOM_MAX = 5;
+
+  const ROTATE_PER_PX = 0.005;
+  const KEY_STEP = 0.08;          // radians per arrow key press
+  const TAP_DISTANCE = 4;         // px a press may move and still be a tap
+  const INERTIA_DECAY = 0.92;     // velocity kept per 60 fps frame
+  const INERTIA_MIN = 0.00002;    // rad / ms below which momentum stops
+  const INERTIA_WINDOW = 80;      // ms; an older last move means no momentum
+  const INERTIA_MAX = 0.005;      // rad / ms, so a flick can't spin wildly
+
+  const KEY_SHORTCUTS = 'ArrowLeft ArrowRight ArrowUp ArrowDown';
+
+  const modeOf = (config) => INTERACTIVE_MODES.includes(config.interactive) ? config.interactive : 'rotate';
+
+  // The tilt after a change of `d`, limited to the polar angles
+  function clampPolar(rotX, d, config) {
+    const lo = config.minPolarAngle ?? -Math.PI / 2;
+    const hi = config.maxPolarAngle ?? Math.PI / 2;
+    return Math.min(Math.max(rotX + d, Math.min(lo, rotX)), Math.max(hi, rotX));
+  }
+
+  function createOrbitController(config, { onChange = () => {}, onStart = () => {}, onEnd = () => {}, onTap = () => {}, momentum = () => true } = {}) {
+    let element = null;
+    const pointers = new Map();   // pointerId → { x, y }
+    let press = null;             // first pointer down, for taps
+    let velocity = { x: 0, y: 0, t: 0 };
+    let inertiaId = null;
+
+    function rotate(dx, dy) {
+      const before = config.rotX;
+      config.rotX = clampPolar(config.rotX, dy, config);
+      config.rotY += dx;
+      onChange({ rotX: config.rotX - before, rotY: dx });
     }
 
-    document.body.removeChild(tempSVG);
-    if (rawPoints.length === 0) return null;
+    function zoomBy(factor) {
+      const next = Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, (config.zoom || 1) * factor));
+      if (next === config.zoom) return;
+      config.zoom = next;
+      onChange({ rotX: 0, rotY: 0, zoom: true });
+    }
 
-    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-    for (const p of rawPoints) {
-      if (p.x < minX) minX = p.x; if (p.x > maxX) maxX = p.x;
-      if (p.y < minY) minY = p.y; if (p.y > maxY) maxY = p.y;
+    // Pan is in fractions of the canvas' shorter side, as viewCenter reads it
+    function panBy(dx, dy) {
+      const rect = element.getBoundingClientRect();
+      const side = Math.min(rect.width, rect.height) || 1;
+      config.panX = (config.panX || 0) + dx / side;
+      config.panY = (config.panY || 0) + dy / side;
+      onChange({ rotX: 0, rotY: 0, pan: true });
+    }
+
+    function stopInertia() {
+      if (inertiaId != null) cancelAnimationFrame(inertiaId);
+      inertiaId = null;
+    }
+
+    function startInertia() {
+      if (!momentum() || performance.now() - velocity.t > INERTIA_WINDOW) return;
+      const speed = Math.hypot(velocity.x, velocity.y);
+      const cap = speed > INERTIA_MAX ? INERTIA_MAX / speed : 1;
+      let vx = velocity.x * cap;
+      let vy = velocity.y * cap;
+      let last = performance.now();
+      const step = (ts) => {
+        const dt = Math.min(ts - last, 64);
+        last = ts;
+        rotate(vx * dt, vy * dt);
+        const keep = Math.pow(INERTIA_DECAY, dt / (1000 / 60));
+        vx *= keep;
+        vy *= keep;
+        inertiaId = Math.hypot(vx, vy) > INERTIA_MIN ? requestAnimationFrame(step) : null;
+      };
+      if (Math.hypot(vx, vy) > INERTIA_MIN) inertiaId = requestAnimationFrame(step);
+    }
+
+    // Midpoint and spread of the two touches of a pinch / pan
+    function pair() {
+      const [a, b] = [...pointers.values()];
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, d: Math.hypot(a.x - b.x, a.y - b.y) };
+    }
+
+    // Presses are tracked in every mode, so taps still register with
+    // interactive="none"
+    function onPointerDown(e) {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      stopInertia();
+      if (pointers.size === 0) {
+        press = { x: e.clientX, y: e.clientY, moved: false };
+        onStart();
+      } else {
+        press = null; // a second finger makes it a gesture, not a tap
+      }
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      velocity = { x: 0, y: 0, t: 0 };
+    }
+
+    function onPointerMove(e) {
+      const prev = pointers.get(e.pointerId);
+      if (!prev) return;
+      const before = pointers.size === 2 ? pair() : null;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) >= TAP_DISTANCE) press.moved = true;
+      if (modeOf(config) === 'none') return;
+
+      if (before) {
+        if (modeOf(config) !== 'orbit') return;
+        const after = pair();
+        if (before.d > 0 && after.d > 0) zoomBy(after.d / before.d);
+        panBy(after.x - before.x, after.y - before.y);
+        return;
+      }
+      if (pointers.size !== 1) return;
+      const dx = e.clientX - prev.x;
+      const dy = e.clientY - prev.y;
+      if (e.shiftKey && modeOf(config) === 'orbit') {
+        panBy(dx, dy);
+        return;
+      }
+      rotate(dx * ROTATE_PER_PX, dy * ROTATE_PER_PX);
+
+      // Momentum is the latest move's speed, smoothed a little
+      const now = performance.now();
+      const dt = velocity.t ? Math.max(1, now - velocity.t) : 16;
+      velocity = {
+        x: velocity.x * 0.2 + (dx * ROTATE_PER_PX / dt) * 0.8,
+        y: velocity.y * 0.2 + (dy * ROTATE_PER_PX / dt) * 0.8,
+        t: now,
+      };
+    }
+
+    function onPointerUp(e) {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      if (pointers.size > 0) {
+        velocity = { x: 0, y: 0, t: 0 }; // the remaining finger starts afresh
+        return;
+      }
+      const tap = press && !press.moved;
+      press = null;
+      onEnd();
+      if (tap) onTap(e);
+      else startInertia();
+    }
+
+    function onWheel(e) {
+      if (modeOf(config) !== 'orbit') return;
+      e.preventDefault();
+      const lines = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+      zoomBy(Math.exp(-e.deltaY * lines * 0.0015));
+    }
+
+    function onKeyDown(e) {
+      const mode = modeOf(config);
+      if (mode === 'none' || e.altKey || e.ctrlKey || e.metaKey) return;
+      switch (e.key) {
+        case 'ArrowLeft':  rotate(-KEY_STEP, 0); break;
+        case 'ArrowRight': rotate(KEY_STEP, 0); break;
+        case 'ArrowUp':    rotate(0, -KEY_STEP); break;
+        case 'ArrowDown':  rotate(0, KEY_STEP); break;
+        case '+': case '=': if (mode !== 'orbit') return; zoomBy(1.1); break;
+        case '-': case '_': if (mode !== 'orbit') return; zoomBy(1 / 1.1); break;
+        default: return;
+      }
+      e.preventDefault();
+      stopInertia();
     }
-    const maxRange = Math.max(maxX - minX || 1, maxY - minY || 1);
-    const centerX = (minX + maxX) / 2, centerY = (minY + maxY) / 2;
-    const outline = rawPoints.map(p => ({ x: ((p.x - centerX) / maxRange) * 2, y: ((p.y - centerY) / maxRange) * 2 }));
-    let svgPath2D = null, svgNorm = null;
-    if (pathDatas.length > 0) {
-      svgPath2D = new Path2D(pathDatas.join(' '));
-      svgNorm = { centerX, centerY, maxRange };
+
+    // Window listeners catch drags that leave the element
+    function listen(add) {
+      const method = add ? 'addEventListener' : 'removeEventListener';
+      element[method]('pointerdown', onPointerDown);
+      element[method]('wheel', onWheel, { passive: false });
+      element[method]('keydown', onKeyDown);
+      window[method]('pointermove', onPointerMove);
+      window[method]('pointerup', onPointerUp);
+      window[method]('pointercancel', onPointerUp);
     }
-    return { outline, svgPath2D, svgNorm };
+
+    return {
+      attach(el) {
+        if (element) listen(false);
+        element = el;
+        pointers.clear();
+        listen(true);
+        this.refresh();
+      },
+
+      // Focus and touch behaviour follow config.interactive; call after it changes
+      refresh() {
+        if (!element) return;
+        const mode = modeOf(config);
+        element.style.touchAction = mode === 'orbit' ? 'none' : mode === 'rotate' ? 'pan-y' : '';
+        if (mode === 'none') {
+          element.removeAttribute('tabindex');
+          element.removeAttribute('aria-keyshortcuts');
+          stopInertia();
+        } else {
+          element.tabIndex = 0;
+          element.setAttribute('aria-keyshortcuts', mode === 'orbit' ? KEY_SHORTCUTS + ' Plus -' : KEY_SHORTCUTS);
+        }
+      },
+
+      get dragging() {
+        return pointers.size > 0;
+      },
+
+      // Stops momentum, e.g. when something else takes over the camera
+      stop: stopInertia,
+
+      dispose() {
+        stopInertia();
+        if (element) listen(false);
+        element = null;
+        pointers.clear();
+      },
+    };
+  }
+
+  // Loaded as the element's worker (see WORKER_FACTORY): no DOM here, so
+  // run the render loop instead of defining the element
+  if (typeof HTMLElement === 'undefined') {
+    if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) runRenderWorker(self);
+    return;
   }
 
   // ═══════════════════════════════════════════════════════════════════
   // WEB COMPONENT
   // ═══════════════════════════════════════════════════════════════════
 
+  const WORKER_FACTORY = () => {
+    if (!BUNDLE_SRC) return null;
+    const blob = new Blob([`importScripts(${JSON.stringify(BUNDLE_SRC)});`], { type: 'text/javascript' });
+    const url = URL.createObjectURL(blob);
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+  };
+
+  const REGENERATE_KEYS = ['shapeType', 'density', 'randomness', 'seed', 'spiralArms', 'extrudeDepth', 'snapToGrid', 'connectionsEnabled', 'connectionTopology', 'connectionDistance', 'connectionNeighbors', 'connectionMaxLines', 'hubCount', 'connectionsPerHub', 'hubPlacement', 'connectionDistribution', 'connectionSpread', 'connectionFocus', 'voronoiMode', 'voronoiCells', 'float', 'meshSampling', 'meshData', 'svgOutline', 'textOutline'];
+  const MORPH_KEYS = ['shapeType', 'density', 'randomness'];
+  // ...and the ones that need the text outline traced again first
+  const TEXT_KEYS = ['text', 'font', 'fontWeight', 'letterSpacing'];
+
+  // Read out for the canvas when there's no `alt`
+  const DEFAULT_LABEL = 'Particle animation';
+
+  // Attribute → { key, spec } for the params of registered shapes. These
+  // change as shapes are registered, so they're read through a
+  // MutationObserver rather than observedAttributes.
+  function paramAttributes() {
+    const map = new Map();
+    for (const params of Object.values(shapeParams)) {
+      for (const [key, spec] of Object.entries(params)) map.set(paramAttribute(key, spec), { key, spec });
+    }
+    return map;
+  }
+
   class ParticleShape extends HTMLElement {
 
     static get observedAttributes() {
       return [
-        'shape', 'density', 'spacing', 'randomness',
+        'shape', 'density', 'spacing', 'randomness', 'seed',
         'size', 'color', 'bg',
+        'color-mode', 'gradient-color', 'color-axis', 'palette',
+        'glyph', 'glyph-char', 'glyph-src', 'hub-glyph', 'hub-glyph-char', 'hub-glyph-src',
         'perspective', 'speed',
         'depth-opacity', 'depth-sizing', 'auto-rotate',
         'spiral-arms', 'extrude-depth', 'snap-to-grid',
+        'text', 'font', 'font-weight', 'letter-spacing',
         'rotate-x', 'rotate-y', 'rotate-z',
+        'interactive', 'pan-x', 'pan-y', 'min-polar-angle', 'max-polar-angle',
         'focal-length', 'lens',
-        'connections', 'hubs', 'connections-per-hub',
+        'connections', 'connection-topology', 'connection-distance', 'connection-neighbors', 'connection-max-lines',
+        'hubs', 'connections-per-hub',
         'connection-opacity', 'connection-thickness',
         'hub-placement', 'hub-visible', 'hub-size',
         'connection-depth-opacity',
         'connection-distribution', 'connection-spread', 'connection-focus',
+        'connection-motion', 'connection-motion-speed', 'connection-relink',
+        'connection-pulses', 'connection-pulse-speed', 'connection-pulse-color',
         'highlight-connected', 'non-connected-color', 'non-connected-opacity',
         'zoom', 'pixelate',
         'float', 'float-radius', 'float-speed', 'float-variability',
-        'voronoi-cells', 'voronoi-membrane-width', 'voronoi-speed', 'voronoi-variability',
+        'cursor-mode', 'cursor-strength', 'cursor-radius', 'cursor-damping',
+        'voronoi-mode', 'voronoi-cells', 'voronoi-membrane-width', 'voronoi-speed', 'voronoi-variability',
         'svg-src', 'svg-data',
+        'mesh-src', 'mesh-sampling',
+        'morph-duration', 'morph-easing', 'morph-match',
+        'renderer', 'worker',
+        'timeline', 'timeline-source', 'timeline-target', 'timeline-duration', 'timeline-loop',
+        'preset',
+        'alt', 'poster', 'motion',
       ];
     }
 
+    // Adds a shape to every <particle-shape> on the page; see registerShape()
+    // in particle-engine.js. The bundle's way in, as it has no exports:
+    //   customElements.get('particle-shape').registerShape('ring', fn, params)
+    // Elements already set to the shape pick it up.
+    static registerShape(name, generate, params) {
+      registerShape(name, generate, params);
+      for (const el of document.querySelectorAll('particle-shape')) {
+        if (!(el instanceof ParticleShape) || el._config.shapeType !== name) continue;
+        el._syncParamAttributes();
+        if (el._canvas) el._regenerate();
+      }
+    }
+
     constructor() {
       super();
       this.attachShadow({ mode: 'open' });
@@ -748,9 +5183,22 @@
         density: 1500,
         spacing: 1.0,
         randomness: 0,
+        seed: null,
         squareSize: 3,
         color: '#ffffff',
         bgColor: '#0a0a0a',
+        colorMode: 'solid',
+        gradientColor: '#4a7fd9',
+        colorAxis: 'y',
+        palette: [...DEFAULT_PALETTE],
+        glyph: 'square',
+        glyphChar: '*',
+        glyphSrc: '',
+        glyphImage: null,
+        hubGlyph: '',
+        hubGlyphChar: '',
+        hubGlyphSrc: '',
+        hubGlyphImage: null,
         focalLength: 50,
         lensType: 'perspective',
         zoom: 1.0,
@@ -759,6 +5207,11 @@
         rotX: 0,
         rotY: 0,
         rotZ: 0,
+        panX: 0,
+        panY: 0,
+        interactive: 'rotate',
+        minPolarAngle: -Math.PI / 2,
+        maxPolarAngle: Math.PI / 2,
         autoRotate: true,
         rotSpeed: 0.003,
         spiralArms: 4,
@@ -767,7 +5220,20 @@
         svgOutline: [],
         svgPath2D: null,
         _svgNorm: null,
+        meshData: null,
+        meshSampling: 'surface',
+        text: '',
+        font: 'sans-serif',
+        fontWeight: 400,
+        letterSpacing: 0,
+        textOutline: [],
+        textPath2D: null,
+        _textNorm: null,
         connectionsEnabled: false,
+        connectionTopology: 'hubs',
+        connectionDistance: 0.25,
+        connectionNeighbors: 3,
+        connectionMaxLines: 2000,
         hubCount: 3,
         connectionsPerHub: 15,
         connectionOpacity: 0.3,
@@ -780,6 +5246,12 @@
         hubVisible: true,
         hubSize: 6,
         connectionDepthOpacity: true,
+        connectionMotion: 'none',
+        connectionMotionSpeed: 0.3,
+        connectionRelink: 0,
+        connectionPulses: false,
+        connectionPulseSpeed: 0.5,
+        connectionPulseColor: '#ffffff',
         nonConnectedColor: '#404040',
         nonConnectedOpacity: 0.4,
         connectionData: { hubs: [], connections: [] },
@@ -788,21 +5260,76 @@
         floatRadius: 0.1,
         floatSpeed: 1.0,
         floatVariability: 0.5,
+        cursorMode: 'none',
+        cursorStrength: 1,
+        cursorRadius: 120,
+        cursorDamping: 0.12,
+        voronoiMode: 'plane',
         voronoiCells: 12,
         voronoiMembraneWidth: 0.05,
         voronoiSpeed: 0.5,
         voronoiVariability: 0.5,
+        morphDuration: 800,
+        morphEasing: 'easeInOut',
+        morphMatch: 'nearest',
+        renderer: 'canvas',
+        worker: false,
+        motion: 'auto',
+        reducedMotion: false, // from `motion` and the media query
       };
       this._points = [];
       this._voronoiSamples = [];
       this._floatPhases = [];
+      this._framePoints = [];
+      this._frameTime = 0;       // animation time _framePoints were drawn at
+      this._morph = null;
+      this._physics = createCursorPhysics();
+      this._pointer = null;      // on the canvas, for cursor physics
       this._animId = null;
-      this._isDragging = false;
-      this._lastMouseX = 0;
-      this._lastMouseY = 0;
+      this._orbit = createOrbitController(this._config, {
+        onChange: (delta) => this._onOrbit(delta),
+        onStart: () => {
+          this._rotTween = null;
+          if (this._worker) this._worker.postMessage({ type: 'drag', active: true });
+        },
+        onEnd: () => {
+          if (this._worker) this._worker.postMessage({ type: 'drag', active: false });
+        },
+        onTap: () => {
+          if (this._config.cursorMode !== 'none') this.scatter();
+        },
+        momentum: () => !this._config.reducedMotion,
+      });
       this._canvas = null;
       this._ctx = null;
+      this._gl = null;
+      this._worker = null;
+      this._svgText = null;
+      this._svgPathDatas = [];  // kept for the `preset` getter
+      this._textPathDatas = []; // traced text, for a worker to parse
+      this._textToken = 0;
+      this._meshSrc = '';
+      this._paused = false;
+      this._ready = false;
+      this._rotTween = null;
+      this._requests = new Map();
+      this._requestId = 0;
       this._resizeObserver = null;
+      // Scroll / visibility / time timeline; progress is null until first
+      // measured. Duration and loop from attributes win over a saved file's.
+      this._timeline = { keyframes: [], source: '', target: '', duration: null, loop: '', file: { duration: null, loop: 'loop' } };
+      this._timelineProgress = null;
+      this._timelineFrame = null;
+      this._timelineElapsed = 0;
+      this._timelineClock = null;
+      this._timelineObserved = null;
+      this._onScrollBound = () => this._scheduleTimeline();
+      this._intersectionObserver = null;
+      this._offscreen = false;
+      this._paramObserver = null;
+      this._poster = null;
+      this._motionQuery = null;
+      this._onMotionChangeBound = () => this._updateMotion();
     }
 
     connectedCallback() {
@@ -820,46 +5347,264 @@
             height: 100%;
             touch-action: pan-y;
           }
+          canvas:focus-visible {
+            outline: 2px solid Highlight;
+            outline-offset: -2px;
+          }
+          .poster, .poster img {
+            display: none;
+            width: 100%;
+            height: 100%;
+            object-fit: cover;
+          }
+          .poster.shown:not(.empty), .poster img[src] {
+            display: block;
+          }
+          .poster.shown:not(.empty) ~ canvas {
+            display: none;
+          }
+          /* Print the poster, when there is one, rather than a frame */
+          @media print {
+            .poster:not(.empty) {
+              display: block;
+            }
+            .poster:not(.empty) ~ canvas {
+              display: none;
+            }
+          }
         </style>
-        <canvas></canvas>
+        <div class="poster" part="poster"><slot name="poster"><img alt=""></slot></div>
       `;
-
-      this._canvas = this.shadowRoot.querySelector('canvas');
-      this._ctx = this._canvas.getContext('2d');
+      this._poster = this.shadowRoot.querySelector('.poster');
+      this._poster.querySelector('slot').addEventListener('slotchange', () => this._updatePoster());
 
       this._syncAllAttributes();
+      this._watchMotion();
+      this._updatePoster();
+      this._setupCanvas();
 
       this._resizeObserver = new ResizeObserver(() => this._resize());
       this._resizeObserver.observe(this);
       this._resize();
 
-      this._canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
       this._onPointerMoveBound = (e) => this._onPointerMove(e);
-      this._onPointerUpBound = () => this._onPointerUp();
+      this._onPointerUpBound = (e) => this._onPointerUp(e);
       window.addEventListener('pointermove', this._onPointerMoveBound);
       window.addEventListener('pointerup', this._onPointerUpBound);
 
-      this._regenerate();
+      this._paramObserver = new MutationObserver((records) => this._onParamMutations(records));
+      this._paramObserver.observe(this, { attributes: true, attributeOldValue: true });
+
+      if (!this._worker) this._regenerate();
+      this._observeVisibility();
+      this._setupTimeline();
       this._startAnimation();
     }
 
     disconnectedCallback() {
       this._stopAnimation();
+      this._teardownTimeline();
+      if (this._intersectionObserver) {
+        this._intersectionObserver.disconnect();
+        this._intersectionObserver = null;
+      }
+      this._offscreen = false;
       if (this._resizeObserver) {
         this._resizeObserver.disconnect();
         this._resizeObserver = null;
       }
+      if (this._paramObserver) {
+        this._paramObserver.disconnect();
+        this._paramObserver = null;
+      }
+      this._orbit.dispose();
+      this._unwatchMotion();
       window.removeEventListener('pointermove', this._onPointerMoveBound);
       window.removeEventListener('pointerup', this._onPointerUpBound);
+      this._teardownCanvas();
     }
 
     attributeChangedCallback(name, oldVal, newVal) {
       if (oldVal === newVal) return;
       this._applyAttribute(name, newVal);
 
-      const regenerateAttrs = ['shape', 'density', 'randomness', 'spiral-arms', 'extrude-depth', 'snap-to-grid', 'connections', 'hubs', 'connections-per-hub', 'hub-placement', 'connection-distribution', 'connection-spread', 'connection-focus', 'voronoi-cells', 'float'];
+      if ((name === 'renderer' || name === 'worker') && this._canvas) {
+        this._rebuildCanvas();
+      }
+      if (name === 'interactive') this._orbit.refresh();
+      if (name.startsWith('timeline')) {
+        if (this._canvas) this._setupTimeline();
+        return;
+      }
+      if (name === 'preset') return; // applied through `config`, which redraws
+      if (name === 'alt' || name === 'poster') return;
+
+      const regenerateAttrs = ['shape', 'density', 'randomness', 'seed', 'spiral-arms', 'extrude-depth', 'snap-to-grid', 'connections', 'connection-topology', 'connection-distance', 'connection-neighbors', 'connection-max-lines', 'hubs', 'connections-per-hub', 'hub-placement', 'connection-distribution', 'connection-spread', 'connection-focus', 'voronoi-mode', 'voronoi-cells', 'float', 'mesh-sampling'];
+      // ...and of those, the ones that tween instead of jumping
+      const morphAttrs = ['shape', 'density', 'randomness'];
       if (regenerateAttrs.includes(name)) {
-        this._regenerate();
+        this._regenerate(morphAttrs.includes(name));
+      } else if (this._worker) {
+        this._worker.postMessage({ type: 'config', config: this._workerConfig(name.startsWith('rotate-')) });
+      } else if (this._isStill()) {
+        this._drawFrame();
+      }
+    }
+
+    // ── Public API ────────────────────────────────────────────────────
+
+    // Snapshot of the current settings, keyed like the internal config
+    // (shapeType, density, squareSize, ...), not like the attributes.
+    get config() {
+      const { svgPath2D, textPath2D, connectionData, glyphImage, hubGlyphImage, reducedMotion, ...rest } = this._config;
+      return { ...rest };
+    }
+
+    // Partial update with the same keys as the getter. Applies like the
+    // matching attribute change would: regenerating / morphing as needed.
+    set config(values) {
+      const changed = Object.keys(values || {}).filter((key) => values[key] !== this._config[key]);
+      if (changed.length === 0) return;
+      Object.assign(this._config, values);
+      if (changed.some((key) => TEXT_KEYS.includes(key))) this._updateText();
+      if (changed.includes('motion')) this._updateMotion();
+      if (!this._canvas) return;
+
+      if (changed.includes('renderer') || changed.includes('worker')) {
+        this._rebuildCanvas();
+      }
+      if (changed.includes('interactive')) this._orbit.refresh();
+      if (changed.includes('glyphSrc')) this._loadGlyphImage('glyphImage', this._config.glyphSrc);
+      if (changed.includes('hubGlyphSrc')) this._loadGlyphImage('hubGlyphImage', this._config.hubGlyphSrc);
+      if (changed.some((key) => REGENERATE_KEYS.includes(key) || isShapeParam(key))) {
+        this._regenerate(changed.some((key) => MORPH_KEYS.includes(key)));
+      } else if (this._worker) {
+        this._worker.postMessage({ type: 'config', config: this._workerConfig(changed.some((key) => key.startsWith('rot'))) });
+      } else if (this._isStill()) {
+        this._drawFrame();
+      }
+    }
+
+    // Base (un-animated) positions in normalised [-1, 1] space
+    get points() {
+      return this._points;
+    }
+
+    get connectionData() {
+      return this._config.connectionData;
+    }
+
+    get paused() {
+      return this._paused;
+    }
+
+    regenerate() {
+      this._regenerate();
+    }
+
+    // Blows the particles outward; they spring back home (see cursor-mode,
+    // where a click does the same)
+    scatter() {
+      if (this._worker) this._worker.postMessage({ type: 'scatter' });
+      else scatterCursorPhysics(this._physics, this._points, this._config);
+    }
+
+    pause() {
+      if (this._paused) return;
+      this._paused = true;
+      this._stopAnimation();
+      this._stopTimelineClock();
+      if (this._worker) this._worker.postMessage({ type: 'pause' });
+    }
+
+    play() {
+      if (!this._paused) return;
+      this._paused = false;
+      // Resumes when scrolled back into view, or when motion is allowed
+      if (this._offscreen || this._config.reducedMotion) return;
+      this._startTimelineClock();
+      if (this._worker) this._worker.postMessage({ type: 'play' });
+      else if (this._canvas) this._startAnimation();
+    }
+
+    // Keyframes driven by the timeline (see the `timeline` attribute). Takes a
+    // keyframe array or a timeline saved by the editor, or either as JSON.
+    get timeline() {
+      return this._timeline.keyframes;
+    }
+
+    set timeline(value) {
+      this._readTimeline(value);
+      if (this._canvas) this._setupTimeline();
+    }
+
+    // The current design as a project file (see `preset`). Loaded SVG shapes
+    // travel as path data; meshes only by their URL.
+    get preset() {
+      const { duration, loop, file, keyframes } = this._timeline;
+      return createPreset(this._config, {
+        timeline: { duration: duration || file.duration, loop: loop || file.loop, keyframes },
+        svgPathDatas: this._svgPathDatas,
+        meshSrc: this._meshSrc,
+      });
+    }
+
+    // Takes a preset object, its JSON text, or a URL to fetch it from
+    set preset(value) {
+      this._loadPreset(value);
+    }
+
+    // Angles in radians; omitted (null / undefined) axes keep their value.
+    // `animate` is true for the default duration or a duration in ms.
+    setRotation(x, y, z, { animate = false } = {}) {
+      const c = this._config;
+      const target = { rotX: x ?? c.rotX, rotY: y ?? c.rotY, rotZ: z ?? c.rotZ };
+      const duration = animate === true ? 800 : Math.max(0, Number(animate) || 0);
+      this._rotTween = null;
+      this._orbit.stop();
+
+      if (this._worker) {
+        Object.assign(c, target);
+        this._worker.postMessage({ type: 'rotation', ...target, duration });
+      } else if (duration > 0 && !this._isStill()) {
+        this._rotTween = createRotationTween(c, target, duration);
+      } else {
+        Object.assign(c, target);
+        if (this._isStill()) this._drawFrame();
+      }
+    }
+
+    // Resolves with the current frame as a PNG, or as an SVG document.
+    // `options` ({ width, height, scale, sizeScale, dpi }) renders at another
+    // size (see particle-export.js); the default is the element's own size at
+    // the screen's pixel ratio.
+    toBlob(type = 'png', options = {}) {
+      if (type !== 'png' && type !== 'svg') return Promise.reject(new Error(`Unsupported type: ${type}`));
+      if (this._worker) return this._requestWorker({ type: 'snapshot', format: type, options });
+      if (!this._canvas) return Promise.reject(new Error('Element is not connected'));
+
+      const points = this._framePoints.length > 0 ? this._framePoints : this._points;
+      const opts = { width: this._logicalW, height: this._logicalH, scale: window.devicePixelRatio || 1, frameTime: this._frameTime, ...options };
+      if (type === 'svg') {
+        return Promise.resolve(new Blob([toSVGString(this._config, points, opts)], { type: 'image/svg+xml' }));
+      }
+      return toPNGBlob(this._config, points, opts);
+    }
+
+    _emit(name, detail = {}) {
+      this.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    // Called after every regeneration, on this thread or the worker's
+    _onRegenerated() {
+      this._emit('regenerated', { points: this._points, connectionData: this._config.connectionData });
+      // Params that don't validate (a formula that doesn't parse) leave the shape empty
+      const error = shapeError(this._config);
+      if (error) this._emit('shapeerror', { shape: this._config.shapeType, error: new Error(error) });
+      if (!this._ready && this._canvas) {
+        this._ready = true;
+        this._updatePoster();
+        this._emit('ready');
       }
     }
 
@@ -871,6 +5616,27 @@
           this._applyAttribute(attr, this.getAttribute(attr));
         }
       }
+      this._syncParamAttributes();
+    }
+
+    _syncParamAttributes() {
+      for (const [attr, { key, spec }] of paramAttributes()) {
+        if (this.hasAttribute(attr)) this._config[key] = parseParamAttribute(spec, this.getAttribute(attr));
+      }
+    }
+
+    _onParamMutations(records) {
+      const params = paramAttributes();
+      let regenerate = false;
+      for (const { attributeName, oldValue } of records) {
+        const param = params.get(attributeName);
+        const value = this.getAttribute(attributeName);
+        if (!param || value === oldValue) continue;
+        this._config[param.key] = parseParamAttribute(param.spec, value);
+        const current = paramsOfShape(this._config.shapeType);
+        if (current && Object.hasOwn(current, param.key)) regenerate = true;
+      }
+      if (regenerate && this._canvas) this._regenerate();
     }
 
     _applyAttribute(name, value) {
@@ -880,9 +5646,24 @@
         case 'density':     c.density = parseInt(value, 10) || 1500; break;
         case 'spacing':     c.spacing = parseFloat(value) || 1.0; break;
         case 'randomness':  c.randomness = parseFloat(value) || 0; break;
+        case 'seed':        c.seed = value !== null && value !== '' && Number.isFinite(parseInt(value, 10)) ? parseInt(value, 10) : null; break;
         case 'size':        c.squareSize = parseFloat(value) || 3; break;
         case 'color':       c.color = value || '#ffffff'; break;
         case 'bg':          c.bgColor = value || '#0a0a0a'; break;
+        case 'color-mode':     c.colorMode = COLOR_MODES.includes(value) ? value : 'solid'; break;
+        case 'gradient-color': c.gradientColor = value || '#4a7fd9'; break;
+        case 'color-axis':     c.colorAxis = value === 'x' || value === 'z' ? value : 'y'; break;
+        case 'palette': {
+          const palette = parsePalette(value);
+          c.palette = palette.length > 0 ? palette : [...DEFAULT_PALETTE];
+          break;
+        }
+        case 'glyph':          c.glyph = GLYPHS.includes(value) ? value : 'square'; break;
+        case 'glyph-char':     c.glyphChar = value || '*'; break;
+        case 'glyph-src':      c.glyphSrc = value || ''; this._loadGlyphImage('glyphImage', c.glyphSrc); break;
+        case 'hub-glyph':      c.hubGlyph = GLYPHS.includes(value) ? value : ''; break;
+        case 'hub-glyph-char': c.hubGlyphChar = value || ''; break;
+        case 'hub-glyph-src':  c.hubGlyphSrc = value || ''; this._loadGlyphImage('hubGlyphImage', c.hubGlyphSrc); break;
         case 'perspective':   c.focalLength = parseInt(value, 10) || 50; break;
         case 'focal-length':  c.focalLength = parseFloat(value) || 50; break;
         case 'lens':          c.lensType = value || 'perspective'; break;
@@ -893,10 +5674,23 @@
         case 'spiral-arms':  c.spiralArms = parseInt(value, 10) || 4; break;
         case 'extrude-depth': c.extrudeDepth = parseFloat(value) || 0.5; break;
         case 'snap-to-grid':  c.snapToGrid = value !== 'false' && value !== null; break;
+        case 'text':           c.text = value || ''; this._updateText(); break;
+        case 'font':           c.font = value || 'sans-serif'; this._updateText(); break;
+        case 'font-weight':    c.fontWeight = parseInt(value, 10) || (value === 'bold' ? 700 : 400); this._updateText(); break;
+        case 'letter-spacing': c.letterSpacing = parseFloat(value) || 0; this._updateText(); break;
         case 'rotate-x':     c.rotX = parseFloat(value) || 0; break;
         case 'rotate-y':     c.rotY = parseFloat(value) || 0; break;
         case 'rotate-z':     c.rotZ = parseFloat(value) || 0; break;
+        case 'interactive':  c.interactive = INTERACTIVE_MODES.includes(value) ? value : 'rotate'; break;
+        case 'pan-x':        c.panX = parseFloat(value) || 0; break;
+        case 'pan-y':        c.panY = parseFloat(value) || 0; break;
+        case 'min-polar-angle': c.minPolarAngle = Number.isFinite(parseFloat(value)) ? parseFloat(value) : -Math.PI / 2; break;
+        case 'max-polar-angle': c.maxPolarAngle = Number.isFinite(parseFloat(value)) ? parseFloat(value) : Math.PI / 2; break;
         case 'connections':           c.connectionsEnabled = value !== 'false' && value !== null; break;
+        case 'connection-topology':   c.connectionTopology = CONNECTION_TOPOLOGIES.includes(value) ? value : 'hubs'; break;
+        case 'connection-distance':   c.connectionDistance = parseFloat(value) > 0 ? parseFloat(value) : 0.25; break;
+        case 'connection-neighbors':  c.connectionNeighbors = parseInt(value, 10) || 3; break;
+        case 'connection-max-lines':  c.connectionMaxLines = Number.isFinite(parseInt(value, 10)) ? Math.max(0, parseInt(value, 10)) : 2000; break;
         case 'hubs':                  c.hubCount = parseInt(value, 10) || 3; break;
         case 'connections-per-hub':   c.connectionsPerHub = parseInt(value, 10) || 15; break;
         case 'connection-opacity':    c.connectionOpacity = parseFloat(value) || 0.3; break;
@@ -908,6 +5702,12 @@
         case 'connection-distribution':  c.connectionDistribution = value || 'weighted'; break;
         case 'connection-spread':        c.connectionSpread = parseFloat(value) ?? 0.5; break;
         case 'connection-focus':         c.connectionFocus = parseFloat(value) ?? 0.5; break;
+        case 'connection-motion':        c.connectionMotion = CONNECTION_MOTIONS.includes(value) ? value : 'none'; break;
+        case 'connection-motion-speed':  c.connectionMotionSpeed = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 0.3; break;
+        case 'connection-relink':        c.connectionRelink = parseFloat(value) > 0 ? parseFloat(value) : 0; break;
+        case 'connection-pulses':        c.connectionPulses = value !== 'false' && value !== null; break;
+        case 'connection-pulse-speed':   c.connectionPulseSpeed = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 0.5; break;
+        case 'connection-pulse-color':   c.connectionPulseColor = value || '#ffffff'; break;
         case 'highlight-connected':      c.highlightConnected = value !== 'false' && value !== null; break;
         case 'non-connected-color':      c.nonConnectedColor = value || '#404040'; break;
         case 'non-connected-opacity':    c.nonConnectedOpacity = parseFloat(value) ?? 0.4; break;
@@ -917,6 +5717,11 @@
         case 'float-radius':             c.floatRadius = parseFloat(value) || 0.1; break;
         case 'float-speed':              c.floatSpeed = parseFloat(value) || 1.0; break;
         case 'float-variability':        c.floatVariability = parseFloat(value) ?? 0.5; break;
+        case 'cursor-mode':              c.cursorMode = CURSOR_MODES.includes(value) ? value : 'none'; break;
+        case 'cursor-strength':          c.cursorStrength = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 1; break;
+        case 'cursor-radius':            c.cursorRadius = parseFloat(value) || 120; break;
+        case 'cursor-damping':           c.cursorDamping = Number.isFinite(parseFloat(value)) ? Math.min(1, Math.max(0, parseFloat(value))) : 0.12; break;
+        case 'voronoi-mode':             c.voronoiMode = VORONOI_MODES.includes(value) ? value : 'plane'; break;
         case 'voronoi-cells':            c.voronoiCells = parseInt(value, 10) || 12; break;
         case 'voronoi-membrane-width':   c.voronoiMembraneWidth = parseFloat(value) || 0.05; break;
         case 'voronoi-speed':            c.voronoiSpeed = parseFloat(value) ?? 0.5; break;
@@ -929,25 +5734,303 @@
             this._config.svgOutline = outline;
             this._config.svgPath2D = null;
             this._config._svgNorm = null;
+            this._svgPathDatas = [];
             console.log('[ps] svg-data ok, pts:', outline.length, 'shape:', this._config.shapeType);
             if (this._config.shapeType === 'svgExtrude') this._regenerate();
           } catch(e) { console.error('[ps] svg-data error:', e); }
           break;
         }
-        case 'svg-src': {
-          fetch(value).then(r => r.text()).then(svgText => this._loadSVGText(svgText)).catch(() => {});
-          break;
-        }
+        case 'svg-src':                  this._loadSVGSrc(value); break;
+        case 'morph-duration':           c.morphDuration = Number.isFinite(parseFloat(value)) ? Math.max(0, parseFloat(value)) : 800; break;
+        case 'morph-easing':             c.morphEasing = value in EASINGS ? value : 'easeInOut'; break;
+        case 'morph-match':              c.morphMatch = value === 'index' ? 'index' : 'nearest'; break;
+        case 'worker':                   c.worker = value !== 'false' && value !== null; break;
+        case 'renderer':                 c.renderer = value === 'webgl' ? 'webgl' : 'canvas'; break;
+        case 'mesh-sampling':            c.meshSampling = value === 'vertices' ? 'vertices' : 'surface'; break;
+        case 'mesh-src':                 this._loadMeshSrc(value); break;
+        case 'timeline':          this._readTimeline(value); break;
+        case 'timeline-source':   this._timeline.source = ['scroll', 'visibility', 'time'].includes(value) ? value : ''; break;
+        case 'timeline-target':   this._timeline.target = value || ''; break;
+        case 'timeline-duration': this._timeline.duration = parseFloat(value) > 0 ? parseFloat(value) : null; break;
+        case 'timeline-loop':     this._timeline.loop = TIMELINE_LOOPS.includes(value) ? value : ''; break;
+        case 'preset':            this._loadPreset(value); break;
+        case 'alt':               this._updateLabel(); this._updatePoster(); break;
+        case 'poster':            this._updatePoster(); break;
+        case 'motion':            c.motion = value === 'reduce' || value === 'full' ? value : 'auto'; this._updateMotion(); break;
+      }
+    }
+
+    _loadSVGSrc(src) {
+      if (!src) return;
+      fetch(src)
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status} loading ${src}`);
+          return r.text();
+        })
+        .then(svgText => {
+          if (!this._loadSVGText(svgText)) throw new Error(`No drawable shapes in ${src}`);
+          this._emit('svgload', { src });
+        })
+        .catch(error => this._emit('svgerror', { src, error }));
+    }
+
+    _loadMeshSrc(src) {
+      if (!src) return;
+      this._meshSrc = src;
+      fetch(src)
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status} loading ${src}`);
+          return r.arrayBuffer();
+        })
+        .then(buf => {
+          if (buf.byteLength === 0) throw new Error(`Empty mesh file: ${src}`);
+          if (!this._loadMeshBuffer(buf, src)) throw new Error(`No mesh geometry in ${src}`);
+          this._emit('meshload', { src });
+        })
+        .catch(error => this._emit('mesherror', { src, error }));
+    }
+
+    // Objects and inline JSON apply at once; any other string is a URL
+    _loadPreset(value) {
+      if (!value) return;
+      if (typeof value === 'object' || value.trim().startsWith('{')) {
+        const preset = parsePreset(value);
+        if (preset) this._applyPreset(preset);
+        else this._emit('preseterror', { src: null, error: new Error('Not a particle-shape preset') });
+        return;
+      }
+      fetch(value)
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status} loading ${value}`);
+          return r.text();
+        })
+        .then(text => {
+          const preset = parsePreset(text);
+          if (!preset) throw new Error(`Not a particle-shape preset: ${value}`);
+          this._applyPreset(preset);
+          this._emit('presetload', { src: value });
+        })
+        .catch(error => this._emit('preseterror', { src: value, error }));
+    }
+
+    _applyPreset({ config, svg, mesh, timeline }) {
+      if (this._canvas) {
+        this.config = config;
+      } else {
+        // Not connected yet: connectedCallback generates the points
+        Object.assign(this._config, config);
+        if ('glyphSrc' in config) this._loadGlyphImage('glyphImage', this._config.glyphSrc);
+        if ('hubGlyphSrc' in config) this._loadGlyphImage('hubGlyphImage', this._config.hubGlyphSrc);
+        if (TEXT_KEYS.some((key) => key in config)) this._updateText();
       }
+      if (svg && svg.pathDatas.length > 0) this._loadSVGText(pathDataToSVG(svg.pathDatas));
+      else if (svg) this._loadSVGSrc(svg.src);
+      if (mesh) this._loadMeshSrc(mesh.src);
+      if (timeline) this.timeline = timeline;
     }
 
+    // Returns false when the text holds nothing usable
     _loadSVGText(svgText) {
       const result = parseSVGFile(svgText);
-      if (!result) return;
+      if (!result) return false;
+      this._svgText = svgText;
+      this._svgPathDatas = result.pathDatas || [];
       this._config.svgOutline = result.outline;
       this._config.svgPath2D = result.svgPath2D;
       this._config._svgNorm = result.svgNorm;
-      if (this._config.shapeType === 'svgExtrude') this._regenerate();
+      if (this._worker) {
+        // Path2D can't be posted, so the worker parses its own copy
+        this._worker.postMessage({ type: 'svg', svgText });
+      } else if (this._config.shapeType === 'svgExtrude') {
+        this._regenerate();
+      }
+      return true;
+    }
+
+    // Traced once the font has loaded; of overlapping calls the last one
+    // wins. Waits a microtask first, so setting several text attributes
+    // together loads one font and traces once.
+    _updateText() {
+      const token = ++this._textToken;
+      const current = () => token === this._textToken;
+      queueMicrotask(() => {
+        if (!current()) return;
+        loadTextFont(this._config).then(() => {
+          if (!current()) return;
+          const result = textToOutline(this._config);
+          this._textPathDatas = result ? result.pathDatas : [];
+          this._config.textOutline = result ? result.outline : [];
+          this._config.textPath2D = result ? result.svgPath2D : null;
+          this._config._textNorm = result ? result.svgNorm : null;
+          if (this._worker) {
+            this._worker.postMessage({ type: 'text', pathDatas: this._textPathDatas });
+          } else if (this._config.shapeType === 'text' && this._canvas) {
+            this._regenerate();
+          }
+        });
+      });
+    }
+
+    // Sprite glyphs are decoded here (SVG included) for Canvas2D / WebGL; a
+    // worker gets an ImageBitmap copy. Until then sprites draw as squares.
+    _loadGlyphImage(key, src) {
+      const srcKey = key === 'glyphImage' ? 'glyphSrc' : 'hubGlyphSrc';
+      this._config[key] = null;
+      if (this._worker) this._worker.postMessage({ type: 'glyphImage', key, image: null });
+      if (!src) return;
+      loadGlyphImage(src)
+        .then((image) => {
+          if (this._config[srcKey] !== src) return; // replaced while loading
+          this._config[key] = image;
+          this._postGlyphImage(key, this._worker);
+          if (this._isStill()) this._drawFrame();
+          this._emit('glyphload', { src });
+        })
+        .catch((error) => this._emit('glypherror', { src, error }));
+    }
+
+    _postGlyphImage(key, worker) {
+      const image = this._config[key];
+      if (!worker || !image || typeof createImageBitmap !== 'function') return;
+      createImageBitmap(image)
+        .then((bitmap) => worker.postMessage({ type: 'glyphImage', key, image: bitmap }, [bitmap]))
+        .catch(() => {});
+    }
+
+    // Returns false when the buffer holds no usable mesh
+    _loadMeshBuffer(buffer, fileName) {
+      const mesh = parseMeshFile(buffer, fileName);
+      if (!mesh) return false;
+      this._config.meshData = mesh;
+      if (this._config.shapeType === 'mesh') this._regenerate();
+      return true;
+    }
+
+    // ── Canvas / Renderer ───────────────────────────────────────────
+
+    _setupCanvas() {
+      this._teardownCanvas();
+
+      let canvas = document.createElement('canvas');
+      if (this._config.worker) {
+        this._worker = this._createWorker(canvas);
+      }
+      if (this._worker) {
+        // Canvas now belongs to the worker; nothing renders on this thread
+      } else if (this._config.renderer === 'webgl') {
+        this._gl = createWebGLRenderer(canvas);
+        if (!this._gl) canvas = document.createElement('canvas');
+      }
+      if (!this._gl && !this._worker) this._ctx = canvas.getContext('2d');
+
+      if (this._canvas && this._canvas.isConnected) this._canvas.replaceWith(canvas);
+      else this.shadowRoot.appendChild(canvas);
+      this._canvas = canvas;
+      canvas.setAttribute('role', 'img');
+      this._updateLabel();
+      this._orbit.attach(canvas);
+      this._canvas.addEventListener('pointerleave', () => this._setPointer(null));
+    }
+
+    // Renderer / worker switch: new canvas, and points for whichever thread
+    // now draws
+    _rebuildCanvas() {
+      this._setupCanvas();
+      this._resize();
+      if (!this._worker) this._regenerate();
+      this._startAnimation();
+    }
+
+    _teardownCanvas() {
+      if (this._gl) {
+        this._gl.dispose();
+        this._gl = null;
+      }
+      if (this._worker) {
+        this._worker.terminate();
+        this._worker = null;
+        for (const { reject } of this._requests.values()) reject(new Error('Worker stopped'));
+        this._requests.clear();
+      }
+      this._ctx = null;
+    }
+
+    // ── Worker Mode ───────────────────────────────────────────────────
+
+    // Everything the worker needs, minus what can't be cloned (Path2D, images)
+    // or is computed on its side. Once running, the worker owns the rotation.
+    _workerConfig(withRotation) {
+      const { svgPath2D, textPath2D, connectionData, glyphImage, hubGlyphImage, rotX, rotY, rotZ, ...rest } = this._config;
+      return withRotation ? { ...rest, rotX, rotY, rotZ } : rest;
+    }
+
+    // Registered shapes are generated here: the worker only has the built-ins
+    _workerPoints() {
+      return BUILTIN_SHAPES.includes(this._config.shapeType) ? undefined : generatePoints(this._config);
+    }
+
+    _createWorker(canvas) {
+      if (typeof Worker === 'undefined' || typeof canvas.transferControlToOffscreen !== 'function') return null;
+      let worker;
+      try {
+        worker = WORKER_FACTORY();
+      } catch (e) {
+        return null;
+      }
+      if (!worker) return null;
+
+      // If the worker can't start (e.g. no module worker support), drop back
+      // to rendering on the main thread
+      worker.addEventListener('error', () => {
+        if (this._worker !== worker) return;
+        this._config.worker = false;
+        this._rebuildCanvas();
+      });
+      worker.addEventListener('message', (e) => this._onWorkerMessage(e.data));
+
+      const offscreen = canvas.transferControlToOffscreen();
+      const rect = this.getBoundingClientRect();
+      worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        config: this._workerConfig(true),
+        width: rect.width,
+        height: rect.height,
+        dpr: window.devicePixelRatio || 1,
+        points: this._workerPoints(),
+      }, [offscreen]);
+      if (this._svgText) worker.postMessage({ type: 'svg', svgText: this._svgText });
+      if (this._textPathDatas.length > 0) worker.postMessage({ type: 'text', pathDatas: this._textPathDatas });
+      this._postGlyphImage('glyphImage', worker);
+      this._postGlyphImage('hubGlyphImage', worker);
+      if (this._isStill() || this._offscreen) worker.postMessage({ type: 'pause' });
+      return worker;
+    }
+
+    _onWorkerMessage(msg) {
+      switch (msg.type) {
+        case 'regenerated':
+          this._points = msg.points;
+          this._config.connectionData = msg.connectionData;
+          this._onRegenerated();
+          break;
+        case 'snapshot': {
+          const request = this._requests.get(msg.id);
+          if (!request) break;
+          this._requests.delete(msg.id);
+          if (msg.blob) request.resolve(msg.blob);
+          else request.reject(new Error(msg.error));
+          break;
+        }
+      }
+    }
+
+    _requestWorker(msg) {
+      const id = ++this._requestId;
+      return new Promise((resolve, reject) => {
+        this._requests.set(id, { resolve, reject });
+        this._worker.postMessage({ ...msg, id });
+      });
     }
 
     // ── Resize ──────────────────────────────────────────────────────
@@ -956,97 +6039,384 @@
       if (!this._canvas) return;
       const dpr = window.devicePixelRatio || 1;
       const rect = this.getBoundingClientRect();
-      this._canvas.width = rect.width * dpr;
-      this._canvas.height = rect.height * dpr;
-      this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
       this._logicalW = rect.width;
       this._logicalH = rect.height;
+      if (this._worker) {
+        this._worker.postMessage({ type: 'resize', width: rect.width, height: rect.height, dpr });
+        return;
+      }
+      this._canvas.width = rect.width * dpr;
+      this._canvas.height = rect.height * dpr;
+      if (this._ctx) this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     }
 
     // ── Interaction ─────────────────────────────────────────────────
 
-    _onPointerDown(e) {
-      this._isDragging = true;
-      this._lastMouseX = e.clientX;
-      this._lastMouseY = e.clientY;
+    // Drag, wheel, touch and keys go through the orbit controller (see
+    // particle-orbit.js), which has already updated the config. A worker owns
+    // the rotation once running, so it gets the deltas.
+    _onOrbit({ rotX, rotY, zoom, pan }) {
+      const c = this._config;
+      if (this._worker) {
+        if (rotX || rotY) this._worker.postMessage({ type: 'rotate', dRotX: rotX, dRotY: rotY });
+        if (zoom || pan) this._worker.postMessage({ type: 'config', config: { zoom: c.zoom, panX: c.panX, panY: c.panY } });
+      } else if (this._isStill()) {
+        this._drawFrame();
+      }
+      if (rotX || rotY) this._emit('rotate', { rotX: c.rotX, rotY: c.rotY, rotZ: c.rotZ });
     }
 
     _onPointerMove(e) {
-      if (!this._isDragging) return;
-      const dx = e.clientX - this._lastMouseX;
-      const dy = e.clientY - this._lastMouseY;
-      this._config.rotY += dx * 0.005;
-      this._config.rotX += dy * 0.005;
-      this._lastMouseX = e.clientX;
-      this._lastMouseY = e.clientY;
+      this._trackPointer(e);
+    }
+
+    // A lifted finger leaves no cursor behind
+    _onPointerUp(e) {
+      if (e.pointerType === 'touch') this._setPointer(null);
+    }
+
+    // Cursor physics follows the pointer over the canvas; outside it (or with
+    // cursor-mode off) there's no cursor
+    _trackPointer(e) {
+      if (!this._canvas || this._config.cursorMode === 'none') {
+        this._setPointer(null);
+        return;
+      }
+      const rect = this.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      this._setPointer(x >= 0 && y >= 0 && x <= rect.width && y <= rect.height ? { x, y } : null);
+    }
+
+    _setPointer(pointer) {
+      if (!pointer && !this._pointer) return;
+      this._pointer = pointer;
+      if (this._worker) this._worker.postMessage({ type: 'pointer', pointer });
+    }
+
+    // ── Accessibility ───────────────────────────────────────────────
+
+    // The canvas reads as an image labelled by `alt`; alt="" marks it
+    // decorative, like an <img>
+    _updateLabel() {
+      if (!this._canvas) return;
+      const alt = this.getAttribute('alt');
+      if (alt === '') {
+        this._canvas.setAttribute('aria-hidden', 'true');
+        this._canvas.removeAttribute('aria-label');
+      } else {
+        this._canvas.removeAttribute('aria-hidden');
+        this._canvas.setAttribute('aria-label', alt || DEFAULT_LABEL);
+      }
+    }
+
+    // The poster (the `poster` image, or a slot="poster" child) covers the
+    // element until the first frame is ready, and replaces it in print
+    _updatePoster() {
+      if (!this._poster) return;
+      const img = this._poster.querySelector('img');
+      const src = this.getAttribute('poster');
+      if (src) img.src = src;
+      else img.removeAttribute('src');
+      img.alt = this.getAttribute('alt') ?? DEFAULT_LABEL;
+      const slotted = this._poster.querySelector('slot').assignedNodes().length > 0;
+      this._poster.classList.toggle('empty', !src && !slotted);
+      this._poster.classList.toggle('shown', !this._ready);
+    }
+
+    // Paused, or held still for reduced motion: either way frames are only
+    // drawn when something changes
+    _isStill() {
+      return this._paused || this._config.reducedMotion;
+    }
+
+    _watchMotion() {
+      this._unwatchMotion();
+      if (typeof window.matchMedia === 'function') {
+        this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this._motionQuery.addEventListener('change', this._onMotionChangeBound);
+      }
+      this._updateMotion();
+    }
+
+    _unwatchMotion() {
+      if (this._motionQuery) this._motionQuery.removeEventListener('change', this._onMotionChangeBound);
+      this._motionQuery = null;
     }
 
-    _onPointerUp() {
-      this._isDragging = false;
+    // motion="auto" follows prefers-reduced-motion; "reduce" and "full"
+    // override it. Reduced motion holds a static frame (no auto-rotate, float
+    // or voronoi drift, morphs, tweens or momentum) without touching
+    // `paused`; drags and keys still turn the view.
+    _updateMotion() {
+      const c = this._config;
+      const reduced = c.motion === 'reduce' || (c.motion !== 'full' && !!this._motionQuery?.matches);
+      if (reduced === c.reducedMotion) return;
+      c.reducedMotion = reduced;
+      if (!this._canvas) return;
+      if (reduced) {
+        this._morph = null;
+        this._rotTween = null;
+        this._orbit.stop();
+        this._stopTimelineClock();
+      } else {
+        this._startTimelineClock();
+      }
+      if (this._worker) {
+        // Paused first, so the worker redraws the static frame on the config
+        if (!this._paused && !this._offscreen) this._worker.postMessage({ type: reduced ? 'pause' : 'play' });
+        this._worker.postMessage({ type: 'config', config: { reducedMotion: reduced } });
+      } else if (reduced) {
+        this._stopAnimation();
+        this._drawFrame();
+      } else {
+        this._startAnimation();
+      }
     }
 
     // ── Animation ───────────────────────────────────────────────────
 
-    _regenerate() {
+    // With `morph`, the new points tween in from whatever is on screen
+    _regenerate(morph = false) {
+      if (this._worker) {
+        this._worker.postMessage({ type: 'config', config: this._workerConfig(), regenerate: true, morph, points: this._workerPoints() });
+        return;
+      }
+      const from = morph && this._config.morphDuration > 0 && !this._config.reducedMotion ? this._framePoints : null;
       if (this._config.shapeType === 'voronoi') {
-        this._voronoiSamples = initVoronoiSamples(this._config.density);
+        this._voronoiSamples = initVoronoiSamples(this._config.density, createRNG(this._config.seed, RNG_STREAMS.voronoi), this._config.voronoiMode);
         this._points = generateVoronoiPoints(this._voronoiSamples, this._config, 0);
       } else {
         this._points = generatePoints(this._config);
       }
       if (this._config.shapeType === 'svgExtrude') console.log('[ps] _regenerate svgExtrude, outline:', this._config.svgOutline.length, 'pts out:', this._points.length, 'logW:', this._logicalW);
       this._config.connectionData = generateConnections(this._points, this._config);
-      this._floatPhases = initFloatPhases(this._points.length);
+      this._floatPhases = initFloatPhases(this._points.length, createRNG(this._config.seed, RNG_STREAMS.float));
+      this._physics = createCursorPhysics();
+      this._morph = from && from.length > 0 ? createMorph(from, this._points, this._config) : null;
+      if (this._isStill()) this._drawFrame();
+      this._onRegenerated();
     }
 
     _startAnimation() {
+      this._stopAnimation();
+      if (this._worker || this._isStill() || this._offscreen) return;
       let _lastTs = 0;
       const tick = (ts) => {
         const dt = _lastTs ? Math.min((ts - _lastTs) / (1000 / 60), 4) : 1;
         _lastTs = ts;
-        if (this._config.autoRotate && !this._isDragging) {
+        if (this._rotTween) {
+          if (applyRotationTween(this._rotTween, this._config, performance.now())) this._rotTween = null;
+        } else if (this._config.autoRotate && !this._orbit.dragging) {
           this._config.rotY += this._config.rotSpeed * dt;
         }
-        if (this._ctx && this._logicalW > 0) {
-          const t = performance.now() * 0.001;
-          let points;
-          if (this._config.shapeType === 'voronoi') {
-            points = generateVoronoiPoints(this._voronoiSamples, this._config, t);
-          } else if (this._config.float && this._floatPhases.length > 0) {
-            points = applyFloat(this._points, this._floatPhases, this._config, t);
-          } else {
-            points = this._points;
-          }
-
-          const blockSize = this._config.pixelate;
-          if (blockSize > 1) {
-            if (!this._pixelCanvas) this._pixelCanvas = document.createElement('canvas');
-            const pw = Math.max(1, Math.round(this._logicalW / blockSize));
-            const ph = Math.max(1, Math.round(this._logicalH / blockSize));
-            this._pixelCanvas.width = pw;
-            this._pixelCanvas.height = ph;
-            renderFrame(this._pixelCanvas.getContext('2d'), pw, ph, points, this._config);
-            this._ctx.imageSmoothingEnabled = false;
-            this._ctx.clearRect(0, 0, this._logicalW, this._logicalH);
-            this._ctx.drawImage(this._pixelCanvas, 0, 0, this._logicalW, this._logicalH);
-          } else {
-            this._ctx.imageSmoothingEnabled = true;
-            renderFrame(this._ctx, this._logicalW, this._logicalH, points, this._config);
-          }
-        }
+        this._drawFrame(dt);
         this._animId = requestAnimationFrame(tick);
       };
       tick();
     }
 
+    // `dt` (frames) steps the cursor physics; redraws while paused pass none.
+    // Reduced motion draws float / voronoi and connections as they are at t = 0.
+    _drawFrame(dt = 0) {
+      if (!(this._ctx || this._gl) || !(this._logicalW > 0)) return;
+      const t = this._config.reducedMotion ? 0 : performance.now() * 0.001;
+      let points;
+      if (this._config.shapeType === 'voronoi') {
+        points = generateVoronoiPoints(this._voronoiSamples, this._config, t);
+      } else if (this._config.float && this._floatPhases.length > 0) {
+        points = applyFloat(this._points, this._floatPhases, this._config, t);
+      } else {
+        points = this._points;
+      }
+      if (dt > 0) {
+        stepCursorPhysics(this._physics, points, this._config, { width: this._logicalW, height: this._logicalH, pointer: this._pointer, dt });
+      }
+      points = applyCursorPhysics(points, this._physics);
+      if (this._morph) {
+        points = applyMorph(this._morph, points, performance.now());
+        if (this._morph.done) this._morph = null;
+      }
+      // Plexus links can stay while the particles have barely moved
+      reuseLinks(this._framePoints, points, this._config);
+      this._framePoints = points;
+      this._frameTime = t;
+
+      const blockSize = this._config.pixelate;
+      if (this._gl) {
+        this._gl.render(this._logicalW, this._logicalH, points, this._config, t);
+      } else if (blockSize > 1) {
+        if (!this._pixelCanvas) this._pixelCanvas = document.createElement('canvas');
+        const pw = Math.max(1, Math.round(this._logicalW / blockSize));
+        const ph = Math.max(1, Math.round(this._logicalH / blockSize));
+        this._pixelCanvas.width = pw;
+        this._pixelCanvas.height = ph;
+        renderFrame(this._pixelCanvas.getContext('2d'), pw, ph, points, this._config, t);
+        this._ctx.imageSmoothingEnabled = false;
+        this._ctx.clearRect(0, 0, this._logicalW, this._logicalH);
+        this._ctx.drawImage(this._pixelCanvas, 0, 0, this._logicalW, this._logicalH);
+      } else {
+        this._ctx.imageSmoothingEnabled = true;
+        renderFrame(this._ctx, this._logicalW, this._logicalH, points, this._config, t);
+      }
+    }
+
     _stopAnimation() {
       if (this._animId) {
         cancelAnimationFrame(this._animId);
         this._animId = null;
       }
     }
+
+    // ── Visibility / Timeline ─────────────────────────────────────────
+
+    // One observer serves both the offscreen pause (this element) and the
+    // visibility timeline (its target, often the element too)
+    _observeVisibility() {
+      if (this._intersectionObserver) this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+      if (typeof IntersectionObserver === 'undefined') return;
+      const thresholds = Array.from({ length: 21 }, (_, i) => i / 20);
+      this._intersectionObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          if (entry.target === this) this._setOffscreen(!entry.isIntersecting);
+          if (this._timelineSource() === 'visibility' && entry.target === this._timelineTarget()) {
+            this._updateTimeline(this._visibleFraction(entry));
+          }
+        }
+      }, { threshold: thresholds });
+      this._intersectionObserver.observe(this);
+    }
+
+    // Stops drawing while scrolled out of view, without touching `paused`
+    _setOffscreen(offscreen) {
+      if (offscreen === this._offscreen) return;
+      this._offscreen = offscreen;
+      if (offscreen) this._stopTimelineClock();
+      else this._startTimelineClock();
+      if (this._isStill()) return;
+      if (this._worker) {
+        this._worker.postMessage({ type: offscreen ? 'pause' : 'play' });
+      } else if (offscreen) {
+        this._stopAnimation();
+      } else {
+        this._startAnimation();
+      }
+    }
+
+    _readTimeline(value) {
+      const doc = parseTimelineDocument(value);
+      this._timeline.keyframes = doc.keyframes;
+      this._timeline.file = { duration: doc.duration, loop: doc.loop };
+    }
+
+    // Defaults to playing over time when the timeline has a duration
+    _timelineSource() {
+      const { source, duration, file } = this._timeline;
+      return source || (duration || file.duration ? 'time' : 'scroll');
+    }
+
+    _timelineTarget() {
+      const selector = this._timeline.target;
+      return (selector && document.querySelector(selector)) || this;
+    }
+
+    _setupTimeline() {
+      this._teardownTimeline();
+      this._timelineProgress = null;
+      this._timelineElapsed = 0;
+      if (this._timeline.keyframes.length === 0) return;
+      const source = this._timelineSource();
+      if (source === 'time') {
+        this._updateTimeline(0);
+        this._startTimelineClock();
+      } else if (source === 'visibility') {
+        // (Re-)observing delivers a first entry straight away
+        const target = this._timelineTarget();
+        if (this._intersectionObserver) {
+          this._intersectionObserver.unobserve(target);
+          this._intersectionObserver.observe(target);
+        }
+        this._timelineObserved = target;
+      } else {
+        window.addEventListener('scroll', this._onScrollBound, { passive: true });
+        window.addEventListener('resize', this._onScrollBound);
+        this._updateTimeline(this._scrollProgress());
+      }
+    }
+
+    _teardownTimeline() {
+      this._stopTimelineClock();
+      window.removeEventListener('scroll', this._onScrollBound);
+      window.removeEventListener('resize', this._onScrollBound);
+      if (this._timelineFrame) cancelAnimationFrame(this._timelineFrame);
+      this._timelineFrame = null;
+      if (this._timelineObserved && this._timelineObserved !== this && this._intersectionObserver) {
+        this._intersectionObserver.unobserve(this._timelineObserved);
+      }
+      this._timelineObserved = null;
+    }
+
+    // Plays a time-driven timeline from where it stopped; pause(), reduced
+    // motion and scrolling offscreen stop it
+    _startTimelineClock() {
+      if (this._timelineClock || this._isStill() || this._offscreen) return;
+      if (this._timelineSource() !== 'time' || this._timeline.keyframes.length === 0) return;
+      const duration = this._timeline.duration || this._timeline.file.duration || 6;
+      const loop = this._timeline.loop || this._timeline.file.loop;
+      let lastTs = 0;
+      const tick = (ts) => {
+        // Capped so a backgrounded tab doesn't jump ahead on return
+        this._timelineElapsed += lastTs ? Math.min((ts - lastTs) / 1000, 0.1) : 0;
+        lastTs = ts;
+        this._updateTimeline(timelineProgress(this._timelineElapsed, duration, loop));
+        this._timelineClock = loop === 'none' && this._timelineElapsed >= duration ? null : requestAnimationFrame(tick);
+      };
+      this._timelineClock = requestAnimationFrame(tick);
+    }
+
+    _stopTimelineClock() {
+      if (this._timelineClock) cancelAnimationFrame(this._timelineClock);
+      this._timelineClock = null;
+    }
+
+    // Scroll events can outpace frames; measure at most once per frame
+    _scheduleTimeline() {
+      if (this._timelineFrame) return;
+      this._timelineFrame = requestAnimationFrame(() => {
+        this._timelineFrame = null;
+        this._updateTimeline(this._scrollProgress());
+      });
+    }
+
+    // 0 as the target's top enters at the bottom of the viewport, 1 as its
+    // bottom leaves at the top
+    _scrollProgress() {
+      const rect = this._timelineTarget().getBoundingClientRect();
+      const viewH = window.innerHeight;
+      return Math.max(0, Math.min(1, (viewH - rect.top) / (viewH + rect.height)));
+    }
+
+    // Share of the target that is visible, where "fully" means filling the
+    // viewport for targets taller than it
+    _visibleFraction(entry) {
+      const viewH = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+      const full = Math.min(entry.boundingClientRect.height, viewH);
+      return full > 0 ? Math.min(1, entry.intersectionRect.height / full) : 0;
+    }
+
+    _updateTimeline(progress) {
+      if (this._timeline.keyframes.length === 0 || progress === this._timelineProgress) return;
+      this._timelineProgress = progress;
+      this.config = sampleTimeline(this._timeline.keyframes, progress);
+      this._emit('timeline', { progress });
+    }
   }
 
+  // Registered shapes' params can't take these over
+  reserveAttributes(ParticleShape.observedAttributes);
+  reserveAttributes(['id', 'class', 'style', 'slot', 'hidden', 'title', 'lang', 'dir', 'tabindex']);
+
   customElements.define('particle-shape', ParticleShape);
 
 })();
@@ -4,33 +4,89 @@
 // Usage:
 //   <script type="module" src="particle-shape.js"></script>
 //   <particle-shape shape="sphere" density="2000" auto-rotate></particle-shape>
+//
+// Children are fallback content: they show as-is where the script doesn't
+// run, and a child with slot="poster" stands in for the `poster` image.
+
+import { generatePoints, generateConnections, CONNECTION_TOPOLOGIES, CONNECTION_MOTIONS, renderFrame, VORONOI_MODES, initVoronoiSamples, generateVoronoiPoints, initFloatPhases, applyFloat, CURSOR_MODES, createCursorPhysics, stepCursorPhysics, scatterCursorPhysics, applyCursorPhysics, parseSVGFile, parseMeshFile, createRNG, RNG_STREAMS, createMorph, applyMorph, EASINGS, createRotationTween, applyRotationTween, COLOR_MODES, DEFAULT_PALETTE, parsePalette, GLYPHS, loadGlyphImage, parseTimelineDocument, TIMELINE_LOOPS, timelineProgress, sampleTimeline, createPreset, parsePreset, pathDataToSVG, loadTextFont, textToOutline, registerShape, shapeParams, paramsOfShape, isShapeParam, shapeError, reuseLinks, paramAttribute, reserveAttributes, parseParamAttribute, BUILTIN_SHAPES } from './particle-engine.js';
+import { createWebGLRenderer } from './particle-webgl.js';
+import { createOrbitController, INTERACTIVE_MODES } from './particle-orbit.js';
+import { toSVGString, toPNGBlob } from './particle-export.js';
+
+const WORKER_FACTORY = () => new Worker(new URL('./particle-worker.js', import.meta.url), { type: 'module' });
+
+// Config keys that need new points when set through the `config` property,
+// and the subset that morphs (mirrors the attribute lists below)
+const REGENERATE_KEYS = ['shapeType', 'density', 'randomness', 'seed', 'spiralArms', 'extrudeDepth', 'snapToGrid', 'connectionsEnabled', 'connectionTopology', 'connectionDistance', 'connectionNeighbors', 'connectionMaxLines', 'hubCount', 'connectionsPerHub', 'hubPlacement', 'connectionDistribution', 'connectionSpread', 'connectionFocus', 'voronoiMode', 'voronoiCells', 'float', 'meshSampling', 'meshData', 'svgOutline', 'textOutline'];
+const MORPH_KEYS = ['shapeType', 'density', 'randomness'];
+// ...and the ones that need the text outline traced again first
+const TEXT_KEYS = ['text', 'font', 'fontWeight', 'letterSpacing'];
 
-import { generatePoints, generateConnections, renderFrame, initVoronoiSamples, generateVoronoiPoints, initFloatPhases, applyFloat, parseSVGFile } from './particle-engine.js';
+// Read out for the canvas when there's no `alt`
+const DEFAULT_LABEL = 'Particle animation';
+
+// Attribute → { key, spec } for the params of registered shapes. These
+// change as shapes are registered, so they're read through a
+// MutationObserver rather than observedAttributes.
+function paramAttributes() {
+  const map = new Map();
+  for (const params of Object.values(shapeParams)) {
+    for (const [key, spec] of Object.entries(params)) map.set(paramAttribute(key, spec), { key, spec });
+  }
+  return map;
+}
 
 class ParticleShape extends HTMLElement {
 
   static get observedAttributes() {
     return [
-      'shape', 'density', 'spacing', 'randomness',
+      'shape', 'density', 'spacing', 'randomness', 'seed',
       'size', 'color', 'bg',
+      'color-mode', 'gradient-color', 'color-axis', 'palette',
+      'glyph', 'glyph-char', 'glyph-src', 'hub-glyph', 'hub-glyph-char', 'hub-glyph-src',
       'perspective', 'speed',
       'depth-opacity', 'depth-sizing', 'auto-rotate',
       'spiral-arms', 'extrude-depth', 'snap-to-grid',
+      'text', 'font', 'font-weight', 'letter-spacing',
       'rotate-x', 'rotate-y', 'rotate-z',
+      'interactive', 'pan-x', 'pan-y', 'min-polar-angle', 'max-polar-angle',
       'focal-length', 'lens',
-      'connections', 'hubs', 'connections-per-hub',
+      'connections', 'connection-topology', 'connection-distance', 'connection-neighbors', 'connection-max-lines',
+      'hubs', 'connections-per-hub',
       'connection-opacity', 'connection-thickness',
       'hub-placement', 'hub-visible', 'hub-size',
       'connection-depth-opacity',
       'connection-distribution', 'connection-spread', 'connection-focus',
+      'connection-motion', 'connection-motion-speed', 'connection-relink',
+      'connection-pulses', 'connection-pulse-speed', 'connection-pulse-color',
       'highlight-connected', 'non-connected-color', 'non-connected-opacity',
       'zoom', 'pixelate',
       'float', 'float-radius', 'float-speed', 'float-variability',
-      'voronoi-cells', 'voronoi-membrane-width', 'voronoi-speed', 'voronoi-variability',
+      'cursor-mode', 'cursor-strength', 'cursor-radius', 'cursor-damping',
+      'voronoi-mode', 'voronoi-cells', 'voronoi-membrane-width', 'voronoi-speed', 'voronoi-variability',
       'svg-src', 'svg-data',
+      'mesh-src', 'mesh-sampling',
+      'morph-duration', 'morph-easing', 'morph-match',
+      'renderer', 'worker',
+      'timeline', 'timeline-source', 'timeline-target', 'timeline-duration', 'timeline-loop',
+      'preset',
+      'alt', 'poster', 'motion',
     ];
   }
 
+  // Adds a shape to every <particle-shape> on the page; see registerShape()
+  // in particle-engine.js. The bundle's way in, as it has no exports:
+  //   customElements.get('particle-shape').registerShape('ring', fn, params)
+  // Elements already set to the shape pick it up.
+  static registerShape(name, generate, params) {
+    registerShape(name, generate, params);
+    for (const el of document.querySelectorAll('particle-shape')) {
+      if (!(el instanceof ParticleShape) || el._config.shapeType !== name) continue;
+      el._syncParamAttributes();
+      if (el._canvas) el._regenerate();
+    }
+  }
+
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
@@ -41,9 +97,22 @@ class ParticleShape extends HTMLElement {
       density: 1500,
       spacing: 1.0,
       randomness: 0,
+      seed: null,
       squareSize: 3,
       color: '#ffffff',
       bgColor: '#0a0a0a',
+      colorMode: 'solid',
+      gradientColor: '#4a7fd9',
+      colorAxis: 'y',
+      palette: [...DEFAULT_PALETTE],
+      glyph: 'square',
+      glyphChar: '*',
+      glyphSrc: '',
+      glyphImage: null,
+      hubGlyph: '',
+      hubGlyphChar: '',
+      hubGlyphSrc: '',
+      hubGlyphImage: null,
       perspectiveD: 600,
       zoom: 1.0,
       depthOpacity: true,
@@ -51,6 +120,11 @@ class ParticleShape extends HTMLElement {
       rotX: 0,
       rotY: 0,
       rotZ: 0,
+      panX: 0,
+      panY: 0,
+      interactive: 'rotate',
+      minPolarAngle: -Math.PI / 2,
+      maxPolarAngle: Math.PI / 2,
       autoRotate: true,
       rotSpeed: 0.003,
       spiralArms: 4,
@@ -59,8 +133,21 @@ class ParticleShape extends HTMLElement {
       svgOutline: [],
       svgPath2D: null,
       _svgNorm: null,
+      meshData: null,
+      meshSampling: 'surface',
+      text: '',
+      font: 'sans-serif',
+      fontWeight: 400,
+      letterSpacing: 0,
+      textOutline: [],
+      textPath2D: null,
+      _textNorm: null,
       // Connections
       connectionsEnabled: false,
+      connectionTopology: 'hubs',
+      connectionDistance: 0.25,
+      connectionNeighbors: 3,
+      connectionMaxLines: 2000,
       hubCount: 3,
       connectionsPerHub: 15,
       connectionOpacity: 0.3,
@@ -73,6 +160,12 @@ class ParticleShape extends HTMLElement {
       hubVisible: true,
       hubSize: 6,
       connectionDepthOpacity: true,
+      connectionMotion: 'none',
+      connectionMotionSpeed: 0.3,
+      connectionRelink: 0,
+      connectionPulses: false,
+      connectionPulseSpeed: 0.5,
+      connectionPulseColor: '#ffffff',
       nonConnectedColor: '#404040',
       nonConnectedOpacity: 0.4,
       connectionData: { hubs: [], connections: [] },
@@ -81,21 +174,76 @@ class ParticleShape extends HTMLElement {
       floatRadius: 0.1,
       floatSpeed: 1.0,
       floatVariability: 0.5,
+      cursorMode: 'none',
+      cursorStrength: 1,
+      cursorRadius: 120,
+      cursorDamping: 0.12,
+      voronoiMode: 'plane',
       voronoiCells: 12,
       voronoiMembraneWidth: 0.05,
       voronoiSpeed: 0.5,
       voronoiVariability: 0.5,
+      morphDuration: 800,
+      morphEasing: 'easeInOut',
+      morphMatch: 'nearest',
+      renderer: 'canvas',
+      worker: false,
+      motion: 'auto',
+      reducedMotion: false, // from `motion` and the media query
     };
     this._points = [];
     this._voronoiSamples = [];
     this._floatPhases = [];
+    this._framePoints = [];
+    this._frameTime = 0;       // animation time _framePoints were drawn at
+    this._morph = null;
+    this._physics = createCursorPhysics();
+    this._pointer = null;      // on the canvas, for cursor physics
     this._animId = null;
-    this._isDragging = false;
-    this._lastMouseX = 0;
-    this._lastMouseY = 0;
+    this._orbit = createOrbitController(this._config, {
+      onChange: (delta) => this._onOrbit(delta),
+      onStart: () => {
+        this._rotTween = null;
+        if (this._worker) this._worker.postMessage({ type: 'drag', active: true });
+      },
+      onEnd: () => {
+        if (this._worker) this._worker.postMessage({ type: 'drag', active: false });
+      },
+      onTap: () => {
+        if (this._config.cursorMode !== 'none') this.scatter();
+      },
+      momentum: () => !this._config.reducedMotion,
+    });
     this._canvas = null;
     this._ctx = null;
+    this._gl = null;
+    this._worker = null;
+    this._svgText = null;
+    this._svgPathDatas = [];  // kept for the `preset` getter
+    this._textPathDatas = []; // traced text, for a worker to parse
+    this._textToken = 0;
+    this._meshSrc = '';
+    this._paused = false;
+    this._ready = false;
+    this._rotTween = null;
+    this._requests = new Map();
+    this._requestId = 0;
     this._resizeObserver = null;
+    // Scroll / visibility / time timeline; progress is null until first
+    // measured. Duration and loop from attributes win over a saved file's.
+    this._timeline = { keyframes: [], source: '', target: '', duration: null, loop: '', file: { duration: null, loop: 'loop' } };
+    this._timelineProgress = null;
+    this._timelineFrame = null;
+    this._timelineElapsed = 0;
+    this._timelineClock = null;
+    this._timelineObserved = null;
+    this._onScrollBound = () => this._scheduleTimeline();
+    this._intersectionObserver = null;
+    this._offscreen = false;
+    this._paramObserver = null;
+    this._poster = null;
+    this._motionQuery = null;
+    this._onMotionChangeBound = () => this._updateMotion();
   }
 
   connectedCallback() {
@@ -114,15 +262,42 @@ class ParticleShape extends HTMLElement {
           height: 100%;
           touch-action: pan-y;
         }
+        canvas:focus-visible {
+          outline: 2px solid Highlight;
+          outline-offset: -2px;
+        }
+        .poster, .poster img {
+          display: none;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+        .poster.shown:not(.empty), .poster img[src] {
+          display: block;
+        }
+        .poster.shown:not(.empty) ~ canvas {
+          display: none;
+        }
+        /* Print the poster, when there is one, rather than a frame */
+        @media print {
+          .poster:not(.empty) {
+            display: block;
+          }
+          .poster:not(.empty) ~ canvas {
+            display: none;
+          }
+        }
       </style>
-      <canvas></canvas>
+      <div class="poster" part="poster"><slot name="poster"><img alt=""></slot></div>
     `;
-
-    this._canvas = this.shadowRoot.querySelector('canvas');
-    this._ctx = this._canvas.getContext('2d');
+    this._poster = this.shadowRoot.querySelector('.poster');
+    this._poster.querySelector('slot').addEventListener('slotchange', () => this._updatePoster());
 
     // Sync attributes to config
     this._syncAllAttributes();
+    this._watchMotion();
+    this._updatePoster();
+    this._setupCanvas();
 
     // Resize handling
     this._resizeObserver = new ResizeObserver(() => this._resize());
@@ -130,35 +305,226 @@ class ParticleShape extends HTMLElement {
     this._resize();
 
     // Pointer interaction
-    this._canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
     this._onPointerMoveBound = (e) => this._onPointerMove(e);
-    this._onPointerUpBound = () => this._onPointerUp();
+    this._onPointerUpBound = (e) => this._onPointerUp(e);
     window.addEventListener('pointermove', this._onPointerMoveBound);
     window.addEventListener('pointerup', this._onPointerUpBound);
 
-    // Generate and start
-    this._regenerate();
+    this._paramObserver = new MutationObserver((records) => this._onParamMutations(records));
+    this._paramObserver.observe(this, { attributes: true, attributeOldValue: true });
+
+    // Generate and start (a worker generates its own points on init)
+    if (!this._worker) this._regenerate();
+    this._observeVisibility();
+    this._setupTimeline();
     this._startAnimation();
   }
 
   disconnectedCallback() {
     this._stopAnimation();
+    this._teardownTimeline();
+    if (this._intersectionObserver) {
+      this._intersectionObserver.disconnect();
+      this._intersectionObserver = null;
+    }
+    this._offscreen = false;
     if (this._resizeObserver) {
       this._resizeObserver.disconnect();
       this._resizeObserver = null;
     }
+    if (this._paramObserver) {
+      this._paramObserver.disconnect();
+      this._paramObserver = null;
+    }
+    this._orbit.dispose();
+    this._unwatchMotion();
     window.removeEventListener('pointermove', this._onPointerMoveBound);
     window.removeEventListener('pointerup', this._onPointerUpBound);
+    this._teardownCanvas();
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
     if (oldVal === newVal) return;
     this._applyAttribute(name, newVal);
 
+    if ((name === 'renderer' || name === 'worker') && this._canvas) {
+      this._rebuildCanvas();
+    }
+    if (name === 'interactive') this._orbit.refresh();
+    if (name.startsWith('timeline')) {
+      if (this._canvas) this._setupTimeline();
+      return;
+    }
+    if (name === 'preset') return; // applied through `config`, which redraws
+    if (name === 'alt' || name === 'poster') return;
+
     // Regenerate points for shape-affecting attributes
-    const regenerateAttrs = ['shape', 'density', 'randomness', 'spiral-arms', 'extrude-depth', 'snap-to-grid', 'connections', 'hubs', 'connections-per-hub', 'hub-placement', 'connection-distribution', 'connection-spread', 'connection-focus', 'voronoi-cells', 'float'];
+    const regenerateAttrs = ['shape', 'density', 'randomness', 'seed', 'spiral-arms', 'extrude-depth', 'snap-to-grid', 'connections', 'connection-topology', 'connection-distance', 'connection-neighbors', 'connection-max-lines', 'hubs', 'connections-per-hub', 'hub-placement', 'connection-distribution', 'connection-spread', 'connection-focus', 'voronoi-mode', 'voronoi-cells', 'float', 'mesh-sampling'];
+    // ...and of those, the ones that tween instead of jumping
+    const morphAttrs = ['shape', 'density', 'randomness'];
     if (regenerateAttrs.includes(name)) {
-      this._regenerate();
+      this._regenerate(morphAttrs.includes(name));
+    } else if (this._worker) {
+      this._worker.postMessage({ type: 'config', config: this._workerConfig(name.startsWith('rotate-')) });
+    } else if (this._isStill()) {
+      this._drawFrame();
+    }
+  }
+
+  // ── Public API ────────────────────────────────────────────────────
+
+  // Snapshot of the current settings, keyed like the internal config
+  // (shapeType, density, squareSize, ...), not like the attributes.
+  get config() {
+    const { svgPath2D, textPath2D, connectionData, glyphImage, hubGlyphImage, reducedMotion, ...rest } = this._config;
+    return { ...rest };
+  }
+
+  // Partial update with the same keys as the getter. Applies like the
+  // matching attribute change would: regenerating / morphing as needed.
+  set config(values) {
+    const changed = Object.keys(values || {}).filter((key) => values[key] !== this._config[key]);
+    if (changed.length === 0) return;
+    Object.assign(this._config, values);
+    if (changed.some((key) => TEXT_KEYS.includes(key))) this._updateText();
+    if (changed.includes('motion')) this._updateMotion();
+    if (!this._canvas) return;
+
+    if (changed.includes('renderer') || changed.includes('worker')) {
+      this._rebuildCanvas();
+    }
+    if (changed.includes('interactive')) this._orbit.refresh();
+    if (changed.includes('glyphSrc')) this._loadGlyphImage('glyphImage', this._config.glyphSrc);
+    if (changed.includes('hubGlyphSrc')) this._loadGlyphImage('hubGlyphImage', this._config.hubGlyphSrc);
+    if (changed.some((key) => REGENERATE_KEYS.includes(key) || isShapeParam(key))) {
+      this._regenerate(changed.some((key) => MORPH_KEYS.includes(key)));
+    } else if (this._worker) {
+      this._worker.postMessage({ type: 'config', config: this._workerConfig(changed.some((key) => key.startsWith('rot'))) });
+    } else if (this._isStill()) {
+      this._drawFrame();
+    }
+  }
+
+  // Base (un-animated) positions in normalised [-1, 1] space
+  get points() {
+    return this._points;
+  }
+
+  get connectionData() {
+    return this._config.connectionData;
+  }
+
+  get paused() {
+    return this._paused;
+  }
+
+  regenerate() {
+    this._regenerate();
+  }
+
+  // Blows the particles outward; they spring back home (see cursor-mode,
+  // where a click does the same)
+  scatter() {
+    if (this._worker) this._worker.postMessage({ type: 'scatter' });
+    else scatterCursorPhysics(this._physics, this._points, this._config);
+  }
+
+  pause() {
+    if (this._paused) return;
+    this._paused = true;
+    this._stopAnimation();
+    this._stopTimelineClock();
+    if (this._worker) this._worker.postMessage({ type: 'pause' });
+  }
+
+  play() {
+    if (!this._paused) return;
+    this._paused = false;
+    // Resumes when scrolled back into view, or when motion is allowed
+    if (this._offscreen || this._config.reducedMotion) return;
+    this._startTimelineClock();
+    if (this._worker) this._worker.postMessage({ type: 'play' });
+    else if (this._canvas) this._startAnimation();
+  }
+
+  // Keyframes driven by the timeline (see the `timeline` attribute). Takes a
+  // keyframe array or a timeline saved by the editor, or either as JSON.
+  get timeline() {
+    return this._timeline.keyframes;
+  }
+
+  set timeline(value) {
+    this._readTimeline(value);
+    if (this._canvas) this._setupTimeline();
+  }
+
+  // The current design as a project file (see `preset`). Loaded SVG shapes
+  // travel as path data; meshes only by their URL.
+  get preset() {
+    const { duration, loop, file, keyframes } = this._timeline;
+    return createPreset(this._config, {
+      timeline: { duration: duration || file.duration, loop: loop || file.loop, keyframes },
+      svgPathDatas: this._svgPathDatas,
+      meshSrc: this._meshSrc,
+    });
+  }
+
+  // Takes a preset object, its JSON text, or a URL to fetch it from
+  set preset(value) {
+    this._loadPreset(value);
+  }
+
+  // Angles in radians; omitted (null / undefined) axes keep their value.
+  // `animate` is true for the default duration or a duration in ms.
+  setRotation(x, y, z, { animate = false } = {}) {
+    const c = this._config;
+    const target = { rotX: x ?? c.rotX, rotY: y ?? c.rotY, rotZ: z ?? c.rotZ };
+    const duration = animate === true ? 800 : Math.max(0, Number(animate) || 0);
+    this._rotTween = null;
+    this._orbit.stop();
+
+    if (this._worker) {
+      Object.assign(c, target);
+      this._worker.postMessage({ type: 'rotation', ...target, duration });
+    } else if (duration > 0 && !this._isStill()) {
+      this._rotTween = createRotationTween(c, target, duration);
+    } else {
+      Object.assign(c, target);
+      if (this._isStill()) this._drawFrame();
+    }
+  }
+
+  // Resolves with the current frame as a PNG, or as an SVG document.
+  // `options` ({ width, height, scale, sizeScale, dpi }) renders at another
+  // size (see particle-export.js); the default is the element's own size at
+  // the screen's pixel ratio.
+  toBlob(type = 'png', options = {}) {
+    if (type !== 'png' && type !== 'svg') return Promise.reject(new Error(`Unsupported type: ${type}`));
+    if (this._worker) return this._requestWorker({ type: 'snapshot', format: type, options });
+    if (!this._canvas) return Promise.reject(new Error('Element is not connected'));
+
+    const points = this._framePoints.length > 0 ? this._framePoints : this._points;
+    const opts = { width: this._logicalW, height: this._logicalH, scale: window.devicePixelRatio || 1, frameTime: this._frameTime, ...options };
+    if (type === 'svg') {
+      return Promise.resolve(new Blob([toSVGString(this._config, points, opts)], { type: 'image/svg+xml' }));
+    }
+    return toPNGBlob(this._config, points, opts);
+  }
+
+  _emit(name, detail = {}) {
+    this.dispatchEvent(new CustomEvent(name, { detail }));
+  }
+
+  // Called after every regeneration, on this thread or the worker's
+  _onRegenerated() {
+    this._emit('regenerated', { points: this._points, connectionData: this._config.connectionData });
+    // Params that don't validate (a formula that doesn't parse) leave the shape empty
+    const error = shapeError(this._config);
+    if (error) this._emit('shapeerror', { shape: this._config.shapeType, error: new Error(error) });
+    if (!this._ready && this._canvas) {
+      this._ready = true;
+      this._updatePoster();
+      this._emit('ready');
     }
   }
 
@@ -170,6 +536,27 @@ class ParticleShape extends HTMLElement {
         this._applyAttribute(attr, this.getAttribute(attr));
       }
     }
+    this._syncParamAttributes();
+  }
+
+  _syncParamAttributes() {
+    for (const [attr, { key, spec }] of paramAttributes()) {
+      if (this.hasAttribute(attr)) this._config[key] = parseParamAttribute(spec, this.getAttribute(attr));
+    }
+  }
+
+  _onParamMutations(records) {
+    const params = paramAttributes();
+    let regenerate = false;
+    for (const { attributeName, oldValue } of records) {
+      const param = params.get(attributeName);
+      const value = this.getAttribute(attributeName);
+      if (!param || value === oldValue) continue;
+      this._config[param.key] = parseParamAttribute(param.spec, value);
+      const current = paramsOfShape(this._config.shapeType);
+      if (current && Object.hasOwn(current, param.key)) regenerate = true;
+    }
+    if (regenerate && this._canvas) this._regenerate();
   }
 
   _applyAttribute(name, value) {
@@ -179,9 +566,24 @@ class ParticleShape extends HTMLElement {
       case 'density':     c.density = parseInt(value, 10) || 1500; break;
       case 'spacing':     c.spacing = parseFloat(value) || 1.0; break;
       case 'randomness':  c.randomness = parseFloat(value) || 0; break;
+      case 'seed':        c.seed = value !== null && value !== '' && Number.isFinite(parseInt(value, 10)) ? parseInt(value, 10) : null; break;
       case 'size':        c.squareSize = parseFloat(value) || 3; break;
       case 'color':       c.color = value || '#ffffff'; break;
       case 'bg':          c.bgColor = value || '#0a0a0a'; break;
+      case 'color-mode':     c.colorMode = COLOR_MODES.includes(value) ? value : 'solid'; break;
+      case 'gradient-color': c.gradientColor = value || '#4a7fd9'; break;
+      case 'color-axis':     c.colorAxis = value === 'x' || value === 'z' ? value : 'y'; break;
+      case 'palette': {
+        const palette = parsePalette(value);
+        c.palette = palette.length > 0 ? palette : [...DEFAULT_PALETTE];
+        break;
+      }
+      case 'glyph':          c.glyph = GLYPHS.includes(value) ? value : 'square'; break;
+      case 'glyph-char':     c.glyphChar = value || '*'; break;
+      case 'glyph-src':      c.glyphSrc = value || ''; this._loadGlyphImage('glyphImage', c.glyphSrc); break;
+      case 'hub-glyph':      c.hubGlyph = GLYPHS.includes(value) ? value : ''; break;
+      case 'hub-glyph-char': c.hubGlyphChar = value || ''; break;
+      case 'hub-glyph-src':  c.hubGlyphSrc = value || ''; this._loadGlyphImage('hubGlyphImage', c.hubGlyphSrc); break;
       case 'perspective':  c.perspectiveD = parseInt(value, 10) || 600; break;
       case 'speed':       c.rotSpeed = parseFloat(value) || 0.003; break;
       case 'depth-opacity': c.depthOpacity = value !== 'false' && value !== null; break;
@@ -190,12 +592,25 @@ class ParticleShape extends HTMLElement {
       case 'spiral-arms':  c.spiralArms = parseInt(value, 10) || 4; break;
       case 'extrude-depth': c.extrudeDepth = parseFloat(value) || 0.5; break;
       case 'snap-to-grid':  c.snapToGrid = value !== 'false' && value !== null; break;
+      case 'text':           c.text = value || ''; this._updateText(); break;
+      case 'font':           c.font = value || 'sans-serif'; this._updateText(); break;
+      case 'font-weight':    c.fontWeight = parseInt(value, 10) || (value === 'bold' ? 700 : 400); this._updateText(); break;
+      case 'letter-spacing': c.letterSpacing = parseFloat(value) || 0; this._updateText(); break;
       case 'rotate-x':     c.rotX = parseFloat(value) || 0; break;
       case 'rotate-y':     c.rotY = parseFloat(value) || 0; break;
       case 'rotate-z':     c.rotZ = parseFloat(value) || 0; break;
+      case 'interactive':  c.interactive = INTERACTIVE_MODES.includes(value) ? value : 'rotate'; break;
+      case 'pan-x':        c.panX = parseFloat(value) || 0; break;
+      case 'pan-y':        c.panY = parseFloat(value) || 0; break;
+      case 'min-polar-angle': c.minPolarAngle = Number.isFinite(parseFloat(value)) ? parseFloat(value) : -Math.PI / 2; break;
+      case 'max-polar-angle': c.maxPolarAngle = Number.isFinite(parseFloat(value)) ? parseFloat(value) : Math.PI / 2; break;
       case 'focal-length': c.focalLength = parseFloat(value) || 50; break;
       case 'lens':         c.lensType = value || 'perspective'; break;
       case 'connections':           c.connectionsEnabled = value !== 'false' && value !== null; break;
+      case 'connection-topology':   c.connectionTopology = CONNECTION_TOPOLOGIES.includes(value) ? value : 'hubs'; break;
+      case 'connection-distance':   c.connectionDistance = parseFloat(value) > 0 ? parseFloat(value) : 0.25; break;
+      case 'connection-neighbors':  c.connectionNeighbors = parseInt(value, 10) || 3; break;
+      case 'connection-max-lines':  c.connectionMaxLines = Number.isFinite(parseInt(value, 10)) ? Math.max(0, parseInt(value, 10)) : 2000; break;
       case 'hubs':                  c.hubCount = parseInt(value, 10) || 3; break;
       case 'connections-per-hub':   c.connectionsPerHub = parseInt(value, 10) || 15; break;
       case 'connection-opacity':    c.connectionOpacity = parseFloat(value) || 0.3; break;
@@ -207,6 +622,12 @@ class ParticleShape extends HTMLElement {
       case 'connection-distribution':  c.connectionDistribution = value || 'weighted'; break;
       case 'connection-spread':        c.connectionSpread = parseFloat(value) ?? 0.5; break;
       case 'connection-focus':         c.connectionFocus = parseFloat(value) ?? 0.5; break;
+      case 'connection-motion':        c.connectionMotion = CONNECTION_MOTIONS.includes(value) ? value : 'none'; break;
+      case 'connection-motion-speed':  c.connectionMotionSpeed = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 0.3; break;
+      case 'connection-relink':        c.connectionRelink = parseFloat(value) > 0 ? parseFloat(value) : 0; break;
+      case 'connection-pulses':        c.connectionPulses = value !== 'false' && value !== null; break;
+      case 'connection-pulse-speed':   c.connectionPulseSpeed = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 0.5; break;
+      case 'connection-pulse-color':   c.connectionPulseColor = value || '#ffffff'; break;
       case 'highlight-connected':      c.highlightConnected = value !== 'false' && value !== null; break;
       case 'non-connected-color':      c.nonConnectedColor = value || '#404040'; break;
       case 'non-connected-opacity':    c.nonConnectedOpacity = parseFloat(value) ?? 0.4; break;
@@ -216,6 +637,11 @@ class ParticleShape extends HTMLElement {
       case 'float-radius':             c.floatRadius = parseFloat(value) || 0.1; break;
       case 'float-speed':              c.floatSpeed = parseFloat(value) || 1.0; break;
       case 'float-variability':        c.floatVariability = parseFloat(value) ?? 0.5; break;
+      case 'cursor-mode':              c.cursorMode = CURSOR_MODES.includes(value) ? value : 'none'; break;
+      case 'cursor-strength':          c.cursorStrength = Number.isFinite(parseFloat(value)) ? parseFloat(value) : 1; break;
+      case 'cursor-radius':            c.cursorRadius = parseFloat(value) || 120; break;
+      case 'cursor-damping':           c.cursorDamping = Number.isFinite(parseFloat(value)) ? Math.min(1, Math.max(0, parseFloat(value))) : 0.12; break;
+      case 'voronoi-mode':             c.voronoiMode = VORONOI_MODES.includes(value) ? value : 'plane'; break;
       case 'voronoi-cells':            c.voronoiCells = parseInt(value, 10) || 12; break;
       case 'voronoi-membrane-width':   c.voronoiMembraneWidth = parseFloat(value) || 0.05; break;
       case 'voronoi-speed':            c.voronoiSpeed = parseFloat(value) ?? 0.5; break;
@@ -228,24 +654,304 @@ class ParticleShape extends HTMLElement {
           this._config.svgOutline = outline;
           this._config.svgPath2D = null;
           this._config._svgNorm = null;
+          this._svgPathDatas = [];
           if (this._config.shapeType === 'svgExtrude') this._regenerate();
         } catch(e) {}
         break;
       }
-      case 'svg-src': {
-        fetch(value).then(r => r.text()).then(svgText => this._loadSVGText(svgText)).catch(() => {});
-        break;
-      }
+      case 'svg-src':                  this._loadSVGSrc(value); break;
+      case 'morph-duration':           c.morphDuration = Number.isFinite(parseFloat(value)) ? Math.max(0, parseFloat(value)) : 800; break;
+      case 'morph-easing':             c.morphEasing = value in EASINGS ? value : 'easeInOut'; break;
+      case 'morph-match':              c.morphMatch = value === 'index' ? 'index' : 'nearest'; break;
+      case 'worker':                   c.worker = value !== 'false' && value !== null; break;
+      case 'renderer':                 c.renderer = value === 'webgl' ? 'webgl' : 'canvas'; break;
+      case 'mesh-sampling':            c.meshSampling = value === 'vertices' ? 'vertices' : 'surface'; break;
+      case 'mesh-src':                 this._loadMeshSrc(value); break;
+      case 'timeline':          this._readTimeline(value); break;
+      case 'timeline-source':   this._timeline.source = ['scroll', 'visibility', 'time'].includes(value) ? value : ''; break;
+      case 'timeline-target':   this._timeline.target = value || ''; break;
+      case 'timeline-duration': this._timeline.duration = parseFloat(value) > 0 ? parseFloat(value) : null; break;
+      case 'timeline-loop':     this._timeline.loop = TIMELINE_LOOPS.includes(value) ? value : ''; break;
+      case 'preset':            this._loadPreset(value); break;
+      case 'alt':               this._updateLabel(); this._updatePoster(); break;
+      case 'poster':            this._updatePoster(); break;
+      case 'motion':            c.motion = value === 'reduce' || value === 'full' ? value : 'auto'; this._updateMotion(); break;
+    }
+  }
+
+  _loadSVGSrc(src) {
+    if (!src) return;
+    fetch(src)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} loading ${src}`);
+        return r.text();
+      })
+      .then(svgText => {
+        if (!this._loadSVGText(svgText)) throw new Error(`No drawable shapes in ${src}`);
+        this._emit('svgload', { src });
+      })
+      .catch(error => this._emit('svgerror', { src, error }));
+  }
+
+  _loadMeshSrc(src) {
+    if (!src) return;
+    this._meshSrc = src;
+    fetch(src)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} loading ${src}`);
+        return r.arrayBuffer();
+      })
+      .then(buf => {
+        if (buf.byteLength === 0) throw new Error(`Empty mesh file: ${src}`);
+        if (!this._loadMeshBuffer(buf, src)) throw new Error(`No mesh geometry in ${src}`);
+        this._emit('meshload', { src });
+      })
+      .catch(error => this._emit('mesherror', { src, error }));
+  }
+
+  // Objects and inline JSON apply at once; any other string is a URL
+  _loadPreset(value) {
+    if (!value) return;
+    if (typeof value === 'object' || value.trim().startsWith('{')) {
+      const preset = parsePreset(value);
+      if (preset) this._applyPreset(preset);
+      else this._emit('preseterror', { src: null, error: new Error('Not a particle-shape preset') });
+      return;
     }
+    fetch(value)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status} loading ${value}`);
+        return r.text();
+      })
+      .then(text => {
+        const preset = parsePreset(text);
+        if (!preset) throw new Error(`Not a particle-shape preset: ${value}`);
+        this._applyPreset(preset);
+        this._emit('presetload', { src: value });
+      })
+      .catch(error => this._emit('preseterror', { src: value, error }));
   }
 
+  _applyPreset({ config, svg, mesh, timeline }) {
+    if (this._canvas) {
+      this.config = config;
+    } else {
+      // Not connected yet: connectedCallback generates the points
+      Object.assign(this._config, config);
+      if ('glyphSrc' in config) this._loadGlyphImage('glyphImage', this._config.glyphSrc);
+      if ('hubGlyphSrc' in config) this._loadGlyphImage('hubGlyphImage', this._config.hubGlyphSrc);
+      if (TEXT_KEYS.some((key) => key in config)) this._updateText();
+    }
+    if (svg && svg.pathDatas.length > 0) this._loadSVGText(pathDataToSVG(svg.pathDatas));
+    else if (svg) this._loadSVGSrc(svg.src);
+    if (mesh) this._loadMeshSrc(mesh.src);
+    if (timeline) this.timeline = timeline;
+  }
+
+  // Returns false when the text holds nothing usable
   _loadSVGText(svgText) {
     const result = parseSVGFile(svgText);
-    if (!result) return;
+    if (!result) return false;
+    this._svgText = svgText;
+    this._svgPathDatas = result.pathDatas || [];
     this._config.svgOutline = result.outline;
     this._config.svgPath2D = result.svgPath2D;
     this._config._svgNorm = result.svgNorm;
-    if (this._config.shapeType === 'svgExtrude') this._regenerate();
+    if (this._worker) {
+      // Path2D can't be posted, so the worker parses its own copy
+      this._worker.postMessage({ type: 'svg', svgText });
+    } else if (this._config.shapeType === 'svgExtrude') {
+      this._regenerate();
+    }
+    return true;
+  }
+
+  // Traced once the font has loaded; of overlapping calls the last one
+  // wins. Waits a microtask first, so setting several text attributes
+  // together loads one font and traces once.
+  _updateText() {
+    const token = ++this._textToken;
+    const current = () => token === this._textToken;
+    queueMicrotask(() => {
+      if (!current()) return;
+      loadTextFont(this._config).then(() => {
+        if (!current()) return;
+        const result = textToOutline(this._config);
+        this._textPathDatas = result ? result.pathDatas : [];
+        this._config.textOutline = result ? result.outline : [];
+        this._config.textPath2D = result ? result.svgPath2D : null;
+        this._config._textNorm = result ? result.svgNorm : null;
+        if (this._worker) {
+          this._worker.postMessage({ type: 'text', pathDatas: this._textPathDatas });
+        } else if (this._config.shapeType === 'text' && this._canvas) {
+          this._regenerate();
+        }
+      });
+    });
+  }
+
+  // Sprite glyphs are decoded here (SVG included) for Canvas2D / WebGL; a
+  // worker gets an ImageBitmap copy. Until then sprites draw as squares.
+  _loadGlyphImage(key, src) {
+    const srcKey = key === 'glyphImage' ? 'glyphSrc' : 'hubGlyphSrc';
+    this._config[key] = null;
+    if (this._worker) this._worker.postMessage({ type: 'glyphImage', key, image: null });
+    if (!src) return;
+    loadGlyphImage(src)
+      .then((image) => {
+        if (this._config[srcKey] !== src) return; // replaced while loading
+        this._config[key] = image;
+        this._postGlyphImage(key, this._worker);
+        if (this._isStill()) this._drawFrame();
+        this._emit('glyphload', { src });
+      })
+      .catch((error) => this._emit('glypherror', { src, error }));
+  }
+
+  _postGlyphImage(key, worker) {
+    const image = this._config[key];
+    if (!worker || !image || typeof createImageBitmap !== 'function') return;
+    createImageBitmap(image)
+      .then((bitmap) => worker.postMessage({ type: 'glyphImage', key, image: bitmap }, [bitmap]))
+      .catch(() => {});
+  }
+
+  // Returns false when the buffer holds no usable mesh
+  _loadMeshBuffer(buffer, fileName) {
+    const mesh = parseMeshFile(buffer, fileName);
+    if (!mesh) return false;
+    this._config.meshData = mesh;
+    if (this._config.shapeType === 'mesh') this._regenerate();
+    return true;
+  }
+
+  // ── Canvas / Renderer ─────────────────────────────────────────────
+
+  // A canvas can only ever hold one context type, so every renderer switch
+  // swaps in a fresh element. WebGL falls back to Canvas2D when unavailable.
+  _setupCanvas() {
+    this._teardownCanvas();
+
+    let canvas = document.createElement('canvas');
+    if (this._config.worker) {
+      this._worker = this._createWorker(canvas);
+    }
+    if (this._worker) {
+      // Canvas now belongs to the worker; nothing renders on this thread
+    } else if (this._config.renderer === 'webgl') {
+      this._gl = createWebGLRenderer(canvas);
+      if (!this._gl) canvas = document.createElement('canvas');
+    }
+    if (!this._gl && !this._worker) this._ctx = canvas.getContext('2d');
+
+    if (this._canvas && this._canvas.isConnected) this._canvas.replaceWith(canvas);
+    else this.shadowRoot.appendChild(canvas);
+    this._canvas = canvas;
+    canvas.setAttribute('role', 'img');
+    this._updateLabel();
+    this._orbit.attach(canvas);
+    this._canvas.addEventListener('pointerleave', () => this._setPointer(null));
+  }
+
+  // Renderer / worker switch: new canvas, and points for whichever thread
+  // now draws
+  _rebuildCanvas() {
+    this._setupCanvas();
+    this._resize();
+    if (!this._worker) this._regenerate();
+    this._startAnimation();
+  }
+
+  _teardownCanvas() {
+    if (this._gl) {
+      this._gl.dispose();
+      this._gl = null;
+    }
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+      for (const { reject } of this._requests.values()) reject(new Error('Worker stopped'));
+      this._requests.clear();
+    }
+    this._ctx = null;
+  }
+
+  // ── Worker Mode ───────────────────────────────────────────────────
+
+  // Everything the worker needs, minus what can't be cloned (Path2D, images)
+  // or is computed on its side. Once running, the worker owns the rotation.
+  _workerConfig(withRotation) {
+    const { svgPath2D, textPath2D, connectionData, glyphImage, hubGlyphImage, rotX, rotY, rotZ, ...rest } = this._config;
+    return withRotation ? { ...rest, rotX, rotY, rotZ } : rest;
+  }
+
+  // Registered shapes are generated here: the worker only has the built-ins
+  _workerPoints() {
+    return BUILTIN_SHAPES.includes(this._config.shapeType) ? undefined : generatePoints(this._config);
+  }
+
+  _createWorker(canvas) {
+    if (typeof Worker === 'undefined' || typeof canvas.transferControlToOffscreen !== 'function') return null;
+    let worker;
+    try {
+      worker = WORKER_FACTORY();
+    } catch (e) {
+      return null;
+    }
+    if (!worker) return null;
+
+    // If the worker can't start (e.g. no module worker support), drop back
+    // to rendering on the main thread
+    worker.addEventListener('error', () => {
+      if (this._worker !== worker) return;
+      this._config.worker = false;
+      this._rebuildCanvas();
+    });
+    worker.addEventListener('message', (e) => this._onWorkerMessage(e.data));
+
+    const offscreen = canvas.transferControlToOffscreen();
+    const rect = this.getBoundingClientRect();
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      config: this._workerConfig(true),
+      width: rect.width,
+      height: rect.height,
+      dpr: window.devicePixelRatio || 1,
+      points: this._workerPoints(),
+    }, [offscreen]);
+    if (this._svgText) worker.postMessage({ type: 'svg', svgText: this._svgText });
+    if (this._textPathDatas.length > 0) worker.postMessage({ type: 'text', pathDatas: this._textPathDatas });
+    this._postGlyphImage('glyphImage', worker);
+    this._postGlyphImage('hubGlyphImage', worker);
+    if (this._isStill() || this._offscreen) worker.postMessage({ type: 'pause' });
+    return worker;
+  }
+
+  _onWorkerMessage(msg) {
+    switch (msg.type) {
+      case 'regenerated':
+        this._points = msg.points;
+        this._config.connectionData = msg.connectionData;
+        this._onRegenerated();
+        break;
+      case 'snapshot': {
+        const request = this._requests.get(msg.id);
+        if (!request) break;
+        this._requests.delete(msg.id);
+        if (msg.blob) request.resolve(msg.blob);
+        else request.reject(new Error(msg.error));
+        break;
+      }
+    }
+  }
+
+  _requestWorker(msg) {
+    const id = ++this._requestId;
+    return new Promise((resolve, reject) => {
+      this._requests.set(id, { resolve, reject });
+      this._worker.postMessage({ ...msg, id });
+    });
   }
 
   // ── Resize ────────────────────────────────────────────────────────
@@ -254,93 +960,381 @@ class ParticleShape extends HTMLElement {
     if (!this._canvas) return;
     const dpr = window.devicePixelRatio || 1;
     const rect = this.getBoundingClientRect();
-    this._canvas.width = rect.width * dpr;
-    this._canvas.height = rect.height * dpr;
-    this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     this._logicalW = rect.width;
     this._logicalH = rect.height;
+    if (this._worker) {
+      this._worker.postMessage({ type: 'resize', width: rect.width, height: rect.height, dpr });
+      return;
+    }
+    this._canvas.width = rect.width * dpr;
+    this._canvas.height = rect.height * dpr;
+    if (this._ctx) this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
   // ── Interaction ───────────────────────────────────────────────────
 
-  _onPointerDown(e) {
-    this._isDragging = true;
-    this._lastMouseX = e.clientX;
-    this._lastMouseY = e.clientY;
+  // Drag, wheel, touch and keys go through the orbit controller (see
+  // particle-orbit.js), which has already updated the config. A worker owns
+  // the rotation once running, so it gets the deltas.
+  _onOrbit({ rotX, rotY, zoom, pan }) {
+    const c = this._config;
+    if (this._worker) {
+      if (rotX || rotY) this._worker.postMessage({ type: 'rotate', dRotX: rotX, dRotY: rotY });
+      if (zoom || pan) this._worker.postMessage({ type: 'config', config: { zoom: c.zoom, panX: c.panX, panY: c.panY } });
+    } else if (this._isStill()) {
+      this._drawFrame();
+    }
+    if (rotX || rotY) this._emit('rotate', { rotX: c.rotX, rotY: c.rotY, rotZ: c.rotZ });
   }
 
   _onPointerMove(e) {
-    if (!this._isDragging) return;
-    const dx = e.clientX - this._lastMouseX;
-    const dy = e.clientY - this._lastMouseY;
-    this._config.rotY += dx * 0.005;
-    this._config.rotX += dy * 0.005;
-    this._lastMouseX = e.clientX;
-    this._lastMouseY = e.clientY;
+    this._trackPointer(e);
   }
 
-  _onPointerUp() {
-    this._isDragging = false;
+  // A lifted finger leaves no cursor behind
+  _onPointerUp(e) {
+    if (e.pointerType === 'touch') this._setPointer(null);
+  }
+
+  // Cursor physics follows the pointer over the canvas; outside it (or with
+  // cursor-mode off) there's no cursor
+  _trackPointer(e) {
+    if (!this._canvas || this._config.cursorMode === 'none') {
+      this._setPointer(null);
+      return;
+    }
+    const rect = this.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    this._setPointer(x >= 0 && y >= 0 && x <= rect.width && y <= rect.height ? { x, y } : null);
+  }
+
+  _setPointer(pointer) {
+    if (!pointer && !this._pointer) return;
+    this._pointer = pointer;
+    if (this._worker) this._worker.postMessage({ type: 'pointer', pointer });
+  }
+
+  // ── Accessibility ─────────────────────────────────────────────────
+
+  // The canvas reads as an image labelled by `alt`; alt="" marks it
+  // decorative, like an <img>
+  _updateLabel() {
+    if (!this._canvas) return;
+    const alt = this.getAttribute('alt');
+    if (alt === '') {
+      this._canvas.setAttribute('aria-hidden', 'true');
+      this._canvas.removeAttribute('aria-label');
+    } else {
+      this._canvas.removeAttribute('aria-hidden');
+      this._canvas.setAttribute('aria-label', alt || DEFAULT_LABEL);
+    }
+  }
+
+  // The poster (the `poster` image, or a slot="poster" child) covers the
+  // element until the first frame is ready, and replaces it in print
+  _updatePoster() {
+    if (!this._poster) return;
+    const img = this._poster.querySelector('img');
+    const src = this.getAttribute('poster');
+    if (src) img.src = src;
+    else img.removeAttribute('src');
+    img.alt = this.getAttribute('alt') ?? DEFAULT_LABEL;
+    const slotted = this._poster.querySelector('slot').assignedNodes().length > 0;
+    this._poster.classList.toggle('empty', !src && !slotted);
+    this._poster.classList.toggle('shown', !this._ready);
+  }
+
+  // Paused, or held still for reduced motion: either way frames are only
+  // drawn when something changes
+  _isStill() {
+    return this._paused || this._config.reducedMotion;
+  }
+
+  _watchMotion() {
+    this._unwatchMotion();
+    if (typeof window.matchMedia === 'function') {
+      this._motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this._motionQuery.addEventListener('change', this._onMotionChangeBound);
+    }
+    this._updateMotion();
+  }
+
+  _unwatchMotion() {
+    if (this._motionQuery) this._motionQuery.removeEventListener('change', this._onMotionChangeBound);
+    this._motionQuery = null;
+  }
+
+  // motion="auto" follows prefers-reduced-motion; "reduce" and "full"
+  // override it. Reduced motion holds a static frame (no auto-rotate, float
+  // or voronoi drift, morphs, tweens or momentum) without touching
+  // `paused`; drags and keys still turn the view.
+  _updateMotion() {
+    const c = this._config;
+    const reduced = c.motion === 'reduce' || (c.motion !== 'full' && !!this._motionQuery?.matches);
+    if (reduced === c.reducedMotion) return;
+    c.reducedMotion = reduced;
+    if (!this._canvas) return;
+    if (reduced) {
+      this._morph = null;
+      this._rotTween = null;
+      this._orbit.stop();
+      this._stopTimelineClock();
+    } else {
+      this._startTimelineClock();
+    }
+    if (this._worker) {
+      // Paused first, so the worker redraws the static frame on the config
+      if (!this._paused && !this._offscreen) this._worker.postMessage({ type: reduced ? 'pause' : 'play' });
+      this._worker.postMessage({ type: 'config', config: { reducedMotion: reduced } });
+    } else if (reduced) {
+      this._stopAnimation();
+      this._drawFrame();
+    } else {
+      this._startAnimation();
+    }
   }
 
   // ── Animation ─────────────────────────────────────────────────────
 
-  _regenerate() {
+  // With `morph`, the new points tween in from whatever is on screen
+  _regenerate(morph = false) {
+    if (this._worker) {
+      this._worker.postMessage({ type: 'config', config: this._workerConfig(), regenerate: true, morph, points: this._workerPoints() });
+      return;
+    }
+    const from = morph && this._config.morphDuration > 0 && !this._config.reducedMotion ? this._framePoints : null;
     if (this._config.shapeType === 'voronoi') {
-      this._voronoiSamples = initVoronoiSamples(this._config.density);
+      this._voronoiSamples = initVoronoiSamples(this._config.density, createRNG(this._config.seed, RNG_STREAMS.voronoi), this._config.voronoiMode);
       this._points = generateVoronoiPoints(this._voronoiSamples, this._config, 0);
     } else {
       this._points = generatePoints(this._config);
     }
     this._config.connectionData = generateConnections(this._points, this._config);
-    this._floatPhases = initFloatPhases(this._points.length);
+    this._floatPhases = initFloatPhases(this._points.length, createRNG(this._config.seed, RNG_STREAMS.float));
+    this._physics = createCursorPhysics();
+    this._morph = from && from.length > 0 ? createMorph(from, this._points, this._config) : null;
+    if (this._isStill()) this._drawFrame();
+    this._onRegenerated();
   }
 
   _startAnimation() {
+    this._stopAnimation();
+    if (this._worker || this._isStill() || this._offscreen) return;
     let _lastTs = 0;
     const tick = (ts) => {
       const dt = _lastTs ? Math.min((ts - _lastTs) / (1000 / 60), 4) : 1;
       _lastTs = ts;
-      if (this._config.autoRotate && !this._isDragging) {
+      if (this._rotTween) {
+        if (applyRotationTween(this._rotTween, this._config, performance.now())) this._rotTween = null;
+      } else if (this._config.autoRotate && !this._orbit.dragging) {
         this._config.rotY += this._config.rotSpeed * dt;
       }
-      if (this._ctx && this._logicalW > 0) {
-        const t = performance.now() * 0.001;
-        let points;
-        if (this._config.shapeType === 'voronoi') {
-          points = generateVoronoiPoints(this._voronoiSamples, this._config, t);
-        } else if (this._config.float && this._floatPhases.length > 0) {
-          points = applyFloat(this._points, this._floatPhases, this._config, t);
-        } else {
-          points = this._points;
-        }
-
-        const blockSize = this._config.pixelate;
-        if (blockSize > 1) {
-          if (!this._pixelCanvas) this._pixelCanvas = document.createElement('canvas');
-          const pw = Math.max(1, Math.round(this._logicalW / blockSize));
-          const ph = Math.max(1, Math.round(this._logicalH / blockSize));
-          this._pixelCanvas.width = pw;
-          this._pixelCanvas.height = ph;
-          renderFrame(this._pixelCanvas.getContext('2d'), pw, ph, points, this._config);
-          this._ctx.imageSmoothingEnabled = false;
-          this._ctx.drawImage(this._pixelCanvas, 0, 0, this._logicalW, this._logicalH);
-        } else {
-          this._ctx.imageSmoothingEnabled = true;
-          renderFrame(this._ctx, this._logicalW, this._logicalH, points, this._config);
-        }
-      }
+      this._drawFrame(dt);
       this._animId = requestAnimationFrame(tick);
     };
     tick();
   }
 
+  // `dt` (frames) steps the cursor physics; redraws while paused pass none.
+  // Reduced motion draws float / voronoi and connections as they are at t = 0.
+  _drawFrame(dt = 0) {
+    if (!(this._ctx || this._gl) || !(this._logicalW > 0)) return;
+    const t = this._config.reducedMotion ? 0 : performance.now() * 0.001;
+    let points;
+    if (this._config.shapeType === 'voronoi') {
+      points = generateVoronoiPoints(this._voronoiSamples, this._config, t);
+    } else if (this._config.float && this._floatPhases.length > 0) {
+      points = applyFloat(this._points, this._floatPhases, this._config, t);
+    } else {
+      points = this._points;
+    }
+    if (dt > 0) {
+      stepCursorPhysics(this._physics, points, this._config, { width: this._logicalW, height: this._logicalH, pointer: this._pointer, dt });
+    }
+    points = applyCursorPhysics(points, this._physics);
+    if (this._morph) {
+      points = applyMorph(this._morph, points, performance.now());
+      if (this._morph.done) this._morph = null;
+    }
+    // Plexus links can stay while the particles have barely moved
+    reuseLinks(this._framePoints, points, this._config);
+    this._framePoints = points;
+    this._frameTime = t;
+
+    const blockSize = this._config.pixelate;
+    if (this._gl) {
+      this._gl.render(this._logicalW, this._logicalH, points, this._config, t);
+    } else if (blockSize > 1) {
+      if (!this._pixelCanvas) this._pixelCanvas = document.createElement('canvas');
+      const pw = Math.max(1, Math.round(this._logicalW / blockSize));
+      const ph = Math.max(1, Math.round(this._logicalH / blockSize));
+      this._pixelCanvas.width = pw;
+      this._pixelCanvas.height = ph;
+      renderFrame(this._pixelCanvas.getContext('2d'), pw, ph, points, this._config, t);
+      this._ctx.imageSmoothingEnabled = false;
+      this._ctx.clearRect(0, 0, this._logicalW, this._logicalH);
+      this._ctx.drawImage(this._pixelCanvas, 0, 0, this._logicalW, this._logicalH);
+    } else {
+      this._ctx.imageSmoothingEnabled = true;
+      renderFrame(this._ctx, this._logicalW, this._logicalH, points, this._config, t);
+    }
+  }
+
   _stopAnimation() {
     if (this._animId) {
       cancelAnimationFrame(this._animId);
       this._animId = null;
     }
   }
+
+  // ── Visibility / Timeline ─────────────────────────────────────────
+
+  // One observer serves both the offscreen pause (this element) and the
+  // visibility timeline (its target, often the element too)
+  _observeVisibility() {
+    if (this._intersectionObserver) this._intersectionObserver.disconnect();
+    this._intersectionObserver = null;
+    if (typeof IntersectionObserver === 'undefined') return;
+    const thresholds = Array.from({ length: 21 }, (_, i) => i / 20);
+    this._intersectionObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.target === this) this._setOffscreen(!entry.isIntersecting);
+        if (this._timelineSource() === 'visibility' && entry.target === this._timelineTarget()) {
+          this._updateTimeline(this._visibleFraction(entry));
+        }
+      }
+    }, { threshold: thresholds });
+    this._intersectionObserver.observe(this);
+  }
+
+  // Stops drawing while scrolled out of view, without touching `paused`
+  _setOffscreen(offscreen) {
+    if (offscreen === this._offscreen) return;
+    this._offscreen = offscreen;
+    if (offscreen) this._stopTimelineClock();
+    else this._startTimelineClock();
+    if (this._isStill()) return;
+    if (this._worker) {
+      this._worker.postMessage({ type: offscreen ? 'pause' : 'play' });
+    } else if (offscreen) {
+      this._stopAnimation();
+    } else {
+      this._startAnimation();
+    }
+  }
+
+  _readTimeline(value) {
+    const doc = parseTimelineDocument(value);
+    this._timeline.keyframes = doc.keyframes;
+    this._timeline.file = { duration: doc.duration, loop: doc.loop };
+  }
+
+  // Defaults to playing over time when the timeline has a duration
+  _timelineSource() {
+    const { source, duration, file } = this._timeline;
+    return source || (duration || file.duration ? 'time' : 'scroll');
+  }
+
+  _timelineTarget() {
+    const selector = this._timeline.target;
+    return (selector && document.querySelector(selector)) || this;
+  }
+
+  _setupTimeline() {
+    this._teardownTimeline();
+    this._timelineProgress = null;
+    this._timelineElapsed = 0;
+    if (this._timeline.keyframes.length === 0) return;
+    const source = this._timelineSource();
+    if (source === 'time') {
+      this._updateTimeline(0);
+      this._startTimelineClock();
+    } else if (source === 'visibility') {
+      // (Re-)observing delivers a first entry straight away
+      const target = this._timelineTarget();
+      if (this._intersectionObserver) {
+        this._intersectionObserver.unobserve(target);
+        this._intersectionObserver.observe(target);
+      }
+      this._timelineObserved = target;
+    } else {
+      window.addEventListener('scroll', this._onScrollBound, { passive: true });
+      window.addEventListener('resize', this._onScrollBound);
+      this._updateTimeline(this._scrollProgress());
+    }
+  }
+
+  _teardownTimeline() {
+    this._stopTimelineClock();
+    window.removeEventListener('scroll', this._onScrollBound);
+    window.removeEventListener('resize', this._onScrollBound);
+    if (this._timelineFrame) cancelAnimationFrame(this._timelineFrame);
+    this._timelineFrame = null;
+    if (this._timelineObserved && this._timelineObserved !== this && this._intersectionObserver) {
+      this._intersectionObserver.unobserve(this._timelineObserved);
+    }
+    this._timelineObserved = null;
+  }
+
+  // Plays a time-driven timeline from where it stopped; pause(), reduced
+  // motion and scrolling offscreen stop it
+  _startTimelineClock() {
+    if (this._timelineClock || this._isStill() || this._offscreen) return;
+    if (this._timelineSource() !== 'time' || this._timeline.keyframes.length === 0) return;
+    const duration = this._timeline.duration || this._timeline.file.duration || 6;
+    const loop = this._timeline.loop || this._timeline.file.loop;
+    let lastTs = 0;
+    const tick = (ts) => {
+      // Capped so a backgrounded tab doesn't jump ahead on return
+      this._timelineElapsed += lastTs ? Math.min((ts - lastTs) / 1000, 0.1) : 0;
+      lastTs = ts;
+      this._updateTimeline(timelineProgress(this._timelineElapsed, duration, loop));
+      this._timelineClock = loop === 'none' && this._timelineElapsed >= duration ? null : requestAnimationFrame(tick);
+    };
+    this._timelineClock = requestAnimationFrame(tick);
+  }
+
+  _stopTimelineClock() {
+    if (this._timelineClock) cancelAnimationFrame(this._timelineClock);
+    this._timelineClock = null;
+  }
+
+  // Scroll events can outpace frames; measure at most once per frame
+  _scheduleTimeline() {
+    if (this._timelineFrame) return;
+    this._timelineFrame = requestAnimationFrame(() => {
+      this._timelineFrame = null;
+      this._updateTimeline(this._scrollProgress());
+    });
+  }
+
+  // 0 as the target's top enters at the bottom of the viewport, 1 as its
+  // bottom leaves at the top
+  _scrollProgress() {
+    const rect = this._timelineTarget().getBoundingClientRect();
+    const viewH = window.innerHeight;
+    return Math.max(0, Math.min(1, (viewH - rect.top) / (viewH + rect.height)));
+  }
+
+  // Share of the target that is visible, where "fully" means filling the
+  // viewport for targets taller than it
+  _visibleFraction(entry) {
+    const viewH = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+    const full = Math.min(entry.boundingClientRect.height, viewH);
+    return full > 0 ? Math.min(1, entry.intersectionRect.height / full) : 0;
+  }
+
+  _updateTimeline(progress) {
+    if (this._timeline.keyframes.length === 0 || progress === this._timelineProgress) return;
+    this._timelineProgress = progress;
+    this.config = sampleTimeline(this._timeline.keyframes, progress);
+    this._emit('timeline', { progress });
+  }
 }
 
+// Registered shapes' params can't take these over
+reserveAttributes(ParticleShape.observedAttributes);
+reserveAttributes(['id', 'class', 'style', 'slot', 'hidden', 'title', 'lang', 'dir', 'tabindex']);
+
 customElements.define('particle-shape', ParticleShape);
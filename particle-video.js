@@ -0,0 +1,490 @@
+// ── Particle Video ──────────────────────────────────────────────────
+// Offline animation export. A virtual clock steps through rotation, float
+// and voronoi at a fixed frame rate; each frame is drawn with
+// particle-export.js and encoded as WebM (WebCodecs), an animated GIF or a
+// zip of PNG frames. Nothing runs in real time, so no frame is ever dropped
+// and the same settings always produce the same file.
+//
+// Usage:
+//   const blob = await renderAnimation(config, points, {
+//     format: 'webm', width: 1280, height: 720, fps: 30, duration: 6, loop: 'seamless',
+//     voronoiSamples, floatPhases, onProgress: (done, total) => {},
+//   });
+//
+// `points` are the base (un-animated) points; pass the view's voronoi
+// samples / float phases to match it exactly. Any particle-export.js
+// option (scale, sizeScale, createCanvas, ...) is passed through.
+//
+// Loop modes:
+//   none      — rotation at the configured speed, motion as is
+//   rotation  — exactly one turn of rotY over the duration
+//   seamless  — whole turns of rotY, and float / voronoi frequencies and
+//               connection animation rounded to whole cycles
+//               (config.loopPeriod), so the last frame runs straight into
+//               the first
+//   pingPong  — plays forward for half the duration, then back
+
+import { renderToCanvas, canvasToBlob, crc32 } from './particle-export.js';
+
+export const LOOP_MODES = ['none', 'rotation', 'seamless', 'pingPong'];
+export const ANIMATION_FORMATS = ['webm', 'gif', 'png'];
+
+const TAU = Math.PI * 2;
+
+// ── Frame Plan ─────────────────────────────────────────────────────
+
+// Animation time and rotY for every frame. The live loop adds rotSpeed per
+// 60 fps frame, so rotSpeed * 60 is its speed in radians per second.
+export function planFrames(config, { fps = 30, duration = 6, loop = 'seamless' } = {}) {
+  const count = Math.max(1, Math.round(fps * duration));
+  const period = count / fps;
+  const direction = config.rotSpeed < 0 ? -1 : 1;
+  const spinning = config.autoRotate !== false && !!config.rotSpeed;
+
+  let speed = spinning ? config.rotSpeed * 60 : 0;
+  if (loop === 'rotation') {
+    speed = direction * TAU / period;
+  } else if (loop === 'seamless' && spinning) {
+    speed = direction * Math.max(1, Math.round(Math.abs(speed) * period / TAU)) * TAU / period;
+  }
+
+  const times = [];
+  if (loop === 'pingPong') {
+    // Out and back, without repeating the two turning points
+    const half = Math.max(1, Math.floor(count / 2));
+    for (let i = 0; i <= half; i++) times.push(i / fps);
+    for (let i = half - 1; i > 0; i--) times.push(i / fps);
+  } else {
+    for (let i = 0; i < count; i++) times.push(i / fps);
+  }
+
+  const rotY = config.rotY || 0;
+  return {
+    period,
+    frames: times.map((time) => ({ time, rotY: rotY + speed * time })),
+  };
+}
+
+// ── Render ─────────────────────────────────────────────────────────
+
+export async function renderAnimation(config, points, options = {}) {
+  const { format = 'webm', fps = 30, loop = 'seamless', scale = 1, signal, onProgress } = options;
+  if (!ANIMATION_FORMATS.includes(format)) throw new Error(`Unsupported format: ${format}`);
+  const { period, frames } = planFrames(config, options);
+  const width = Math.max(1, Math.round(options.width * scale));
+  const height = Math.max(1, Math.round(options.height * scale));
+
+  const base = loop === 'seamless' ? { ...config, loopPeriod: period } : config;
+  const transparent = base.bgColor === 'transparent';
+  const encoder = format === 'webm'
+    ? await createWebMEncoder(width, height, fps, options.bitrate)
+    : format === 'gif'
+      ? createGIFEncoder(width, height, fps, transparent)
+      : createPNGZipEncoder();
+
+  let canvas = null;
+  for (let i = 0; i < frames.length; i++) {
+    if (signal && signal.aborted) {
+      if (encoder.cancel) encoder.cancel();
+      throw signal.reason || new Error('Export cancelled');
+    }
+    const { time, rotY } = frames[i];
+    canvas = renderToCanvas({ ...base, rotY }, points, { ...options, time, canvas });
+    await encoder.add(canvas, i);
+    if (onProgress) onProgress(i + 1, frames.length);
+    // Let the page repaint and handle input between frames
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  return encoder.finish();
+}
+
+// ── WebM (WebCodecs) ───────────────────────────────────────────────
+
+const WEBM_CODECS = [
+  { codec: 'vp09.00.10.08', id: 'V_VP9' },
+  { codec: 'vp8', id: 'V_VP8' },
+];
+
+async function createWebMEncoder(width, height, fps, bitrate = 12_000_000) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM export needs WebCodecs (VideoEncoder) support');
+  }
+  let chosen = null;
+  for (const c of WEBM_CODECS) {
+    const encoderConfig = { codec: c.codec, width, height, bitrate, framerate: fps };
+    const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (supported) {
+      chosen = { ...c, encoderConfig };
+      break;
+    }
+  }
+  if (!chosen) throw new Error(`No WebM codec supports ${width}×${height}`);
+
+  const chunks = [];
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+    },
+    error: (e) => { failure = e; },
+  });
+  encoder.configure(chosen.encoderConfig);
+
+  const frameUs = 1e6 / fps;
+  const keyInterval = Math.max(1, Math.round(fps * 2));
+  let frameCount = 0;
+
+  return {
+    async add(canvas, index) {
+      if (failure) throw failure;
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+      encoder.encode(frame, { keyFrame: index % keyInterval === 0 });
+      frame.close();
+      frameCount = index + 1;
+      // Keep the encoder's queue (and memory) bounded
+      while (encoder.encodeQueueSize > 4) await new Promise((resolve) => setTimeout(resolve, 1));
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      const parts = muxWebM(chunks, { codecId: chosen.id, width, height, duration: frameCount * 1000 / fps });
+      return new Blob(parts, { type: 'video/webm' });
+    },
+    cancel() {
+      if (encoder.state !== 'closed') encoder.close();
+    },
+  };
+}
+
+// Minimal EBML writer. An element is its byte parts plus their total
+// length, so encoded frames are never copied while the tree is assembled.
+function ebmlElement(id, children) {
+  const parts = [];
+  let size = 0;
+  for (const child of children) {
+    if (child instanceof Uint8Array) {
+      parts.push(child);
+      size += child.length;
+    } else {
+      parts.push(...child.parts);
+      size += child.size;
+    }
+  }
+  const idBytes = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) idBytes.unshift(v & 0xff);
+  // 8-byte size field: 0x01 marker plus a 56-bit length
+  const head = new Uint8Array(idBytes.length + 8);
+  head.set(idBytes);
+  head[idBytes.length] = 0x01;
+  for (let i = 7, v = size; i > 0; i--, v = Math.floor(v / 256)) head[idBytes.length + i] = v & 0xff;
+  return { parts: [head, ...parts], size: head.length + size };
+}
+
+function ebmlUint(id, value) {
+  const bytes = [];
+  for (let v = value; v > 0 || bytes.length === 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return ebmlElement(id, [new Uint8Array(bytes)]);
+}
+
+function ebmlFloat(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return ebmlElement(id, [bytes]);
+}
+
+function ebmlString(id, value) {
+  return ebmlElement(id, [new TextEncoder().encode(value)]);
+}
+
+// Single video track, millisecond timecodes, a new cluster at every key
+// frame (and before block timecodes would overflow their 16 bits)
+function muxWebM(chunks, { codecId, width, height, duration }) {
+  const header = ebmlElement(0x1a45dfa3, [
+    ebmlUint(0x4286, 1),       // EBMLVersion
+    ebmlUint(0x42f7, 1),       // EBMLReadVersion
+    ebmlUint(0x42f2, 4),       // EBMLMaxIDLength
+    ebmlUint(0x42f3, 8),       // EBMLMaxSizeLength
+    ebmlString(0x4282, 'webm'),
+    ebmlUint(0x4287, 2),       // DocTypeVersion
+    ebmlUint(0x4285, 2),       // DocTypeReadVersion
+  ]);
+  const info = ebmlElement(0x1549a966, [
+    ebmlUint(0x2ad7b1, 1000000), // TimecodeScale: 1 ms
+    ebmlString(0x4d80, 'common-factor'),
+    ebmlString(0x5741, 'common-factor'),
+    ebmlFloat(0x4489, duration),
+  ]);
+  const tracks = ebmlElement(0x1654ae6b, [
+    ebmlElement(0xae, [
+      ebmlUint(0xd7, 1),       // TrackNumber
+      ebmlUint(0x73c5, 1),     // TrackUID
+      ebmlUint(0x83, 1),       // TrackType: video
+      ebmlUint(0x9c, 0),       // FlagLacing
+      ebmlString(0x86, codecId),
+      ebmlElement(0xe0, [ebmlUint(0xb0, width), ebmlUint(0xba, height)]),
+    ]),
+  ]);
+
+  const clusters = [];
+  let blocks = [];
+  let clusterStart = 0;
+  const closeCluster = () => {
+    if (blocks.length > 0) clusters.push(ebmlElement(0x1f43b675, [ebmlUint(0xe7, clusterStart), ...blocks]));
+    blocks = [];
+  };
+  for (const chunk of chunks) {
+    const ms = Math.round(chunk.timestamp / 1000);
+    if (chunk.key || ms - clusterStart > 30000) {
+      closeCluster();
+      clusterStart = ms;
+    }
+    const rel = ms - clusterStart;
+    const blockHead = new Uint8Array([0x81, (rel >> 8) & 0xff, rel & 0xff, chunk.key ? 0x80 : 0x00]);
+    blocks.push(ebmlElement(0xa3, [blockHead, chunk.data])); // SimpleBlock
+  }
+  closeCluster();
+
+  const segment = ebmlElement(0x18538067, [info, tracks, ...clusters]);
+  return [...header.parts, ...segment.parts];
+}
+
+// ── GIF ────────────────────────────────────────────────────────────
+
+function createGIFEncoder(width, height, fps, transparent) {
+  const parts = [];
+  const head = new Uint8Array(13);
+  head.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+  head[6] = width & 0xff; head[7] = width >> 8;
+  head[8] = height & 0xff; head[9] = height >> 8;
+  parts.push(head);
+  // NETSCAPE2.0 application extension: loop forever
+  parts.push(new Uint8Array([
+    0x21, 0xff, 0x0b, 0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30,
+    0x03, 0x01, 0x00, 0x00, 0x00,
+  ]));
+
+  const lzw = createLZWEncoder();
+  return {
+    async add(canvas, index) {
+      const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+      const { palette, indices } = quantizeFrame(data, transparent);
+      // Delays are in centiseconds; round the running total so the clip
+      // keeps its overall length at frame rates that don't divide 100
+      const delay = Math.round((index + 1) * 100 / fps) - Math.round(index * 100 / fps);
+      // Transparent frames restore to background so earlier frames don't show through
+      const packed = transparent ? (2 << 2) | 1 : 1 << 2;
+      parts.push(new Uint8Array([0x21, 0xf9, 0x04, packed, delay & 0xff, delay >> 8, 0, 0]));
+      parts.push(new Uint8Array([
+        0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8,
+        0x87, // local colour table, 256 entries
+      ]));
+      parts.push(palette);
+      parts.push(lzw.encode(indices));
+    },
+    async finish() {
+      parts.push(new Uint8Array([0x3b]));
+      return new Blob(parts, { type: 'image/gif' });
+    },
+  };
+}
+
+// Popularity quantiser over a 15-bit colour histogram: the 256 most used
+// buckets (255 when index 0 is reserved for transparency), each averaged.
+// Particle frames are a handful of colours blended by depth, which this
+// covers well without dithering.
+function quantizeFrame(data, transparent) {
+  const count = new Uint32Array(32768);
+  const sumR = new Uint32Array(32768);
+  const sumG = new Uint32Array(32768);
+  const sumB = new Uint32Array(32768);
+  const pixelCount = data.length / 4;
+  const keys = new Int32Array(pixelCount);
+  for (let i = 0, p = 0; p < pixelCount; i += 4, p++) {
+    if (transparent && data[i + 3] < 128) {
+      keys[p] = -1;
+      continue;
+    }
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    keys[p] = key;
+    count[key]++;
+    sumR[key] += r;
+    sumG[key] += g;
+    sumB[key] += b;
+  }
+
+  const used = [];
+  for (let k = 0; k < 32768; k++) if (count[k] > 0) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const first = transparent ? 1 : 0;
+  const chosen = used.slice(0, 256 - first);
+
+  const palette = new Uint8Array(768);
+  const colors = [];
+  chosen.forEach((k, i) => {
+    const c = [sumR[k] / count[k], sumG[k] / count[k], sumB[k] / count[k]].map(Math.round);
+    palette.set(c, (i + first) * 3);
+    colors.push(c);
+  });
+
+  // Each bucket maps to its nearest palette entry, looked up once
+  const lookup = new Int16Array(32768).fill(-1);
+  const indices = new Uint8Array(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    const key = keys[p];
+    if (key < 0) continue; // index 0: transparent
+    let idx = lookup[key];
+    if (idx < 0) {
+      const r = sumR[key] / count[key], g = sumG[key] / count[key], b = sumB[key] / count[key];
+      let best = Infinity;
+      for (let c = 0; c < colors.length; c++) {
+        const dr = r - colors[c][0], dg = g - colors[c][1], db = b - colors[c][2];
+        const d = dr * dr + dg * dg + db * db;
+        if (d < best) { best = d; idx = c + first; }
+      }
+      lookup[key] = idx;
+    }
+    indices[p] = idx;
+  }
+  return { palette, indices };
+}
+
+// GIF LZW with 8-bit symbols. The code table is a flat (prefix, symbol)
+// array reused across frames; only the entries written are reset.
+function createLZWEncoder() {
+  const table = new Int16Array(4096 * 256).fill(-1);
+  const written = [];
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+
+  return {
+    encode(indices) {
+      const out = [minCodeSize];
+      let block = [];
+      let bitBuffer = 0;
+      let bitCount = 0;
+      let codeSize = minCodeSize + 1;
+      let nextCode = eoiCode + 1;
+
+      const pushByte = (byte) => {
+        block.push(byte);
+        if (block.length === 255) {
+          out.push(255, ...block);
+          block = [];
+        }
+      };
+      const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+          pushByte(bitBuffer & 0xff);
+          bitBuffer >>>= 8;
+          bitCount -= 8;
+        }
+      };
+      const resetTable = () => {
+        for (const key of written) table[key] = -1;
+        written.length = 0;
+      };
+
+      resetTable();
+      emit(clearCode);
+      let prefix = indices[0];
+      for (let i = 1; i < indices.length; i++) {
+        const symbol = indices[i];
+        const key = prefix * 256 + symbol;
+        const code = table[key];
+        if (code >= 0) {
+          prefix = code;
+          continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+          emit(clearCode);
+          resetTable();
+          nextCode = eoiCode + 1;
+          codeSize = minCodeSize + 1;
+        } else {
+          if (nextCode >= 1 << codeSize) codeSize++;
+          table[key] = nextCode++;
+          written.push(key);
+        }
+        prefix = symbol;
+      }
+      emit(prefix);
+      emit(eoiCode);
+      if (bitCount > 0) pushByte(bitBuffer & 0xff);
+      if (block.length > 0) out.push(block.length, ...block);
+      out.push(0);
+      return new Uint8Array(out);
+    },
+  };
+}
+
+// ── PNG Sequence (zip) ─────────────────────────────────────────────
+
+function createPNGZipEncoder() {
+  const files = [];
+  return {
+    async add(canvas, index) {
+      const blob = await canvasToBlob(canvas);
+      const data = new Uint8Array(await blob.arrayBuffer());
+      files.push({ name: `frame-${String(index).padStart(4, '0')}.png`, data });
+    },
+    async finish() {
+      return new Blob(zipStore(files), { type: 'application/zip' });
+    },
+  };
+}
+
+// Stored (uncompressed) zip; PNG data is already compressed. Entries carry
+// a fixed 1980-01-01 timestamp so identical frames give identical files.
+function zipStore(files) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const crc = crc32(file.data);
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);            // version needed
+    lv.setUint16(12, 0x21, true);         // date: 1980-01-01
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, file.data.length, true);
+    lv.setUint32(22, file.data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+    parts.push(local, file.data);
+
+    const entry = new Uint8Array(46 + name.length);
+    const cv = new DataView(entry.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);            // version made by
+    cv.setUint16(6, 20, true);            // version needed
+    cv.setUint16(14, 0x21, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, file.data.length, true);
+    cv.setUint32(24, file.data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    entry.set(name, 46);
+    central.push(entry);
+    offset += local.length + file.data.length;
+  }
+
+  const centralSize = central.reduce((n, e) => n + e.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  return [...parts, ...central, end];
+}
@@ -0,0 +1,607 @@
+// ── Particle WebGL Renderer ─────────────────────────────────────────
+// GPU backend with the same visual contract as renderFrame in
+// particle-engine.js: depth sizing, depth opacity, hub squares, connection
+// lines and their animation, highlight-connected colouring, per-particle
+// colour modes, glyphs and pixelate. Projection runs in the vertex shader,
+// particles are drawn as square GL points and lines as screen-space quads,
+// so nothing is stringified per frame (and only per-particle colours need a
+// depth sort).
+//
+// Usage:
+//   const gl = createWebGLRenderer(canvas);   // null if WebGL is unavailable
+//   if (gl) gl.render(w, h, points, config, t);  // w, h in CSS pixels, t in seconds
+
+import { hexToRGB, focalLengthToPerspD, viewCenter, particleColors, resolveGlyph, frameConnections, connectedParticles, pulsePositions, RING_INNER } from './particle-engine.js';
+
+const POINT_VS = `
+attribute vec3 aPos;
+attribute float aFlag;
+attribute vec3 aColor;
+uniform mat3 uRot;
+uniform float uPerspD;
+uniform float uSpacing;
+uniform float uWorldScale;
+uniform vec2 uResolution;
+uniform vec2 uCenter;
+uniform float uPixelRatio;
+uniform float uSize;
+uniform float uDepthSizing;
+uniform float uDepthOpacity;
+uniform float uMinAlpha;
+uniform float uFlatAlpha;
+uniform float uHighlight;
+uniform float uOnlyFlag;
+uniform float uFlagAlpha;
+uniform float uVertexColor;
+uniform vec3 uColor;
+uniform vec3 uAltColor;
+varying vec4 vColor;
+
+void main() {
+  vec3 r = uRot * (aPos * uSpacing);
+  float scale = uPerspD > 0.0 ? uPerspD / (uPerspD + r.z) : 1.0;
+  vec2 screen = uCenter + r.xy * scale * uWorldScale;
+  vec2 clip = screen / uResolution * 2.0 - 1.0;
+  bool skip = scale <= 0.0 || (uOnlyFlag >= 0.0 && abs(aFlag - uOnlyFlag) > 0.5);
+  gl_Position = skip ? vec4(2.0, 2.0, 2.0, 1.0) : vec4(clip.x, -clip.y, 0.0, 1.0);
+  gl_PointSize = (uDepthSizing > 0.5 ? uSize * scale : uSize) * uPixelRatio;
+  float alpha = uDepthOpacity > 0.5 ? clamp(0.3 + scale * 0.7, uMinAlpha, 1.0) : uFlatAlpha;
+  // Pulses carry their line's fade in the flag instead
+  if (uFlagAlpha > 0.5) alpha *= aFlag;
+  vec3 col = (uHighlight > 0.5 && aFlag < 0.5) ? uAltColor : (uVertexColor > 0.5 ? aColor : uColor);
+  vColor = vec4(col, alpha);
+}
+`;
+
+const LINE_VS = `
+attribute vec3 aFrom;
+attribute vec3 aTo;
+attribute vec2 aCorner;
+attribute float aFade;
+uniform mat3 uRot;
+uniform float uPerspD;
+uniform float uSpacing;
+uniform float uWorldScale;
+uniform vec2 uResolution;
+uniform vec2 uCenter;
+uniform float uThickness;
+uniform float uDepthSizing;
+uniform float uOpacity;
+uniform float uDepthOpacity;
+uniform float uFadeLength;
+uniform vec3 uColor;
+varying vec4 vColor;
+
+vec3 project(vec3 p) {
+  vec3 r = uRot * (p * uSpacing);
+  float scale = uPerspD > 0.0 ? uPerspD / (uPerspD + r.z) : 1.0;
+  return vec3(uCenter + r.xy * scale * uWorldScale, scale);
+}
+
+void main() {
+  // Plexus links fade out with length (see linkFade); hub lines only while
+  // relinking, with aFade
+  float fade = (uFadeLength > 0.0 ? max(0.0, 1.0 - length(aTo - aFrom) / uFadeLength) : 1.0) * aFade;
+  vec3 a = project(aFrom);
+  vec3 b = project(aTo);
+  float avgScale = (a.z + b.z) * 0.5;
+  float thick = uDepthSizing > 0.5 ? uThickness * avgScale : uThickness;
+  vec2 dir = b.xy - a.xy;
+  dir = length(dir) > 0.0001 ? normalize(dir) : vec2(1.0, 0.0);
+  vec2 normal = vec2(-dir.y, dir.x);
+  // Extend past each end by half the width to approximate the round cap
+  vec2 screen = mix(a.xy, b.xy, aCorner.x)
+    + normal * aCorner.y * thick * 0.5
+    + dir * (aCorner.x * 2.0 - 1.0) * thick * 0.5;
+  vec2 clip = screen / uResolution * 2.0 - 1.0;
+  bool visible = a.z > 0.0 && b.z > 0.0;
+  gl_Position = visible ? vec4(clip.x, -clip.y, 0.0, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+  float alpha = uDepthOpacity > 0.5 ? clamp(uOpacity * (0.3 + avgScale * 0.7), 0.02, 1.0) : uOpacity;
+  vColor = vec4(uColor, alpha * fade);
+}
+`;
+
+const COLOR_FS = `
+precision mediump float;
+varying vec4 vColor;
+void main() {
+  gl_FragColor = vColor;
+}
+`;
+
+// Glyphs are cut out of the square point sprite; text characters and image
+// sprites come from a texture (characters as a mask tinted by the colour)
+const GLYPH_IDS = { square: 0, circle: 1, diamond: 2, cross: 3, ring: 4, char: 5, sprite: 6 };
+
+const POINT_FS = `
+precision mediump float;
+uniform float uGlyph;
+uniform float uRingInner;
+uniform sampler2D uGlyphTex;
+varying vec4 vColor;
+void main() {
+  vec2 p = gl_PointCoord - 0.5;
+  float d = length(p);
+  if (uGlyph > 0.5 && uGlyph < 1.5 && d > 0.5) discard;
+  if (uGlyph > 1.5 && uGlyph < 2.5 && abs(p.x) + abs(p.y) > 0.5) discard;
+  if (uGlyph > 2.5 && uGlyph < 3.5 && min(abs(p.x), abs(p.y)) > 1.0 / 6.0) discard;
+  if (uGlyph > 3.5 && uGlyph < 4.5 && (d > 0.5 || d < uRingInner * 0.5)) discard;
+  if (uGlyph > 4.5) {
+    vec4 tex = texture2D(uGlyphTex, gl_PointCoord);
+    gl_FragColor = uGlyph < 5.5 ? vec4(vColor.rgb, vColor.a * tex.a) : vec4(tex.rgb, tex.a * vColor.a);
+  } else {
+    gl_FragColor = vColor;
+  }
+}
+`;
+
+const BLIT_VS = `
+attribute vec2 aPos;
+varying vec2 vUV;
+void main() {
+  vUV = aPos * 0.5 + 0.5;
+  gl_Position = vec4(aPos, 0.0, 1.0);
+}
+`;
+
+const BLIT_FS = `
+precision mediump float;
+uniform sampler2D uTex;
+varying vec2 vUV;
+void main() {
+  gl_FragColor = texture2D(uTex, vUV);
+}
+`;
+
+// Quad corners for one line segment: (t along the line, side)
+const LINE_CORNERS = [0, -1, 1, -1, 1, 1, 0, -1, 1, 1, 0, 1];
+
+function compileProgram(gl, vsSource, fsSource) {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+  };
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, vsSource));
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fsSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+
+  const locations = {};
+  const attribCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+  for (let i = 0; i < attribCount; i++) {
+    const { name } = gl.getActiveAttrib(program, i);
+    locations[name] = gl.getAttribLocation(program, name);
+  }
+  const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < uniformCount; i++) {
+    const { name } = gl.getActiveUniform(program, i);
+    locations[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, locations };
+}
+
+// Column-major mat3 equivalent to the Y → X → Z rotation in projectPoints
+function rotationMatrix(rotX, rotY, rotZ) {
+  const cosA = Math.cos(rotX), sinA = Math.sin(rotX);
+  const cosB = Math.cos(rotY), sinB = Math.sin(rotY);
+  const cosC = Math.cos(rotZ), sinC = Math.sin(rotZ);
+  const rotate = (x, y, z) => {
+    const x1 = x * cosB + z * sinB;
+    const z1 = -x * sinB + z * cosB;
+    const y1 = y * cosA - z1 * sinA;
+    const z2 = y * sinA + z1 * cosA;
+    return [x1 * cosC - y1 * sinC, x1 * sinC + y1 * cosC, z2];
+  };
+  return new Float32Array([...rotate(1, 0, 0), ...rotate(0, 1, 0), ...rotate(0, 0, 1)]);
+}
+
+function parseBackground(bg) {
+  if (!bg || bg === 'transparent') return [0, 0, 0, 0];
+  if (bg.startsWith('rgba') || bg.startsWith('rgb(')) {
+    const parts = bg.slice(bg.indexOf('(') + 1, bg.indexOf(')')).split(',').map(parseFloat);
+    return [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
+  }
+  const [r, g, b] = hexToRGB(bg);
+  return [r / 255, g / 255, b / 255, 1];
+}
+
+export function isWebGLAvailable() {
+  try {
+    const probe = document.createElement('canvas');
+    return !!(probe.getContext('webgl') || probe.getContext('experimental-webgl'));
+  } catch (e) {
+    return false;
+  }
+}
+
+export function createWebGLRenderer(canvas) {
+  const attrs = { alpha: true, antialias: true, premultipliedAlpha: false, preserveDrawingBuffer: true };
+  let gl = null;
+  try {
+    gl = canvas.getContext('webgl', attrs) || canvas.getContext('experimental-webgl', attrs);
+  } catch (e) {
+    gl = null;
+  }
+  if (!gl) return null;
+
+  let pointProg, lineProg, blitProg;
+  try {
+    pointProg = compileProgram(gl, POINT_VS, POINT_FS);
+    lineProg = compileProgram(gl, LINE_VS, COLOR_FS);
+    blitProg = compileProgram(gl, BLIT_VS, BLIT_FS);
+  } catch (e) {
+    return null;
+  }
+
+  const buffers = {
+    pointPos: gl.createBuffer(),
+    pointFlag: gl.createBuffer(),
+    pointColor: gl.createBuffer(),
+    hubPos: gl.createBuffer(),
+    hubFlag: gl.createBuffer(),
+    lineFrom: gl.createBuffer(),
+    lineTo: gl.createBuffer(),
+    lineCorner: gl.createBuffer(),
+    lineFade: gl.createBuffer(),
+    pulsePos: gl.createBuffer(),
+    pulseFade: gl.createBuffer(),
+    blitQuad: gl.createBuffer(),
+  };
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffers.blitQuad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+  let posArray = new Float32Array(0);
+  let flagKey = null;
+  let flagCount = 0;
+  let lineCount = 0;
+  let cornerCount = -1;
+  let pixelTarget = null;
+  const glyphTextures = new Map();
+
+  gl.enable(gl.BLEND);
+  gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+  function bindAttrib(loc, buffer, size) {
+    if (loc == null || loc < 0) return;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(loc);
+    gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+  }
+
+  function ensurePixelTarget(pw, ph) {
+    if (pixelTarget && pixelTarget.w === pw && pixelTarget.h === ph) return pixelTarget;
+    if (pixelTarget) {
+      gl.deleteTexture(pixelTarget.tex);
+      gl.deleteFramebuffer(pixelTarget.fbo);
+    }
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, pw, ph, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    pixelTarget = { w: pw, h: ph, tex, fbo };
+    return pixelTarget;
+  }
+
+  // Texture for a 'char' or 'sprite' glyph, cached by character / image.
+  // Null while a sprite's image isn't loaded yet (drawn as squares).
+  function glyphTexture(glyph) {
+    const key = glyph.type === 'char' ? `char:${glyph.char}` : glyph.image;
+    if (!key) return null;
+    if (glyphTextures.has(key)) return glyphTextures.get(key);
+    let source = glyph.image;
+    if (glyph.type === 'char') {
+      const size = 64;
+      source = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(size, size) : document.createElement('canvas');
+      source.width = size;
+      source.height = size;
+      const ctx = source.getContext('2d');
+      ctx.fillStyle = '#fff';
+      ctx.font = `${size}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(glyph.char, size / 2, size / 2);
+    }
+    const tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    glyphTextures.set(key, tex);
+    return tex;
+  }
+
+  function uploadPoints(points, connData, colors, rot) {
+    if (colors) {
+      uploadSortedPoints(points, connData, colors, rot);
+      return;
+    }
+    if (posArray.length !== points.length * 3) posArray = new Float32Array(points.length * 3);
+    for (let i = 0; i < points.length; i++) {
+      posArray[i * 3] = points[i].x;
+      posArray[i * 3 + 1] = points[i].y;
+      posArray[i * 3 + 2] = points[i].z;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointPos);
+    gl.bufferData(gl.ARRAY_BUFFER, posArray, gl.DYNAMIC_DRAW);
+
+    // Connected flags only change when the connection set does
+    if (flagKey !== connData || flagCount !== points.length) {
+      const flags = new Float32Array(points.length);
+      for (const idx of connectedParticles(connData)) flags[idx] = 1;
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointFlag);
+      gl.bufferData(gl.ARRAY_BUFFER, flags, gl.STATIC_DRAW);
+      flagKey = connData;
+      flagCount = points.length;
+    }
+  }
+
+  // Mixed colours don't blend order-independently, so particles go back to
+  // front as in renderFrame, with flags and colours in the same order
+  function uploadSortedPoints(points, connData, colors, rot) {
+    const n = points.length;
+    const depth = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const p = points[i];
+      depth[i] = rot[2] * p.x + rot[5] * p.y + rot[8] * p.z;
+    }
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => depth[b] - depth[a]);
+    const connected = new Uint8Array(n);
+    for (const idx of connectedParticles(connData)) connected[idx] = 1;
+    if (posArray.length !== n * 3) posArray = new Float32Array(n * 3);
+    const colorArray = new Float32Array(n * 3);
+    const flags = new Float32Array(n);
+    for (let k = 0; k < n; k++) {
+      const i = order[k];
+      posArray[k * 3] = points[i].x;
+      posArray[k * 3 + 1] = points[i].y;
+      posArray[k * 3 + 2] = points[i].z;
+      colorArray[k * 3] = colors[i][0] / 255;
+      colorArray[k * 3 + 1] = colors[i][1] / 255;
+      colorArray[k * 3 + 2] = colors[i][2] / 255;
+      flags[k] = connected[i];
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointPos);
+    gl.bufferData(gl.ARRAY_BUFFER, posArray, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointColor);
+    gl.bufferData(gl.ARRAY_BUFFER, colorArray, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pointFlag);
+    gl.bufferData(gl.ARRAY_BUFFER, flags, gl.DYNAMIC_DRAW);
+    // Flags are now in depth order; rebuild them if colours are switched off
+    flagKey = null;
+  }
+
+  // Particle → hub lines, or particle → particle for plexus links
+  function uploadLines(points, connData) {
+    const links = connData.links;
+    const count = links ? links.length / 2 : connData.connections.length;
+    const from = new Float32Array(count * 18);
+    const to = new Float32Array(count * 18);
+    const fade = new Float32Array(count * 6);
+    let n = 0;
+    for (let i = 0; i < count; i++) {
+      const conn = links ? null : connData.connections[i];
+      const p = links ? points[links[i * 2]] : points[conn.particleIdx];
+      const q = links ? points[links[i * 2 + 1]] : connData.hubs[conn.hubIdx];
+      if (!p || !q) continue;
+      for (let v = 0; v < 6; v++) {
+        const o = (n * 6 + v) * 3;
+        from[o] = p.x; from[o + 1] = p.y; from[o + 2] = p.z;
+        to[o] = q.x; to[o + 1] = q.y; to[o + 2] = q.z;
+      }
+      fade.fill(links ? 1 : conn.fade ?? 1, n * 6, n * 6 + 6);
+      n++;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineFrom);
+    gl.bufferData(gl.ARRAY_BUFFER, from, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineTo);
+    gl.bufferData(gl.ARRAY_BUFFER, to, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineFade);
+    gl.bufferData(gl.ARRAY_BUFFER, fade, gl.DYNAMIC_DRAW);
+    if (cornerCount !== n) {
+      const corners = new Float32Array(n * 12);
+      for (let i = 0; i < n; i++) corners.set(LINE_CORNERS, i * 12);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffers.lineCorner);
+      gl.bufferData(gl.ARRAY_BUFFER, corners, gl.STATIC_DRAW);
+      cornerCount = n;
+    }
+    lineCount = n;
+  }
+
+  function setCamera(loc, config, w, h, pixelRatio) {
+    const perspD = config.lensType === 'orthographic' ? 0 : focalLengthToPerspD(config.focalLength ?? 50);
+    gl.uniformMatrix3fv(loc.uRot, false, rotationMatrix(config.rotX || 0, config.rotY || 0, config.rotZ || 0));
+    gl.uniform1f(loc.uPerspD, perspD);
+    gl.uniform1f(loc.uSpacing, config.spacing || 1.0);
+    gl.uniform1f(loc.uWorldScale, Math.min(w, h) * 0.35 * (config.zoom || 1.0));
+    gl.uniform2f(loc.uResolution, w, h);
+    gl.uniform2f(loc.uCenter, ...viewCenter(w, h, config));
+    gl.uniform1f(loc.uPixelRatio, pixelRatio);
+  }
+
+  function drawScene(w, h, pixelRatio, points, config, t) {
+    const [cr, cg, cb] = hexToRGB(config.color || '#ffffff').map(v => v / 255);
+    const [ncr, ncg, ncb] = hexToRGB(config.nonConnectedColor || '#404040').map(v => v / 255);
+    const depthSizing = config.depthSizing !== false;
+    const depthOpacity = config.depthOpacity !== false;
+    const connData = frameConnections(points, config.connectionData, config, t);
+    const highlight = config.highlightConnected === true && connectedParticles(connData).size > 0;
+    const hasLinks = !!(connData && connData.links && connData.links.length > 0);
+
+    // ── Connection lines and hubs (behind particles, as in renderFrame)
+    if (hasLinks || (connData && connData.hubs.length > 0 && connData.connections.length > 0)) {
+      uploadLines(points, connData);
+      const loc = lineProg.locations;
+      gl.useProgram(lineProg.program);
+      setCamera(loc, config, w, h, pixelRatio);
+      gl.uniform1f(loc.uThickness, config.connectionThickness || 1);
+      gl.uniform1f(loc.uDepthSizing, depthSizing ? 1 : 0);
+      gl.uniform1f(loc.uOpacity, config.connectionOpacity != null ? config.connectionOpacity : 0.3);
+      gl.uniform1f(loc.uDepthOpacity, config.connectionDepthOpacity !== false ? 1 : 0);
+      gl.uniform1f(loc.uFadeLength, hasLinks ? Math.max(0.01, config.connectionDistance || 0.25) : 0);
+      gl.uniform3f(loc.uColor, cr, cg, cb);
+      bindAttrib(loc.aFrom, buffers.lineFrom, 3);
+      bindAttrib(loc.aTo, buffers.lineTo, 3);
+      bindAttrib(loc.aCorner, buffers.lineCorner, 2);
+      bindAttrib(loc.aFade, buffers.lineFade, 1);
+      gl.drawArrays(gl.TRIANGLES, 0, lineCount * 6);
+      gl.disableVertexAttribArray(loc.aFrom);
+      gl.disableVertexAttribArray(loc.aTo);
+      gl.disableVertexAttribArray(loc.aCorner);
+      gl.disableVertexAttribArray(loc.aFade);
+
+      const pulses = pulsePositions(points, connData);
+      if (pulses.length > 0) {
+        const pulsePos = new Float32Array(pulses.length * 3);
+        pulses.forEach((p, i) => pulsePos.set([p.x, p.y, p.z], i * 3));
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pulsePos);
+        gl.bufferData(gl.ARRAY_BUFFER, pulsePos, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.pulseFade);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(pulses.map(p => p.fade)), gl.DYNAMIC_DRAW);
+        const pulseColor = hexToRGB(config.connectionPulseColor || '#ffffff').map(v => v / 255);
+        drawPoints(buffers.pulsePos, buffers.pulseFade, pulses.length, config, w, h, pixelRatio, {
+          size: (config.connectionThickness || 1) * 2 + 2, minAlpha: 0.1, highlight: false, color: pulseColor, altColor: pulseColor,
+          glyph: { type: 'circle' }, flagAlpha: true,
+        });
+      }
+
+      if (config.hubVisible !== false && connData.hubs.length > 0) {
+        const hubPos = new Float32Array(connData.hubs.length * 3);
+        connData.hubs.forEach((hub, i) => hubPos.set([hub.x, hub.y, hub.z], i * 3));
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.hubPos);
+        gl.bufferData(gl.ARRAY_BUFFER, hubPos, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.hubFlag);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(connData.hubs.length).fill(1), gl.DYNAMIC_DRAW);
+        drawPoints(buffers.hubPos, buffers.hubFlag, connData.hubs.length, config, w, h, pixelRatio, {
+          size: config.hubSize || 6, minAlpha: 0.1, highlight: false, color: [cr, cg, cb], altColor: [cr, cg, cb],
+          glyph: resolveGlyph(config, true),
+        });
+      }
+    }
+
+    // ── Particles. Same-colour squares blend order-independently, so no
+    // depth sort is needed unless a colour mode is on; in highlight mode the
+    // dimmed particles are drawn in the first pass and the connected ones on top.
+    const colors = particleColors(points, config);
+    uploadPoints(points, connData, colors, rotationMatrix(config.rotX || 0, config.rotY || 0, config.rotZ || 0));
+    const style = {
+      size: config.squareSize || 3, minAlpha: 0.05, highlight, color: [cr, cg, cb], altColor: [ncr, ncg, ncb],
+      vertexColor: !!colors, glyph: resolveGlyph(config),
+    };
+    drawPoints(buffers.pointPos, buffers.pointFlag, points.length, config, w, h, pixelRatio, style);
+  }
+
+  function drawPoints(posBuffer, flagBuffer, count, config, w, h, pixelRatio, style) {
+    const loc = pointProg.locations;
+    gl.useProgram(pointProg.program);
+    setCamera(loc, config, w, h, pixelRatio);
+    gl.uniform1f(loc.uSize, style.size);
+    gl.uniform1f(loc.uDepthSizing, config.depthSizing !== false ? 1 : 0);
+    gl.uniform1f(loc.uDepthOpacity, config.depthOpacity !== false ? 1 : 0);
+    gl.uniform1f(loc.uMinAlpha, style.minAlpha);
+    gl.uniform1f(loc.uFlatAlpha, 0.85);
+    gl.uniform3fv(loc.uColor, style.color);
+    gl.uniform3fv(loc.uAltColor, style.altColor);
+    bindAttrib(loc.aPos, posBuffer, 3);
+    bindAttrib(loc.aFlag, flagBuffer, 1);
+    if (style.vertexColor) bindAttrib(loc.aColor, buffers.pointColor, 3);
+    gl.uniform1f(loc.uVertexColor, style.vertexColor ? 1 : 0);
+    let glyphId = GLYPH_IDS[style.glyph.type];
+    if (glyphId >= GLYPH_IDS.char) {
+      const tex = glyphTexture(style.glyph);
+      if (tex) {
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.uniform1i(loc.uGlyphTex, 0);
+      } else {
+        glyphId = GLYPH_IDS.square;
+      }
+    }
+    gl.uniform1f(loc.uGlyph, glyphId);
+    gl.uniform1f(loc.uRingInner, RING_INNER);
+    gl.uniform1f(loc.uFlagAlpha, style.flagAlpha ? 1 : 0);
+    gl.uniform1f(loc.uHighlight, style.highlight ? 1 : 0);
+    if (style.highlight) {
+      gl.uniform1f(loc.uOnlyFlag, 0);
+      gl.drawArrays(gl.POINTS, 0, count);
+      gl.uniform1f(loc.uOnlyFlag, 1);
+      gl.drawArrays(gl.POINTS, 0, count);
+    } else {
+      gl.uniform1f(loc.uOnlyFlag, -1);
+      gl.drawArrays(gl.POINTS, 0, count);
+    }
+    gl.disableVertexAttribArray(loc.aPos);
+    gl.disableVertexAttribArray(loc.aFlag);
+    if (style.vertexColor) gl.disableVertexAttribArray(loc.aColor);
+  }
+
+  function render(w, h, points, config, t = 0) {
+    const pixelRatio = w > 0 ? canvas.width / w : 1;
+    const [br, bg, bb, ba] = parseBackground(config.bgColor || '#0a0a0a');
+    const blockSize = config.pixelate;
+
+    if (blockSize > 1) {
+      const pw = Math.max(1, Math.round(w / blockSize));
+      const ph = Math.max(1, Math.round(h / blockSize));
+      const target = ensurePixelTarget(pw, ph);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+      gl.viewport(0, 0, pw, ph);
+      gl.clearColor(br, bg, bb, ba);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      drawScene(pw, ph, 1, points, config, t);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.disable(gl.BLEND);
+      gl.useProgram(blitProg.program);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, target.tex);
+      gl.uniform1i(blitProg.locations.uTex, 0);
+      bindAttrib(blitProg.locations.aPos, buffers.blitQuad, 2);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+      gl.disableVertexAttribArray(blitProg.locations.aPos);
+      gl.enable(gl.BLEND);
+      return;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(br, bg, bb, ba);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    drawScene(w, h, pixelRatio, points, config, t);
+  }
+
+  function dispose() {
+    for (const key in buffers) gl.deleteBuffer(buffers[key]);
+    for (const tex of glyphTextures.values()) gl.deleteTexture(tex);
+    glyphTextures.clear();
+    if (pixelTarget) {
+      gl.deleteTexture(pixelTarget.tex);
+      gl.deleteFramebuffer(pixelTarget.fbo);
+      pixelTarget = null;
+    }
+    gl.deleteProgram(pointProg.program);
+    gl.deleteProgram(lineProg.program);
+    gl.deleteProgram(blitProg.program);
+  }
+
+  return { type: 'webgl', canvas, render, dispose };
+}
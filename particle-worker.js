@@ -0,0 +1,266 @@
+// ── Particle Render Worker ──────────────────────────────────────────
+// Off-main-thread renderer for <particle-shape worker>. The element hands
+// over its canvas with transferControlToOffscreen() and from then on only
+// posts messages; point generation, float / voronoi animation and drawing
+// all run here.
+//
+// Messages in:
+//   { type: 'init', canvas, config, width, height, dpr, points }
+//   { type: 'config', config, regenerate, morph, points } — partial config to merge
+//   { type: 'svg', svgText }                 — parsed with the DOM-free path
+//   { type: 'text', pathDatas }              — outline traced on the page
+//   { type: 'glyphImage', key, image }       — decoded sprite glyph (ImageBitmap)
+//   { type: 'resize', width, height, dpr }
+//   { type: 'rotate', dRotX, dRotY }         — drag deltas in radians
+//   { type: 'rotation', rotX, rotY, rotZ, duration } — setRotation()
+//   { type: 'drag', active }
+//   { type: 'pointer', pointer }             — { x, y } on the canvas, or null
+//   { type: 'scatter' }                      — scatter() / a click in cursor-mode
+//   { type: 'pause' } / { type: 'play' }       — also sent for reduced motion
+//   { type: 'snapshot', id, format, options } — toBlob() in the worker
+//   { type: 'dispose' }
+//
+// config.reducedMotion draws float / voronoi and connection animation as at
+// t = 0 and skips morphs.
+//
+// `points` comes with shapes registered on the page (registerShape), whose
+// generators the worker doesn't have; it is used in place of generating.
+//
+// Messages out:
+//   { type: 'regenerated', points, connectionData }
+//   { type: 'snapshot', id, blob, error }
+
+import { generatePoints, generateConnections, renderFrame, initVoronoiSamples, generateVoronoiPoints, initFloatPhases, applyFloat, createCursorPhysics, stepCursorPhysics, scatterCursorPhysics, applyCursorPhysics, parseSVGFile, pathDataToSVG, createRNG, RNG_STREAMS, createMorph, applyMorph, createRotationTween, applyRotationTween, reuseLinks } from './particle-engine.js';
+import { createWebGLRenderer } from './particle-webgl.js';
+import { toSVGString, toPNGBlob } from './particle-export.js';
+
+export function runRenderWorker(scope) {
+  let canvas = null;
+  let ctx = null;
+  let gl = null;
+  let config = null;
+  let points = [];
+  let voronoiSamples = [];
+  let floatPhases = [];
+  let framePoints = [];
+  let frameTime = 0;
+  let morph = null;
+  let physics = createCursorPhysics();
+  let pointer = null;
+  let logicalW = 0;
+  let logicalH = 0;
+  let pixelRatio = 1;
+  let dragging = false;
+  let paused = false;
+  let rotTween = null;
+  let pixelCanvas = null;
+  let timer = null;
+
+  const raf = typeof scope.requestAnimationFrame === 'function'
+    ? (fn) => scope.requestAnimationFrame(fn)
+    : (fn) => setTimeout(() => fn(performance.now()), 1000 / 60);
+  const caf = typeof scope.cancelAnimationFrame === 'function'
+    ? (id) => scope.cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+  function regenerate(withMorph = false, given = null) {
+    const from = withMorph && config.morphDuration > 0 && !config.reducedMotion ? framePoints : null;
+    if (given) {
+      points = given;
+    } else if (config.shapeType === 'voronoi') {
+      voronoiSamples = initVoronoiSamples(config.density, createRNG(config.seed, RNG_STREAMS.voronoi), config.voronoiMode);
+      points = generateVoronoiPoints(voronoiSamples, config, 0);
+    } else {
+      points = generatePoints(config);
+    }
+    config.connectionData = generateConnections(points, config);
+    floatPhases = initFloatPhases(points.length, createRNG(config.seed, RNG_STREAMS.float));
+    physics = createCursorPhysics();
+    morph = from && from.length > 0 ? createMorph(from, points, config) : null;
+    scope.postMessage({ type: 'regenerated', points, connectionData: config.connectionData });
+    if (paused) frame();
+  }
+
+  function resize(width, height, dpr) {
+    logicalW = width;
+    logicalH = height;
+    pixelRatio = dpr;
+    canvas.width = Math.max(1, Math.round(width * dpr));
+    canvas.height = Math.max(1, Math.round(height * dpr));
+    if (ctx) ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  function draw(framePoints, t) {
+    if (gl) {
+      gl.render(logicalW, logicalH, framePoints, config, t);
+      return;
+    }
+    const blockSize = config.pixelate;
+    if (blockSize > 1) {
+      const pw = Math.max(1, Math.round(logicalW / blockSize));
+      const ph = Math.max(1, Math.round(logicalH / blockSize));
+      if (!pixelCanvas) pixelCanvas = new OffscreenCanvas(pw, ph);
+      pixelCanvas.width = pw;
+      pixelCanvas.height = ph;
+      renderFrame(pixelCanvas.getContext('2d'), pw, ph, framePoints, config, t);
+      ctx.imageSmoothingEnabled = false;
+      ctx.clearRect(0, 0, logicalW, logicalH);
+      ctx.drawImage(pixelCanvas, 0, 0, logicalW, logicalH);
+    } else {
+      ctx.imageSmoothingEnabled = true;
+      renderFrame(ctx, logicalW, logicalH, framePoints, config, t);
+    }
+  }
+
+  function frame(dt = 0) {
+    if (logicalW <= 0) return;
+    const t = config.reducedMotion ? 0 : performance.now() * 0.001;
+    const previous = framePoints;
+    if (config.shapeType === 'voronoi') {
+      framePoints = generateVoronoiPoints(voronoiSamples, config, t);
+    } else if (config.float && floatPhases.length > 0) {
+      framePoints = applyFloat(points, floatPhases, config, t);
+    } else {
+      framePoints = points;
+    }
+    if (dt > 0) stepCursorPhysics(physics, framePoints, config, { width: logicalW, height: logicalH, pointer, dt });
+    framePoints = applyCursorPhysics(framePoints, physics);
+    if (morph) {
+      framePoints = applyMorph(morph, framePoints, performance.now());
+      if (morph.done) morph = null;
+    }
+    // Plexus links can stay while the particles have barely moved
+    reuseLinks(previous, framePoints, config);
+    frameTime = t;
+    draw(framePoints, t);
+  }
+
+  function start() {
+    if (timer != null || paused) return;
+    let lastTs = 0;
+    const tick = (ts) => {
+      const dt = lastTs ? Math.min((ts - lastTs) / (1000 / 60), 4) : 1;
+      lastTs = ts;
+      if (rotTween) {
+        if (applyRotationTween(rotTween, config, performance.now())) rotTween = null;
+      } else if (config.autoRotate && !dragging) {
+        config.rotY += config.rotSpeed * dt;
+      }
+      frame(dt);
+      timer = raf(tick);
+    };
+    timer = raf(tick);
+  }
+
+  function stop() {
+    if (timer != null) caf(timer);
+    timer = null;
+  }
+
+  function snapshot(format, options) {
+    const pts = framePoints.length > 0 ? framePoints : points;
+    const opts = { width: logicalW, height: logicalH, scale: pixelRatio, frameTime, ...options };
+    if (format === 'svg') {
+      return Promise.resolve(new Blob([toSVGString(config, pts, opts)], { type: 'image/svg+xml' }));
+    }
+    return toPNGBlob(config, pts, opts);
+  }
+
+  scope.addEventListener('message', (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+      case 'init': {
+        canvas = msg.canvas;
+        config = msg.config;
+        if (config.renderer === 'webgl') gl = createWebGLRenderer(canvas);
+        if (!gl) ctx = canvas.getContext('2d');
+        resize(msg.width, msg.height, msg.dpr);
+        regenerate(false, msg.points);
+        start();
+        break;
+      }
+      case 'config': {
+        Object.assign(config, msg.config);
+        if (msg.regenerate) regenerate(msg.morph, msg.points);
+        else if (paused) frame();
+        break;
+      }
+      case 'svg': {
+        const result = parseSVGFile(msg.svgText);
+        if (!result) break;
+        config.svgOutline = result.outline;
+        config.svgPath2D = result.svgPath2D;
+        config._svgNorm = result.svgNorm;
+        if (config.shapeType === 'svgExtrude') regenerate();
+        break;
+      }
+      case 'text': {
+        // The page has the fonts, so it traces; Path2D is rebuilt here
+        const result = msg.pathDatas.length > 0 ? parseSVGFile(pathDataToSVG(msg.pathDatas)) : null;
+        config.textOutline = result ? result.outline : [];
+        config.textPath2D = result ? result.svgPath2D : null;
+        config._textNorm = result ? result.svgNorm : null;
+        if (config.shapeType === 'text') regenerate();
+        break;
+      }
+      case 'glyphImage':
+        config[msg.key] = msg.image;
+        if (paused) frame();
+        break;
+      case 'resize':
+        resize(msg.width, msg.height, msg.dpr);
+        if (paused) frame();
+        break;
+      case 'rotate':
+        rotTween = null;
+        config.rotX += msg.dRotX;
+        config.rotY += msg.dRotY;
+        if (paused) frame();
+        break;
+      case 'rotation': {
+        const target = { rotX: msg.rotX, rotY: msg.rotY, rotZ: msg.rotZ };
+        rotTween = null;
+        if (msg.duration > 0 && !paused) {
+          rotTween = createRotationTween(config, target, msg.duration);
+        } else {
+          Object.assign(config, target);
+          if (paused) frame();
+        }
+        break;
+      }
+      case 'drag':
+        dragging = msg.active;
+        break;
+      case 'pointer':
+        pointer = msg.pointer;
+        break;
+      case 'scatter':
+        scatterCursorPhysics(physics, points, config);
+        break;
+      case 'pause':
+        paused = true;
+        stop();
+        break;
+      case 'play':
+        paused = false;
+        start();
+        break;
+      case 'snapshot':
+        snapshot(msg.format, msg.options).then(
+          (blob) => scope.postMessage({ type: 'snapshot', id: msg.id, blob }),
+          (err) => scope.postMessage({ type: 'snapshot', id: msg.id, error: String(err && err.message || err) })
+        );
+        break;
+      case 'dispose':
+        stop();
+        if (gl) gl.dispose();
+        scope.close();
+        break;
+    }
+  });
+}
+
+// Started as a module worker: new Worker(url, { type: 'module' })
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  runRenderWorker(self);
+}